@@ -1,50 +1,61 @@
-import fs from 'fs/promises';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { getProvider } from './providers/index.js';
+import { getCheckoutState, advanceCheckout, describeCheckout } from './checkout.js';
+import { getAvailableProducts, isVariantAvailable, hasPartialVariants } from './inventory.js';
+import { loadProducts } from './catalog.js';
+import { searchProducts, rankProductsForConversation } from './retrieval.js';
+import { extractCustomerInfo, findCity } from './extraction.js';
+import { getPreferredLanguage, DEFAULT_LANGUAGE, LANGUAGE_NAMES, t } from './i18n.js';
+import { getVariantChoice } from './choices.js';
+import { filterCatalogForSession } from './sessions.js';
 
 /**
  * AI module for WhatsApp Sales Auto-Closer
- * Integrates with local Ollama (llama3) for conversational AI
+ * Talks to a local model server (Ollama, OpenAI-compatible or mock)
+ * through the provider layer in providers/
  */
 
-// Load products data
-let productsData = null;
+// Words that mean the customer agrees to buy (English, Hinglish, Hindi, Gujarati)
+const BUYING_SIGNALS = [
+  'yes', 'haan', 'haa', 'ok', 'okay', 'confirm', 'book', 'levu che', 'levu chhe', 'done',
+  'हाँ', 'हां', 'ठीक है', 'पक्का', 'बुक', 'कन्फर्म',
+  'હા', 'હાં', 'લેવું', 'બુક', 'કન્ફર્મ'
+];
 
-/**
- * Load products from products.json
- * @returns {Promise<Array>} Array of products
- */
-async function loadProducts() {
-  if (productsData) return productsData;
+const MAX_ORDER_QUANTITY = 10;
 
-  try {
-    const filePath = path.join(__dirname, 'products.json');
-    const data = await fs.readFile(filePath, 'utf-8');
-    const parsed = JSON.parse(data);
-    productsData = parsed.products;
-    return productsData;
-  } catch (error) {
-    console.error('Error loading products:', error);
-    throw error;
-  }
-}
+// Products scoring at least this share of the best match count as "mentioned"
+const CLEAR_MATCH_RATIO = 0.6;
+
+// Products listed in the prompt before the customer has said what they want
+const PROMPT_FALLBACK_PRODUCTS = 5;
 
 /**
  * Create system prompt for the AI sales assistant
+ * Only the products ranked for this conversation are listed, so the prompt
+ * stays small however large the catalog grows.
  * @param {Array} products - Array of available products
+ * @param {Object} checkoutState - Lead's checkout state ({ stage, checkout })
+ * @param {Array} shownProducts - Products to list in the prompt
+ * @param {string} language - Customer's preferred language code
  * @returns {string} System prompt
  */
-function createSystemPrompt(products) {
-  const productList = products.map(p => {
+function createSystemPrompt(products, checkoutState, shownProducts = products, language = DEFAULT_LANGUAGE) {
+  let productList = shownProducts.map(p => {
     let details = `${p.name} - $${p.price}`;
     if (p.sizes) details += ` (Sizes: ${p.sizes.join(', ')})`;
     if (p.colors) details += ` (Colors: ${p.colors.join(', ')})`;
+    if (hasPartialVariants(p)) {
+      details += ` (In stock only as size/color: ${p.variants.map(v => `${v.size}/${v.color}`).join(', ')})`;
+    }
     return `- ${details}: ${p.description}`;
   }).join('\n');
 
+  if (shownProducts.length < products.length) {
+    const categories = [...new Set(products.map(p => p.category).filter(Boolean))];
+    productList += `\n\n(These are the best matches for this customer out of ${products.length} products.` +
+      ` We also sell: ${categories.join(', ')}. Ask what they need if nothing above fits.)`;
+  }
+
   return `You are a HIGH-CONVERTING WhatsApp Sales Assistant for a local retail shop.
 
 You are not a chatbot.
@@ -61,6 +72,7 @@ Always guide toward purchase confidently but naturally.
 - If customer uses English → reply in English.
 - NEVER mix English inside Hindi or Gujarati replies.
 - Never use Hinglish or Roman script.
+- This customer's preferred language is ${LANGUAGE_NAMES[language] || LANGUAGE_NAMES[DEFAULT_LANGUAGE]}; use it unless their latest message is clearly in another language.
 
 💬 MESSAGE STYLE:
 - Maximum 1–2 short sentences.
@@ -116,6 +128,12 @@ AVAILABLE PRODUCTS
 
 ${productList}
 
+=====================
+CURRENT ORDER PROGRESS
+=====================
+
+${describeCheckout(checkoutState, products)}
+
 Remember:
 Be natural.
 Be short.
@@ -124,99 +142,67 @@ Always move toward confirmed order.`;
 }
 
 /**
- * Call Ollama API with chat history
+ * Format chat history into provider messages
+ * @param {Array} chatHistory - Array of message objects with role and content
+ * @param {string} systemPrompt - System prompt for AI behavior
+ * @returns {Array} Messages with role and content
+ */
+function formatMessages(chatHistory, systemPrompt) {
+  return [
+    { role: 'system', content: systemPrompt },
+    ...chatHistory.map(msg => ({
+      // Replies typed by staff speak for the shop, like the bot's own
+      role: msg.role === 'user' ? 'user' : 'assistant',
+      content: msg.message || msg.content
+    }))
+  ];
+}
+
+/**
+ * Call the configured LLM provider with chat history
  * @param {Array} chatHistory - Array of message objects with role and content
  * @param {string} systemPrompt - System prompt for AI behavior
  * @returns {Promise<string>} AI response
  */
-async function callOllama(chatHistory, systemPrompt) {
+async function callLLM(chatHistory, systemPrompt) {
   try {
-    const ollamaUrl = process.env.OLLAMA_URL || 'http://localhost:11434';
-    const model = process.env.OLLAMA_MODEL || 'llama3';
-
-    // Format messages for Ollama
-    const messages = [
-      { role: 'system', content: systemPrompt },
-      ...chatHistory.map(msg => ({
-        role: msg.role === 'assistant' ? 'assistant' : 'user',
-        content: msg.message || msg.content
-      }))
-    ];
-
-    const response = await fetch(`${ollamaUrl}/api/chat`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        model: model,
-        messages: messages,
-        stream: false,
-        options: {
-          temperature: 0.7,
-          top_p: 0.9
-        }
-      })
-    });
-
-    if (!response.ok) {
-      throw new Error(`Ollama API error: ${response.status} ${response.statusText}`);
-    }
-
-    const data = await response.json();
-    return data.message.content;
+    const provider = getProvider();
+    return await provider.chat(formatMessages(chatHistory, systemPrompt));
   } catch (error) {
-    console.error('Error calling Ollama:', error);
+    console.error('Error calling LLM provider:', error);
     throw error;
   }
 }
 
 /**
- * Extract customer information from conversation
- * @param {string} message - Customer message
- * @param {Array} chatHistory - Previous chat history
- * @returns {Object} Extracted information (name, city)
+ * Stream a completion from the configured LLM provider
+ * @param {Array} chatHistory - Array of message objects with role and content
+ * @param {string} systemPrompt - System prompt for AI behavior
+ * @param {Function} onToken - Called with each text chunk as it arrives
+ * @returns {Promise<string>} Full AI response
  */
-function extractCustomerInfo(message, chatHistory) {
-  const info = {
-    name: null,
-    city: null
-  };
-
-  // Simple name extraction (looks for "my name is" or "I'm")
-  const namePatterns = [
-    /my name is (\w+)/i,
-    /i'm (\w+)/i,
-    /i am (\w+)/i,
-    /call me (\w+)/i,
-    /this is (\w+)/i
-  ];
-
-  for (const pattern of namePatterns) {
-    const match = message.match(pattern);
-    if (match && match[1]) {
-      info.name = match[1].charAt(0).toUpperCase() + match[1].slice(1).toLowerCase();
-      break;
+async function streamLLM(chatHistory, systemPrompt, onToken) {
+  try {
+    const provider = getProvider();
+    const messages = formatMessages(chatHistory, systemPrompt);
+
+    // Providers without streaming support deliver the reply as one chunk
+    if (!provider.stream) {
+      const text = await provider.chat(messages);
+      onToken(text);
+      return text;
     }
-  }
-
-  // Simple city extraction (looks for "from" or "in")
-  const cityPatterns = [
-    /from ([A-Z][a-zA-Z\s]+?)(?:\.|,|$)/,
-    /in ([A-Z][a-zA-Z\s]+?)(?:\.|,|$)/,
-    /live in ([A-Z][a-zA-Z\s]+?)(?:\.|,|$)/,
-    /city is ([A-Z][a-zA-Z\s]+?)(?:\.|,|$)/
-  ];
 
-  for (const pattern of cityPatterns) {
-    const match = message.match(pattern);
-    if (match && match[1]) {
-      info.city = match[1].trim();
-      break;
+    let text = '';
+    for await (const chunk of provider.stream(messages)) {
+      text += chunk;
+      onToken(chunk);
     }
+    return text;
+  } catch (error) {
+    console.error('Error streaming from LLM provider:', error);
+    throw error;
   }
-
-  return info;
 }
 
 /**
@@ -231,54 +217,224 @@ function isAgentRequested(message) {
 }
 
 /**
- * Find relevant products based on customer message
+ * Check if the customer message is a buying signal (yes / confirm / book)
  * @param {string} message - Customer message
- * @param {Array} products - Available products
- * @returns {Array} Relevant products
+ * @returns {boolean} True if the customer is agreeing to buy
  */
-function findRelevantProducts(message, products) {
+function isBuyingSignal(message) {
   const lowerMessage = message.toLowerCase();
-  const relevantProducts = [];
 
-  for (const product of products) {
-    // Check if any keyword matches
-    if (product.keywords && product.keywords.some(keyword => lowerMessage.includes(keyword.toLowerCase()))) {
-      relevantProducts.push(product);
-      continue;
-    }
+  return BUYING_SIGNALS.some(signal => (
+    /^[a-z ]+$/.test(signal)
+      ? new RegExp(`\\b${signal}\\b`).test(lowerMessage)
+      : lowerMessage.includes(signal)
+  ));
+}
 
-    // Check if category matches
-    if (product.category && lowerMessage.includes(product.category.toLowerCase())) {
-      relevantProducts.push(product);
-      continue;
-    }
+/**
+ * Create the system prompt for structured order extraction
+ * @param {Array} products - Array of available products
+ * @returns {string} System prompt
+ */
+function createOrderExtractionPrompt(products) {
+  const productList = products.map(p => {
+    let details = `${p.id}: ${p.name}`;
+    if (p.sizes) details += ` | sizes: ${p.sizes.join(', ')}`;
+    if (p.colors) details += ` | colors: ${p.colors.join(', ')}`;
+    return `- ${details}`;
+  }).join('\n');
+
+  return `You extract orders from WhatsApp sales conversations.
+
+Read the conversation and return ONLY a JSON object, with no other text:
+{"product_id": string|null, "size": string|null, "color": string|null, "quantity": number, "customer_name": string|null, "city": string|null}
+
+Rules:
+- product_id must be one of the ids below, for the product the customer agreed to buy.
+- size and color must be written exactly as listed for that product.
+- Use null for anything the customer has not stated. Never guess.
+- quantity defaults to 1.
 
-    // Check if product name matches
-    if (lowerMessage.includes(product.name.toLowerCase())) {
-      relevantProducts.push(product);
+PRODUCTS:
+${productList}`;
+}
+
+/**
+ * Format a conversation as a plain transcript for one-off prompts
+ * @param {Array} chatHistory - Messages, oldest first
+ * @returns {string} "Customer: ..." / "Shop: ..." lines
+ */
+function formatTranscript(chatHistory) {
+  return chatHistory
+    .map(msg => `${msg.role === 'user' ? 'Customer' : 'Shop'}: ${msg.message || msg.content}`)
+    .join('\n');
+}
+
+/**
+ * Parse the first JSON object out of a model reply
+ * @param {string} text - Model reply
+ * @returns {Object|null} Parsed object or null
+ */
+function parseJsonObject(text) {
+  const match = text.match(/\{[\s\S]*\}/);
+  if (!match) return null;
+
+  try {
+    return JSON.parse(match[0]);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Ask the model for a structured order intent from the conversation
+ * @param {Array} chatHistory - Conversation including the latest turns
+ * @param {Array} products - Available products
+ * @returns {Promise<Object|null>} Raw intent or null if none could be parsed
+ */
+async function extractOrderIntent(chatHistory, products) {
+  const reply = await getProvider().chat([
+    { role: 'system', content: createOrderExtractionPrompt(products) },
+    { role: 'user', content: formatTranscript(chatHistory) }
+  ]);
+
+  return parseJsonObject(reply);
+}
+
+/**
+ * Validate an order intent against the product catalog
+ * Sizes and colors are matched case-insensitively and normalised to the
+ * catalog spelling.
+ * @param {Object} intent - Raw intent (product_id, size, color, quantity, customer_name, city)
+ * @param {Array} products - Product catalog
+ * @param {Array} inventory - Inventory rows, to reject sold-out variants
+ * @returns {Object} Normalised intent with missing fields, errors and a complete flag
+ */
+export function validateOrderIntent(intent, products, inventory = []) {
+  const missing = [];
+  const errors = [];
+
+  const product = intent.product_id
+    ? products.find(p => p.id.toLowerCase() === String(intent.product_id).toLowerCase())
+    : null;
+
+  if (!intent.product_id) {
+    missing.push('product');
+  } else if (!product) {
+    errors.push(`Unknown product: ${intent.product_id}`);
+  } else if (product.in_stock === false) {
+    errors.push(`${product.name} is out of stock`);
+  }
+
+  const pickOption = (field, options) => {
+    if (!options) return null;
+    if (!intent[field]) {
+      missing.push(field);
+      return null;
     }
+    const option = options.find(o => o.toLowerCase() === String(intent[field]).toLowerCase());
+    if (!option) {
+      errors.push(`${product.name} is not available in ${field} ${intent[field]}`);
+    }
+    return option || null;
+  };
+
+  const size = product ? pickOption('size', product.sizes) : null;
+  const color = product ? pickOption('color', product.colors) : null;
+
+  const quantity = parseInt(intent.quantity) || 1;
+  if (quantity < 1 || quantity > MAX_ORDER_QUANTITY) {
+    errors.push(`Quantity must be between 1 and ${MAX_ORDER_QUANTITY}`);
+  } else if (product && errors.length === 0 && !isVariantAvailable(product, size, color, inventory, quantity)) {
+    errors.push(`Not enough stock for ${product.name}${size ? ` size ${size}` : ''}${color ? ` ${color}` : ''}`);
   }
 
-  return relevantProducts.slice(0, 3);
+  const customerName = intent.customer_name?.trim() || null;
+  // Prefer the gazetteer spelling ("Baroda" → "Vadodara", "सूरत" → "Surat")
+  const city = findCity(intent.city || '')?.name || intent.city?.trim() || null;
+  if (!customerName) missing.push('customer_name');
+  if (!city) missing.push('city');
+
+  return {
+    product_id: product?.id || null,
+    product_name: product?.name || null,
+    size,
+    color,
+    quantity,
+    customer_name: customerName,
+    city,
+    unit_price: product?.price ?? null,
+    total_amount: product ? Math.round(product.price * quantity * 100) / 100 : null,
+    missing,
+    errors,
+    complete: missing.length === 0 && errors.length === 0
+  };
+}
+
+/**
+ * Find the products the customer message clearly refers to
+ * Returns the top-ranked products that score close to the best match, so a
+ * message naming one product yields exactly one result.
+ * @param {string} message - Customer message
+ * @param {Array} products - Available products
+ * @returns {Promise<Array>} Relevant products
+ */
+async function findRelevantProducts(message, products) {
+  const results = await searchProducts(message, products, { limit: 3 });
+  if (results.length === 0) return [];
+
+  return results
+    .filter(result => result.score >= results[0].score * CLEAR_MATCH_RATIO)
+    .map(result => result.product);
+}
+
+/**
+ * Pick the product whose photo goes with a reply
+ * That is the first listed product the reply names, or the one product the
+ * customer asked about, as long as it has a photo that was not already sent
+ * in this conversation.
+ * @param {string} reply - AI reply text
+ * @param {Array} shownProducts - Products listed in the prompt
+ * @param {Array} relevantProducts - Products the customer message refers to
+ * @param {Array} chatHistory - Previous conversation history
+ * @returns {Object|null} Product to send as a card
+ */
+function findRecommendedProduct(reply, shownProducts, relevantProducts, chatHistory) {
+  const text = reply.toLowerCase();
+  const named = shownProducts.filter(p => text.includes(p.name.toLowerCase()));
+  const candidates = named.length > 0 ? named : (relevantProducts.length === 1 ? relevantProducts : []);
+  const alreadySent = new Set(chatHistory.map(msg => msg.metadata?.productCard?.id).filter(Boolean));
+
+  return candidates.find(p => p.images?.length && !alreadySent.has(p.id)) || null;
 }
 
 /**
  * Generate AI response for customer message
  * @param {string} userMessage - Customer's message
  * @param {Array} chatHistory - Previous conversation history
+ * @param {Object} options - Generation options
+ * @param {Function} options.onToken - Stream the reply, calling this with each chunk
+ * @param {Object} options.lead - Lead record, for its checkout state, known name and city, and language
+ * @param {string} options.language - Reply language, when the caller already decided it
+ * @param {Object} options.session - WhatsApp session the customer wrote to, for its catalog and instructions
+ * @param {boolean} options.skipOrderIntent - Do not extract an order (e.g. the customer picked an option of the confirm menu)
  * @returns {Promise<Object>} Response with message and metadata
  */
-export async function generateResponse(userMessage, chatHistory = []) {
+export async function generateResponse(userMessage, chatHistory = [], options = {}) {
+  const language = options.language || getPreferredLanguage(options.lead, userMessage);
+
   try {
-    // Load products
-    const products = await loadProducts();
+    // Load the session's products, leaving out sold-out items and variants
+    const catalog = filterCatalogForSession(await loadProducts(), options.session);
+    const { products, inventory } = await getAvailableProducts(catalog);
 
     // Check if agent is requested
     if (isAgentRequested(userMessage)) {
       return {
-        message: "I understand you'd like to speak with a human agent. I've flagged your conversation, and someone from our team will contact you shortly. Is there anything else I can help you with in the meantime?",
+        message: t('agentHandoff', language),
         metadata: {
-          agentRequested: true
+          agentRequested: true,
+          language
         }
       };
     }
@@ -287,10 +443,30 @@ export async function generateResponse(userMessage, chatHistory = []) {
     const extractedInfo = extractCustomerInfo(userMessage, chatHistory);
 
     // Find relevant products
-    const relevantProducts = findRelevantProducts(userMessage, products);
+    const relevantProducts = await findRelevantProducts(userMessage, products);
+
+    // Advance the checkout state with this message before prompting
+    let checkoutState = advanceCheckout(getCheckoutState(options.lead), {
+      message: userMessage,
+      products,
+      relevantProducts,
+      extractedInfo
+    });
+
+    // Rank products for the whole conversation; fall back to the first few
+    // when nothing matches yet (e.g. "hi")
+    let shownProducts = await rankProductsForConversation(userMessage, chatHistory, products, {
+      selectedProductId: checkoutState.checkout.product_id
+    });
+    if (shownProducts.length === 0) {
+      shownProducts = products.slice(0, PROMPT_FALLBACK_PRODUCTS);
+    }
 
     // Create system prompt
-    const systemPrompt = createSystemPrompt(products);
+    let systemPrompt = createSystemPrompt(products, checkoutState, shownProducts, language);
+    if (options.session?.prompt) {
+      systemPrompt += `\n\n${options.session.prompt}`;
+    }
 
     // Add current message to history for AI
     const fullHistory = [
@@ -298,19 +474,68 @@ export async function generateResponse(userMessage, chatHistory = []) {
       { role: 'user', message: userMessage }
     ];
 
-    // Get AI response
-    const aiResponse = await callOllama(fullHistory, systemPrompt);
+    // Get AI response, streamed when the caller wants tokens as they arrive
+    const aiResponse = options.onToken
+      ? await streamLLM(fullHistory, systemPrompt, options.onToken)
+      : await callLLM(fullHistory, systemPrompt);
+
+    // On a buying signal, extract a structured order from the conversation;
+    // once the order is confirmed, "ok thanks" must not start another one
+    let orderIntent = null;
+    if (!options.skipOrderIntent && checkoutState.stage !== 'ordered' && isBuyingSignal(userMessage)) {
+      try {
+        const rawIntent = await extractOrderIntent([
+          ...fullHistory,
+          { role: 'assistant', message: aiResponse }
+        ], shownProducts);
+
+        if (rawIntent) {
+          // Fill gaps from what the checkout state already knows
+          const { checkout } = checkoutState;
+          const sameProduct = rawIntent.product_id === checkout.product_id;
+          orderIntent = validateOrderIntent({
+            ...rawIntent,
+            product_id: rawIntent.product_id || checkout.product_id,
+            size: rawIntent.size || (sameProduct || !rawIntent.product_id ? checkout.size : null),
+            color: rawIntent.color || (sameProduct || !rawIntent.product_id ? checkout.color : null),
+            customer_name: rawIntent.customer_name || checkout.customer_name,
+            city: rawIntent.city || checkout.city
+          }, catalog, inventory);
+
+          checkoutState = advanceCheckout(checkoutState, { products, orderIntent });
+        }
+      } catch (error) {
+        // The conversation continues normally; staff can still enter the order
+        console.error('Error extracting order intent:', error);
+      }
+    }
+
+    // Send a photo of the product the reply recommends, with its in-stock sizes and colors
+    const recommended = findRecommendedProduct(aiResponse, shownProducts, relevantProducts, chatHistory);
 
     return {
       message: aiResponse,
       metadata: {
         extractedInfo,
+        orderIntent,
+        checkout: checkoutState,
+        variantChoice: getVariantChoice(checkoutState, products),
+        productCard: recommended && {
+          id: recommended.id,
+          name: recommended.name,
+          price: recommended.price,
+          currency: recommended.currency,
+          sizes: recommended.sizes || null,
+          colors: recommended.colors || null,
+          images: recommended.images
+        },
         relevantProducts: relevantProducts.map(p => ({
           id: p.id,
           name: p.name,
           price: p.price
         })),
-        agentRequested: false
+        agentRequested: false,
+        language
       }
     };
   } catch (error) {
@@ -318,9 +543,10 @@ export async function generateResponse(userMessage, chatHistory = []) {
 
     // Fallback response if AI fails
     return {
-      message: "I'm having a little trouble right now. Could you please repeat that? 😊",
+      message: t('fallback', language),
       metadata: {
         error: true,
+        language,
         errorMessage: error.message
       }
     };
@@ -328,31 +554,77 @@ export async function generateResponse(userMessage, chatHistory = []) {
 }
 
 /**
- * Test Ollama connection
- * @returns {Promise<boolean>} True if connection successful
+ * Create the system prompt for a follow-up to a customer who went quiet
+ * @param {Object|null} product - Product the conversation was about
+ * @param {string} language - Language code to write in
+ * @returns {string} System prompt
  */
-export async function testOllamaConnection() {
-  try {
-    const ollamaUrl = process.env.OLLAMA_URL || 'http://localhost:11434';
-    const response = await fetch(`${ollamaUrl}/api/tags`);
+function createFollowUpPrompt(product, language) {
+  const topic = product
+    ? `They were looking at ${product.name} (${product.currency === 'USD' ? '$' : `${product.currency} `}${product.price}).`
+    : 'Refer to what they were looking for in the conversation.';
+
+  return `You write follow-up messages for a WhatsApp shop.
+
+The customer below stopped replying. Write ONE short, friendly message (at most 2 sentences) in ${LANGUAGE_NAMES[language] || LANGUAGE_NAMES[DEFAULT_LANGUAGE]} that gently invites them to continue. ${topic}
 
-    if (!response.ok) {
-      throw new Error(`Ollama not responding: ${response.status}`);
+Rules:
+- No pressure, no invented discounts, stock levels or deadlines.
+- Do not greet as if this were a new conversation.
+- Reply with the message text only.`;
+}
+
+/**
+ * Write a follow-up message for a customer who went quiet
+ * @param {Array} chatHistory - Recent conversation, oldest first
+ * @param {Object|null} product - Product the conversation was about
+ * @param {string} language - Language code to write in
+ * @returns {Promise<string>} Message text
+ */
+export async function generateFollowUp(chatHistory, product, language = DEFAULT_LANGUAGE) {
+  try {
+    const reply = await getProvider().chat([
+      { role: 'system', content: createFollowUpPrompt(product, language) },
+      { role: 'user', content: formatTranscript(chatHistory) }
+    ]);
+
+    // Models sometimes wrap the message in quotes
+    const text = reply.trim().replace(/^["“](.*)["”]$/s, '$1').trim();
+    if (!text) {
+      throw new Error('Empty follow-up from model');
     }
+    return text;
+  } catch (error) {
+    console.error('Error generating follow-up:', error);
+    throw error;
+  }
+}
+
+/**
+ * Test the connection to the configured LLM provider
+ * @returns {Promise<boolean>} True if connection successful
+ */
+export async function testOllamaConnection() {
+  const provider = getProvider();
 
-    const data = await response.json();
-    console.log('✅ Ollama connected successfully');
-    console.log('Available models:', data.models?.map(m => m.name).join(', '));
+  try {
+    const models = await provider.listModels();
+    console.log(`✅ LLM provider "${provider.name}" connected successfully`);
+    console.log('Available models:', models.join(', '));
     return true;
   } catch (error) {
-    console.error('❌ Ollama connection failed:', error.message);
-    console.error('Make sure Ollama is running: ollama serve');
+    console.error(`❌ LLM provider "${provider.name}" connection failed:`, error.message);
+    if (provider.name === 'ollama') {
+      console.error('Make sure Ollama is running: ollama serve');
+    }
     return false;
   }
 }
 
 export default {
   generateResponse,
+  generateFollowUp,
   testOllamaConnection,
-  loadProducts
+  loadProducts,
+  validateOrderIntent
 };
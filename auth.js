@@ -0,0 +1,459 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+import {
+  getUsers,
+  getUser,
+  getUserByEmail,
+  createUser,
+  updateUser,
+  createAuthToken,
+  getAuthTokenByHash,
+  updateAuthToken,
+  deleteAuthTokens
+} from './database.js';
+
+/**
+ * Authentication and roles for WhatsApp Sales Auto-Closer
+ * Every /api route needs a signed-in user: the dashboard signs in with an
+ * email and password and gets a token; scripts send an API key. Both are
+ * sent as "Authorization: Bearer <token>" and stored only as hashes.
+ *
+ * Roles: owners can do everything, including managing users, WhatsApp
+ * numbers, broadcasts and deleting chat history; agents handle
+ * conversations, orders and the catalog; viewers can only read.
+ *
+ * Failed sign-ins are counted per email and per IP address; past
+ * AUTH_LOGIN_MAX_FAILURES (or AUTH_LOGIN_MAX_FAILURES_PER_IP) within
+ * AUTH_LOGIN_LOCK_MINUTES, further attempts are refused until the window
+ * ends. Counters live in memory and start over when the server restarts.
+ */
+
+export const USER_ROLES = ['owner', 'agent', 'viewer'];
+
+const SESSION_HOURS = parseFloat(process.env.AUTH_SESSION_HOURS || '168');
+
+// Tokens are recognisable by their prefix in logs and the dashboard
+const TOKEN_PREFIXES = { session: 'wss_', api_key: 'wsk_' };
+
+// last_used_at is refreshed at most this often per token
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const LOGIN_FAILURES_PER_EMAIL = parseInt(process.env.AUTH_LOGIN_MAX_FAILURES || '5');
+const LOGIN_FAILURES_PER_IP = parseInt(process.env.AUTH_LOGIN_MAX_FAILURES_PER_IP || '20');
+const LOGIN_LOCK_MS = parseFloat(process.env.AUTH_LOGIN_LOCK_MINUTES || '15') * 60 * 1000;
+
+// "email:<address>" or "ip:<address>" -> { count, windowStart }
+const loginFailures = new Map();
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Error thrown when credentials are missing, wrong or not allowed, or a
+ * user change is invalid
+ */
+export class AuthError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {number} status - HTTP status to answer with (401 not signed in, 403 not allowed, 429 too many failed sign-ins)
+   */
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+/**
+ * Hash a password with scrypt and a random salt
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} "scrypt$<salt>$<hash>"
+ */
+export async function hashPassword(password) {
+  if (String(password || '').length < MIN_PASSWORD_LENGTH) {
+    throw new AuthError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`, 400);
+  }
+
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(String(password), salt, 64);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password - Plain-text password
+ * @param {string|null} stored - Hash from hashPassword
+ * @returns {Promise<boolean>} True if the password matches
+ */
+export async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(String(password || ''), Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Hash a token for storage and lookup
+ * @param {string} token - Token as sent by the client
+ * @returns {string} SHA-256 hex digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Describe a user without their password hash
+ * @param {Object} user - User record
+ * @returns {Object} User fields plus has_password
+ */
+export function toPublicUser(user) {
+  const { password_hash: passwordHash, ...publicUser } = user;
+  return { ...publicUser, has_password: Boolean(passwordHash) };
+}
+
+/**
+ * Issue a new token for a user
+ * @param {Object} user - User record
+ * @param {string} kind - 'session' or 'api_key'
+ * @param {string|null} name - Label of an API key
+ * @returns {Promise<Object>} { token, record }; the token is not stored and cannot be shown again
+ */
+async function issueToken(user, kind, name = null) {
+  const token = TOKEN_PREFIXES[kind] + crypto.randomBytes(32).toString('base64url');
+
+  const record = await createAuthToken({
+    user_id: user.id,
+    kind,
+    name,
+    token_hash: hashToken(token),
+    token_prefix: token.slice(0, 10),
+    expires_at: kind === 'session' ? new Date(Date.now() + SESSION_HOURS * 60 * 60 * 1000).toISOString() : null
+  });
+
+  return { token, record };
+}
+
+/**
+ * Refuse a sign-in while its email or IP address has failed too often
+ * @param {Array} limits - [key, max failures] pairs
+ * @param {number} now - Current time in milliseconds
+ */
+function checkLoginFailures(limits, now) {
+  for (const [key, max] of limits) {
+    const failures = loginFailures.get(key);
+    if (!failures) continue;
+
+    if (now - failures.windowStart >= LOGIN_LOCK_MS) {
+      loginFailures.delete(key);
+    } else if (failures.count >= max) {
+      const minutes = Math.ceil((failures.windowStart + LOGIN_LOCK_MS - now) / 60000);
+      throw new AuthError(`Too many failed sign-ins; try again in ${minutes} minute${minutes === 1 ? '' : 's'}`, 429);
+    }
+  }
+}
+
+/**
+ * Count a failed sign-in against its email and IP address
+ * @param {Array} limits - [key, max failures] pairs
+ * @param {number} now - Current time in milliseconds
+ */
+function recordLoginFailure(limits, now) {
+  // Forget windows that are over, so the map only holds recent failures
+  for (const [key, failures] of loginFailures) {
+    if (now - failures.windowStart >= LOGIN_LOCK_MS) loginFailures.delete(key);
+  }
+
+  for (const [key] of limits) {
+    const failures = loginFailures.get(key) || { count: 0, windowStart: now };
+    failures.count += 1;
+    loginFailures.set(key, failures);
+  }
+}
+
+/**
+ * Sign in with email and password
+ * @param {string} email - Email
+ * @param {string} password - Password
+ * @param {string|null} ip - Address the attempt came from
+ * @returns {Promise<Object>} { token, expires_at, user }
+ */
+export async function login(email, password, ip = null) {
+  const address = String(email || '').trim().toLowerCase();
+  const limits = [[`email:${address}`, LOGIN_FAILURES_PER_EMAIL]];
+  if (ip) limits.push([`ip:${ip}`, LOGIN_FAILURES_PER_IP]);
+
+  const now = Date.now();
+  checkLoginFailures(limits, now);
+
+  const user = await getUserByEmail(address);
+
+  // Same answer for unknown emails and wrong passwords
+  if (!user || !user.active || !(await verifyPassword(password, user.password_hash))) {
+    recordLoginFailure(limits, now);
+    throw new AuthError('Invalid email or password');
+  }
+
+  loginFailures.delete(`email:${address}`);
+
+  const { token, record } = await issueToken(user, 'session');
+  await updateUser(user.id, { last_login_at: new Date().toISOString() });
+  console.log(`🔑 ${user.email} signed in`);
+
+  return { token, expires_at: record.expires_at, user: toPublicUser(user) };
+}
+
+/**
+ * Sign out by deleting the token the request was made with
+ * @param {Object} authToken - Token record from authenticate
+ * @returns {Promise<void>}
+ */
+export async function logout(authToken) {
+  await deleteAuthTokens({ id: authToken.id });
+}
+
+/**
+ * Find the user a token belongs to
+ * @param {string} token - Sign-in token or API key
+ * @returns {Promise<Object>} { user, authToken }
+ */
+export async function authenticate(token) {
+  if (!token) {
+    throw new AuthError('Sign in required');
+  }
+
+  const authToken = await getAuthTokenByHash(hashToken(token));
+  if (!authToken || (authToken.expires_at && new Date(authToken.expires_at) <= new Date())) {
+    throw new AuthError('Invalid or expired token');
+  }
+
+  const user = await getUser(authToken.user_id);
+  if (!user?.active) {
+    throw new AuthError('Invalid or expired token');
+  }
+
+  if (!authToken.last_used_at || Date.now() - new Date(authToken.last_used_at) > TOUCH_INTERVAL_MS) {
+    await updateAuthToken(authToken.id, { last_used_at: new Date().toISOString() });
+  }
+
+  return { user: toPublicUser(user), authToken };
+}
+
+/**
+ * Create an API key for a user
+ * @param {string} userId - User the key acts as
+ * @param {string} name - Label of the key
+ * @returns {Promise<Object>} Key record with the key itself (shown once)
+ */
+export async function createApiKey(userId, name) {
+  const user = await getUser(userId);
+  if (!user) {
+    throw new AuthError('User not found', 404);
+  }
+
+  const { token, record } = await issueToken(user, 'api_key', name);
+  const { token_hash: tokenHash, ...key } = record;
+  return { ...key, key: token };
+}
+
+/**
+ * Create a user
+ * @param {Object} input - { email, name, role, password }
+ * @returns {Promise<Object>} Created user without password hash
+ */
+export async function addUser(input) {
+  const email = String(input.email || '').trim().toLowerCase();
+  const role = input.role || 'agent';
+
+  if (!/^[^@\s]+@[^@\s]+$/.test(email)) {
+    throw new AuthError('A valid email is required', 400);
+  }
+  if (!USER_ROLES.includes(role)) {
+    throw new AuthError(`Role must be one of: ${USER_ROLES.join(', ')}`, 400);
+  }
+  if (await getUserByEmail(email)) {
+    throw new AuthError('A user with this email already exists', 409);
+  }
+
+  const user = await createUser({
+    email,
+    name: input.name ? String(input.name).trim() : null,
+    role,
+    password_hash: input.password ? await hashPassword(input.password) : null
+  });
+
+  return toPublicUser(user);
+}
+
+/**
+ * Change a user's name, role, password or active flag
+ * A new password or deactivation signs the user out everywhere; deactivated
+ * users' API keys stop working too. The last active owner cannot be demoted
+ * or deactivated.
+ * @param {string} userId - User ID
+ * @param {Object} input - { name, role, password, active }
+ * @returns {Promise<Object>} Updated user without password hash
+ */
+export async function changeUser(userId, input) {
+  const user = await getUser(userId);
+  if (!user) {
+    throw new AuthError('User not found', 404);
+  }
+
+  const updates = {};
+
+  if (input.name !== undefined) {
+    updates.name = input.name ? String(input.name).trim() : null;
+  }
+  if (input.role !== undefined) {
+    if (!USER_ROLES.includes(input.role)) {
+      throw new AuthError(`Role must be one of: ${USER_ROLES.join(', ')}`, 400);
+    }
+    updates.role = input.role;
+  }
+  if (input.active !== undefined) {
+    updates.active = Boolean(input.active);
+  }
+  if (input.password !== undefined) {
+    updates.password_hash = await hashPassword(input.password);
+  }
+
+  const losesOwner = user.role === 'owner' && user.active &&
+    ((updates.role && updates.role !== 'owner') || updates.active === false);
+  if (losesOwner) {
+    const owners = (await getUsers()).filter(candidate => candidate.role === 'owner' && candidate.active);
+    if (owners.length <= 1) {
+      throw new AuthError('There must be at least one active owner', 409);
+    }
+  }
+
+  const updated = await updateUser(userId, updates);
+
+  if (updates.password_hash) {
+    await deleteAuthTokens({ user_id: userId, kind: 'session' });
+  }
+  if (updates.active === false) {
+    await deleteAuthTokens({ user_id: userId });
+  }
+
+  return toPublicUser(updated);
+}
+
+/**
+ * Create the first owner from AUTH_OWNER_EMAIL and AUTH_OWNER_PASSWORD
+ * Only runs while there are no users at all; without the variables the
+ * API stays locked and a warning is logged.
+ * @returns {Promise<void>}
+ */
+export async function ensureOwner() {
+  try {
+    if ((await getUsers()).length > 0) return;
+
+    const email = process.env.AUTH_OWNER_EMAIL;
+    const password = process.env.AUTH_OWNER_PASSWORD;
+
+    if (!email || !password) {
+      console.warn('⚠️  No users yet: set AUTH_OWNER_EMAIL and AUTH_OWNER_PASSWORD to create the first owner');
+      return;
+    }
+
+    await addUser({ email, password, role: 'owner', name: 'Owner' });
+    console.log(`👤 Created owner account ${email.toLowerCase()}`);
+  } catch (error) {
+    console.error('Error creating owner account:', error);
+    throw error;
+  }
+}
+
+/**
+ * Read the token a request was made with
+ * Browsers cannot set headers on EventSource and <img> requests, so GET
+ * requests may pass it as ?access_token= instead.
+ * @param {Object} req - Express request
+ * @returns {string|null} Token
+ */
+function getRequestToken(req) {
+  const [scheme, value] = (req.get('Authorization') || '').split(' ');
+  if (scheme === 'Bearer' && value) return value;
+
+  if (req.get('X-API-Key')) return req.get('X-API-Key');
+
+  return req.method === 'GET' ? req.query.access_token || null : null;
+}
+
+/**
+ * Send the JSON error response for an AuthError
+ * @param {Object} res - Express response
+ * @param {AuthError} error - Error
+ * @returns {Object} Express response
+ */
+export function sendAuthError(res, error) {
+  return res.status(error.status).json({
+    success: false,
+    error: error.message
+  });
+}
+
+/**
+ * Express middleware: require a signed-in user
+ * Sets req.user and req.authToken. Viewers may only make GET requests.
+ */
+export async function requireAuth(req, res, next) {
+  try {
+    const { user, authToken } = await authenticate(getRequestToken(req));
+    req.user = user;
+    req.authToken = authToken;
+
+    if (user.role === 'viewer' && !['GET', 'HEAD'].includes(req.method)) {
+      throw new AuthError('Viewers have read-only access', 403);
+    }
+
+    next();
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return sendAuthError(res, error);
+    }
+
+    console.error('Error authenticating request:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to authenticate request',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Express middleware factory: require one of the given roles
+ * Use after requireAuth.
+ * @param {...string} roles - Allowed roles
+ * @returns {Function} Express middleware
+ */
+export function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!roles.includes(req.user?.role)) {
+      return sendAuthError(res, new AuthError(`Only ${roles.join(' or ')} users can do this`, 403));
+    }
+    next();
+  };
+}
+
+export default {
+  USER_ROLES,
+  AuthError,
+  hashPassword,
+  verifyPassword,
+  toPublicUser,
+  login,
+  logout,
+  authenticate,
+  createApiKey,
+  addUser,
+  changeUser,
+  ensureOwner,
+  sendAuthError,
+  requireAuth,
+  requireRole
+};
@@ -0,0 +1,111 @@
+/**
+ * Message bubble helpers
+ * Splits AI replies into sentence-sized WhatsApp messages and computes
+ * human-like typing delays between them.
+ */
+
+// A sentence ends at terminal punctuation (Latin or Devanagari danda) that is
+// followed by whitespace, or at a line break. Requiring the whitespace keeps
+// prices like "$29.99" in one piece while tokens are still streaming in.
+const SENTENCE_BOUNDARY = /[.!?।॥]+["')\]]*(?=\s)|\n+/gu;
+
+const MIN_BUBBLE_LENGTH = parseInt(process.env.BUBBLE_MIN_LENGTH || '20');
+const TYPING_CHARS_PER_SECOND = parseFloat(process.env.TYPING_CHARS_PER_SECOND || '30');
+const TYPING_MIN_MS = parseInt(process.env.TYPING_MIN_MS || '600');
+const TYPING_MAX_MS = parseInt(process.env.TYPING_MAX_MS || '4000');
+
+/**
+ * Create an incremental splitter that turns streamed tokens into bubbles
+ * @param {Object} options - Splitter options
+ * @param {number} options.minLength - Shorter sentences are merged with the next one
+ * @returns {Object} Splitter with push, flush and reset
+ */
+export function createBubbleSplitter({ minLength = MIN_BUBBLE_LENGTH } = {}) {
+  let buffer = '';
+
+  /**
+   * Cut complete bubbles off the front of the buffer
+   * @param {boolean} final - Also emit the incomplete remainder
+   * @returns {Array<string>} Completed bubbles
+   */
+  function drain(final) {
+    const bubbles = [];
+    let start = 0;
+    let match;
+
+    SENTENCE_BOUNDARY.lastIndex = 0;
+    while ((match = SENTENCE_BOUNDARY.exec(buffer)) !== null) {
+      const end = match.index + match[0].length;
+      const candidate = buffer.slice(start, end).trim();
+
+      if (candidate.length >= minLength) {
+        bubbles.push(candidate);
+        start = end;
+      }
+    }
+
+    buffer = buffer.slice(start);
+
+    if (final) {
+      const rest = buffer.trim();
+      if (rest) bubbles.push(rest);
+      buffer = '';
+    }
+
+    return bubbles;
+  }
+
+  return {
+    /**
+     * Add streamed text
+     * @param {string} text - Text chunk
+     * @returns {Array<string>} Bubbles completed by this chunk
+     */
+    push(text) {
+      buffer += text;
+      return drain(false);
+    },
+
+    /**
+     * Emit everything still buffered
+     * @returns {Array<string>} Remaining bubbles
+     */
+    flush() {
+      return drain(true);
+    },
+
+    /**
+     * Drop buffered text without emitting it
+     */
+    reset() {
+      buffer = '';
+    }
+  };
+}
+
+/**
+ * Split a complete reply into bubbles
+ * @param {string} text - Reply text
+ * @returns {Array<string>} Bubbles
+ */
+export function splitIntoBubbles(text) {
+  const splitter = createBubbleSplitter();
+  return [...splitter.push(text || ''), ...splitter.flush()];
+}
+
+/**
+ * Compute how long a person would take to type a bubble
+ * @param {string} text - Bubble text
+ * @returns {number} Delay in milliseconds (with a little random jitter)
+ */
+export function getTypingDelay(text) {
+  const base = (text.length / TYPING_CHARS_PER_SECOND) * 1000;
+  const jitter = base * (Math.random() * 0.3 - 0.15);
+  return Math.round(Math.min(TYPING_MAX_MS, Math.max(TYPING_MIN_MS, base + jitter)));
+}
+
+export default {
+  createBubbleSplitter,
+  splitIntoBubbles,
+  getTypingDelay
+};
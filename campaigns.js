@@ -0,0 +1,355 @@
+import {
+  getLeads,
+  getLeadByPhone,
+  saveChatMessage,
+  createCampaign as insertCampaign,
+  getCampaigns,
+  getCampaign,
+  updateCampaign,
+  getCampaignRecipients,
+  updateCampaignRecipient,
+  getOutboundMessage
+} from './database.js';
+import { sendMessage, isWhatsAppConnected } from './whatsapp.js';
+import { getUnreachableNumbers } from './consent.js';
+import { DEFAULT_SESSION_ID } from './sessions.js';
+
+/**
+ * Broadcast campaigns for WhatsApp Sales Auto-Closer
+ * A campaign's audience is fixed when it is created. A background runner
+ * then sends to one pending recipient at a time, waiting 60 / rate seconds
+ * plus a random jitter between messages. Everything it needs is read from
+ * the database on every step, so pausing, cancelling and restarts take
+ * effect between two messages and the next tick resumes where it stopped.
+ * A campaign is sent from one WhatsApp session, to that session's leads.
+ *
+ * A recipient only counts as sent once WhatsApp has taken the message. One
+ * whose message is still waiting in the outbox (e.g. a send that failed and
+ * is being retried) stays pending, linked to that message, and the campaign
+ * completes once the outbox has sent or given up on all of them.
+ */
+
+export const CAMPAIGN_STATUSES = ['scheduled', 'running', 'paused', 'completed', 'cancelled'];
+
+export const RECIPIENT_STATUSES = ['pending', 'sent', 'failed', 'replied'];
+
+// Statuses each dashboard action may be applied to
+export const CAMPAIGN_ACTIONS = {
+  pause: { from: ['scheduled', 'running'], to: 'paused' },
+  resume: { from: ['paused'], to: 'scheduled' },
+  cancel: { from: ['scheduled', 'running', 'paused'], to: 'cancelled' }
+};
+
+const TICK_MS = parseInt(process.env.CAMPAIGN_TICK_MS || '15000');
+const DEFAULT_RATE_PER_MINUTE = parseInt(process.env.CAMPAIGN_RATE_PER_MINUTE || '20');
+const DEFAULT_JITTER_SECONDS = parseInt(process.env.CAMPAIGN_JITTER_SECONDS || '5');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let timer = null;
+let busy = false;
+
+/**
+ * Clean audience filters from a request body
+ * Tags may be an array or a comma-separated string; day counts must be positive.
+ * @param {Object} filters - Raw filters
+ * @returns {Object} Filters with only known, non-empty fields
+ */
+export function normalizeAudienceFilters(filters = {}) {
+  const normalized = {};
+
+  for (const field of ['status', 'stage', 'language', 'city']) {
+    if (filters[field]) normalized[field] = String(filters[field]).trim();
+  }
+
+  const tags = Array.isArray(filters.tags) ? filters.tags : String(filters.tags || '').split(',');
+  const cleanedTags = tags.map(tag => String(tag).trim()).filter(Boolean);
+  if (cleanedTags.length > 0) normalized.tags = cleanedTags;
+
+  for (const field of ['active_within_days', 'inactive_for_days']) {
+    const days = parseInt(filters[field]);
+    if (days > 0) normalized[field] = days;
+  }
+
+  return normalized;
+}
+
+/**
+ * Translate campaign audience filters into lead query filters
+ * @param {Object} filters - { status, stage, language, city, tags, active_within_days, inactive_for_days }
+ * @returns {Object} Filters for getLeads
+ */
+export function toLeadFilters(filters = {}) {
+  const leadFilters = {};
+
+  for (const field of ['status', 'stage', 'language', 'city']) {
+    if (filters[field]) leadFilters[field] = filters[field];
+  }
+
+  if (filters.tags?.length) {
+    leadFilters.tags = filters.tags;
+  }
+
+  if (filters.active_within_days) {
+    leadFilters.last_message_after = new Date(Date.now() - filters.active_within_days * DAY_MS).toISOString();
+  }
+
+  if (filters.inactive_for_days) {
+    leadFilters.last_message_before = new Date(Date.now() - filters.inactive_for_days * DAY_MS).toISOString();
+  }
+
+  return leadFilters;
+}
+
+/**
+ * Find the leads a campaign with these filters would reach
+ * Leads waiting for a human agent, opted out or blocked are left out.
+ * @param {Object} filters - Campaign audience filters
+ * @param {string} sessionId - Session whose leads to search
+ * @returns {Promise<Array>} Lead records
+ */
+export async function getAudience(filters = {}, sessionId = DEFAULT_SESSION_ID) {
+  const [leads, unreachable] = await Promise.all([
+    getLeads({ ...toLeadFilters(filters), session_id: sessionId }),
+    getUnreachableNumbers()
+  ]);
+  return leads.filter(lead => !lead.needs_human_agent && !unreachable.has(lead.phone_number));
+}
+
+/**
+ * Create a campaign and wake the runner
+ * The audience is either an explicit list of numbers or the leads matching
+ * the filters at this moment, without numbers that opted out or are blocked.
+ * @param {Object} input - { session_id, name, message, filters, phoneNumbers, scheduled_at, rate_per_minute,
+ *   jitter_seconds }
+ * @returns {Promise<Object|null>} Created campaign with its recipient count, or null when nobody matches
+ */
+export async function createCampaign(input) {
+  try {
+    const sessionId = input.session_id || DEFAULT_SESSION_ID;
+    const recipients = new Map();
+
+    if (input.phoneNumbers?.length) {
+      const unreachable = await getUnreachableNumbers();
+      for (const phoneNumber of input.phoneNumbers.filter(number => !unreachable.has(number))) {
+        const lead = await getLeadByPhone(phoneNumber, sessionId);
+        recipients.set(phoneNumber, { lead_id: lead?.id || null, phone_number: phoneNumber });
+      }
+    } else {
+      for (const lead of await getAudience(input.filters, sessionId)) {
+        recipients.set(lead.phone_number, { lead_id: lead.id, phone_number: lead.phone_number });
+      }
+    }
+
+    if (recipients.size === 0) return null;
+
+    const campaign = await insertCampaign({
+      session_id: sessionId,
+      name: input.name,
+      message: input.message,
+      filters: input.phoneNumbers?.length ? { phoneNumbers: input.phoneNumbers } : (input.filters || {}),
+      scheduled_at: input.scheduled_at || new Date().toISOString(),
+      rate_per_minute: input.rate_per_minute || DEFAULT_RATE_PER_MINUTE,
+      jitter_seconds: input.jitter_seconds ?? DEFAULT_JITTER_SECONDS
+    }, [...recipients.values()]);
+
+    // Campaigns due now start without waiting for the next tick
+    setImmediate(processCampaigns);
+
+    return { ...campaign, recipient_count: recipients.size };
+  } catch (error) {
+    console.error('Error creating campaign:', error);
+    throw error;
+  }
+}
+
+/**
+ * Fill {name} and {city} in a campaign message
+ * @param {string} message - Campaign message
+ * @param {Object|null} lead - Recipient's lead
+ * @returns {string} Message text
+ */
+export function renderCampaignMessage(message, lead) {
+  return message
+    .replace(/\{name\}/g, lead?.customer_name || '')
+    .replace(/\{city\}/g, lead?.city || '')
+    .replace(/[ \t]+([,.!?])/g, '$1');
+}
+
+/**
+ * Wait between two messages: 60 / rate seconds plus up to jitter_seconds
+ * @param {Object} campaign - Campaign record
+ * @returns {number} Delay in milliseconds
+ */
+function getSendDelay(campaign) {
+  return 60000 / campaign.rate_per_minute + Math.random() * campaign.jitter_seconds * 1000;
+}
+
+/**
+ * Copy the outcome of a recipient's outbox message onto the recipient
+ * While the message is pending the recipient stays pending, linked to it.
+ * @param {Object} recipient - Recipient record
+ * @param {Object|null} message - Outbound message record, or null if it no longer exists
+ * @returns {Promise<boolean>} True if the message is still waiting in the outbox
+ */
+async function recordDelivery(recipient, message) {
+  if (message?.status === 'pending') {
+    if (recipient.outbound_message_id !== message.id) {
+      await updateCampaignRecipient(recipient.id, { outbound_message_id: message.id });
+    }
+    return true;
+  }
+
+  if (message?.status === 'sent') {
+    await updateCampaignRecipient(recipient.id, { status: 'sent', sent_at: message.sent_at, error: null });
+  } else {
+    await updateCampaignRecipient(recipient.id, {
+      status: 'failed',
+      error: message?.last_error || 'Message was removed from the outbox'
+    });
+  }
+  return false;
+}
+
+/**
+ * Record the outcome of every recipient whose message was waiting in the outbox
+ * @param {Object} campaign - Campaign record
+ * @returns {Promise<number>} Recipients whose message is still waiting
+ */
+async function settleQueuedRecipients(campaign) {
+  const queued = (await getCampaignRecipients(campaign.id, { status: 'pending' }))
+    .filter(recipient => recipient.outbound_message_id);
+
+  let waiting = 0;
+  for (const recipient of queued) {
+    if (await recordDelivery(recipient, await getOutboundMessage(recipient.outbound_message_id))) {
+      waiting++;
+    }
+  }
+  return waiting;
+}
+
+/**
+ * Send a campaign message to one recipient and record the outcome
+ * Recipients who opted out after the campaign was created fail with the reason.
+ * @param {Object} campaign - Campaign record
+ * @param {Object} recipient - Recipient record
+ * @returns {Promise<void>}
+ */
+async function sendToRecipient(campaign, recipient) {
+  const lead = await getLeadByPhone(recipient.phone_number, campaign.session_id);
+  const text = renderCampaignMessage(campaign.message, lead);
+
+  let outbound;
+  try {
+    outbound = await sendMessage(recipient.phone_number, text, campaign.session_id);
+  } catch (error) {
+    console.error(`Campaign "${campaign.name}" failed for ${recipient.phone_number}:`, error.message);
+    await updateCampaignRecipient(recipient.id, { status: 'failed', error: error.message });
+    return;
+  }
+
+  // The outbox may send the message before the link to it is saved, so look again
+  if (await recordDelivery(recipient, outbound)) {
+    await recordDelivery({ ...recipient, outbound_message_id: outbound.id }, await getOutboundMessage(outbound.id));
+  }
+
+  // Keep the message in the conversation so agents and the AI see what was sent
+  if (lead) {
+    await saveChatMessage(lead.id, recipient.phone_number, 'assistant', text, { campaignId: campaign.id }, null, campaign.session_id);
+  }
+}
+
+/**
+ * Send a campaign's pending messages until it is done, paused or cancelled
+ * Stops early while WhatsApp is disconnected; the next tick continues.
+ * Each pending recipient is sent to once; the campaign completes when the
+ * outbox has sent or given up on every message.
+ * @param {Object} campaign - Campaign record
+ * @returns {Promise<void>}
+ */
+async function runCampaign(campaign) {
+  if (campaign.status === 'scheduled') {
+    await updateCampaign(campaign.id, {
+      status: 'running',
+      started_at: campaign.started_at || new Date().toISOString()
+    });
+    console.log(`📢 Campaign "${campaign.name}" started`);
+  }
+
+  while (isWhatsAppConnected(campaign.session_id)) {
+    const current = await getCampaign(campaign.id);
+    if (current?.status !== 'running') return;
+
+    const [recipient] = await getCampaignRecipients(current.id, { status: 'pending', queued: false, limit: 1 });
+
+    if (!recipient) {
+      // Messages still waiting in the outbox are checked again on the next tick
+      if (await settleQueuedRecipients(current) > 0) return;
+
+      await updateCampaign(current.id, { status: 'completed', completed_at: new Date().toISOString() });
+      console.log(`📢 Campaign "${current.name}" completed`);
+      return;
+    }
+
+    await sendToRecipient(current, recipient);
+    await new Promise(resolve => setTimeout(resolve, getSendDelay(current)));
+  }
+}
+
+/**
+ * Run every campaign that is due, oldest schedule first
+ * Ticks never overlap, so campaigns are sent one after another.
+ * @returns {Promise<void>}
+ */
+export async function processCampaigns() {
+  if (busy) return;
+  busy = true;
+
+  try {
+    const now = new Date();
+    const due = (await getCampaigns({ status: ['scheduled', 'running'] }))
+      .filter(campaign => campaign.status === 'running' || new Date(campaign.scheduled_at) <= now)
+      .sort((a, b) => new Date(a.scheduled_at) - new Date(b.scheduled_at));
+
+    for (const campaign of due) {
+      await runCampaign(campaign);
+    }
+  } catch (error) {
+    console.error('Error processing campaigns:', error);
+  } finally {
+    busy = false;
+  }
+}
+
+/**
+ * Start the background campaign runner
+ */
+export function startCampaignRunner() {
+  if (timer) return;
+
+  timer = setInterval(processCampaigns, TICK_MS);
+  processCampaigns();
+}
+
+/**
+ * Stop the background campaign runner (a message being sent still finishes)
+ */
+export function stopCampaignRunner() {
+  clearInterval(timer);
+  timer = null;
+}
+
+export default {
+  CAMPAIGN_STATUSES,
+  RECIPIENT_STATUSES,
+  CAMPAIGN_ACTIONS,
+  normalizeAudienceFilters,
+  toLeadFilters,
+  getAudience,
+  createCampaign,
+  renderCampaignMessage,
+  processCampaigns,
+  startCampaignRunner,
+  stopCampaignRunner
+};
@@ -0,0 +1,140 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getProducts, insertProducts, getSetting, setSetting } from './database.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Product catalog for WhatsApp Sales Auto-Closer
+ * Products live in the database and are cached in memory. The cache is
+ * dropped whenever the catalog is edited through the API, and also expires
+ * after CATALOG_CACHE_TTL_MS so edits made elsewhere are picked up.
+ * An empty products table is seeded from products.json on first load, once:
+ * the seeding is recorded in the settings table, so a catalog the owner
+ * emptied stays empty.
+ */
+
+const CACHE_TTL_MS = parseInt(process.env.CATALOG_CACHE_TTL_MS || '60000');
+
+// Setting recording when the catalog was seeded
+const SEEDED_SETTING = 'catalog_seeded_at';
+
+let productsData = null;
+let loadedAt = 0;
+let loading = null;
+let seeded = false;
+const changeListeners = new Set();
+
+/**
+ * Normalise a product record from the database
+ * @param {Object} row - Product record
+ * @returns {Object} Product in the products.json shape
+ */
+function toProduct(row) {
+  const product = {
+    id: row.id,
+    name: row.name,
+    description: row.description || '',
+    price: Number(row.price),
+    currency: row.currency || 'USD',
+    category: row.category || null,
+    keywords: row.keywords || [],
+    in_stock: row.in_stock !== false
+  };
+
+  if (row.sizes?.length) product.sizes = row.sizes;
+  if (row.colors?.length) product.colors = row.colors;
+  if (row.models?.length) product.models = row.models;
+  if (row.images?.length) product.images = row.images;
+
+  return product;
+}
+
+/**
+ * Read the bundled products.json
+ * @returns {Promise<Array>} Array of products
+ */
+async function readProductsFile() {
+  const filePath = path.join(__dirname, 'products.json');
+  const data = await fs.readFile(filePath, 'utf-8');
+  return JSON.parse(data).products;
+}
+
+/**
+ * Read the catalog from the database, seeding it if it was never seeded
+ * A catalog that already has products counts as seeded.
+ * @returns {Promise<Array>} Array of products
+ */
+async function fetchCatalog() {
+  let rows = await getProducts();
+
+  if (!seeded && !(await getSetting(SEEDED_SETTING))) {
+    if (rows.length === 0) {
+      console.log('📦 Product catalog was never seeded, seeding from products.json');
+      rows = await insertProducts(await readProductsFile());
+    }
+    await setSetting(SEEDED_SETTING, new Date().toISOString());
+  }
+  seeded = true;
+
+  productsData = rows.map(toProduct);
+  loadedAt = Date.now();
+  return productsData;
+}
+
+/**
+ * Load products (from cache when fresh)
+ * @returns {Promise<Array>} Array of products
+ */
+export async function loadProducts() {
+  if (productsData && Date.now() - loadedAt < CACHE_TTL_MS) return productsData;
+
+  // Concurrent callers share one database read (and one seed)
+  if (!loading) {
+    loading = fetchCatalog().finally(() => {
+      loading = null;
+    });
+  }
+
+  try {
+    return await loading;
+  } catch (error) {
+    console.error('Error loading products:', error);
+    throw error;
+  }
+}
+
+/**
+ * Drop the cached catalog so the next load reads the database
+ */
+export function invalidateCatalog() {
+  productsData = null;
+  loadedAt = 0;
+  seeded = false;
+
+  for (const listener of changeListeners) {
+    try {
+      listener();
+    } catch (error) {
+      console.error('Error in catalog change listener:', error);
+    }
+  }
+}
+
+/**
+ * Register a callback for catalog changes
+ * @param {Function} listener - Called after the catalog cache is invalidated
+ * @returns {Function} Unsubscribe function
+ */
+export function onCatalogChange(listener) {
+  changeListeners.add(listener);
+  return () => changeListeners.delete(listener);
+}
+
+export default {
+  loadProducts,
+  invalidateCatalog,
+  onCatalogChange
+};
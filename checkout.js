@@ -0,0 +1,211 @@
+import { getVariantOptions } from './inventory.js';
+
+/**
+ * Checkout state machine for WhatsApp Sales Auto-Closer
+ * Tracks where each lead is in the sales flow
+ * (need → product → size/color → name & city → confirm) so the bot never
+ * forgets details the customer already gave, even after old turns drop out
+ * of the chat history window.
+ *
+ * The state is stored on the lead: `stage` plus a `checkout` object holding
+ * the selected product, variant and collected customer details.
+ */
+
+export const STAGES = [
+  'discovery',           // Understanding the need, no product chosen yet
+  'choosing_variant',    // Product chosen, size and/or color still missing
+  'collecting_details',  // Variant chosen, name and/or city still missing
+  'confirming',          // Everything collected, waiting for the customer's yes
+  'ordered'              // Order confirmed
+];
+
+/**
+ * Create an empty checkout state
+ * @returns {Object} Checkout state
+ */
+function emptyCheckout() {
+  return {
+    product_id: null,
+    product_name: null,
+    size: null,
+    color: null,
+    quantity: 1,
+    customer_name: null,
+    city: null,
+    order_id: null
+  };
+}
+
+/**
+ * Read the checkout state from a lead record
+ * @param {Object} lead - Lead record
+ * @returns {Object} State with stage and checkout fields
+ */
+export function getCheckoutState(lead) {
+  return {
+    stage: STAGES.includes(lead?.stage) ? lead.stage : 'discovery',
+    checkout: {
+      ...emptyCheckout(),
+      ...(lead?.checkout || {}),
+      customer_name: lead?.checkout?.customer_name || lead?.customer_name || null,
+      city: lead?.checkout?.city || lead?.city || null
+    }
+  };
+}
+
+/**
+ * Find a catalog option mentioned in a message
+ * Single-letter sizes (S, M, L) only count when they are the whole reply or
+ * follow the word "size", so "I'm" never selects size M.
+ * @param {string} message - Customer message
+ * @param {Array<string>} options - Catalog options (sizes or colors)
+ * @returns {string|null} Matching option in catalog spelling
+ */
+function findOption(message, options) {
+  if (!options) return null;
+
+  const text = message.trim();
+
+  for (const option of options) {
+    const escaped = option.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+    if (option.length === 1) {
+      const pattern = new RegExp(`^${escaped}$|size\\s*[:=-]?\\s*${escaped}(?![\\w'])`, 'i');
+      if (pattern.test(text)) return option;
+      continue;
+    }
+
+    const pattern = new RegExp(`(?<![\\w'])${escaped}(?![\\w'])`, 'i');
+    if (pattern.test(text)) return option;
+  }
+
+  return null;
+}
+
+/**
+ * Work out the stage from the collected checkout fields
+ * @param {Object} checkout - Checkout fields
+ * @param {Object} product - Selected product (or undefined)
+ * @returns {string} Stage
+ */
+function deriveStage(checkout, product) {
+  if (!product) return 'discovery';
+  if ((product.sizes && !checkout.size) || (product.colors && !checkout.color)) return 'choosing_variant';
+  if (!checkout.customer_name || !checkout.city) return 'collecting_details';
+  return 'confirming';
+}
+
+/**
+ * Advance the checkout state with what was learned in one turn
+ * @param {Object} state - Current state ({ stage, checkout })
+ * @param {Object} turn - What happened in the turn
+ * @param {string} turn.message - Customer message
+ * @param {Array} turn.products - Product catalog
+ * @param {Array} turn.relevantProducts - Products the message refers to
+ * @param {Object} turn.extractedInfo - Extracted name and city
+ * @param {Object} turn.orderIntent - Validated order intent, if any
+ * @returns {Object} New state ({ stage, checkout })
+ */
+export function advanceCheckout(state, turn) {
+  const { message = '', products = [], relevantProducts = [], extractedInfo = {}, orderIntent = null } = turn;
+  let checkout = { ...state.checkout };
+
+  // A single clearly mentioned product becomes (or replaces) the selection;
+  // this also starts a fresh checkout after a finished order
+  if (relevantProducts.length === 1 && relevantProducts[0].id !== checkout.product_id) {
+    const { customer_name, city } = checkout;
+    checkout = {
+      ...emptyCheckout(),
+      customer_name,
+      city,
+      product_id: relevantProducts[0].id,
+      product_name: relevantProducts[0].name
+    };
+  }
+
+  const product = products.find(p => p.id === checkout.product_id);
+
+  if (product) {
+    checkout.size = findOption(message, product.sizes) || checkout.size;
+    checkout.color = findOption(message, product.colors) || checkout.color;
+  }
+
+  checkout.customer_name = extractedInfo.name || checkout.customer_name;
+  checkout.city = extractedInfo.city || checkout.city;
+
+  // The structured order intent is the most reliable source when present
+  if (orderIntent?.product_id) {
+    const sameProduct = orderIntent.product_id === checkout.product_id;
+    checkout = {
+      ...checkout,
+      product_id: orderIntent.product_id,
+      product_name: orderIntent.product_name,
+      size: orderIntent.size || (sameProduct ? checkout.size : null),
+      color: orderIntent.color || (sameProduct ? checkout.color : null),
+      quantity: orderIntent.quantity,
+      customer_name: orderIntent.customer_name || checkout.customer_name,
+      city: orderIntent.city || checkout.city
+    };
+  }
+
+  const selectedProduct = products.find(p => p.id === checkout.product_id);
+  const stage = state.stage === 'ordered' && checkout.order_id
+    ? 'ordered'
+    : deriveStage(checkout, selectedProduct);
+
+  return { stage, checkout };
+}
+
+/**
+ * Describe the checkout state for the system prompt
+ * @param {Object} state - Current state ({ stage, checkout })
+ * @param {Array} products - Product catalog
+ * @returns {string} Prompt section
+ */
+export function describeCheckout(state, products) {
+  const { stage, checkout } = state;
+  const product = products.find(p => p.id === checkout.product_id);
+
+  const known = (value) => value ? `${value} (already given — do NOT ask again)` : 'not given yet';
+
+  // With stock tracked per pair, the first choice narrows the second
+  const variant = (field) => {
+    if (checkout[field] || !product.variants) return known(checkout[field]);
+    return `not given yet (in stock: ${getVariantOptions(product, field, checkout).join(', ')})`;
+  };
+
+  const lines = [
+    `Stage: ${stage}`,
+    `Product: ${product ? `${product.name} (${product.id})` : 'not chosen yet'}`
+  ];
+
+  if (product?.sizes) lines.push(`Size: ${variant('size')}`);
+  if (product?.colors) lines.push(`Color: ${variant('color')}`);
+  if (product) lines.push(`Quantity: ${checkout.quantity}`);
+  lines.push(`Customer name: ${known(checkout.customer_name)}`);
+  lines.push(`City: ${known(checkout.city)}`);
+
+  const nextStep = {
+    discovery: 'Understand the need and recommend ONE product.',
+    choosing_variant: `Ask only for the missing ${[
+      product?.sizes && !checkout.size && 'size',
+      product?.colors && !checkout.color && 'color'
+    ].filter(Boolean).join(' and ')}.`,
+    collecting_details: `Ask only for the missing ${[
+      !checkout.customer_name && 'name',
+      !checkout.city && 'city'
+    ].filter(Boolean).join(' and ')}.`,
+    confirming: 'Everything is collected. Ask the customer to confirm the order.',
+    ordered: 'The order is confirmed. Thank the customer and help with anything else.'
+  }[stage];
+
+  lines.push(`Next step: ${nextStep}`);
+  return lines.join('\n');
+}
+
+export default {
+  STAGES,
+  getCheckoutState,
+  advanceCheckout,
+  describeCheckout
+};
@@ -0,0 +1,239 @@
+import { normalizeDigits } from './extraction.js';
+import { t } from './i18n.js';
+import { getVariantOptions } from './inventory.js';
+
+/**
+ * Option menus for WhatsApp Sales Auto-Closer
+ * When the bot needs a size, a color or an order confirmation it also sends
+ * a numbered menu built from the product's options. The menu is stored in
+ * the chat message metadata, and the customer's answer ("2", "blk",
+ * "medium") is mapped back to the option before the AI sees it.
+ *
+ * CHOICE_STYLE=list sends native WhatsApp list messages instead; clients that
+ * cannot show them still get the numbered text.
+ */
+
+export const CHOICE_STYLE = process.env.CHOICE_STYLE === 'list' ? 'list' : 'text';
+
+const CONFIRM_OPTIONS = ['yes', 'change'];
+
+// Spoken and shorthand names for sizes
+const SIZE_ALIASES = {
+  XS: ['extra small', 'xsmall'],
+  S: ['small', 'chhota', 'chota'],
+  M: ['medium', 'med', 'medim', 'madhyam'],
+  L: ['large', 'lrg', 'bada'],
+  XL: ['extra large', 'xlarge'],
+  XXL: ['2xl', 'double xl', 'xxlarge']
+};
+
+// Hindi, Gujarati and Hinglish names for common colors
+const COLOR_ALIASES = {
+  Black: ['kala', 'kaala', 'kali', 'काला', 'काली', 'કાળો', 'કાળું', 'કાળી'],
+  White: ['safed', 'safaid', 'सफेद', 'सफ़ेद', 'સફેદ'],
+  Red: ['lal', 'laal', 'लाल', 'લાલ'],
+  Blue: ['neela', 'nila', 'नीला', 'નીલો', 'વાદળી'],
+  Navy: ['navy blue', 'dark blue'],
+  Green: ['hara', 'हरा', 'લીલો', 'લીલું'],
+  Yellow: ['peela', 'pila', 'पीला', 'પીળો', 'પીળું'],
+  Pink: ['gulabi', 'गुलाबी', 'ગુલાબી'],
+  Brown: ['bhura', 'भूरा', 'ભૂરો', 'બ્રાઉન'],
+  Gray: ['grey', 'slati', 'स्लेटी']
+};
+
+/**
+ * Build the menu for the variant the checkout is waiting for
+ * Size is asked before color, as in the sales flow. Only options in stock
+ * together with what was already chosen are offered.
+ * @param {Object} state - Checkout state ({ stage, checkout })
+ * @param {Array} products - Available products (sold-out variants left out)
+ * @returns {Object|null} Choice ({ field, product_id, options }), or null when nothing is pending
+ */
+export function getVariantChoice(state, products) {
+  if (state.stage !== 'choosing_variant') return null;
+
+  const { checkout } = state;
+  const product = products.find(p => p.id === checkout.product_id);
+  if (!product) return null;
+
+  if (product.sizes?.length > 1 && !checkout.size) {
+    return { field: 'size', product_id: product.id, options: getVariantOptions(product, 'size', checkout) };
+  }
+
+  if (product.colors?.length > 1 && !checkout.color) {
+    return { field: 'color', product_id: product.id, options: getVariantOptions(product, 'color', checkout) };
+  }
+
+  return null;
+}
+
+/**
+ * Build the order confirmation menu
+ * @param {string} orderId - Order the confirmation is for
+ * @returns {Object} Choice
+ */
+export function getConfirmChoice(orderId) {
+  return { field: 'confirm', order_id: orderId, options: CONFIRM_OPTIONS };
+}
+
+/**
+ * Get the label of a menu option as shown to the customer
+ * @param {Object} choice - Choice
+ * @param {string} option - Option value
+ * @param {string} language - Customer's language code
+ * @returns {string} Label
+ */
+function getOptionLabel(choice, option, language) {
+  if (choice.field !== 'confirm') return option;
+  return option === 'yes' ? t('choiceConfirmYes', language) : t('choiceConfirmChange', language);
+}
+
+/**
+ * Format a menu as numbered text
+ * @param {Object} choice - Choice
+ * @param {string} language - Customer's language code
+ * @returns {string} Menu text
+ */
+export function formatChoice(choice, language) {
+  const lines = choice.options.map((option, index) => `${index + 1}. ${getOptionLabel(choice, option, language)}`);
+
+  // The order summary already asks for confirmation
+  if (choice.field !== 'confirm') {
+    lines.unshift(t(choice.field === 'size' ? 'choiceSize' : 'choiceColor', language));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Build a native list message for a menu
+ * Row ids are the option numbers, so a selection resolves like a typed number.
+ * @param {Object} choice - Choice
+ * @param {string} language - Customer's language code
+ * @param {string} text - Message body (e.g. the order summary)
+ * @returns {Object} Baileys message content
+ */
+export function buildListMessage(choice, language, text) {
+  return {
+    text,
+    buttonText: t('choiceButton', language),
+    sections: [{
+      title: text.split('\n')[0].slice(0, 24),
+      rows: choice.options.map((option, index) => ({
+        title: getOptionLabel(choice, option, language),
+        rowId: String(index + 1)
+      }))
+    }]
+  };
+}
+
+/**
+ * Find the menu the customer is answering
+ * Only a menu that was the shop's last message counts; once the customer has
+ * written something else, the menu is stale.
+ * @param {Array} chatHistory - Recent chat messages, oldest first, ending with the current message
+ * @returns {Object|null} Choice
+ */
+export function findPendingChoice(chatHistory) {
+  const previous = chatHistory[chatHistory.length - 2];
+  if (!previous || previous.role === 'user') return null;
+  return previous.metadata?.choice || null;
+}
+
+/**
+ * Reduce text to lowercase letters and digits for matching
+ * @param {string} text - Text
+ * @returns {string} Normalised text
+ */
+function normalize(text) {
+  return normalizeDigits(String(text || '')).toLowerCase().normalize('NFC').replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ').trim();
+}
+
+/**
+ * Check whether a short reply abbreviates an option ("blk" for Black, "nav" for Navy)
+ * The reply's letters must appear in order in the option, starting with its first letter.
+ * @param {string} reply - Normalised reply
+ * @param {string} option - Normalised option
+ * @returns {boolean} True if the reply abbreviates the option
+ */
+function isAbbreviation(reply, option) {
+  if (reply.length < 2 || reply.length >= option.length || reply[0] !== option[0]) return false;
+
+  let position = 0;
+  for (const letter of option) {
+    if (letter === reply[position]) position++;
+  }
+  return position === reply.length;
+}
+
+/**
+ * Map a reply to one of the menu's options
+ * Accepts the option number ("2", "२", "option 2"), the option itself, a
+ * known alias ("medium", "kala") or an unambiguous abbreviation ("blk").
+ * @param {string} reply - Customer reply (or list row id)
+ * @param {Object} choice - Choice being answered
+ * @returns {string|null} Selected option, or null when the reply is not a selection
+ */
+export function resolveChoice(reply, choice) {
+  const text = normalize(reply);
+  if (!text) return null;
+
+  const number = /^(?:option |no |number )?(\d{1,2})$/.exec(text);
+  if (number) {
+    return choice.options[parseInt(number[1]) - 1] || null;
+  }
+
+  // Confirmations accept only numbers; words like "yes" already reach the AI as they are
+  if (choice.field === 'confirm') return null;
+
+  const options = choice.options.map(option => ({ option, text: normalize(option) }));
+  const exact = options.find(entry => entry.text === text);
+  if (exact) return exact.option;
+
+  const aliases = choice.field === 'size' ? SIZE_ALIASES : COLOR_ALIASES;
+  const aliased = options.find(entry => {
+    const key = Object.keys(aliases).find(name => name.toLowerCase() === entry.text);
+    return key && aliases[key].some(alias => normalize(alias) === text);
+  });
+  if (aliased) return aliased.option;
+
+  const abbreviated = options.filter(entry => isAbbreviation(text.replace(/ /g, ''), entry.text.replace(/ /g, '')));
+  return abbreviated.length === 1 ? abbreviated[0].option : null;
+}
+
+/**
+ * Describe a selection as a message the AI and checkout parser understand
+ * @param {Object} choice - Choice
+ * @param {string} option - Selected option
+ * @returns {string} Message text ("Size M", "Color Black", "Yes, confirm")
+ */
+export function describeSelection(choice, option) {
+  if (choice.field === 'size') return `Size ${option}`;
+  if (choice.field === 'color') return `Color ${option}`;
+  return option === 'yes' ? 'Yes, confirm the order' : 'I want to change something in the order';
+}
+
+/**
+ * Check whether two menus offer the same choice
+ * @param {Object} a - Choice
+ * @param {Object} b - Choice
+ * @returns {boolean} True if field, product and options match
+ */
+export function isSameChoice(a, b) {
+  return Boolean(a && b) &&
+    a.field === b.field &&
+    a.product_id === b.product_id &&
+    a.options.join('|') === b.options.join('|');
+}
+
+export default {
+  CHOICE_STYLE,
+  getVariantChoice,
+  getConfirmChoice,
+  formatChoice,
+  buildListMessage,
+  findPendingChoice,
+  resolveChoice,
+  describeSelection,
+  isSameChoice
+};
@@ -0,0 +1,91 @@
+import { getConsent, getConsentRecords } from './database.js';
+
+/**
+ * Opt-out and blocklist rules for WhatsApp Sales Auto-Closer
+ * Customers opt out by sending a stop keyword and opt back in with a start
+ * keyword, in English, Hindi or Gujarati. Staff can block a number outright.
+ * Every outbound path asks this module before sending.
+ */
+
+export const CONSENT_STATUSES = ['subscribed', 'opted_out', 'blocked'];
+
+// Whole messages (after removing punctuation and emoji) that change consent
+const KEYWORDS = {
+  stop: new Set([
+    'stop', 'stop all', 'stop messages', 'unsubscribe', 'opt out', 'optout',
+    'बंद', 'बंद करो', 'बंद करें', 'बंद कीजिए', 'मत भेजो', 'मैसेज मत भेजो', 'रोको',
+    'band', 'band karo', 'mat bhejo', 'message mat bhejo',
+    'બંધ', 'બંધ કરો', 'મોકલશો નહીં', 'મેસેજ ના મોકલો',
+    'bandh', 'bandh karo', 'na moklo', 'message na moklo'
+  ]),
+  start: new Set([
+    'start', 'unstop', 'subscribe', 'opt in', 'optin',
+    'शुरू', 'शुरू करो', 'चालू करो', 'shuru', 'shuru karo', 'chalu karo',
+    'શરૂ', 'શરૂ કરો', 'ચાલુ કરો', 'sharu karo'
+  ])
+};
+
+/**
+ * Error thrown when a message would go to a number that may not be messaged
+ */
+export class ConsentError extends Error {
+  /**
+   * @param {string} phoneNumber - Recipient's phone number
+   * @param {string} status - 'opted_out' or 'blocked'
+   */
+  constructor(phoneNumber, status) {
+    super(`${phoneNumber} ${status === 'blocked' ? 'is blocked' : 'has opted out of messages'}`);
+    this.name = 'ConsentError';
+    this.phoneNumber = phoneNumber;
+    this.status = status;
+  }
+}
+
+/**
+ * Recognise a stop or start keyword
+ * Only a message that consists of the keyword counts, so "don't stop the
+ * offer" or "band wali watch" go on to the bot as usual.
+ * @param {string} text - Message text
+ * @returns {string|null} 'stop', 'start', or null
+ */
+export function parseConsentKeyword(text) {
+  const normalized = String(text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}\s]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  if (KEYWORDS.stop.has(normalized)) return 'stop';
+  if (KEYWORDS.start.has(normalized)) return 'start';
+  return null;
+}
+
+/**
+ * Throw a ConsentError if a number may not be messaged
+ * @param {string} phoneNumber - WhatsApp JID
+ * @returns {Promise<void>}
+ */
+export async function assertCanMessage(phoneNumber) {
+  const consent = await getConsent(phoneNumber);
+
+  if (consent && consent.status !== 'subscribed') {
+    throw new ConsentError(phoneNumber, consent.status);
+  }
+}
+
+/**
+ * Get every number that opted out or is blocked
+ * @returns {Promise<Map>} Phone number → consent status
+ */
+export async function getUnreachableNumbers() {
+  const records = await getConsentRecords({ status: ['opted_out', 'blocked'] });
+  return new Map(records.map(record => [record.phone_number, record.status]));
+}
+
+export default {
+  CONSENT_STATUSES,
+  ConsentError,
+  parseConsentKeyword,
+  assertCanMessage,
+  getUnreachableNumbers
+};
@@ -2,6 +2,23 @@ class ApiClient {
   constructor(baseUrl = 'http://localhost:3000') {
     this.baseUrl = baseUrl;
     this.cache = new Map();
+    this.token = localStorage.getItem('authToken');
+    this.onUnauthorized = null;
+  }
+
+  setToken(token) {
+    this.token = token;
+    if (token) {
+      localStorage.setItem('authToken', token);
+    } else {
+      localStorage.removeItem('authToken');
+    }
+  }
+
+  // EventSource and <img> cannot send headers, so the token goes in the query
+  withToken(url) {
+    if (!this.token) return url;
+    return `${url}${url.includes('?') ? '&' : '?'}access_token=${encodeURIComponent(this.token)}`;
   }
 
   async request(endpoint, options = {}) {
@@ -9,6 +26,7 @@ class ApiClient {
     const defaultOptions = {
       headers: {
         'Content-Type': 'application/json',
+        ...(this.token ? { Authorization: `Bearer ${this.token}` } : {}),
       },
     };
 
@@ -17,8 +35,13 @@ class ApiClient {
     try {
       const response = await fetch(url, config);
 
+      if (response.status === 401 && this.onUnauthorized) {
+        this.onUnauthorized();
+      }
+
       if (!response.ok) {
-        throw new Error(`API Error: ${response.status} ${response.statusText}`);
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.error || `API Error: ${response.status} ${response.statusText}`);
       }
 
       const data = await response.json();
@@ -33,9 +56,27 @@ class ApiClient {
     return this.request('/health');
   }
 
+  async login(email, password) {
+    return this.request('/api/auth/login', {
+      method: 'POST',
+      body: JSON.stringify({ email, password }),
+    });
+  }
+
+  async logout() {
+    return this.request('/api/auth/logout', {
+      method: 'POST',
+    });
+  }
+
+  async getCurrentUser() {
+    return this.request('/api/auth/me');
+  }
+
   async getLeads(filters = {}) {
     const params = new URLSearchParams();
     if (filters.status) params.append('status', filters.status);
+    if (filters.stage) params.append('stage', filters.stage);
     if (filters.needs_human_agent !== undefined) {
       params.append('needs_human_agent', filters.needs_human_agent);
     }
@@ -74,6 +115,134 @@ class ApiClient {
     });
   }
 
+  async getCampaigns() {
+    return this.request('/api/campaigns');
+  }
+
+  async previewCampaign(filters) {
+    return this.request('/api/campaigns/preview', {
+      method: 'POST',
+      body: JSON.stringify({ filters }),
+    });
+  }
+
+  async createCampaign(campaign) {
+    return this.request('/api/campaigns', {
+      method: 'POST',
+      body: JSON.stringify(campaign),
+    });
+  }
+
+  async getCampaignRecipients(id) {
+    return this.request(`/api/campaigns/${id}/recipients`);
+  }
+
+  async updateCampaignStatus(id, action) {
+    return this.request(`/api/campaigns/${id}/${action}`, {
+      method: 'POST',
+    });
+  }
+
+  async getOutbox(status = '') {
+    const endpoint = status ? `/api/messages/outbox?status=${status}` : '/api/messages/outbox';
+    return this.request(endpoint);
+  }
+
+  async retryOutboundMessage(id) {
+    return this.request(`/api/messages/outbox/${id}/retry`, {
+      method: 'POST',
+    });
+  }
+
+  async getRateLimits() {
+    return this.request('/api/messages/rate-limits');
+  }
+
+  async getConsent(status = '') {
+    const endpoint = status ? `/api/consent?status=${status}` : '/api/consent';
+    return this.request(endpoint);
+  }
+
+  async setConsent(phoneNumber, status, reason = '') {
+    return this.request(`/api/consent/${encodeURIComponent(phoneNumber)}`, {
+      method: 'PUT',
+      body: JSON.stringify({ status, reason }),
+    });
+  }
+
+  async getSessions() {
+    return this.request('/api/sessions');
+  }
+
+  async getSession(id) {
+    return this.request(`/api/sessions/${id}`);
+  }
+
+  async pairSession(id, phoneNumber = '') {
+    return this.request(`/api/sessions/${id}/pair`, {
+      method: 'POST',
+      body: JSON.stringify(phoneNumber ? { phoneNumber } : {}),
+    });
+  }
+
+  async logoutSession(id) {
+    return this.request(`/api/sessions/${id}/logout`, {
+      method: 'POST',
+    });
+  }
+
+  async wipeSession(id) {
+    return this.request(`/api/sessions/${id}/wipe`, {
+      method: 'POST',
+    });
+  }
+
+  async getWebhooks() {
+    return this.request('/api/webhooks');
+  }
+
+  async createWebhook(webhook) {
+    return this.request('/api/webhooks', {
+      method: 'POST',
+      body: JSON.stringify(webhook),
+    });
+  }
+
+  async updateWebhook(id, updates) {
+    return this.request(`/api/webhooks/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(updates),
+    });
+  }
+
+  async deleteWebhook(id) {
+    return this.request(`/api/webhooks/${id}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async testWebhook(id) {
+    return this.request(`/api/webhooks/${id}/test`, {
+      method: 'POST',
+    });
+  }
+
+  async rotateWebhookSecret(id) {
+    return this.request(`/api/webhooks/${id}/secret`, {
+      method: 'POST',
+    });
+  }
+
+  async getWebhookDeliveries(id) {
+    return this.request(`/api/webhooks/${id}/deliveries`);
+  }
+
+  async retryWebhookDelivery(id) {
+    return this.request(`/api/webhooks/deliveries/${id}/retry`, {
+      method: 'POST',
+    });
+  }
+
   async getMessageStatus() {
     return this.request('/api/messages/status');
   }
@@ -96,6 +265,62 @@ class ApiClient {
       body: JSON.stringify({ status }),
     });
   }
+
+  async getProducts() {
+    return this.request('/api/products');
+  }
+
+  async createProduct(product) {
+    return this.request('/api/products', {
+      method: 'POST',
+      body: JSON.stringify(product),
+    });
+  }
+
+  async updateProduct(id, updates) {
+    return this.request(`/api/products/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(updates),
+    });
+  }
+
+  async deleteProduct(id) {
+    return this.request(`/api/products/${id}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async getInbox() {
+    return this.request('/api/inbox');
+  }
+
+  conversationPath(phoneNumber, sessionId, action = '') {
+    const query = sessionId ? `?sessionId=${encodeURIComponent(sessionId)}` : '';
+    return `/api/inbox/${encodeURIComponent(phoneNumber)}${action}${query}`;
+  }
+
+  async getConversation(phoneNumber, sessionId = '') {
+    return this.request(this.conversationPath(phoneNumber, sessionId));
+  }
+
+  async sendAgentReply(phoneNumber, message, sessionId = '') {
+    return this.request(this.conversationPath(phoneNumber, sessionId, '/reply'), {
+      method: 'POST',
+      body: JSON.stringify({ message }),
+    });
+  }
+
+  async takeOverConversation(phoneNumber, sessionId = '') {
+    return this.request(this.conversationPath(phoneNumber, sessionId, '/take-over'), {
+      method: 'POST',
+    });
+  }
+
+  async returnToBot(phoneNumber, sessionId = '') {
+    return this.request(this.conversationPath(phoneNumber, sessionId, '/return-to-bot'), {
+      method: 'POST',
+    });
+  }
 }
 
 export const apiClient = new ApiClient();
@@ -1,14 +1,51 @@
 import { apiClient, setApiBaseUrl } from './api.js';
 
 const state = {
+  user: null,
   currentSection: 'dashboard',
   leads: [],
   orders: [],
+  products: [],
+  editingProductId: null,
   messages: {},
   stats: null,
   selectedLead: null,
+  leadsChanged: false,
+  inbox: [],
+  campaigns: [],
+  activeCampaign: null,
+  consent: [],
+  sessionCount: 1,
+  sessions: [],
+  outbox: [],
+  rateLimits: null,
+  webhooks: [],
+  activeWebhook: null,
+  activeConversation: null,
+  activeSession: null,
+  activeConversationChanged: false,
+  events: null,
+  refreshTimer: null,
+  pollTimer: null,
 };
 
+// Events published by the server on /api/events
+const SERVER_EVENTS = [
+  'message.received',
+  'message.sent',
+  'lead.created',
+  'lead.updated',
+  'order.created',
+  'order.status_changed',
+  'campaign.updated',
+  'consent.updated',
+  'outbox.updated',
+  'whatsapp.connection',
+];
+
+// Bursts of events (a reply is several writes) trigger one reload
+const REFRESH_DEBOUNCE_MS = 500;
+
 const elements = {
   navItems: document.querySelectorAll('.nav-item'),
   sections: document.querySelectorAll('.section'),
@@ -21,8 +58,46 @@ const elements = {
   recentOrders: document.getElementById('recent-orders'),
   leadsTable: document.getElementById('leads-table'),
   ordersTable: document.getElementById('orders-table'),
+  productsTable: document.getElementById('products-table'),
+  productFormCard: document.getElementById('product-form-card'),
+  productForm: document.getElementById('product-form'),
+  productFormTitle: document.getElementById('product-form-title'),
   messagesList: document.getElementById('messages-list'),
+  inboxCount: document.getElementById('inbox-count'),
+  inboxQueue: document.getElementById('inbox-queue'),
+  inboxThreadHeader: document.getElementById('inbox-thread-header'),
+  inboxThreadTitle: document.getElementById('inbox-thread-title'),
+  inboxThreadSubtitle: document.getElementById('inbox-thread-subtitle'),
+  inboxMessages: document.getElementById('inbox-messages'),
+  inboxReplyForm: document.getElementById('inbox-reply-form'),
+  inboxReplyInput: document.getElementById('inbox-reply-input'),
+  btnTakeOver: document.getElementById('btn-take-over'),
+  btnReturnToBot: document.getElementById('btn-return-to-bot'),
+  campaignsTable: document.getElementById('campaigns-table'),
+  campaignFormCard: document.getElementById('campaign-form-card'),
+  campaignForm: document.getElementById('campaign-form'),
+  campaignAudienceCount: document.getElementById('campaign-audience-count'),
+  campaignRecipientsCard: document.getElementById('campaign-recipients-card'),
+  campaignRecipientsTitle: document.getElementById('campaign-recipients-title'),
+  campaignRecipientsTable: document.getElementById('campaign-recipients-table'),
+  outboxTable: document.getElementById('outbox-table'),
+  outboxStatusFilter: document.getElementById('outbox-status-filter'),
+  consentTable: document.getElementById('consent-table'),
+  consentForm: document.getElementById('consent-form'),
+  consentStatusFilter: document.getElementById('consent-status-filter'),
+  sessionsList: document.getElementById('sessions-list'),
+  webhookForm: document.getElementById('webhook-form'),
+  webhooksTable: document.getElementById('webhooks-table'),
+  webhookDeliveriesCard: document.getElementById('webhook-deliveries-card'),
+  webhookDeliveriesTitle: document.getElementById('webhook-deliveries-title'),
+  webhookDeliveriesTable: document.getElementById('webhook-deliveries-table'),
+  rateLimitSummary: document.getElementById('rate-limit-summary'),
+  rateLimitTable: document.getElementById('rate-limit-table'),
+  loginForm: document.getElementById('login-form'),
+  loginError: document.getElementById('login-error'),
+  currentUser: document.getElementById('current-user'),
   leadsStatusFilter: document.getElementById('leads-status-filter'),
+  leadsStageFilter: document.getElementById('leads-stage-filter'),
   ordersStatusFilter: document.getElementById('orders-status-filter'),
   dateFilter: document.getElementById('date-filter'),
   settingApiEndpoint: document.getElementById('setting-api-endpoint'),
@@ -43,6 +118,7 @@ function saveSettings() {
   localStorage.setItem('apiEndpoint', elements.settingApiEndpoint.value);
   localStorage.setItem('refreshInterval', elements.settingRefreshInterval.value);
   setApiBaseUrl(elements.settingApiEndpoint.value);
+  connectEvents();
   showNotification('Settings saved successfully', 'success');
 }
 
@@ -62,16 +138,131 @@ function showNotification(message, type = 'info') {
   }, 3000);
 }
 
-function updateStatusIndicator(connected) {
+function updateStatusIndicator(connected, label = connected ? 'Connected' : 'Disconnected') {
   const dot = elements.statusIndicator.querySelector('.status-dot');
   const text = elements.statusIndicator.querySelector('.status-text');
 
   if (connected) {
     dot.classList.add('connected');
-    text.textContent = 'Connected';
   } else {
     dot.classList.remove('connected');
-    text.textContent = 'Disconnected';
+  }
+  text.textContent = label;
+}
+
+function connectEvents() {
+  state.events?.close();
+
+  if (!window.EventSource) {
+    startPolling();
+    return;
+  }
+
+  const events = new EventSource(apiClient.withToken(`${apiClient.baseUrl}/api/events`));
+  state.events = events;
+
+  events.onopen = () => {
+    stopPolling();
+    updateStatusIndicator(true);
+  };
+
+  // The browser reconnects on its own; poll until it does
+  events.onerror = () => {
+    updateStatusIndicator(false);
+    startPolling();
+  };
+
+  SERVER_EVENTS.forEach((type) => {
+    events.addEventListener(type, (event) => handleServerEvent(type, JSON.parse(event.data)));
+  });
+}
+
+function handleServerEvent(type, data) {
+  if (type === 'whatsapp.connection') {
+    refreshConnectionStatus();
+    if (state.currentSection === 'sessions') loadSessions();
+    return;
+  }
+
+  scheduleRefresh(type.startsWith('lead.'));
+}
+
+function scheduleRefresh(leadsChanged = false) {
+  state.leadsChanged = state.leadsChanged || leadsChanged;
+  clearTimeout(state.refreshTimer);
+
+  state.refreshTimer = setTimeout(() => {
+    refreshCurrentSection();
+
+    // The dashboard and inbox refresh the inbox badge themselves
+    if (state.leadsChanged && !['dashboard', 'inbox'].includes(state.currentSection)) {
+      refreshInboxCount();
+    }
+    state.leadsChanged = false;
+  }, REFRESH_DEBOUNCE_MS);
+}
+
+function refreshCurrentSection() {
+  if (state.currentSection === 'dashboard') {
+    loadDashboard();
+  } else if (state.currentSection === 'leads') {
+    loadLeads();
+  } else if (state.currentSection === 'orders') {
+    loadOrders();
+  } else if (state.currentSection === 'inbox') {
+    loadInbox();
+  } else if (state.currentSection === 'messages') {
+    loadOutbox();
+    loadRateLimits();
+  } else if (state.currentSection === 'campaigns') {
+    loadCampaigns();
+  } else if (state.currentSection === 'consent') {
+    loadConsent();
+  } else if (state.currentSection === 'sessions') {
+    loadSessions();
+  }
+}
+
+async function refreshInboxCount() {
+  try {
+    const data = await apiClient.getLeadStats();
+    const waiting = data.data?.needs_human_agent || 0;
+    elements.inboxCount.textContent = waiting;
+    elements.inboxCount.hidden = waiting === 0;
+  } catch (error) {
+    console.error('Failed to refresh inbox count:', error);
+  }
+}
+
+function startPolling() {
+  if (state.pollTimer) return;
+
+  const seconds = parseInt(elements.settingRefreshInterval.value) || 30;
+  state.pollTimer = setInterval(refreshCurrentSection, seconds * 1000);
+}
+
+function stopPolling() {
+  clearInterval(state.pollTimer);
+  state.pollTimer = null;
+}
+
+// With several WhatsApp numbers the indicator shows how many are online
+async function refreshConnectionStatus() {
+  try {
+    const { data } = await apiClient.getMessageStatus();
+    const sessions = data.sessions || [data];
+    const online = sessions.filter((session) => session.connected).length;
+    state.sessionCount = sessions.length;
+
+    if (online === sessions.length) {
+      updateStatusIndicator(true, 'Connected');
+    } else if (online === 0) {
+      updateStatusIndicator(false, 'WhatsApp offline');
+    } else {
+      updateStatusIndicator(false, `${online}/${sessions.length} numbers online`);
+    }
+  } catch (error) {
+    console.error('Failed to load WhatsApp status:', error);
   }
 }
 
@@ -111,6 +302,8 @@ function updateDashboardStats() {
   elements.statTotalLeads.textContent = stats.total_leads || 0;
   elements.statConverted.textContent = stats.converted_count || 0;
   elements.statNeedsHuman.textContent = stats.needs_human_agent || 0;
+  elements.inboxCount.textContent = stats.needs_human_agent || 0;
+  elements.inboxCount.hidden = !stats.needs_human_agent;
   elements.statTotalOrders.textContent = stats.total_orders || 0;
 }
 
@@ -158,8 +351,9 @@ function renderRecentOrders() {
 
 async function loadLeads() {
   try {
-    const status = elements.leadsStatusFilter.value;
-    const filters = status ? { status } : {};
+    const filters = {};
+    if (elements.leadsStatusFilter.value) filters.status = elements.leadsStatusFilter.value;
+    if (elements.leadsStageFilter.value) filters.stage = elements.leadsStageFilter.value;
     const data = await apiClient.getLeads(filters);
 
     state.leads = data.data || [];
@@ -172,7 +366,7 @@ async function loadLeads() {
 
 function renderLeadsTable() {
   if (state.leads.length === 0) {
-    elements.leadsTable.innerHTML = '<tr><td colspan="6" class="table-empty">No leads found</td></tr>';
+    elements.leadsTable.innerHTML = '<tr><td colspan="8" class="table-empty">No leads found</td></tr>';
     return;
   }
 
@@ -182,9 +376,11 @@ function renderLeadsTable() {
     <tr>
       <td>${lead.customer_name || 'N/A'}</td>
       <td>${lead.phone_number || 'N/A'}</td>
-      <td>${lead.city || 'N/A'}</td>
+      <td>${renderLocation(lead)}</td>
       <td><span class="badge badge-${lead.status || 'new'}">${lead.status || 'new'}</span></td>
+      <td>${renderStage(lead)}</td>
       <td>${lead.needs_human_agent ? '✅ Yes' : '❌ No'}</td>
+      <td><span class="badge badge-consent-${lead.consent_status || 'subscribed'}">${formatConsentStatus(lead.consent_status)}</span></td>
       <td>
         <button class="btn-action" onclick="editLead('${lead.id}')">Edit</button>
         <button class="btn-action" onclick="deleteLead('${lead.id}')">Delete</button>
@@ -195,6 +391,33 @@ function renderLeadsTable() {
     .join('');
 }
 
+function renderLocation(lead) {
+  const place = [lead.city, lead.pincode].filter(Boolean).join(' ') || 'N/A';
+
+  return `
+    ${place}
+    ${lead.address ? `<div class="lead-address">${lead.address}</div>` : ''}
+  `;
+}
+
+function renderStage(lead) {
+  const stage = lead.stage || 'discovery';
+  const since = lead.stage_updated_at ? formatElapsed(lead.stage_updated_at) : '';
+
+  return `
+    <span class="badge badge-stage">${stage.replace(/_/g, ' ')}</span>
+    ${since ? `<div class="stage-since">for ${since}</div>` : ''}
+  `;
+}
+
+function formatElapsed(timestamp) {
+  const minutes = Math.floor((Date.now() - new Date(timestamp).getTime()) / 60000);
+
+  if (minutes < 60) return `${minutes}m`;
+  if (minutes < 60 * 24) return `${Math.floor(minutes / 60)}h`;
+  return `${Math.floor(minutes / (60 * 24))}d`;
+}
+
 async function loadOrders() {
   try {
     const data = await apiClient.getOrders();
@@ -228,6 +451,734 @@ function renderOrdersTable() {
     .join('');
 }
 
+async function loadProducts() {
+  try {
+    const data = await apiClient.getProducts();
+    state.products = data.data || [];
+    renderProductsTable();
+  } catch (error) {
+    console.error('Failed to load products:', error);
+    showNotification('Failed to load products', 'error');
+  }
+}
+
+function renderProductsTable() {
+  if (state.products.length === 0) {
+    elements.productsTable.innerHTML = '<tr><td colspan="8" class="table-empty">No products found</td></tr>';
+    return;
+  }
+
+  elements.productsTable.innerHTML = state.products
+    .map(
+      (product) => `
+    <tr>
+      <td>${product.id}</td>
+      <td>${product.images?.length ? `<img class="product-thumb" src="${getMediaUrl(product.images[0])}" alt="">` : ''}${product.name}</td>
+      <td>${product.currency === 'USD' ? '$' : ''}${Number(product.price).toFixed(2)}</td>
+      <td>${product.category || 'N/A'}</td>
+      <td>${(product.sizes || []).join(', ') || '—'}</td>
+      <td>${(product.colors || []).join(', ') || '—'}</td>
+      <td>${product.in_stock ? '✅ Yes' : '❌ No'}</td>
+      <td>
+        <button class="btn-action" onclick="editProduct('${product.id}')">Edit</button>
+        <button class="btn-action owner-only" onclick="deleteProduct('${product.id}')">Delete</button>
+      </td>
+    </tr>
+  `
+    )
+    .join('');
+}
+
+async function loadInbox() {
+  try {
+    const data = await apiClient.getInbox();
+    state.inbox = data.data || [];
+    renderInboxQueue();
+
+    if (state.activeConversation) {
+      await loadConversation(state.activeConversation, state.activeSession);
+    }
+  } catch (error) {
+    console.error('Failed to load inbox:', error);
+    showNotification('Failed to load inbox', 'error');
+  }
+}
+
+function renderInboxQueue() {
+  elements.inboxCount.textContent = state.inbox.length;
+  elements.inboxCount.hidden = state.inbox.length === 0;
+
+  if (state.inbox.length === 0) {
+    elements.inboxQueue.innerHTML = '<li class="table-empty">No conversations waiting</li>';
+    return;
+  }
+
+  elements.inboxQueue.innerHTML = state.inbox
+    .map(
+      (lead) => `
+    <li class="inbox-queue-item ${lead.phone_number === state.activeConversation && lead.session_id === state.activeSession ? 'active' : ''}"
+        onclick="openConversation('${lead.phone_number}', '${lead.session_id}')">
+      <strong>${lead.customer_name || lead.phone_number}</strong>
+      <div class="preview">${lead.last_message ? lead.last_message.message : ''}</div>
+      ${lead.agent_requested_at ? `<div class="stage-since">waiting ${formatElapsed(lead.agent_requested_at)}</div>` : ''}
+    </li>
+  `
+    )
+    .join('');
+}
+
+async function loadConversation(phoneNumber, sessionId) {
+  try {
+    const data = await apiClient.getConversation(phoneNumber, sessionId);
+    renderConversation(data.data);
+  } catch (error) {
+    console.error('Failed to load conversation:', error);
+    showNotification('Failed to load conversation', 'error');
+  }
+}
+
+function renderConversation({ lead, messages }) {
+  const container = elements.inboxMessages;
+  const atBottom = container.scrollHeight - container.scrollTop - container.clientHeight < 40;
+
+  elements.inboxThreadHeader.hidden = false;
+  elements.inboxReplyForm.hidden = false;
+  elements.inboxThreadTitle.textContent = lead.customer_name || lead.phone_number;
+  elements.inboxThreadSubtitle.textContent = [
+    lead.phone_number,
+    state.sessionCount > 1 ? `via ${lead.session_id}` : null,
+    lead.city,
+    lead.needs_human_agent ? 'with an agent' : 'bot is replying',
+  ]
+    .filter(Boolean)
+    .join(' · ');
+  elements.btnTakeOver.hidden = lead.needs_human_agent;
+  elements.btnReturnToBot.hidden = !lead.needs_human_agent;
+
+  container.innerHTML = messages.length
+    ? messages
+        .map(
+          (msg) => `
+    <div class="chat-bubble chat-${msg.role}">
+      ${renderMessageBody(msg)}
+      <div class="chat-meta">${msg.role === 'agent' ? 'Agent' : msg.role === 'assistant' ? 'Bot' : 'Customer'} · ${new Date(msg.created_at).toLocaleTimeString()}</div>
+    </div>
+  `
+        )
+        .join('')
+    : '<div class="empty-state"><p>No messages yet</p></div>';
+
+  if (atBottom || state.activeConversationChanged) {
+    container.scrollTop = container.scrollHeight;
+    state.activeConversationChanged = false;
+  }
+}
+
+function getMediaUrl(reference) {
+  // Product photos may be external URLs; everything else lives in the media folder
+  return /^https?:\/\//i.test(reference) ? reference : apiClient.withToken(`${apiClient.baseUrl}/api/media/${encodeURI(reference)}`);
+}
+
+function renderMessageBody(msg) {
+  const mediaUrl = msg.media_path ? getMediaUrl(msg.media_path) : null;
+  const location = msg.metadata?.location;
+
+  // "[image]"-style placeholders are replaced by the file itself
+  const text = mediaUrl && /^\[.*\]$/.test(msg.message) ? '' : msg.message;
+
+  let attachment = '';
+  if (mediaUrl && (msg.message_type === 'image' || msg.message_type === 'sticker')) {
+    attachment = `<a href="${mediaUrl}" target="_blank"><img class="chat-media" src="${mediaUrl}" alt="${msg.message_type}"></a>`;
+  } else if (mediaUrl && msg.message_type === 'video') {
+    attachment = `<video class="chat-media" src="${mediaUrl}" controls></video>`;
+  } else if (mediaUrl && msg.message_type === 'audio') {
+    attachment = `<audio src="${mediaUrl}" controls></audio>`;
+  } else if (mediaUrl) {
+    attachment = `<a href="${mediaUrl}" target="_blank">📎 ${msg.metadata?.fileName || 'Download file'}</a>`;
+  } else if (location) {
+    attachment = `<a href="https://www.google.com/maps?q=${location.latitude},${location.longitude}" target="_blank">Open in Maps</a>`;
+  }
+
+  return [attachment, text].filter(Boolean).join('\n');
+}
+
+async function sendAgentReply(event) {
+  event.preventDefault();
+
+  const message = elements.inboxReplyInput.value.trim();
+  if (!message || !state.activeConversation) return;
+
+  try {
+    await apiClient.sendAgentReply(state.activeConversation, message, state.activeSession);
+    elements.inboxReplyInput.value = '';
+    await loadInbox();
+  } catch (error) {
+    showNotification('Failed to send reply: ' + error.message, 'error');
+  }
+}
+
+async function takeOverConversation() {
+  try {
+    await apiClient.takeOverConversation(state.activeConversation, state.activeSession);
+    showNotification('Conversation taken over', 'success');
+    await loadInbox();
+  } catch (error) {
+    showNotification('Failed to take over: ' + error.message, 'error');
+  }
+}
+
+async function returnConversationToBot() {
+  try {
+    await apiClient.returnToBot(state.activeConversation, state.activeSession);
+    showNotification('Conversation returned to the bot', 'success');
+    await loadInbox();
+  } catch (error) {
+    showNotification('Failed to return to bot: ' + error.message, 'error');
+  }
+}
+
+function openProductForm(product = null) {
+  state.editingProductId = product ? product.id : null;
+  elements.productFormTitle.textContent = product ? `Edit ${product.id}` : 'Add Product';
+
+  const field = (id) => document.getElementById(id);
+  field('product-id').value = product ? product.id : '';
+  field('product-id').disabled = Boolean(product);
+  field('product-name').value = product?.name || '';
+  field('product-price').value = product?.price ?? '';
+  field('product-category').value = product?.category || '';
+  field('product-sizes').value = (product?.sizes || []).join(', ');
+  field('product-colors').value = (product?.colors || []).join(', ');
+  field('product-keywords').value = (product?.keywords || []).join(', ');
+  field('product-images').value = (product?.images || []).join(', ');
+  field('product-description').value = product?.description || '';
+  field('product-in-stock').checked = product ? product.in_stock : true;
+
+  elements.productFormCard.hidden = false;
+}
+
+function closeProductForm() {
+  state.editingProductId = null;
+  elements.productForm.reset();
+  elements.productFormCard.hidden = true;
+}
+
+async function saveProduct(event) {
+  event.preventDefault();
+
+  const field = (id) => document.getElementById(id);
+  const product = {
+    name: field('product-name').value,
+    price: field('product-price').value,
+    category: field('product-category').value || null,
+    sizes: field('product-sizes').value,
+    colors: field('product-colors').value,
+    keywords: field('product-keywords').value,
+    images: field('product-images').value,
+    description: field('product-description').value,
+    in_stock: field('product-in-stock').checked,
+  };
+
+  try {
+    if (state.editingProductId) {
+      await apiClient.updateProduct(state.editingProductId, product);
+      showNotification('Product updated', 'success');
+    } else {
+      const id = field('product-id').value.trim();
+      await apiClient.createProduct(id ? { ...product, id } : product);
+      showNotification('Product created', 'success');
+    }
+
+    closeProductForm();
+    loadProducts();
+  } catch (error) {
+    showNotification('Failed to save product: ' + error.message, 'error');
+  }
+}
+
+async function loadCampaigns() {
+  try {
+    const data = await apiClient.getCampaigns();
+    state.campaigns = data.data || [];
+    renderCampaignsTable();
+
+    if (state.activeCampaign) {
+      await loadCampaignRecipients(state.activeCampaign);
+    }
+  } catch (error) {
+    console.error('Failed to load campaigns:', error);
+    showNotification('Failed to load campaigns', 'error');
+  }
+}
+
+function renderCampaignsTable() {
+  if (state.campaigns.length === 0) {
+    elements.campaignsTable.innerHTML = '<tr><td colspan="8" class="table-empty">No campaigns yet</td></tr>';
+    return;
+  }
+
+  const actions = {
+    scheduled: ['pause', 'cancel'],
+    running: ['pause', 'cancel'],
+    paused: ['resume', 'cancel'],
+  };
+
+  elements.campaignsTable.innerHTML = state.campaigns
+    .map(
+      (campaign) => `
+    <tr>
+      <td>${campaign.name}</td>
+      <td><span class="badge badge-campaign-${campaign.status}">${campaign.status}</span></td>
+      <td>${new Date(campaign.scheduled_at).toLocaleString()}</td>
+      <td>${campaign.stats.sent + campaign.stats.replied} / ${campaign.stats.total}</td>
+      <td>${campaign.stats.replied}</td>
+      <td>${campaign.stats.failed}</td>
+      <td>${campaign.stats.pending}</td>
+      <td>
+        <button class="btn-action" onclick="showCampaignRecipients('${campaign.id}')">Recipients</button>
+        ${(actions[campaign.status] || [])
+          .map((action) => `<button class="btn-action" onclick="updateCampaignStatus('${campaign.id}', '${action}')">${action[0].toUpperCase()}${action.slice(1)}</button>`)
+          .join('')}
+      </td>
+    </tr>
+  `
+    )
+    .join('');
+}
+
+async function loadCampaignRecipients(id) {
+  try {
+    const data = await apiClient.getCampaignRecipients(id);
+    const recipients = data.data || [];
+    const campaign = state.campaigns.find((c) => c.id === id);
+
+    elements.campaignRecipientsTitle.textContent = `Recipients · ${campaign ? campaign.name : ''}`;
+    elements.campaignRecipientsCard.hidden = false;
+    elements.campaignRecipientsTable.innerHTML = recipients.length
+      ? recipients
+          .map(
+            (recipient) => `
+    <tr>
+      <td>${recipient.phone_number}</td>
+      <td><span class="badge badge-recipient-${recipient.status}">${recipient.status}</span></td>
+      <td>${recipient.sent_at ? new Date(recipient.sent_at).toLocaleString() : '—'}</td>
+      <td>${recipient.replied_at ? new Date(recipient.replied_at).toLocaleString() : '—'}</td>
+      <td>${recipient.error || ''}</td>
+    </tr>
+  `
+          )
+          .join('')
+      : '<tr><td colspan="5" class="table-empty">No recipients</td></tr>';
+  } catch (error) {
+    console.error('Failed to load campaign recipients:', error);
+    showNotification('Failed to load recipients', 'error');
+  }
+}
+
+function getCampaignFilters() {
+  const field = (id) => document.getElementById(id).value.trim();
+
+  return {
+    status: field('campaign-filter-status'),
+    language: field('campaign-filter-language'),
+    city: field('campaign-filter-city'),
+    tags: field('campaign-filter-tags'),
+    active_within_days: field('campaign-filter-active'),
+    inactive_for_days: field('campaign-filter-inactive'),
+  };
+}
+
+function openCampaignForm() {
+  elements.campaignAudienceCount.textContent = '';
+  elements.campaignFormCard.hidden = false;
+}
+
+function closeCampaignForm() {
+  elements.campaignForm.reset();
+  elements.campaignFormCard.hidden = true;
+}
+
+async function previewCampaignAudience() {
+  try {
+    const data = await apiClient.previewCampaign(getCampaignFilters());
+    elements.campaignAudienceCount.textContent = `${data.count} lead${data.count === 1 ? '' : 's'} match this audience`;
+  } catch (error) {
+    showNotification('Failed to preview audience: ' + error.message, 'error');
+  }
+}
+
+async function createCampaign(event) {
+  event.preventDefault();
+
+  const field = (id) => document.getElementById(id).value;
+  const scheduledAt = field('campaign-scheduled-at');
+
+  try {
+    const data = await apiClient.createCampaign({
+      name: field('campaign-name'),
+      message: field('campaign-message'),
+      filters: getCampaignFilters(),
+      scheduled_at: scheduledAt ? new Date(scheduledAt).toISOString() : undefined,
+      rate_per_minute: field('campaign-rate'),
+      jitter_seconds: field('campaign-jitter'),
+    });
+
+    showNotification(`Campaign created for ${data.data.recipient_count} leads`, 'success');
+    closeCampaignForm();
+    loadCampaigns();
+  } catch (error) {
+    showNotification('Failed to create campaign: ' + error.message, 'error');
+  }
+}
+
+async function loadOutbox() {
+  try {
+    const data = await apiClient.getOutbox(elements.outboxStatusFilter.value);
+    state.outbox = data.data || [];
+    renderOutboxTable();
+  } catch (error) {
+    console.error('Failed to load outgoing queue:', error);
+    showNotification('Failed to load outgoing queue', 'error');
+  }
+}
+
+function describeOutboundContent(content = {}) {
+  if (content.image) return `📷 ${content.caption || ''}`;
+  return content.text || '';
+}
+
+function renderOutboxTable() {
+  if (state.outbox.length === 0) {
+    elements.outboxTable.innerHTML = '<tr><td colspan="7" class="table-empty">No messages found</td></tr>';
+    return;
+  }
+
+  elements.outboxTable.innerHTML = state.outbox
+    .map(
+      (message) => `
+    <tr>
+      <td>${message.phone_number}</td>
+      <td>${describeOutboundContent(message.content)}</td>
+      <td><span class="badge badge-outbox-${message.status}">${message.status}</span></td>
+      <td>${message.attempts}</td>
+      <td>${message.last_error || ''}</td>
+      <td>${new Date(message.created_at).toLocaleString()}</td>
+      <td>
+        ${message.status === 'failed' ? `<button class="btn-action" onclick="retryOutboundMessage('${message.id}')">Retry</button>` : ''}
+      </td>
+    </tr>
+  `
+    )
+    .join('');
+}
+
+async function loadRateLimits() {
+  try {
+    const data = await apiClient.getRateLimits();
+    state.rateLimits = data.data;
+    renderRateLimits();
+  } catch (error) {
+    console.error('Failed to load rate limits:', error);
+    showNotification('Failed to load rate limits', 'error');
+  }
+}
+
+function renderRateLimits() {
+  const { limits, totals, global, throttled } = state.rateLimits;
+  const minutes = limits.window_ms / 60000;
+
+  elements.rateLimitSummary.textContent =
+    `Each number may send ${limits.per_chat} messages per ${minutes} min; ` +
+    `${global.replies}/${limits.global} replies generated this window. ` +
+    `Since the server started: ${totals.dropped} messages dropped, ${totals.notices} notices sent, ` +
+    `${totals.blocked} numbers blocked after ${limits.block_after} strikes, ${totals.delayed} replies delayed.`;
+
+  if (throttled.length === 0) {
+    elements.rateLimitTable.innerHTML = '<tr><td colspan="5" class="table-empty">No numbers are throttled right now</td></tr>';
+    return;
+  }
+
+  elements.rateLimitTable.innerHTML = throttled
+    .map(
+      (chat) => `
+    <tr>
+      <td>${chat.phone_number}${state.sessionCount > 1 ? ` via ${chat.session_id}` : ''}</td>
+      <td>${chat.messages}</td>
+      <td>${chat.dropped}</td>
+      <td>${chat.strikes}/${limits.block_after}</td>
+      <td>${new Date(chat.until).toLocaleTimeString()}</td>
+    </tr>
+  `
+    )
+    .join('');
+}
+
+function formatConsentStatus(status = 'subscribed') {
+  return { subscribed: 'subscribed', opted_out: 'opted out', blocked: 'blocked' }[status] || status;
+}
+
+async function loadConsent() {
+  try {
+    const status = elements.consentStatusFilter.value;
+    const data = await apiClient.getConsent(status);
+
+    // Without a filter, list the numbers that can't be messaged
+    state.consent = (data.data || []).filter((record) => status || record.status !== 'subscribed');
+    renderConsentTable();
+  } catch (error) {
+    console.error('Failed to load opt-outs:', error);
+    showNotification('Failed to load opt-outs', 'error');
+  }
+}
+
+function renderConsentTable() {
+  if (state.consent.length === 0) {
+    elements.consentTable.innerHTML = '<tr><td colspan="6" class="table-empty">No numbers found</td></tr>';
+    return;
+  }
+
+  const actions = {
+    subscribed: [['blocked', 'Block']],
+    opted_out: [['subscribed', 'Opt back in'], ['blocked', 'Block']],
+    blocked: [['subscribed', 'Unblock']],
+  };
+
+  elements.consentTable.innerHTML = state.consent
+    .map(
+      (record) => `
+    <tr>
+      <td>${record.phone_number}</td>
+      <td><span class="badge badge-consent-${record.status}">${formatConsentStatus(record.status)}</span></td>
+      <td>${record.source}</td>
+      <td>${record.reason || ''}</td>
+      <td>${new Date(record.updated_at).toLocaleString()}</td>
+      <td>
+        ${(actions[record.status] || [])
+          .map(([status, label]) => `<button class="btn-action" onclick="updateConsent('${record.phone_number}', '${status}')">${label}</button>`)
+          .join('')}
+      </td>
+    </tr>
+  `
+    )
+    .join('');
+}
+
+async function saveConsent(event) {
+  event.preventDefault();
+
+  const field = (id) => document.getElementById(id).value.trim();
+
+  try {
+    await apiClient.setConsent(field('consent-phone'), field('consent-status'), field('consent-reason'));
+    showNotification('Consent updated', 'success');
+    elements.consentForm.reset();
+    loadConsent();
+  } catch (error) {
+    showNotification('Failed to update consent: ' + error.message, 'error');
+  }
+}
+
+async function loadSessions() {
+  try {
+    const { data } = await apiClient.getSessions();
+    const details = await Promise.all(data.map((session) => apiClient.getSession(session.id)));
+    state.sessions = details.map((detail) => detail.data);
+    renderSessions();
+  } catch (error) {
+    console.error('Failed to load WhatsApp numbers:', error);
+    showNotification('Failed to load WhatsApp numbers', 'error');
+  }
+}
+
+function formatSessionStatus(status) {
+  return {
+    connecting: 'connecting',
+    pairing: 'waiting to be linked',
+    online: 'online',
+    offline: 'reconnecting',
+    logged_out: 'logged out',
+  }[status] || status;
+}
+
+function renderSessionPairing(session) {
+  if (session.pairing_code) {
+    return `
+      <div class="session-pairing">
+        <p>Enter this code on ${session.name}'s phone under Linked Devices &gt; Link with phone number:</p>
+        <div class="session-pairing-code">${session.pairing_code}</div>
+      </div>
+    `;
+  }
+
+  if (session.qr_image) {
+    return `
+      <div class="session-pairing">
+        <img class="session-qr" src="${session.qr_image}" alt="WhatsApp QR code">
+        <form class="session-pair-form owner-only" onsubmit="pairSession(event, '${session.id}')">
+          <input type="tel" name="phoneNumber" class="input" placeholder="Or link by number, e.g. 919876543210">
+          <button type="submit" class="btn btn-secondary">Get pairing code</button>
+        </form>
+      </div>
+    `;
+  }
+
+  return '';
+}
+
+function renderSessions() {
+  if (state.sessions.length === 0) {
+    elements.sessionsList.innerHTML = '<div class="card"><p class="table-empty">No WhatsApp numbers configured</p></div>';
+    return;
+  }
+
+  elements.sessionsList.innerHTML = state.sessions
+    .map(
+      (session) => `
+    <div class="card session-card">
+      <div class="card-header">
+        <h2>${session.name}</h2>
+        <span class="badge badge-session-${session.status}">${formatSessionStatus(session.status)}</span>
+      </div>
+      <p class="session-account">
+        ${session.account ? `Linked to +${session.account.phone_number}${session.account.name ? ` (${session.account.name})` : ''}` : 'Not linked to a WhatsApp account'}
+      </p>
+      ${renderSessionPairing(session)}
+      <div class="session-actions owner-only">
+        ${session.status === 'logged_out' ? `<button class="btn btn-primary" onclick="pairSession(event, '${session.id}')">Pair again</button>` : ''}
+        ${session.status !== 'logged_out' ? `<button class="btn btn-secondary" onclick="logoutSession('${session.id}')">Log out</button>` : ''}
+        <button class="btn btn-secondary" onclick="wipeSession('${session.id}')">Wipe</button>
+      </div>
+      <h3>Connection history</h3>
+      <ul class="session-history">
+        ${session.history.length === 0 ? '<li>No changes since the server started</li>' : ''}
+        ${session.history
+          .map(
+            (entry) => `
+          <li>
+            <span class="badge badge-session-${entry.status}">${formatSessionStatus(entry.status)}</span>
+            ${new Date(entry.at).toLocaleString()}
+            ${entry.reason ? `– ${entry.reason}` : ''}
+          </li>
+        `
+          )
+          .join('')}
+      </ul>
+    </div>
+  `
+    )
+    .join('');
+}
+
+async function loadWebhooks() {
+  try {
+    const data = await apiClient.getWebhooks();
+    state.webhooks = data.data || [];
+    renderWebhooksTable();
+
+    if (state.activeWebhook) {
+      loadWebhookDeliveries(state.activeWebhook);
+    }
+  } catch (error) {
+    console.error('Failed to load webhooks:', error);
+    showNotification('Failed to load webhooks', 'error');
+  }
+}
+
+function renderWebhooksTable() {
+  if (state.webhooks.length === 0) {
+    elements.webhooksTable.innerHTML = '<tr><td colspan="5" class="table-empty">No webhooks yet</td></tr>';
+    return;
+  }
+
+  elements.webhooksTable.innerHTML = state.webhooks
+    .map(
+      (webhook) => `
+    <tr>
+      <td>
+        ${webhook.url}
+        ${webhook.description ? `<div class="help-text">${webhook.description}</div>` : ''}
+      </td>
+      <td>${webhook.events.join(', ')}</td>
+      <td><span class="badge badge-webhook-${webhook.active ? 'active' : 'paused'}">${webhook.active ? 'active' : 'paused'}</span></td>
+      <td>${new Date(webhook.created_at).toLocaleString()}</td>
+      <td>
+        <button class="btn-action" onclick="viewWebhookDeliveries('${webhook.id}')">Deliveries</button>
+        <button class="btn-action" onclick="testWebhook('${webhook.id}')">Send test</button>
+        <button class="btn-action" onclick="toggleWebhook('${webhook.id}')">${webhook.active ? 'Pause' : 'Resume'}</button>
+        <button class="btn-action" onclick="rotateWebhookSecret('${webhook.id}')">New secret</button>
+        <button class="btn-action" onclick="deleteWebhook('${webhook.id}')">Delete</button>
+      </td>
+    </tr>
+  `
+    )
+    .join('');
+}
+
+async function loadWebhookDeliveries(id) {
+  try {
+    const data = await apiClient.getWebhookDeliveries(id);
+    const webhook = state.webhooks.find((w) => w.id === id);
+    state.activeWebhook = id;
+
+    elements.webhookDeliveriesTitle.textContent = `Deliveries to ${webhook?.url || id}`;
+    elements.webhookDeliveriesCard.hidden = false;
+    renderWebhookDeliveries(data.data || []);
+  } catch (error) {
+    state.activeWebhook = null;
+    elements.webhookDeliveriesCard.hidden = true;
+    showNotification('Failed to load deliveries: ' + error.message, 'error');
+  }
+}
+
+function renderWebhookDeliveries(deliveries) {
+  if (deliveries.length === 0) {
+    elements.webhookDeliveriesTable.innerHTML = '<tr><td colspan="7" class="table-empty">Nothing sent yet</td></tr>';
+    return;
+  }
+
+  elements.webhookDeliveriesTable.innerHTML = deliveries
+    .map(
+      (delivery) => `
+    <tr>
+      <td>${delivery.event}</td>
+      <td><span class="badge badge-delivery-${delivery.status}">${delivery.status}</span></td>
+      <td>${delivery.attempts}</td>
+      <td>${delivery.response_status || ''}</td>
+      <td>${delivery.last_error || ''}</td>
+      <td>${new Date(delivery.created_at).toLocaleString()}</td>
+      <td>
+        ${delivery.status !== 'delivered' ? `<button class="btn-action" onclick="retryWebhookDelivery('${delivery.id}')">Retry now</button>` : ''}
+      </td>
+    </tr>
+  `
+    )
+    .join('');
+}
+
+function showWebhookSecret(webhook) {
+  prompt(`Secret for ${webhook.url}. Store it now; it is not shown again.`, webhook.secret);
+}
+
+async function createWebhook(event) {
+  event.preventDefault();
+
+  const form = elements.webhookForm;
+  const events = [...form.querySelectorAll('input[name="events"]:checked')].map((input) => input.value);
+
+  try {
+    const { data } = await apiClient.createWebhook({
+      url: document.getElementById('webhook-url').value.trim(),
+      description: document.getElementById('webhook-description').value.trim(),
+      events,
+    });
+    showWebhookSecret(data);
+    form.reset();
+    loadWebhooks();
+  } catch (error) {
+    showNotification('Failed to add webhook: ' + error.message, 'error');
+  }
+}
+
 function switchSection(sectionName) {
   state.currentSection = sectionName;
 
@@ -247,16 +1198,81 @@ function switchSection(sectionName) {
     activeSection.classList.add('active');
   }
 
-  if (sectionName === 'dashboard') {
+  if (sectionName === 'inbox') {
+    loadInbox();
+  } else if (sectionName === 'dashboard') {
     loadDashboard();
   } else if (sectionName === 'leads') {
     loadLeads();
   } else if (sectionName === 'orders') {
     loadOrders();
+  } else if (sectionName === 'products') {
+    loadProducts();
+  } else if (sectionName === 'messages') {
+    loadOutbox();
+    loadRateLimits();
+  } else if (sectionName === 'campaigns') {
+    loadCampaigns();
+  } else if (sectionName === 'consent') {
+    loadConsent();
+  } else if (sectionName === 'sessions') {
+    loadSessions();
+  } else if (sectionName === 'webhooks') {
+    loadWebhooks();
+  }
+}
+
+function showLogin() {
+  state.user = null;
+  state.events?.close();
+  state.events = null;
+  stopPolling();
+  apiClient.setToken(null);
+  document.body.className = 'signed-out';
+}
+
+function startApp(user) {
+  state.user = user;
+  document.body.className = `role-${user.role}`;
+  elements.currentUser.textContent = user.name || user.email;
+
+  testApiConnection();
+  refreshConnectionStatus();
+  switchSection('dashboard');
+  connectEvents();
+}
+
+async function signIn(event) {
+  event.preventDefault();
+  elements.loginError.hidden = true;
+
+  try {
+    const { data } = await apiClient.login(
+      document.getElementById('login-email').value.trim(),
+      document.getElementById('login-password').value
+    );
+    apiClient.setToken(data.token);
+    elements.loginForm.reset();
+    startApp(data.user);
+  } catch (error) {
+    elements.loginError.textContent = error.message;
+    elements.loginError.hidden = false;
+  }
+}
+
+async function signOut() {
+  try {
+    await apiClient.logout();
+  } catch (error) {
+    console.error('Failed to sign out:', error);
   }
+  showLogin();
 }
 
 function setupEventListeners() {
+  elements.loginForm.addEventListener('submit', signIn);
+  document.getElementById('btn-sign-out')?.addEventListener('click', signOut);
+
   elements.navItems.forEach((item) => {
     item.addEventListener('click', (e) => {
       e.preventDefault();
@@ -265,6 +1281,7 @@ function setupEventListeners() {
   });
 
   elements.leadsStatusFilter.addEventListener('change', loadLeads);
+  elements.leadsStageFilter.addEventListener('change', loadLeads);
   elements.ordersStatusFilter.addEventListener('change', loadOrders);
   elements.dateFilter.addEventListener('change', loadDashboard);
 
@@ -273,16 +1290,44 @@ function setupEventListeners() {
   document.getElementById('btn-add-lead')?.addEventListener('click', () => {
     showNotification('Add lead feature coming soon', 'info');
   });
+  document.getElementById('btn-add-product')?.addEventListener('click', () => openProductForm());
+  document.getElementById('btn-cancel-product')?.addEventListener('click', closeProductForm);
+  elements.productForm.addEventListener('submit', saveProduct);
+  elements.inboxReplyForm.addEventListener('submit', sendAgentReply);
+  elements.btnTakeOver.addEventListener('click', takeOverConversation);
+  elements.btnReturnToBot.addEventListener('click', returnConversationToBot);
   document.getElementById('btn-broadcast')?.addEventListener('click', () => {
-    showNotification('Broadcast feature coming soon', 'info');
+    switchSection('campaigns');
+    openCampaignForm();
   });
+  document.getElementById('btn-new-campaign')?.addEventListener('click', openCampaignForm);
+  document.getElementById('btn-cancel-campaign')?.addEventListener('click', closeCampaignForm);
+  document.getElementById('btn-preview-campaign')?.addEventListener('click', previewCampaignAudience);
+  elements.campaignForm.addEventListener('submit', createCampaign);
+  elements.outboxStatusFilter.addEventListener('change', loadOutbox);
+  elements.consentForm.addEventListener('submit', saveConsent);
+  elements.consentStatusFilter.addEventListener('change', loadConsent);
+  elements.webhookForm.addEventListener('submit', createWebhook);
 }
 
 async function initialize() {
   loadSettings();
   setupEventListeners();
-  testApiConnection();
-  loadDashboard();
+
+  // An expired or revoked token sends the user back to the login screen
+  apiClient.onUnauthorized = showLogin;
+
+  if (!apiClient.token) {
+    showLogin();
+    return;
+  }
+
+  try {
+    const { data } = await apiClient.getCurrentUser();
+    startApp(data);
+  } catch (error) {
+    showLogin();
+  }
 }
 
 window.editLead = (id) => {
@@ -293,4 +1338,155 @@ window.deleteLead = (id) => {
   showNotification(`Delete lead ${id} feature coming soon`, 'info');
 };
 
+window.openConversation = (phoneNumber, sessionId) => {
+  state.activeConversation = phoneNumber;
+  state.activeSession = sessionId;
+  state.activeConversationChanged = true;
+  renderInboxQueue();
+  loadConversation(phoneNumber);
+};
+
+window.showCampaignRecipients = (id) => {
+  state.activeCampaign = id;
+  loadCampaignRecipients(id);
+};
+
+window.updateCampaignStatus = async (id, action) => {
+  try {
+    await apiClient.updateCampaignStatus(id, action);
+    loadCampaigns();
+  } catch (error) {
+    showNotification(`Failed to ${action} campaign: ` + error.message, 'error');
+  }
+};
+
+window.retryOutboundMessage = async (id) => {
+  try {
+    await apiClient.retryOutboundMessage(id);
+    loadOutbox();
+  } catch (error) {
+    showNotification('Failed to retry message: ' + error.message, 'error');
+  }
+};
+
+window.updateConsent = async (phoneNumber, status) => {
+  try {
+    await apiClient.setConsent(phoneNumber, status);
+    loadConsent();
+  } catch (error) {
+    showNotification('Failed to update consent: ' + error.message, 'error');
+  }
+};
+
+window.pairSession = async (event, id) => {
+  event.preventDefault();
+  const phoneNumber = event.target.elements?.phoneNumber?.value.trim() || '';
+
+  try {
+    await apiClient.pairSession(id, phoneNumber);
+    loadSessions();
+  } catch (error) {
+    showNotification('Failed to pair WhatsApp number: ' + error.message, 'error');
+  }
+};
+
+window.logoutSession = async (id) => {
+  if (!confirm(`Log ${id} out of WhatsApp? The number stops receiving replies until it is linked again.`)) return;
+
+  try {
+    await apiClient.logoutSession(id);
+    loadSessions();
+  } catch (error) {
+    showNotification('Failed to log out: ' + error.message, 'error');
+  }
+};
+
+window.wipeSession = async (id) => {
+  if (!confirm(`Delete the stored credentials of ${id}? It has to be linked again afterwards.`)) return;
+
+  try {
+    await apiClient.wipeSession(id);
+    loadSessions();
+  } catch (error) {
+    showNotification('Failed to wipe session: ' + error.message, 'error');
+  }
+};
+
+window.viewWebhookDeliveries = (id) => loadWebhookDeliveries(id);
+
+window.testWebhook = async (id) => {
+  try {
+    const { data, message } = await apiClient.testWebhook(id);
+    showNotification(message, data.status === 'delivered' ? 'success' : 'error');
+    if (state.activeWebhook === id) loadWebhookDeliveries(id);
+  } catch (error) {
+    showNotification('Failed to send test event: ' + error.message, 'error');
+  }
+};
+
+window.toggleWebhook = async (id) => {
+  const webhook = state.webhooks.find((w) => w.id === id);
+  if (!webhook) return;
+
+  try {
+    await apiClient.updateWebhook(id, { active: !webhook.active });
+    loadWebhooks();
+  } catch (error) {
+    showNotification('Failed to update webhook: ' + error.message, 'error');
+  }
+};
+
+window.rotateWebhookSecret = async (id) => {
+  if (!confirm('Replace the signing secret? The receiving end must switch to the new secret.')) return;
+
+  try {
+    const { data } = await apiClient.rotateWebhookSecret(id);
+    showWebhookSecret(data);
+  } catch (error) {
+    showNotification('Failed to replace secret: ' + error.message, 'error');
+  }
+};
+
+window.deleteWebhook = async (id) => {
+  if (!confirm('Delete this webhook and its delivery log?')) return;
+
+  try {
+    await apiClient.deleteWebhook(id);
+    if (state.activeWebhook === id) {
+      state.activeWebhook = null;
+      elements.webhookDeliveriesCard.hidden = true;
+    }
+    loadWebhooks();
+  } catch (error) {
+    showNotification('Failed to delete webhook: ' + error.message, 'error');
+  }
+};
+
+window.retryWebhookDelivery = async (id) => {
+  try {
+    const { message } = await apiClient.retryWebhookDelivery(id);
+    showNotification(message, 'info');
+    loadWebhookDeliveries(state.activeWebhook);
+  } catch (error) {
+    showNotification('Failed to retry delivery: ' + error.message, 'error');
+  }
+};
+
+window.editProduct = (id) => {
+  const product = state.products.find((p) => p.id === id);
+  if (product) openProductForm(product);
+};
+
+window.deleteProduct = async (id) => {
+  if (!confirm(`Delete product ${id}?`)) return;
+
+  try {
+    await apiClient.deleteProduct(id);
+    showNotification('Product deleted', 'success');
+    loadProducts();
+  } catch (error) {
+    showNotification('Failed to delete product: ' + error.message, 'error');
+  }
+};
+
 document.addEventListener('DOMContentLoaded', initialize);
@@ -1,69 +1,98 @@
-import { createClient } from '@supabase/supabase-js';
 import dotenv from 'dotenv';
+import { publish } from './events.js';
+import { DEFAULT_SESSION_ID } from './sessions.js';
+import { getStorage } from './storage/index.js';
 
 dotenv.config();
 
-// Initialize Supabase client
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+// Order statuses whose items have been taken out of stock
+const STOCK_HOLDING_STATUSES = ['confirmed', 'completed'];
 
-if (!supabaseUrl || !supabaseKey) {
-  throw new Error('Missing Supabase credentials. Please check your .env file.');
+// Tries at a stock or order status change while other writers keep changing the same row
+const UPDATE_ATTEMPTS = 5;
+
+/**
+ * Database operations for WhatsApp Sales Auto-Closer
+ * Handles leads, chat history, and orders in the configured storage backend
+ * (Supabase, SQLite or in-memory; see storage/index.js)
+ * Writes to leads, chat history, orders, campaigns and consent are published on the event bus.
+ * Leads, chat history, orders and outgoing messages belong to a WhatsApp session (see sessions.js).
+ */
+
+/**
+ * Get the first row matching a where object
+ * @param {string} table - Table name
+ * @param {Object} where - Query conditions
+ * @returns {Promise<Object|null>} Row, or null if none matches
+ */
+async function findOne(table, where) {
+  const [row] = await getStorage().select(table, { where, limit: 1 });
+  return row || null;
 }
 
-const supabase = createClient(supabaseUrl, supabaseKey);
+/**
+ * Insert one row
+ * @param {string} table - Table name
+ * @param {Object} row - Column values
+ * @returns {Promise<Object>} Inserted row
+ */
+async function insertOne(table, row) {
+  const [inserted] = await getStorage().insert(table, [row]);
+  return inserted;
+}
 
 /**
- * Database operations for WhatsApp Sales Auto-Closer
- * Handles leads, chat history, and orders using Supabase
+ * Update the one row a where object identifies
+ * @param {string} table - Table name
+ * @param {Object} where - Query conditions
+ * @param {Object} changes - Column values to set
+ * @returns {Promise<Object>} Updated row
  */
+async function updateOne(table, where, changes) {
+  const [updated] = await getStorage().update(table, where, changes);
+  if (!updated) {
+    throw new Error(`No ${table} row matches ${JSON.stringify(where)}`);
+  }
+  return updated;
+}
 
 // ==================== LEAD OPERATIONS ====================
 
 /**
  * Get or create a lead by phone number
+ * Called for every incoming message: a lead marked lost that writes again
+ * is back in the conversation, as 'contacted'.
  * @param {string} phoneNumber - Customer's WhatsApp phone number
+ * @param {string} sessionId - WhatsApp session the customer wrote to
  * @returns {Promise<Object>} Lead record
  */
-export async function getOrCreateLead(phoneNumber) {
+export async function getOrCreateLead(phoneNumber, sessionId = DEFAULT_SESSION_ID) {
   try {
     // Check if lead exists
-    const { data: existingLead, error: selectError } = await supabase
-      .from('leads')
-      .select('*')
-      .eq('phone_number', phoneNumber)
-      .maybeSingle();
-
-    if (selectError) throw selectError;
+    const existingLead = await findOne('leads', { session_id: sessionId, phone_number: phoneNumber });
 
-    // If lead exists, update last_message_at
+    // If lead exists, update last_message_at; a customer message restarts the follow-up sequence
     if (existingLead) {
-      const { data: updatedLead, error: updateError } = await supabase
-        .from('leads')
-        .update({
-          last_message_at: new Date().toISOString(),
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', existingLead.id)
-        .select()
-        .single();
-
-      if (updateError) throw updateError;
+      const updatedLead = await updateOne('leads', { id: existingLead.id }, {
+        last_message_at: new Date().toISOString(),
+        followup_step: 0,
+        ...(existingLead.status === 'lost' && { status: 'contacted' }),
+        updated_at: new Date().toISOString()
+      });
+
+      publish('lead.updated', { lead: updatedLead });
       return updatedLead;
     }
 
     // Create new lead
-    const { data: newLead, error: insertError } = await supabase
-      .from('leads')
-      .insert({
-        phone_number: phoneNumber,
-        status: 'new',
-        last_message_at: new Date().toISOString()
-      })
-      .select()
-      .single();
-
-    if (insertError) throw insertError;
+    const newLead = await insertOne('leads', {
+      session_id: sessionId,
+      phone_number: phoneNumber,
+      status: 'new',
+      last_message_at: new Date().toISOString()
+    });
+
+    publish('lead.created', { lead: newLead });
     return newLead;
   } catch (error) {
     console.error('Error in getOrCreateLead:', error);
@@ -79,17 +108,12 @@ export async function getOrCreateLead(phoneNumber) {
  */
 export async function updateLead(leadId, updates) {
   try {
-    const { data, error } = await supabase
-      .from('leads')
-      .update({
-        ...updates,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', leadId)
-      .select()
-      .single();
+    const data = await updateOne('leads', { id: leadId }, {
+      ...updates,
+      updated_at: new Date().toISOString()
+    });
 
-    if (error) throw error;
+    publish('lead.updated', { lead: data });
     return data;
   } catch (error) {
     console.error('Error in updateLead:', error);
@@ -100,22 +124,20 @@ export async function updateLead(leadId, updates) {
 /**
  * Mark lead as needing human agent
  * @param {string} phoneNumber - Customer's phone number
+ * @param {string} sessionId - WhatsApp session of the conversation
  * @returns {Promise<Object>} Updated lead record
  */
-export async function markForHumanAgent(phoneNumber) {
+export async function markForHumanAgent(phoneNumber, sessionId = DEFAULT_SESSION_ID) {
   try {
-    const { data, error } = await supabase
-      .from('leads')
-      .update({
-        needs_human_agent: true,
-        status: 'qualified',
-        updated_at: new Date().toISOString()
-      })
-      .eq('phone_number', phoneNumber)
-      .select()
-      .single();
+    const data = await updateOne('leads', { session_id: sessionId, phone_number: phoneNumber }, {
+      needs_human_agent: true,
+      agent_requested_at: new Date().toISOString(),
+      status: 'qualified',
+      updated_at: new Date().toISOString()
+    });
 
-    if (error) throw error;
+    publish('lead.updated', { lead: data });
+    publish('agent.requested', { lead: data });
     return data;
   } catch (error) {
     console.error('Error in markForHumanAgent:', error);
@@ -123,61 +145,171 @@ export async function markForHumanAgent(phoneNumber) {
   }
 }
 
+/**
+ * Hand a conversation back to the bot
+ * @param {string} phoneNumber - Customer's phone number
+ * @param {string} sessionId - WhatsApp session of the conversation
+ * @returns {Promise<Object>} Updated lead record
+ */
+export async function returnToBot(phoneNumber, sessionId = DEFAULT_SESSION_ID) {
+  try {
+    const data = await updateOne('leads', { session_id: sessionId, phone_number: phoneNumber }, {
+      needs_human_agent: false,
+      agent_requested_at: null,
+      updated_at: new Date().toISOString()
+    });
+
+    publish('lead.updated', { lead: data });
+    return data;
+  } catch (error) {
+    console.error('Error in returnToBot:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a lead by phone number
+ * @param {string} phoneNumber - Customer's phone number
+ * @param {string} sessionId - WhatsApp session of the conversation
+ * @returns {Promise<Object|null>} Lead record, or null if unknown
+ */
+export async function getLeadByPhone(phoneNumber, sessionId = DEFAULT_SESSION_ID) {
+  try {
+    return await findOne('leads', { session_id: sessionId, phone_number: phoneNumber });
+  } catch (error) {
+    console.error('Error in getLeadByPhone:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get conversations waiting for a human agent, longest waiting first
+ * @returns {Promise<Array>} Array of lead records
+ */
+export async function getAgentQueue() {
+  try {
+    return await getStorage().select('leads', {
+      where: { needs_human_agent: true },
+      order: { column: 'agent_requested_at', ascending: true, nullsFirst: false }
+    });
+  } catch (error) {
+    console.error('Error in getAgentQueue:', error);
+    throw error;
+  }
+}
+
 /**
  * Get all leads with optional filters
- * @param {Object} filters - Filter criteria
+ * @param {Object} filters - Filter criteria (session_id, status, needs_human_agent, stage, language, city,
+ *   tags, last_message_after, last_message_before)
  * @returns {Promise<Array>} Array of lead records
  */
 export async function getLeads(filters = {}) {
   try {
-    let query = supabase.from('leads').select('*');
+    const where = {};
+
+    if (filters.session_id) {
+      where.session_id = filters.session_id;
+    }
 
     if (filters.status) {
-      query = query.eq('status', filters.status);
+      where.status = filters.status;
     }
 
     if (filters.needs_human_agent !== undefined) {
-      query = query.eq('needs_human_agent', filters.needs_human_agent);
+      where.needs_human_agent = filters.needs_human_agent;
+    }
+
+    if (filters.stage) {
+      where.stage = filters.stage;
     }
 
-    query = query.order('last_message_at', { ascending: false });
+    if (filters.language) {
+      where.language = filters.language;
+    }
 
-    const { data, error } = await query;
+    if (filters.city) {
+      where.city = { ilike: filters.city };
+    }
 
-    if (error) throw error;
-    return data;
+    // Leads carrying all of the given tags
+    if (filters.tags?.length) {
+      where.tags = { contains: filters.tags };
+    }
+
+    if (filters.last_message_after || filters.last_message_before) {
+      where.last_message_at = {};
+    }
+
+    if (filters.last_message_after) {
+      where.last_message_at.gte = filters.last_message_after;
+    }
+
+    if (filters.last_message_before) {
+      where.last_message_at.lt = filters.last_message_before;
+    }
+
+    return await getStorage().select('leads', {
+      where,
+      order: { column: 'last_message_at', ascending: false }
+    });
   } catch (error) {
     console.error('Error in getLeads:', error);
     throw error;
   }
 }
 
+/**
+ * Get leads that have been silent since before a point in time and still have follow-ups left
+ * Leads with a human agent, converted leads and lost leads are left out.
+ * @param {string} before - ISO timestamp; last_message_at must be older
+ * @param {number} maxStep - Number of follow-up rules
+ * @returns {Promise<Array>} Lead records, longest silent first
+ */
+export async function getFollowUpCandidates(before, maxStep) {
+  try {
+    return await getStorage().select('leads', {
+      where: {
+        last_message_at: { lt: before },
+        followup_step: { lt: maxStep },
+        needs_human_agent: false,
+        status: { notIn: ['converted', 'lost'] }
+      },
+      order: { column: 'last_message_at', ascending: true }
+    });
+  } catch (error) {
+    console.error('Error in getFollowUpCandidates:', error);
+    throw error;
+  }
+}
+
 // ==================== CHAT HISTORY OPERATIONS ====================
 
 /**
  * Save a message to chat history
  * @param {string} leadId - Lead ID
  * @param {string} phoneNumber - Customer's phone number
- * @param {string} role - 'user' or 'assistant'
+ * @param {string} role - 'user', 'assistant' or 'agent' (a staff member)
  * @param {string} message - Message content
  * @param {Object} metadata - Additional metadata
+ * @param {Object} media - Message type and stored file ({ type, path }); plain text when omitted
+ * @param {string} sessionId - WhatsApp session of the conversation
  * @returns {Promise<Object>} Chat history record
  */
-export async function saveChatMessage(leadId, phoneNumber, role, message, metadata = null) {
-  try {
-    const { data, error } = await supabase
-      .from('chat_history')
-      .insert({
-        lead_id: leadId,
-        phone_number: phoneNumber,
-        role: role,
-        message: message,
-        metadata: metadata
-      })
-      .select()
-      .single();
-
-    if (error) throw error;
+export async function saveChatMessage(leadId, phoneNumber, role, message, metadata = null, media = null, sessionId = DEFAULT_SESSION_ID) {
+  try {
+    const data = await insertOne('chat_history', {
+      session_id: sessionId,
+      lead_id: leadId,
+      phone_number: phoneNumber,
+      role: role,
+      message: message,
+      metadata: metadata,
+      message_type: media?.type || 'text',
+      media_path: media?.path || null
+    });
+
+    publish(role === 'user' ? 'message.received' : 'message.sent', { message: data });
     return data;
   } catch (error) {
     console.error('Error in saveChatMessage:', error);
@@ -189,19 +321,18 @@ export async function saveChatMessage(leadId, phoneNumber, role, message, metada
  * Get chat history for a phone number
  * @param {string} phoneNumber - Customer's phone number
  * @param {number} limit - Maximum number of messages to retrieve
- * @returns {Promise<Array>} Array of chat messages
+ * @param {string} sessionId - WhatsApp session of the conversation
+ * @returns {Promise<Array>} The latest messages, oldest first
  */
-export async function getChatHistory(phoneNumber, limit = 20) {
+export async function getChatHistory(phoneNumber, limit = 20, sessionId = DEFAULT_SESSION_ID) {
   try {
-    const { data, error } = await supabase
-      .from('chat_history')
-      .select('*')
-      .eq('phone_number', phoneNumber)
-      .order('created_at', { ascending: true })
-      .limit(limit);
+    const data = await getStorage().select('chat_history', {
+      where: { session_id: sessionId, phone_number: phoneNumber },
+      order: { column: 'created_at', ascending: false },
+      limit
+    });
 
-    if (error) throw error;
-    return data || [];
+    return data.reverse();
   } catch (error) {
     console.error('Error in getChatHistory:', error);
     throw error;
@@ -211,16 +342,12 @@ export async function getChatHistory(phoneNumber, limit = 20) {
 /**
  * Clear chat history for a phone number (useful for testing)
  * @param {string} phoneNumber - Customer's phone number
+ * @param {string} sessionId - WhatsApp session of the conversation
  * @returns {Promise<void>}
  */
-export async function clearChatHistory(phoneNumber) {
+export async function clearChatHistory(phoneNumber, sessionId = DEFAULT_SESSION_ID) {
   try {
-    const { error } = await supabase
-      .from('chat_history')
-      .delete()
-      .eq('phone_number', phoneNumber);
-
-    if (error) throw error;
+    await getStorage().remove('chat_history', { session_id: sessionId, phone_number: phoneNumber });
   } catch (error) {
     console.error('Error in clearChatHistory:', error);
     throw error;
@@ -236,24 +363,22 @@ export async function clearChatHistory(phoneNumber) {
  * @param {Array} products - Array of products with quantities
  * @param {number} totalAmount - Total order amount
  * @param {string} notes - Additional notes
+ * @param {string} sessionId - WhatsApp session the order was placed through
  * @returns {Promise<Object>} Order record
  */
-export async function createOrder(leadId, phoneNumber, products, totalAmount = null, notes = null) {
+export async function createOrder(leadId, phoneNumber, products, totalAmount = null, notes = null, sessionId = DEFAULT_SESSION_ID) {
   try {
-    const { data, error } = await supabase
-      .from('orders')
-      .insert({
-        lead_id: leadId,
-        phone_number: phoneNumber,
-        products: products,
-        total_amount: totalAmount,
-        status: 'pending',
-        notes: notes
-      })
-      .select()
-      .single();
+    const data = await insertOne('orders', {
+      session_id: sessionId,
+      lead_id: leadId,
+      phone_number: phoneNumber,
+      products: products,
+      total_amount: totalAmount,
+      status: 'pending',
+      notes: notes
+    });
 
-    if (error) throw error;
+    publish('order.created', { order: data });
 
     // Update lead status to converted
     await updateLead(leadId, { status: 'converted' });
@@ -268,18 +393,21 @@ export async function createOrder(leadId, phoneNumber, products, totalAmount = n
 /**
  * Get orders for a phone number
  * @param {string} phoneNumber - Customer's phone number
+ * @param {string|null} sessionId - Only orders placed through this WhatsApp session; all sessions when null
  * @returns {Promise<Array>} Array of order records
  */
-export async function getOrders(phoneNumber) {
+export async function getOrders(phoneNumber, sessionId = null) {
   try {
-    const { data, error } = await supabase
-      .from('orders')
-      .select('*')
-      .eq('phone_number', phoneNumber)
-      .order('created_at', { ascending: false });
+    const where = { phone_number: phoneNumber };
+
+    if (sessionId) {
+      where.session_id = sessionId;
+    }
 
-    if (error) throw error;
-    return data || [];
+    return await getStorage().select('orders', {
+      where,
+      order: { column: 'created_at', ascending: false }
+    });
   } catch (error) {
     console.error('Error in getOrders:', error);
     throw error;
@@ -288,20 +416,46 @@ export async function getOrders(phoneNumber) {
 
 /**
  * Update order status
+ * Moving an order into 'confirmed' or 'completed' takes its items out of
+ * stock; moving it back out (e.g. cancelling) restores them. The change only
+ * applies if the order still has the status it was read with, so two
+ * confirmations at once (dashboard and bot, or a double click) take the
+ * stock once; on a clash the order is read again.
  * @param {string} orderId - Order ID
  * @param {string} status - New status
  * @returns {Promise<Object>} Updated order record
  */
 export async function updateOrderStatus(orderId, status) {
   try {
-    const { data, error } = await supabase
-      .from('orders')
-      .update({ status })
-      .eq('id', orderId)
-      .select()
-      .single();
+    let currentOrder = null;
+    let data = null;
+
+    for (let attempt = 1; attempt <= UPDATE_ATTEMPTS && !data; attempt++) {
+      currentOrder = await findOne('orders', { id: orderId });
+      if (!currentOrder) {
+        throw new Error(`Order ${orderId} not found`);
+      }
+
+      [data] = await getStorage().update('orders', { id: orderId, status: currentOrder.status }, { status });
+    }
+
+    if (!data) {
+      throw new Error(`Order ${orderId} kept changing; gave up after ${UPDATE_ATTEMPTS} tries`);
+    }
+
+    const heldStock = STOCK_HOLDING_STATUSES.includes(currentOrder.status);
+    const holdsStock = STOCK_HOLDING_STATUSES.includes(status);
+
+    if (!heldStock && holdsStock) {
+      await adjustOrderStock(data, -1);
+    } else if (heldStock && !holdsStock) {
+      await adjustOrderStock(data, 1);
+    }
+
+    if (currentOrder.status !== status) {
+      publish('order.status_changed', { order: data, previous_status: currentOrder.status });
+    }
 
-    if (error) throw error;
     return data;
   } catch (error) {
     console.error('Error in updateOrderStatus:', error);
@@ -309,49 +463,986 @@ export async function updateOrderStatus(orderId, status) {
   }
 }
 
-// ==================== ANALYTICS OPERATIONS ====================
+// ==================== INVENTORY OPERATIONS ====================
 
 /**
- * Get statistics for the dashboard
- * @returns {Promise<Object>} Statistics object
+ * Get inventory rows
+ * @param {string} productId - Optional product ID to filter by
+ * @returns {Promise<Array>} Array of inventory records
  */
-export async function getStatistics() {
+export async function getInventory(productId = null) {
   try {
-    // Get total leads
-    const { count: totalLeads, error: leadsError } = await supabase
-      .from('leads')
-      .select('*', { count: 'exact', head: true });
+    return await getStorage().select('inventory', {
+      where: productId ? { product_id: productId } : {},
+      order: { column: 'product_id', ascending: true }
+    });
+  } catch (error) {
+    console.error('Error in getInventory:', error);
+    throw error;
+  }
+}
 
-    if (leadsError) throw leadsError;
+/**
+ * Set the stock level of a product variant (creates the row if needed)
+ * @param {string} productId - Product ID
+ * @param {string|null} size - Size, or null for products without sizes
+ * @param {string|null} color - Color, or null for products without colors
+ * @param {number} quantity - Units in stock
+ * @param {number} lowStockThreshold - Optional alert threshold
+ * @returns {Promise<Object>} Inventory record
+ */
+export async function setStockLevel(productId, size, color, quantity, lowStockThreshold = undefined) {
+  try {
+    const row = {
+      product_id: productId,
+      size: size || '',
+      color: color || '',
+      quantity,
+      updated_at: new Date().toISOString()
+    };
 
-    // Get converted leads
-    const { count: convertedLeads, error: convertedError } = await supabase
-      .from('leads')
-      .select('*', { count: 'exact', head: true })
-      .eq('status', 'converted');
+    if (lowStockThreshold !== undefined) {
+      row.low_stock_threshold = lowStockThreshold;
+    }
+
+    return await getStorage().upsert('inventory', row, ['product_id', 'size', 'color']);
+  } catch (error) {
+    console.error('Error in setStockLevel:', error);
+    throw error;
+  }
+}
 
-    if (convertedError) throw convertedError;
+/**
+ * Change the stock level of a product variant by a delta
+ * Untracked variants (no inventory row) are left alone. Stock never goes
+ * below zero. The change only applies if the row still holds the quantity
+ * it was computed from, so concurrent changes are never lost; on a clash
+ * the row is read again.
+ * @param {string} productId - Product ID
+ * @param {string|null} size - Size
+ * @param {string|null} color - Color
+ * @param {number} delta - Units to add (negative to remove)
+ * @returns {Promise<Object|null>} Updated inventory record, or null if untracked
+ */
+export async function adjustStock(productId, size, color, delta) {
+  try {
+    const key = { product_id: productId, size: size || '', color: color || '' };
 
-    // Get leads needing human agent
-    const { count: needsAgent, error: agentError } = await supabase
-      .from('leads')
-      .select('*', { count: 'exact', head: true })
-      .eq('needs_human_agent', true);
+    for (let attempt = 1; attempt <= UPDATE_ATTEMPTS; attempt++) {
+      const row = await findOne('inventory', key);
+      if (!row) return null;
 
-    if (agentError) throw agentError;
+      const quantity = row.quantity + delta;
+      if (quantity < 0) {
+        console.warn(`⚠️  Stock for ${productId} ${size || ''} ${color || ''} would go negative; clamping to 0`);
+      }
 
-    // Get total orders
-    const { count: totalOrders, error: ordersError } = await supabase
-      .from('orders')
-      .select('*', { count: 'exact', head: true });
+      const [updated] = await getStorage().update('inventory', { id: row.id, quantity: row.quantity }, {
+        quantity: Math.max(0, quantity),
+        updated_at: new Date().toISOString()
+      });
+      if (updated) return updated;
+    }
+
+    throw new Error(`Stock for ${productId} ${size || ''} ${color || ''} kept changing; gave up after ${UPDATE_ATTEMPTS} tries`);
+  } catch (error) {
+    console.error('Error in adjustStock:', error);
+    throw error;
+  }
+}
+
+/**
+ * Take or restore stock for every item of an order
+ * @param {Object} order - Order record
+ * @param {number} direction - -1 to take stock, 1 to restore it
+ * @returns {Promise<void>}
+ */
+async function adjustOrderStock(order, direction) {
+  for (const item of order.products || []) {
+    if (!item.id) continue;
+    await adjustStock(item.id, item.size, item.color, direction * (item.quantity || 1));
+  }
+}
+
+/**
+ * Get variants at or below their low-stock threshold
+ * @returns {Promise<Array>} Array of inventory records
+ */
+export async function getLowStockItems() {
+  try {
+    const inventory = await getInventory();
+    return inventory.filter(row => row.quantity <= row.low_stock_threshold);
+  } catch (error) {
+    console.error('Error in getLowStockItems:', error);
+    throw error;
+  }
+}
+
+// ==================== PRODUCT OPERATIONS ====================
+
+/**
+ * Get all products in the catalog
+ * @returns {Promise<Array>} Array of product records
+ */
+export async function getProducts() {
+  try {
+    return await getStorage().select('products', {
+      order: { column: 'id', ascending: true }
+    });
+  } catch (error) {
+    console.error('Error in getProducts:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a product by ID
+ * @param {string} productId - Product ID
+ * @returns {Promise<Object|null>} Product record or null
+ */
+export async function getProduct(productId) {
+  try {
+    return await findOne('products', { id: productId });
+  } catch (error) {
+    console.error('Error in getProduct:', error);
+    throw error;
+  }
+}
+
+/**
+ * Create a product
+ * @param {Object} product - Product fields (id, name, price, ...)
+ * @returns {Promise<Object>} Product record
+ */
+export async function createProduct(product) {
+  try {
+    return await insertOne('products', product);
+  } catch (error) {
+    console.error('Error in createProduct:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a product
+ * @param {string} productId - Product ID
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object>} Updated product record
+ */
+export async function updateProduct(productId, updates) {
+  try {
+    return await updateOne('products', { id: productId }, {
+      ...updates,
+      updated_at: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error in updateProduct:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a product
+ * @param {string} productId - Product ID
+ * @returns {Promise<void>}
+ */
+export async function deleteProduct(productId) {
+  try {
+    await getStorage().remove('products', { id: productId });
+  } catch (error) {
+    console.error('Error in deleteProduct:', error);
+    throw error;
+  }
+}
+
+/**
+ * Insert products in bulk (used to seed the catalog from products.json)
+ * @param {Array} products - Product records
+ * @returns {Promise<Array>} Inserted product records
+ */
+export async function insertProducts(products) {
+  try {
+    return await getStorage().insert('products', products);
+  } catch (error) {
+    console.error('Error in insertProducts:', error);
+    throw error;
+  }
+}
+
+// ==================== CAMPAIGN OPERATIONS ====================
+
+/**
+ * Create a campaign with its recipients
+ * @param {Object} campaign - Campaign fields (session_id, name, message, filters, scheduled_at, rate_per_minute,
+ *   jitter_seconds)
+ * @param {Array} recipients - Recipients ({ lead_id, phone_number })
+ * @returns {Promise<Object>} Created campaign record
+ */
+export async function createCampaign(campaign, recipients) {
+  try {
+    const data = await insertOne('campaigns', campaign);
+
+    if (recipients.length > 0) {
+      try {
+        await getStorage().insert('campaign_recipients',
+          recipients.map(recipient => ({ ...recipient, campaign_id: data.id })));
+      } catch (recipientsError) {
+        // Don't leave a campaign without its audience behind
+        await getStorage().remove('campaigns', { id: data.id });
+        throw recipientsError;
+      }
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error in createCampaign:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get campaigns, newest first
+ * @param {Object} filters - Filter criteria (status)
+ * @returns {Promise<Array>} Campaign records
+ */
+export async function getCampaigns(filters = {}) {
+  try {
+    const where = {};
+
+    if (filters.status) {
+      where.status = Array.isArray(filters.status) ? { in: filters.status } : filters.status;
+    }
+
+    return await getStorage().select('campaigns', {
+      where,
+      order: { column: 'created_at', ascending: false }
+    });
+  } catch (error) {
+    console.error('Error in getCampaigns:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a campaign by id
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<Object|null>} Campaign record, or null if not found
+ */
+export async function getCampaign(campaignId) {
+  try {
+    return await findOne('campaigns', { id: campaignId });
+  } catch (error) {
+    console.error('Error in getCampaign:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a campaign
+ * @param {string} campaignId - Campaign ID
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object>} Updated campaign record
+ */
+export async function updateCampaign(campaignId, updates) {
+  try {
+    const data = await updateOne('campaigns', { id: campaignId }, {
+      ...updates,
+      updated_at: new Date().toISOString()
+    });
+
+    publish('campaign.updated', { campaign: data });
+    return data;
+  } catch (error) {
+    console.error('Error in updateCampaign:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the recipients of a campaign
+ * @param {string} campaignId - Campaign ID
+ * @param {Object} options - { status, queued, limit }; queued: false leaves out recipients whose message is in the outbox
+ * @returns {Promise<Array>} Recipient records, in creation order
+ */
+export async function getCampaignRecipients(campaignId, options = {}) {
+  try {
+    const where = { campaign_id: campaignId };
+
+    if (options.status) {
+      where.status = options.status;
+    }
+
+    if (options.queued === false) {
+      where.outbound_message_id = null;
+    }
+
+    return await getStorage().select('campaign_recipients', {
+      where,
+      order: { column: 'created_at', ascending: true },
+      limit: options.limit
+    });
+  } catch (error) {
+    console.error('Error in getCampaignRecipients:', error);
+    throw error;
+  }
+}
+
+/**
+ * Count a campaign's recipients by status
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<Object>} { total, pending, sent, failed, replied }
+ */
+export async function getCampaignStats(campaignId) {
+  try {
+    const data = await getStorage().select('campaign_recipients', {
+      columns: ['status'],
+      where: { campaign_id: campaignId }
+    });
+
+    const stats = { total: 0, pending: 0, sent: 0, failed: 0, replied: 0 };
+    for (const recipient of data) {
+      stats.total++;
+      stats[recipient.status]++;
+    }
+    return stats;
+  } catch (error) {
+    console.error('Error in getCampaignStats:', error);
+    throw error;
+  }
+}
 
-    if (ordersError) throw ordersError;
+/**
+ * Update a campaign recipient
+ * @param {string} recipientId - Recipient ID
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object>} Updated recipient record
+ */
+export async function updateCampaignRecipient(recipientId, updates) {
+  try {
+    return await updateOne('campaign_recipients', { id: recipientId }, updates);
+  } catch (error) {
+    console.error('Error in updateCampaignRecipient:', error);
+    throw error;
+  }
+}
+
+/**
+ * Mark campaign messages sent to a number as replied
+ * Only campaigns sent from the session the customer replied to count.
+ * @param {string} phoneNumber - Customer's phone number
+ * @param {string} sessionId - WhatsApp session the reply came in on
+ * @returns {Promise<Array>} Updated recipient records
+ */
+export async function markCampaignReplies(phoneNumber, sessionId = DEFAULT_SESSION_ID) {
+  try {
+    const campaigns = await getStorage().select('campaigns', {
+      columns: ['id'],
+      where: { session_id: sessionId }
+    });
+
+    if (campaigns.length === 0) return [];
+
+    const data = await getStorage().update('campaign_recipients', {
+      campaign_id: { in: campaigns.map(campaign => campaign.id) },
+      phone_number: phoneNumber,
+      status: 'sent'
+    }, {
+      status: 'replied',
+      replied_at: new Date().toISOString()
+    });
+
+    for (const recipient of data) {
+      publish('campaign.updated', { campaign_id: recipient.campaign_id });
+    }
+    return data;
+  } catch (error) {
+    console.error('Error in markCampaignReplies:', error);
+    throw error;
+  }
+}
+
+// ==================== CONSENT OPERATIONS ====================
+
+/**
+ * Get the consent record of a number
+ * @param {string} phoneNumber - WhatsApp JID
+ * @returns {Promise<Object|null>} Consent record, or null if the number never opted out
+ */
+export async function getConsent(phoneNumber) {
+  try {
+    return await findOne('consent', { phone_number: phoneNumber });
+  } catch (error) {
+    console.error('Error in getConsent:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get consent records, most recently changed first
+ * @param {Object} filters - Filter criteria (status, may be an array)
+ * @returns {Promise<Array>} Consent records
+ */
+export async function getConsentRecords(filters = {}) {
+  try {
+    const where = {};
+
+    if (filters.status) {
+      where.status = Array.isArray(filters.status) ? { in: filters.status } : filters.status;
+    }
+
+    return await getStorage().select('consent', {
+      where,
+      order: { column: 'updated_at', ascending: false }
+    });
+  } catch (error) {
+    console.error('Error in getConsentRecords:', error);
+    throw error;
+  }
+}
+
+/**
+ * Set the consent status of a number
+ * @param {string} phoneNumber - WhatsApp JID
+ * @param {string} status - 'subscribed', 'opted_out' or 'blocked'
+ * @param {Object} details - { source: 'customer' | 'staff' | 'system', reason }
+ * @returns {Promise<Object>} Consent record
+ */
+export async function setConsent(phoneNumber, status, details = {}) {
+  try {
+    const data = await getStorage().upsert('consent', {
+      phone_number: phoneNumber,
+      status,
+      source: details.source || 'customer',
+      reason: details.reason || null,
+      updated_at: new Date().toISOString()
+    }, ['phone_number']);
+
+    publish('consent.updated', { consent: data });
+    return data;
+  } catch (error) {
+    console.error('Error in setConsent:', error);
+    throw error;
+  }
+}
+
+// ==================== OUTBOUND MESSAGE OPERATIONS ====================
+
+/**
+ * Add a message to the outbound queue
+ * @param {string} phoneNumber - Recipient WhatsApp JID
+ * @param {Object} content - Message content as sent to WhatsApp
+ * @param {string} sessionId - WhatsApp session to send from
+ * @param {Object} options - { consentNotice } marks the confirmation of an opt-out
+ * @returns {Promise<Object>} Outbound message record
+ */
+export async function createOutboundMessage(phoneNumber, content, sessionId = DEFAULT_SESSION_ID, options = {}) {
+  try {
+    return await insertOne('outbound_messages', {
+      session_id: sessionId,
+      phone_number: phoneNumber,
+      content,
+      consent_notice: Boolean(options.consentNotice),
+      next_attempt_at: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error in createOutboundMessage:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a queued message by id
+ * @param {string} messageId - Outbound message ID
+ * @returns {Promise<Object|null>} Outbound message record, or null if not found
+ */
+export async function getOutboundMessage(messageId) {
+  try {
+    return await findOne('outbound_messages', { id: messageId });
+  } catch (error) {
+    console.error('Error in getOutboundMessage:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get queued messages
+ * Pending messages are returned oldest first (delivery order), others newest first.
+ * @param {Object} filters - Filter criteria (session_id, status, phone_number, limit)
+ * @returns {Promise<Array>} Outbound message records
+ */
+export async function getOutboundMessages(filters = {}) {
+  try {
+    const where = {};
+
+    if (filters.session_id) {
+      where.session_id = filters.session_id;
+    }
+
+    if (filters.status) {
+      where.status = filters.status;
+    }
+
+    if (filters.phone_number) {
+      where.phone_number = filters.phone_number;
+    }
+
+    return await getStorage().select('outbound_messages', {
+      where,
+      order: { column: 'created_at', ascending: filters.status === 'pending' },
+      limit: filters.limit
+    });
+  } catch (error) {
+    console.error('Error in getOutboundMessages:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a queued message
+ * @param {string} messageId - Outbound message ID
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object>} Updated outbound message record
+ */
+export async function updateOutboundMessage(messageId, updates) {
+  try {
+    return await updateOne('outbound_messages', { id: messageId }, {
+      ...updates,
+      updated_at: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error in updateOutboundMessage:', error);
+    throw error;
+  }
+}
+
+// ==================== USER OPERATIONS ====================
+
+/**
+ * Get all dashboard and API users
+ * @returns {Promise<Array>} User records, oldest first
+ */
+export async function getUsers() {
+  try {
+    return await getStorage().select('users', {
+      order: { column: 'created_at', ascending: true }
+    });
+  } catch (error) {
+    console.error('Error in getUsers:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a user by id
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} User record, or null if not found
+ */
+export async function getUser(userId) {
+  try {
+    return await findOne('users', { id: userId });
+  } catch (error) {
+    console.error('Error in getUser:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a user by sign-in email
+ * @param {string} email - Email, lowercase
+ * @returns {Promise<Object|null>} User record, or null if not found
+ */
+export async function getUserByEmail(email) {
+  try {
+    return await findOne('users', { email });
+  } catch (error) {
+    console.error('Error in getUserByEmail:', error);
+    throw error;
+  }
+}
+
+/**
+ * Create a user
+ * @param {Object} user - { email, name, role, password_hash }
+ * @returns {Promise<Object>} Created user record
+ */
+export async function createUser(user) {
+  try {
+    return await insertOne('users', user);
+  } catch (error) {
+    console.error('Error in createUser:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a user
+ * @param {string} userId - User ID
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object>} Updated user record
+ */
+export async function updateUser(userId, updates) {
+  try {
+    return await updateOne('users', { id: userId }, {
+      ...updates,
+      updated_at: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error in updateUser:', error);
+    throw error;
+  }
+}
+
+// ==================== AUTH TOKEN OPERATIONS ====================
+
+/**
+ * Store a sign-in token or API key
+ * @param {Object} token - { user_id, kind, name, token_hash, token_prefix, expires_at }
+ * @returns {Promise<Object>} Created token record
+ */
+export async function createAuthToken(token) {
+  try {
+    return await insertOne('auth_tokens', token);
+  } catch (error) {
+    console.error('Error in createAuthToken:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a token by the hash of its value
+ * @param {string} tokenHash - SHA-256 hash of the token
+ * @returns {Promise<Object|null>} Token record, or null if not found
+ */
+export async function getAuthTokenByHash(tokenHash) {
+  try {
+    return await findOne('auth_tokens', { token_hash: tokenHash });
+  } catch (error) {
+    console.error('Error in getAuthTokenByHash:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the tokens of one kind
+ * @param {Object} filters - Filter criteria (kind, user_id)
+ * @returns {Promise<Array>} Token records, newest first
+ */
+export async function getAuthTokens(filters = {}) {
+  try {
+    const where = {};
+
+    if (filters.kind) {
+      where.kind = filters.kind;
+    }
+
+    if (filters.user_id) {
+      where.user_id = filters.user_id;
+    }
+
+    return await getStorage().select('auth_tokens', {
+      where,
+      order: { column: 'created_at', ascending: false }
+    });
+  } catch (error) {
+    console.error('Error in getAuthTokens:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a token
+ * @param {string} tokenId - Token ID
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<void>}
+ */
+export async function updateAuthToken(tokenId, updates) {
+  try {
+    await getStorage().update('auth_tokens', { id: tokenId }, updates);
+  } catch (error) {
+    console.error('Error in updateAuthToken:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete tokens: one by id, or all tokens of a user (optionally of one kind)
+ * @param {Object} filters - Filter criteria (id, user_id, kind)
+ * @returns {Promise<number>} Number of tokens deleted
+ */
+export async function deleteAuthTokens(filters) {
+  try {
+    if (!filters.id && !filters.user_id) {
+      throw new Error('deleteAuthTokens needs an id or user_id');
+    }
+
+    const where = {};
+
+    if (filters.id) {
+      where.id = filters.id;
+    }
+
+    if (filters.user_id) {
+      where.user_id = filters.user_id;
+    }
+
+    if (filters.kind) {
+      where.kind = filters.kind;
+    }
+
+    const deleted = await getStorage().remove('auth_tokens', where);
+    return deleted.length;
+  } catch (error) {
+    console.error('Error in deleteAuthTokens:', error);
+    throw error;
+  }
+}
+
+// ==================== WEBHOOK OPERATIONS ====================
+
+/**
+ * Get registered webhooks
+ * @param {Object} filters - Filter criteria (active)
+ * @returns {Promise<Array>} Webhook records, oldest first
+ */
+export async function getWebhooks(filters = {}) {
+  try {
+    const where = {};
+
+    if (filters.active !== undefined) {
+      where.active = filters.active;
+    }
+
+    return await getStorage().select('webhooks', {
+      where,
+      order: { column: 'created_at', ascending: true }
+    });
+  } catch (error) {
+    console.error('Error in getWebhooks:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a webhook by id
+ * @param {string} webhookId - Webhook ID
+ * @returns {Promise<Object|null>} Webhook record, or null if not found
+ */
+export async function getWebhook(webhookId) {
+  try {
+    return await findOne('webhooks', { id: webhookId });
+  } catch (error) {
+    console.error('Error in getWebhook:', error);
+    throw error;
+  }
+}
+
+/**
+ * Register a webhook
+ * @param {Object} webhook - { url, events, description, secret, created_by }
+ * @returns {Promise<Object>} Created webhook record
+ */
+export async function createWebhook(webhook) {
+  try {
+    return await insertOne('webhooks', webhook);
+  } catch (error) {
+    console.error('Error in createWebhook:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a webhook
+ * @param {string} webhookId - Webhook ID
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object>} Updated webhook record
+ */
+export async function updateWebhook(webhookId, updates) {
+  try {
+    return await updateOne('webhooks', { id: webhookId }, {
+      ...updates,
+      updated_at: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error in updateWebhook:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a webhook and its delivery log
+ * @param {string} webhookId - Webhook ID
+ * @returns {Promise<void>}
+ */
+export async function deleteWebhook(webhookId) {
+  try {
+    await getStorage().remove('webhooks', { id: webhookId });
+  } catch (error) {
+    console.error('Error in deleteWebhook:', error);
+    throw error;
+  }
+}
+
+/**
+ * Record an event to send to a webhook
+ * @param {Object} delivery - { webhook_id, event, payload }
+ * @returns {Promise<Object>} Created delivery record
+ */
+export async function createWebhookDelivery(delivery) {
+  try {
+    return await insertOne('webhook_deliveries', {
+      ...delivery,
+      next_attempt_at: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error in createWebhookDelivery:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a webhook delivery by id
+ * @param {string} deliveryId - Delivery ID
+ * @returns {Promise<Object|null>} Delivery record, or null if not found
+ */
+export async function getWebhookDelivery(deliveryId) {
+  try {
+    return await findOne('webhook_deliveries', { id: deliveryId });
+  } catch (error) {
+    console.error('Error in getWebhookDelivery:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get webhook deliveries
+ * Pending deliveries are returned oldest first (delivery order), others newest first.
+ * @param {Object} filters - Filter criteria (webhook_id, status, limit)
+ * @returns {Promise<Array>} Delivery records
+ */
+export async function getWebhookDeliveries(filters = {}) {
+  try {
+    const where = {};
+
+    if (filters.webhook_id) {
+      where.webhook_id = filters.webhook_id;
+    }
+
+    if (filters.status) {
+      where.status = filters.status;
+    }
+
+    return await getStorage().select('webhook_deliveries', {
+      where,
+      order: { column: 'created_at', ascending: filters.status === 'pending' },
+      limit: filters.limit
+    });
+  } catch (error) {
+    console.error('Error in getWebhookDeliveries:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a webhook delivery
+ * @param {string} deliveryId - Delivery ID
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object>} Updated delivery record
+ */
+export async function updateWebhookDelivery(deliveryId, updates) {
+  try {
+    return await updateOne('webhook_deliveries', { id: deliveryId }, {
+      ...updates,
+      updated_at: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error in updateWebhookDelivery:', error);
+    throw error;
+  }
+}
+
+// ==================== SETTINGS OPERATIONS ====================
+
+/**
+ * Get a stored setting
+ * @param {string} key - Setting name
+ * @returns {Promise<*>} Setting value, or null if not set
+ */
+export async function getSetting(key) {
+  try {
+    const row = await findOne('settings', { key });
+    return row?.value ?? null;
+  } catch (error) {
+    console.error('Error in getSetting:', error);
+    throw error;
+  }
+}
+
+/**
+ * Store a setting
+ * @param {string} key - Setting name
+ * @param {*} value - Setting value (any JSON value)
+ * @returns {Promise<Object>} Setting record
+ */
+export async function setSetting(key, value) {
+  try {
+    return await getStorage().upsert('settings', {
+      key,
+      value,
+      updated_at: new Date().toISOString()
+    }, ['key']);
+  } catch (error) {
+    console.error('Error in setSetting:', error);
+    throw error;
+  }
+}
+
+// ==================== ANALYTICS OPERATIONS ====================
+
+/**
+ * Get statistics for the dashboard
+ * @returns {Promise<Object>} Statistics object
+ */
+export async function getStatistics() {
+  try {
+    const storage = getStorage();
+
+    // Get total leads
+    const totalLeads = await storage.count('leads');
+
+    // Get converted leads
+    const convertedLeads = await storage.count('leads', { status: 'converted' });
+
+    // Get leads needing human agent
+    const needsAgent = await storage.count('leads', { needs_human_agent: true });
+
+    // Get total orders
+    const totalOrders = await storage.count('orders');
+
+    // Variants running low on stock
+    const lowStock = await getLowStockItems();
+
+    // Count leads per checkout stage
+    const stageRows = await storage.select('leads', { columns: ['stage'] });
+
+    const stages = {};
+    for (const row of stageRows) {
+      const stage = row.stage || 'discovery';
+      stages[stage] = (stages[stage] || 0) + 1;
+    }
 
     return {
       total_leads: totalLeads || 0,
       converted_count: convertedLeads || 0,
       needs_human_agent: needsAgent || 0,
       total_orders: totalOrders || 0,
+      stages,
+      low_stock: lowStock.map(row => ({
+        product_id: row.product_id,
+        size: row.size || null,
+        color: row.color || null,
+        quantity: row.quantity,
+        low_stock_threshold: row.low_stock_threshold
+      })),
       conversion_rate: totalLeads > 0 ? ((convertedLeads / totalLeads) * 100).toFixed(2) : 0
     };
   } catch (error) {
@@ -364,12 +1455,62 @@ export default {
   getOrCreateLead,
   updateLead,
   markForHumanAgent,
+  returnToBot,
+  getLeadByPhone,
+  getAgentQueue,
   getLeads,
+  getFollowUpCandidates,
   saveChatMessage,
   getChatHistory,
   clearChatHistory,
   createOrder,
   getOrders,
   updateOrderStatus,
+  getInventory,
+  setStockLevel,
+  adjustStock,
+  getLowStockItems,
+  getProducts,
+  getProduct,
+  createProduct,
+  updateProduct,
+  deleteProduct,
+  insertProducts,
+  createCampaign,
+  getCampaigns,
+  getCampaign,
+  updateCampaign,
+  getCampaignRecipients,
+  getCampaignStats,
+  updateCampaignRecipient,
+  markCampaignReplies,
+  getConsent,
+  getConsentRecords,
+  setConsent,
+  createOutboundMessage,
+  getOutboundMessage,
+  getOutboundMessages,
+  updateOutboundMessage,
+  getUsers,
+  getUser,
+  getUserByEmail,
+  createUser,
+  updateUser,
+  createAuthToken,
+  getAuthTokenByHash,
+  getAuthTokens,
+  updateAuthToken,
+  deleteAuthTokens,
+  getWebhooks,
+  getWebhook,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  createWebhookDelivery,
+  getWebhookDelivery,
+  getWebhookDeliveries,
+  updateWebhookDelivery,
+  getSetting,
+  setSetting,
   getStatistics
 };
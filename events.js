@@ -0,0 +1,90 @@
+import { EventEmitter } from 'events';
+
+/**
+ * In-process event bus for WhatsApp Sales Auto-Closer
+ * database.js and whatsapp.js publish what happens (messages, leads, orders,
+ * campaigns, opt-outs, connection changes); the /api/events stream forwards it to dashboards
+ * and webhooks.js to registered webhook URLs.
+ *
+ * Every event gets an increasing id, and the most recent ones are kept so a
+ * reconnecting client can catch up from its Last-Event-ID.
+ */
+
+export const EVENT_TYPES = [
+  'message.received',
+  'message.sent',
+  'lead.created',
+  'lead.updated',
+  'agent.requested',
+  'order.created',
+  'order.status_changed',
+  'campaign.updated',
+  'consent.updated',
+  'outbox.updated',
+  'whatsapp.connection'
+];
+
+const HISTORY_SIZE = parseInt(process.env.EVENT_HISTORY_SIZE || '200');
+
+const emitter = new EventEmitter();
+// Every open dashboard tab is a listener
+emitter.setMaxListeners(0);
+
+const history = [];
+let lastId = 0;
+
+/**
+ * Publish an event to all subscribers
+ * Listener errors are logged and never reach the publisher.
+ * @param {string} type - One of EVENT_TYPES
+ * @param {Object} data - Event payload
+ * @returns {Object} Published event ({ id, type, data, timestamp })
+ */
+export function publish(type, data = {}) {
+  const event = {
+    id: ++lastId,
+    type,
+    data,
+    timestamp: new Date().toISOString()
+  };
+
+  history.push(event);
+  if (history.length > HISTORY_SIZE) history.shift();
+
+  emitter.emit('event', event);
+  return event;
+}
+
+/**
+ * Subscribe to all events
+ * @param {Function} listener - Called with each event
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribe(listener) {
+  const safeListener = (event) => {
+    try {
+      listener(event);
+    } catch (error) {
+      console.error('Error in event listener:', error);
+    }
+  };
+
+  emitter.on('event', safeListener);
+  return () => emitter.off('event', safeListener);
+}
+
+/**
+ * Get the kept events published after an id
+ * @param {number} id - Last event id the client saw
+ * @returns {Array} Events, oldest first
+ */
+export function getEventsSince(id) {
+  return history.filter(event => event.id > id);
+}
+
+export default {
+  EVENT_TYPES,
+  publish,
+  subscribe,
+  getEventsSince
+};
@@ -0,0 +1,308 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Customer detail extraction for WhatsApp Sales Auto-Closer
+ * Pulls name, city, address, pincode and alternate phone out of customer
+ * messages written in English, Hindi (Devanagari), Gujarati or romanised
+ * Hinglish/Gujlish. Cities are only accepted when they appear in the
+ * bundled gazetteer (cities.json), which also maps pincodes to cities.
+ */
+
+const { cities: CITIES } = JSON.parse(fs.readFileSync(path.join(__dirname, 'cities.json'), 'utf-8'));
+
+// Letters and combining marks, so Devanagari and Gujarati words stay whole
+const WORD = '[\\p{L}\\p{M}]+';
+const NAME = `(${WORD}(?:\\s+${WORD}){0,2})`;
+
+// Postpositions glued to a city name ("સુરતથી", "suratma")
+const CITY_SUFFIX = '(?:થી|માં|મા|નો|ની|નું|ના|thi|ma|maa)?';
+
+/**
+ * Words that end a name ("Rahul and ...", "Rahul hai", "राहुल है")
+ * and words that are never names ("I am looking ...", "main theek hoon")
+ */
+const NOT_NAME = new Set([
+  // English
+  'and', 'from', 'in', 'at', 'of', 'i', 'im', 'my', 'me', 'city', 'here', 'is', 'the', 'a', 'an', 'to',
+  'looking', 'interested', 'fine', 'good', 'ok', 'okay', 'not', 'going', 'ready', 'trying', 'searching',
+  'buying', 'new', 'back', 'very', 'so', 'just', 'also', 'still', 'sure', 'happy', 'glad', 'sorry',
+  'thinking', 'waiting', 'planning', 'asking', 'available', 'busy', 'done', 'coming', 'getting', 'want',
+  'willing', 'able', 'really', 'only', 'your', 'customer', 'living', 'staying', 'based', 'there', 'well',
+  'yes', 'no', 'yeah', 'yep', 'nope', 'please', 'thanks', 'thank', 'you', 'sir', 'madam', 'hi', 'hello',
+  'hey', 'what', 'why', 'how', 'when', 'where', 'nice', 'great', 'cool', 'perfect', 'too', 'price',
+  'size', 'color', 'colour', 'order', 'confirm', 'agent', 'human', 'cancel', 'stop', 'later', 'on',
+  'now', 'today', 'tomorrow',
+  // Hindi / Hinglish
+  'aur', 'hai', 'hain', 'hu', 'hoon', 'hun', 'se', 'mein', 'me', 'ka', 'ki', 'ke', 'kya', 'batao', 'bolo',
+  'theek', 'thik', 'accha', 'acha', 'achha', 'sahi', 'yaha', 'yahan', 'wala', 'wali', 'haan', 'ha', 'han',
+  'nahi', 'nahin', 'na', 'ji', 'bhai', 'dhanyavad', 'shukriya',
+  // Gujarati / Gujlish
+  'ane', 'che', 'chhe', 'chu', 'chhu', 'chun', 'chhun', 'thi', 'ma', 'maa', 'majama', 'saru', 'barabar',
+  // Devanagari
+  'और', 'है', 'हूँ', 'हूं', 'हु', 'से', 'में', 'का', 'की', 'के', 'क्या', 'ठीक', 'अच्छा', 'यहाँ', 'हाँ',
+  'हां', 'नहीं', 'जी', 'धन्यवाद',
+  // Gujarati script
+  'અને', 'છે', 'છું', 'છુ', 'થી', 'માં', 'શું', 'મજામાં', 'સારું', 'બરાબર', 'હા', 'ના', 'આભાર'
+]);
+
+// Explicit name phrases; the captured words are trimmed at the first NOT_NAME word
+const NAME_PATTERNS = [
+  // English
+  new RegExp(`\\bmy name(?:'s| is)\\s+${NAME}`, 'iu'),
+  new RegExp(`\\bname\\s*(?:is|:|-)\\s*${NAME}`, 'iu'),
+  new RegExp(`\\bcall me\\s+${NAME}`, 'iu'),
+  new RegExp(`\\b(?:i'm|i’m|i am|im)\\s+${NAME}`, 'iu'),
+  new RegExp(`^(?:hi|hello|hey)?[\\s,!]*this is\\s+${NAME}`, 'iu'),
+  // Hinglish / Gujlish
+  new RegExp(`\\b(?:mera|meraa|maru|maaru|mharu)\\s+(?:naam|nam|name)\\s+(?:hai\\s+|che\\s+|chhe\\s+)?${NAME}`, 'iu'),
+  new RegExp(`\\b(?:naam|nam)\\s*[:\\-]\\s*${NAME}`, 'iu'),
+  new RegExp(`\\b(?:main|mai|mein)\\s+${NAME}\\s+(?:hoon|hun|hu|hoo)\\b`, 'iu'),
+  new RegExp(`\\b(?:hu|hun)\\s+${NAME}\\s+(?:chu|chhu|chun|chhun)\\b`, 'iu'),
+  // Devanagari
+  new RegExp(`(?:मेरा|मेरी)\\s+नाम\\s+(?:है\\s+)?${NAME}`, 'u'),
+  new RegExp(`नाम\\s*[:\\-]\\s*${NAME}`, 'u'),
+  new RegExp(`मैं\\s+${NAME}\\s+(?:हूँ|हूं|हु)`, 'u'),
+  // Gujarati
+  new RegExp(`(?:મારું|મારુ)\\s+નામ\\s+(?:છે\\s+)?${NAME}`, 'u'),
+  new RegExp(`નામ\\s*[:\\-]\\s*${NAME}`, 'u'),
+  new RegExp(`હું\\s+${NAME}\\s+(?:છું|છુ)`, 'u')
+];
+
+// Text following an address keyword
+const ADDRESS_PATTERNS = [
+  /\b(?:address|addr)\s*(?:is|:|-)?\s*[:\-]?\s*(.+)/iu,
+  /\b(?:pata|patta|sarnamu|saranamu)\s*[:\-]\s*(.+)/iu,
+  /(?:मेरा\s+पता|पता\s*[:\-])\s*(?:है\s*)?[:\-]?\s*(.+)/u,
+  /સરનામું\s*(?:છે\s*)?[:\-]?\s*(.+)/u
+];
+
+// Words that mark a message as an address even without a keyword
+const ADDRESS_MARKERS = /\b(?:flat|house|h\.?\s?no|plot|street|road|rd|lane|nagar|society|soc|sector|colony|apartment|apt|near|opp|opposite|floor|chawl|gali|mohalla)\b|मकान|गली|रोड|नगर|मोहल्ला|सोसाइटी|ફ્લેટ|સોસાયટી|રોડ|નગર|શેરી/iu;
+
+// Prompts that ask for the customer's name
+const NAME_QUESTION = /\bname\b|\bnaam\b|नाम|નામ/iu;
+
+const MAX_ADDRESS_LENGTH = 300;
+
+/**
+ * Replace Devanagari and Gujarati digits with ASCII digits
+ * @param {string} text - Input text
+ * @returns {string} Text with ASCII digits
+ */
+export function normalizeDigits(text) {
+  return text.replace(/[०-९૦-૯]/g, digit => {
+    const code = digit.codePointAt(0);
+    return String(code - (code >= 0x0AE6 ? 0x0AE6 : 0x0966));
+  });
+}
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// One matcher per gazetteer spelling, longest first so "New Delhi" beats "Delhi"
+const CITY_MATCHERS = CITIES
+  .flatMap(city => [city.name, ...city.aliases].map(alias => ({ alias, city })))
+  .sort((a, b) => b.alias.length - a.alias.length)
+  .map(({ alias, city }) => ({
+    city,
+    pattern: new RegExp(
+      `(?<![\\p{L}\\p{M}])${escapeRegExp(alias).replace(/\s+/g, '\\s+')}${CITY_SUFFIX}(?![\\p{L}\\p{M}])`,
+      'iu'
+    )
+  }));
+
+/**
+ * Find a gazetteer city mentioned in text
+ * @param {string} text - Text to search
+ * @returns {Object|null} { name, state, pincodes, index, length } of the earliest mention
+ */
+export function findCity(text) {
+  let found = null;
+
+  for (const { city, pattern } of CITY_MATCHERS) {
+    const match = pattern.exec(text);
+    if (match && (!found || match.index < found.index)) {
+      found = { ...city, index: match.index, length: match[0].length };
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Look up the city a pincode belongs to
+ * @param {string} pincode - Six-digit Indian pincode
+ * @returns {Object|null} Gazetteer city, or null when unknown
+ */
+export function lookupPincode(pincode) {
+  const prefix = String(pincode).slice(0, 3);
+  return CITIES.find(city => city.pincodes.includes(prefix)) || null;
+}
+
+/**
+ * Check whether a word can be part of a name
+ * @param {string} word - Word
+ * @returns {boolean} True if the word is not a connector, filler or city
+ */
+function isNameWord(word) {
+  return !NOT_NAME.has(word.toLowerCase()) && !findCity(word);
+}
+
+/**
+ * Turn captured words into a name, stopping at the first non-name word
+ * @param {string} captured - Words captured after a name phrase
+ * @returns {string|null} Name, or null when the first word is not a name
+ */
+function cleanName(captured) {
+  const words = [];
+
+  for (const word of captured.split(/\s+/)) {
+    if (!isNameWord(word)) break;
+    words.push(word);
+  }
+
+  if (words.length === 0) return null;
+
+  // Capitalise romanised names; Indic scripts have no case
+  return words
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+    .join(' ');
+}
+
+/**
+ * Find the customer's name in a message
+ * @param {string} message - Customer message
+ * @param {string} remainder - Message with city, pincode and phone removed
+ * @param {boolean} nameAsked - Whether the bot just asked for the name
+ * @returns {string|null} Name
+ */
+function extractName(message, remainder, nameAsked) {
+  for (const pattern of NAME_PATTERNS) {
+    const match = pattern.exec(message);
+    if (match) {
+      const name = cleanName(match[1]);
+      if (name) return name;
+    }
+  }
+
+  // A bare reply to "your name and city?" ("Rahul, Surat" / "राहुल सूरत"),
+  // trusted only when it also carried a city, pincode or phone
+  if (nameAsked && remainder !== message) {
+    const words = remainder.split(/[\s,.;!\-]+/).filter(Boolean);
+    const allLetters = words.every(word => new RegExp(`^${WORD}$`, 'u').test(word));
+
+    if (words.length > 0 && words.length <= 3 && allLetters && words.every(isNameWord)) {
+      return cleanName(words.join(' '));
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find a shipping address in a message
+ * @param {string} message - Customer message
+ * @param {string|null} pincode - Pincode found in the message
+ * @param {string|null} phone - Phone number text found in the message
+ * @returns {string|null} Address
+ */
+function extractAddress(message, pincode, phone) {
+  let address = null;
+
+  for (const pattern of ADDRESS_PATTERNS) {
+    const match = pattern.exec(message);
+    if (match) {
+      address = match[1];
+      break;
+    }
+  }
+
+  // A message with a pincode and street-like words is an address on its own
+  if (!address && pincode && ADDRESS_MARKERS.test(message)) {
+    address = message;
+  }
+
+  // Real addresses carry a house number or pincode; this skips questions
+  // like "what is the address of your shop?"
+  if (!address || !/\d/.test(address)) return null;
+
+  // Drop a phone number given alongside the address ("..., alternate no 98250 12345")
+  if (phone) {
+    address = address
+      .replace(phone, ' ')
+      .replace(/[\s,.]*(?:alt(?:ernate)?\s*)?(?:phone|mobile|mob|contact|number|no\.?)?[\s:\-]*$/i, '');
+  }
+
+  address = address.replace(/\s+/g, ' ').replace(/^[\s,:\-]+|[\s,.]+$/g, '');
+  return address.slice(0, MAX_ADDRESS_LENGTH);
+}
+
+/**
+ * Extract customer information from conversation
+ * @param {string} message - Customer message
+ * @param {Array} chatHistory - Previous chat history
+ * @returns {Object} Extracted information (name, city, state, address, pincode, alternate_phone)
+ */
+export function extractCustomerInfo(message, chatHistory = []) {
+  const text = normalizeDigits(String(message || '')).normalize('NFC');
+
+  const info = {
+    name: null,
+    city: null,
+    state: null,
+    address: null,
+    pincode: null,
+    alternate_phone: null
+  };
+
+  // Indian mobile numbers: optional +91/0, ten digits starting 6-9
+  const phoneMatch = /(?<!\d)(?:\+?91[\s-]?|0)?([6-9]\d{4})[\s-]?(\d{5})(?!\d)/.exec(text);
+  if (phoneMatch) {
+    info.alternate_phone = phoneMatch[1] + phoneMatch[2];
+  }
+
+  // Pincodes: six digits, or "pin 395 007" with a space
+  const pincodeMatch = /(?<!\d)([1-8]\d{5})(?!\d)/.exec(text.replace(phoneMatch?.[0] || '\u0000', ' '))
+    || /\b(?:pin|pincode|pin code)\s*[:\-]?\s*([1-8]\d{2})\s(\d{3})(?!\d)/i.exec(text);
+  if (pincodeMatch) {
+    info.pincode = pincodeMatch.slice(1).join('');
+  }
+
+  const city = findCity(text) || (info.pincode && lookupPincode(info.pincode));
+  if (city) {
+    info.city = city.name;
+    info.state = city.state;
+  }
+
+  // What is left once the other details are taken out may be a bare name
+  let remainder = text;
+  if (city?.length) remainder = remainder.slice(0, city.index) + ' ' + remainder.slice(city.index + city.length);
+  if (phoneMatch) remainder = remainder.replace(phoneMatch[0], ' ');
+  if (pincodeMatch) remainder = remainder.replace(pincodeMatch[0], ' ');
+
+  const lastReply = [...chatHistory].reverse().find(msg => msg.role !== 'user');
+  const nameAsked = NAME_QUESTION.test(lastReply?.message || lastReply?.content || '');
+
+  info.name = extractName(text, remainder, nameAsked);
+  info.address = extractAddress(text, info.pincode, phoneMatch?.[0]);
+
+  return info;
+}
+
+export default {
+  extractCustomerInfo,
+  findCity,
+  lookupPincode,
+  normalizeDigits
+};
@@ -0,0 +1,283 @@
+import fs from 'fs';
+import {
+  getFollowUpCandidates,
+  getLeadByPhone,
+  getChatHistory,
+  saveChatMessage,
+  updateLead
+} from './database.js';
+import { sendMessage, isWhatsAppConnected } from './whatsapp.js';
+import { generateFollowUp } from './ai.js';
+import { loadProducts } from './catalog.js';
+import { getAvailableProducts } from './inventory.js';
+import { getUnreachableNumbers, ConsentError } from './consent.js';
+import { getSessionConfig, filterCatalogForSession } from './sessions.js';
+import { getPreferredLanguage, t } from './i18n.js';
+
+/**
+ * Follow-ups for leads that go quiet
+ * A background runner walks every silent lead through an ordered list of
+ * rules, measured from the customer's last message: send a nudge, send a
+ * reminder, and finally mark the lead lost. The step reached is stored on
+ * the lead, and any message from the customer resets it to the start.
+ */
+
+export const FOLLOWUP_ACTIONS = ['message', 'mark_lost'];
+
+export const FOLLOWUP_STYLES = ['ai', 'template'];
+
+// Used unless FOLLOWUP_RULES_FILE points to a JSON array of rules
+export const DEFAULT_FOLLOWUP_RULES = [
+  { name: 'nudge', after_hours: 4, action: 'message', style: 'ai', template: 'followupNudge' },
+  { name: 'reminder', after_hours: 24, action: 'message', style: 'template', template: 'followupReminder' },
+  { name: 'lost', after_hours: 168, action: 'mark_lost' }
+];
+
+const ENABLED = process.env.FOLLOWUPS_ENABLED !== 'false';
+const TICK_MS = parseInt(process.env.FOLLOWUP_TICK_MS || '60000');
+
+// Messages the AI reads to write a follow-up
+const HISTORY_LIMIT = 10;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+let rules = null;
+let timer = null;
+let busy = false;
+
+/**
+ * Check follow-up rules and sort them by delay
+ * @param {Array} input - Rules ({ name, after_hours, action, style, template })
+ * @returns {Array} Validated rules, earliest first
+ */
+export function validateFollowUpRules(input) {
+  if (!Array.isArray(input) || input.length === 0) {
+    throw new Error('Follow-up rules must be a non-empty array');
+  }
+
+  const validated = input.map((rule, index) => {
+    const name = rule.name || `rule ${index + 1}`;
+
+    if (!(Number(rule.after_hours) > 0)) {
+      throw new Error(`Follow-up rule "${name}": after_hours must be a positive number`);
+    }
+    if (!FOLLOWUP_ACTIONS.includes(rule.action)) {
+      throw new Error(`Follow-up rule "${name}": action must be one of ${FOLLOWUP_ACTIONS.join(', ')}`);
+    }
+    if (rule.action === 'message') {
+      if (!FOLLOWUP_STYLES.includes(rule.style || 'template')) {
+        throw new Error(`Follow-up rule "${name}": style must be one of ${FOLLOWUP_STYLES.join(', ')}`);
+      }
+      // Unknown templates fail now rather than when the first lead goes quiet
+      t(rule.template || 'followupNudge');
+      t(`${rule.template || 'followupNudge'}NoProduct`);
+    }
+
+    return {
+      name,
+      after_hours: Number(rule.after_hours),
+      action: rule.action,
+      style: rule.style || 'template',
+      template: rule.template || 'followupNudge'
+    };
+  });
+
+  return validated.sort((a, b) => a.after_hours - b.after_hours);
+}
+
+/**
+ * Get the configured follow-up rules
+ * @returns {Array} Rules, earliest first
+ */
+export function getFollowUpRules() {
+  if (!rules) {
+    const file = process.env.FOLLOWUP_RULES_FILE;
+    rules = validateFollowUpRules(file ? JSON.parse(fs.readFileSync(file, 'utf-8')) : DEFAULT_FOLLOWUP_RULES);
+  }
+  return rules;
+}
+
+/**
+ * Find the rule a lead is due for
+ * When several rules are overdue (e.g. after downtime) only the latest one
+ * applies, so a customer never gets a nudge and a reminder back to back.
+ * @param {Object} lead - Lead record
+ * @param {Array} ruleList - Rules, earliest first
+ * @param {Date} now - Current time
+ * @returns {number} Index of the due rule, or -1
+ */
+export function findDueRule(lead, ruleList, now = new Date()) {
+  const silentHours = (now - new Date(lead.last_message_at)) / HOUR_MS;
+  let due = -1;
+
+  for (let index = lead.followup_step || 0; index < ruleList.length; index++) {
+    if (ruleList[index].after_hours <= silentHours) due = index;
+  }
+
+  return due;
+}
+
+/**
+ * Find the product a conversation was about
+ * The checkout's product wins; otherwise the last product card or
+ * recommendation the bot sent. Sold-out products are not mentioned.
+ * @param {Object} lead - Lead record
+ * @param {Array} chatHistory - Recent messages, oldest first
+ * @param {Array} products - Available products
+ * @returns {Object|null} Product
+ */
+function findDiscussedProduct(lead, chatHistory, products) {
+  const ids = [lead.checkout?.product_id];
+
+  for (const msg of [...chatHistory].reverse()) {
+    ids.push(msg.metadata?.productCard?.id, msg.metadata?.relevantProducts?.[0]?.id);
+  }
+
+  const id = ids.find(candidate => candidate && products.some(product => product.id === candidate));
+  return products.find(product => product.id === id) || null;
+}
+
+/**
+ * Write the text of a follow-up message
+ * AI-style rules fall back to the template when the model fails.
+ * @param {Object} rule - Follow-up rule
+ * @param {Array} chatHistory - Recent messages, oldest first
+ * @param {Object|null} product - Product the conversation was about
+ * @param {string} language - Lead's language code
+ * @returns {Promise<string>} Message text
+ */
+async function composeFollowUp(rule, chatHistory, product, language) {
+  if (rule.style === 'ai') {
+    try {
+      return await generateFollowUp(chatHistory, product, language);
+    } catch (error) {
+      console.error(`AI follow-up failed, using the "${rule.template}" template:`, error.message);
+    }
+  }
+
+  return product
+    ? t(rule.template, language, { product: product.name })
+    : t(`${rule.template}NoProduct`, language);
+}
+
+/**
+ * Apply one follow-up rule to a lead
+ * @param {Object} lead - Lead record
+ * @param {Object} rule - Follow-up rule
+ * @param {number} step - Index of the rule
+ * @returns {Promise<void>}
+ */
+async function applyRule(lead, rule, step) {
+  const progress = { followup_step: step + 1, followup_at: new Date().toISOString() };
+
+  if (rule.action === 'mark_lost') {
+    await updateLead(lead.id, { ...progress, status: 'lost' });
+    console.log(`💤 Lead ${lead.phone_number} marked lost after ${rule.after_hours}h of silence`);
+    return;
+  }
+
+  const chatHistory = await getChatHistory(lead.phone_number, HISTORY_LIMIT, lead.session_id);
+
+  // Only follow up when the shop spoke last; an unanswered customer message is not a silent lead
+  const last = chatHistory[chatHistory.length - 1];
+  if (!last || last.role === 'user') {
+    await updateLead(lead.id, progress);
+    return;
+  }
+
+  const catalog = filterCatalogForSession(await loadProducts(), getSessionConfig(lead.session_id));
+  const { products } = await getAvailableProducts(catalog);
+  const product = findDiscussedProduct(lead, chatHistory, products);
+  const language = getPreferredLanguage(lead);
+  const text = await composeFollowUp(rule, chatHistory, product, language);
+
+  // The customer may have written while the message was being written
+  const current = await getLeadByPhone(lead.phone_number, lead.session_id);
+  if (current?.last_message_at !== lead.last_message_at || current.needs_human_agent) return;
+
+  try {
+    await sendMessage(lead.phone_number, text, lead.session_id);
+  } catch (error) {
+    // Opted out since the candidates were loaded: skip this rule for good
+    if (error instanceof ConsentError) {
+      await updateLead(lead.id, progress);
+      return;
+    }
+    throw error;
+  }
+
+  await saveChatMessage(lead.id, lead.phone_number, 'assistant', text, { followUp: rule.name, language }, null, lead.session_id);
+  await updateLead(lead.id, progress);
+  console.log(`⏰ Sent "${rule.name}" follow-up to ${lead.phone_number}`);
+}
+
+/**
+ * Apply every follow-up that is due
+ * Ticks never overlap. Messages wait while WhatsApp is disconnected;
+ * marking leads lost does not.
+ * @returns {Promise<void>}
+ */
+export async function processFollowUps() {
+  if (busy) return;
+  busy = true;
+
+  try {
+    const ruleList = getFollowUpRules();
+    const now = new Date();
+    const before = new Date(now - ruleList[0].after_hours * HOUR_MS).toISOString();
+
+    const [candidates, unreachable] = await Promise.all([
+      getFollowUpCandidates(before, ruleList.length),
+      getUnreachableNumbers()
+    ]);
+
+    for (const lead of candidates) {
+      if (lead.stage === 'ordered' || unreachable.has(lead.phone_number)) continue;
+
+      const step = findDueRule(lead, ruleList, now);
+      if (step === -1) continue;
+      if (ruleList[step].action === 'message' && !isWhatsAppConnected(lead.session_id)) continue;
+
+      try {
+        await applyRule(lead, ruleList[step], step);
+      } catch (error) {
+        console.error(`Error following up with ${lead.phone_number}:`, error);
+      }
+    }
+  } catch (error) {
+    console.error('Error processing follow-ups:', error);
+  } finally {
+    busy = false;
+  }
+}
+
+/**
+ * Start the background follow-up runner (unless FOLLOWUPS_ENABLED=false)
+ */
+export function startFollowUpRunner() {
+  if (timer || !ENABLED) return;
+
+  getFollowUpRules();
+  timer = setInterval(processFollowUps, TICK_MS);
+  processFollowUps();
+}
+
+/**
+ * Stop the background follow-up runner
+ */
+export function stopFollowUpRunner() {
+  clearInterval(timer);
+  timer = null;
+}
+
+export default {
+  FOLLOWUP_ACTIONS,
+  FOLLOWUP_STYLES,
+  DEFAULT_FOLLOWUP_RULES,
+  validateFollowUpRules,
+  getFollowUpRules,
+  findDueRule,
+  processFollowUps,
+  startFollowUpRunner,
+  stopFollowUpRunner
+};
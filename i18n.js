@@ -0,0 +1,207 @@
+/**
+ * Language support for WhatsApp Sales Auto-Closer
+ * Detects whether a customer writes in English, Hindi or Gujarati and holds
+ * the localized text of every reply that does not come from the model
+ * (agent handoff, error fallbacks, order summaries, opt-out confirmations,
+ * follow-ups).
+ */
+
+export const LANGUAGES = ['en', 'hi', 'gu'];
+
+export const DEFAULT_LANGUAGE = 'en';
+
+export const LANGUAGE_NAMES = {
+  en: 'English',
+  hi: 'Hindi',
+  gu: 'Gujarati'
+};
+
+// Romanised words that mark Hinglish or Gujlish ("mujhe shirt chahiye", "mane joie che")
+const ROMANISED_MARKERS = {
+  hi: new Set([
+    'mujhe', 'muje', 'chahiye', 'chaiye', 'kya', 'hai', 'hain', 'nahi', 'nahin', 'kitna', 'kitne', 'kaisa',
+    'kaise', 'kripya', 'dikhao', 'batao', 'bhai', 'acha', 'accha', 'theek', 'thik', 'haan', 'aap', 'aapka',
+    'mera', 'meri', 'mere', 'kahan', 'abhi', 'wala', 'wali', 'hoon', 'karo', 'dijiye'
+  ]),
+  gu: new Set([
+    'che', 'chhe', 'joie', 'joiye', 'mane', 'tame', 'tamaru', 'maru', 'kem', 'shu', 'nathi', 'levu',
+    'kevi', 'ketla', 'ketlu', 'majama', 'saru', 'aapo', 'moklo', 'chu', 'chhu', 'hatu', 'karo', 'bhai'
+  ])
+};
+
+// Share of romanised words that must be markers before a message counts as Hinglish/Gujlish
+const MARKER_RATIO = 0.25;
+
+// Latin-only messages shorter than this ("ok", "yes pls") don't reveal a language
+const MIN_ENGLISH_WORDS = 3;
+
+const MESSAGES = {
+  en: {
+    agentHandoff: "I understand you'd like to speak with a human agent. I've flagged your conversation, and someone from our team will contact you shortly. Is there anything else I can help you with in the meantime?",
+    agentPending: 'A human agent will contact you soon! 👋',
+    fallback: "I'm having a little trouble right now. Could you please repeat that? 😊",
+    technicalDifficulties: "Sorry, I'm having technical difficulties. Please try again in a moment. 😊",
+    orderSummaryTitle: '🧾 Order summary',
+    orderSize: 'Size {size}',
+    orderTotal: 'Total: {total}',
+    orderName: 'Name: {name}',
+    orderCity: 'City: {city}',
+    orderConfirmPrompt: 'Reply YES to confirm, or tell me what to change.',
+    orderConfirmed: "✅ Order confirmed! We'll deliver your {product} to {city} soon. Thank you, {name}!",
+    mediaPhoto: "Thanks for the photo! 😊 Which product is it — tell me the item, size or color and I'll check it for you.",
+    mediaVoiceNote: "Sorry, I can't listen to voice notes yet. Could you please type your message? 🙏",
+    mediaDocument: "Thanks, we've received your document. Our team will take a look.",
+    locationReceived: "Thanks, I've saved your location 📍 for delivery.",
+    contactReceived: "Thanks, I've saved this number as your alternate contact for delivery.",
+    productSizes: 'Sizes: {sizes}',
+    productColors: 'Colors: {colors}',
+    choiceSize: 'Pick a size — reply with its number:',
+    choiceColor: 'Pick a color — reply with its number:',
+    choiceConfirmYes: '✅ Yes, confirm',
+    choiceConfirmChange: '✏️ Change something',
+    choiceButton: 'Choose',
+    optedOut: "You've been unsubscribed and won't receive any more messages from us. Reply START if you change your mind.",
+    optedIn: "Welcome back! You'll receive our messages again. 😊 How can I help you?",
+    followupNudge: 'Still thinking about the {product}? 😊 Happy to help with sizes, colors or anything else.',
+    followupNudgeNoProduct: 'Still there? 😊 Let me know if you have any questions — happy to help.',
+    followupReminder: 'Just a reminder: the {product} you were looking at is still available. Reply anytime and I can place the order for you. 🛍️',
+    followupReminderNoProduct: "Just checking in — if you're still looking for something, reply anytime and I'll help you find it. 🛍️",
+    rateLimited: "You're sending messages faster than we can answer. 🙏 Please wait a minute and send your question in one message."
+  },
+  hi: {
+    agentHandoff: 'समझ गया, आप हमारी टीम से बात करना चाहते हैं। मैंने आपकी बातचीत आगे भेज दी है, हमारी टीम शीघ्र आपसे संपर्क करेगी। तब तक क्या मैं आपकी कोई और मदद कर सकता हूँ?',
+    agentPending: 'हमारी टीम शीघ्र आपसे संपर्क करेगी! 👋',
+    fallback: 'अभी थोड़ी दिक्कत हो रही है। क्या आप कृपया दोबारा लिख सकते हैं? 😊',
+    technicalDifficulties: 'क्षमा करें, अभी तकनीकी समस्या है। कृपया थोड़ी देर में फिर से प्रयास करें। 😊',
+    orderSummaryTitle: '🧾 ऑर्डर विवरण',
+    orderSize: 'साइज़ {size}',
+    orderTotal: 'कुल: {total}',
+    orderName: 'नाम: {name}',
+    orderCity: 'शहर: {city}',
+    orderConfirmPrompt: 'पुष्टि के लिए "हाँ" लिखें, या बताइए क्या बदलना है।',
+    orderConfirmed: '✅ ऑर्डर पक्का हो गया! आपका {product} जल्द ही {city} पहुँचा देंगे। धन्यवाद, {name}!',
+    mediaPhoto: 'फ़ोटो के लिए धन्यवाद! 😊 कौन सा प्रोडक्ट चाहिए — नाम, साइज़ या रंग बताइए, मैं देख लेता हूँ।',
+    mediaVoiceNote: 'क्षमा करें, मैं अभी वॉइस नोट नहीं सुन सकता। कृपया अपना संदेश लिखकर भेजें। 🙏',
+    mediaDocument: 'धन्यवाद, आपका दस्तावेज़ मिल गया है। हमारी टीम इसे देख लेगी।',
+    locationReceived: 'धन्यवाद, डिलीवरी के लिए आपकी लोकेशन 📍 सेव कर ली है।',
+    contactReceived: 'धन्यवाद, यह नंबर डिलीवरी के लिए दूसरे संपर्क के रूप में सेव कर लिया है।',
+    productSizes: 'साइज़: {sizes}',
+    productColors: 'रंग: {colors}',
+    choiceSize: 'साइज़ चुनें — उसका नंबर लिखें:',
+    choiceColor: 'रंग चुनें — उसका नंबर लिखें:',
+    choiceConfirmYes: '✅ हाँ, पक्का करें',
+    choiceConfirmChange: '✏️ कुछ बदलना है',
+    choiceButton: 'चुनें',
+    optedOut: 'आपको अनसब्सक्राइब कर दिया गया है, अब हम आपको कोई संदेश नहीं भेजेंगे। दोबारा संदेश पाने के लिए "शुरू" या START लिखें।',
+    optedIn: 'फिर से स्वागत है! अब आपको हमारे संदेश फिर से मिलेंगे। 😊 बताइए, मैं आपकी क्या मदद करूँ?',
+    followupNudge: 'क्या आप अभी भी {product} के बारे में सोच रहे हैं? 😊 साइज़, रंग या किसी भी सवाल में मदद कर सकता हूँ।',
+    followupNudgeNoProduct: 'क्या आप अभी भी यहाँ हैं? 😊 कोई सवाल हो तो बताइए, मैं मदद करूँगा।',
+    followupReminder: 'याद दिला दूँ: आपने जो {product} देखा था, वह अभी उपलब्ध है। जब चाहें जवाब दें, मैं ऑर्डर कर दूँगा। 🛍️',
+    followupReminderNoProduct: 'बस पूछना चाहता था — अगर आप अभी भी कुछ ढूँढ रहे हैं, तो जब चाहें जवाब दें, मैं मदद करूँगा। 🛍️',
+    rateLimited: 'आप बहुत तेज़ी से संदेश भेज रहे हैं, हम इतनी जल्दी जवाब नहीं दे पा रहे। 🙏 कृपया एक मिनट रुकें और अपना सवाल एक ही संदेश में भेजें।'
+  },
+  gu: {
+    agentHandoff: 'સમજાયું, તમે અમારી ટીમ સાથે વાત કરવા માંગો છો. મેં તમારી વાતચીત આગળ મોકલી છે, અમારી ટીમ જલ્દી સંપર્ક કરશે. ત્યાં સુધી હું બીજી કોઈ મદદ કરી શકું?',
+    agentPending: 'અમારી ટીમ જલ્દી સંપર્ક કરશે! 👋',
+    fallback: 'અત્યારે થોડી તકલીફ છે. કૃપા કરીને ફરીથી લખશો? 😊',
+    technicalDifficulties: 'માફ કરશો, અત્યારે ટેકનિકલ સમસ્યા છે. કૃપા કરીને થોડી વારમાં ફરી પ્રયાસ કરો. 😊',
+    orderSummaryTitle: '🧾 ઓર્ડર વિગત',
+    orderSize: 'સાઇઝ {size}',
+    orderTotal: 'કુલ: {total}',
+    orderName: 'નામ: {name}',
+    orderCity: 'શહેર: {city}',
+    orderConfirmPrompt: 'પુષ્ટિ માટે "હા" લખો, અથવા શું બદલવું છે તે જણાવો.',
+    orderConfirmed: '✅ ઓર્ડર પાકો થઈ ગયો! તમારું {product} જલ્દી {city} પહોંચાડીશું. આભાર, {name}!',
+    mediaPhoto: 'ફોટો માટે આભાર! 😊 કયું પ્રોડક્ટ જોઈએ છે — નામ, સાઇઝ કે રંગ જણાવો, હું તપાસી લઉં.',
+    mediaVoiceNote: 'માફ કરશો, હું હજી વૉઇસ નોટ સાંભળી શકતો નથી. કૃપા કરીને તમારો સંદેશ લખીને મોકલો. 🙏',
+    mediaDocument: 'આભાર, તમારો દસ્તાવેજ મળી ગયો છે. અમારી ટીમ તે જોઈ લેશે.',
+    locationReceived: 'આભાર, ડિલિવરી માટે તમારું લોકેશન 📍 સેવ કરી લીધું છે.',
+    contactReceived: 'આભાર, આ નંબર ડિલિવરી માટે બીજા સંપર્ક તરીકે સેવ કરી લીધો છે.',
+    productSizes: 'સાઇઝ: {sizes}',
+    productColors: 'રંગ: {colors}',
+    choiceSize: 'સાઇઝ પસંદ કરો — તેનો નંબર લખો:',
+    choiceColor: 'રંગ પસંદ કરો — તેનો નંબર લખો:',
+    choiceConfirmYes: '✅ હા, પાકું કરો',
+    choiceConfirmChange: '✏️ કંઈક બદલવું છે',
+    choiceButton: 'પસંદ કરો',
+    optedOut: 'તમને અનસબ્સ્ક્રાઇબ કરી દીધા છે, હવે અમે તમને કોઈ સંદેશ નહીં મોકલીએ. ફરી સંદેશ મેળવવા માટે "શરૂ" અથવા START લખો.',
+    optedIn: 'ફરી સ્વાગત છે! હવે તમને અમારા સંદેશ ફરી મળશે. 😊 કહો, હું શું મદદ કરું?',
+    followupNudge: 'શું તમે હજી {product} વિશે વિચારી રહ્યા છો? 😊 સાઇઝ, રંગ કે કોઈ પણ સવાલમાં મદદ કરી શકું.',
+    followupNudgeNoProduct: 'તમે હજી ત્યાં છો? 😊 કોઈ સવાલ હોય તો જણાવો, હું મદદ કરીશ.',
+    followupReminder: 'યાદ અપાવું: તમે જે {product} જોયું હતું તે હજી ઉપલબ્ધ છે. ગમે ત્યારે જવાબ આપો, હું ઓર્ડર કરી આપીશ. 🛍️',
+    followupReminderNoProduct: 'બસ પૂછવા માંગતો હતો — જો તમે હજી કંઈક શોધી રહ્યા હો, તો ગમે ત્યારે જવાબ આપો, હું મદદ કરીશ. 🛍️',
+    rateLimited: 'તમે ખૂબ ઝડપથી સંદેશ મોકલી રહ્યા છો, અમે એટલી ઝડપથી જવાબ આપી શકતા નથી. 🙏 કૃપા કરીને એક મિનિટ રાહ જુઓ અને તમારો સવાલ એક જ સંદેશમાં મોકલો.'
+  }
+};
+
+/**
+ * Detect the language of a customer message
+ * Indic script decides directly; romanised text counts as Hindi or Gujarati
+ * when enough of its words are Hinglish/Gujlish markers.
+ * @param {string} text - Message text
+ * @returns {string|null} 'en', 'hi', 'gu', or null when the message is too short to tell
+ */
+export function detectLanguage(text) {
+  const value = String(text || '');
+  const devanagari = (value.match(/[ऀ-ॿ]/g) || []).length;
+  const gujarati = (value.match(/[઀-૿]/g) || []).length;
+
+  if (devanagari > 0 || gujarati > 0) {
+    return gujarati > devanagari ? 'gu' : 'hi';
+  }
+
+  const words = value.toLowerCase().match(/[a-z]+/g) || [];
+  if (words.length === 0) return null;
+
+  const hits = {
+    hi: words.filter(word => ROMANISED_MARKERS.hi.has(word)).length,
+    gu: words.filter(word => ROMANISED_MARKERS.gu.has(word)).length
+  };
+  const best = hits.gu > hits.hi ? 'gu' : 'hi';
+
+  if (hits[best] / words.length >= MARKER_RATIO) return best;
+  if (words.length >= MIN_ENGLISH_WORDS) return 'en';
+  return null;
+}
+
+/**
+ * Decide which language to answer a lead in
+ * A language set by staff (language_locked) always wins; otherwise the
+ * current message decides, falling back to the lead's last language.
+ * @param {Object|null} lead - Lead record
+ * @param {string} message - Latest customer message
+ * @returns {string} Language code
+ */
+export function getPreferredLanguage(lead, message = '') {
+  if (lead?.language_locked && LANGUAGES.includes(lead.language)) {
+    return lead.language;
+  }
+
+  return detectLanguage(message) || (LANGUAGES.includes(lead?.language) ? lead.language : DEFAULT_LANGUAGE);
+}
+
+/**
+ * Get a localized message
+ * @param {string} key - Message key
+ * @param {string} language - Language code (unknown codes fall back to English)
+ * @param {Object} params - Values for {placeholders}
+ * @returns {string} Message text
+ */
+export function t(key, language = DEFAULT_LANGUAGE, params = {}) {
+  const template = MESSAGES[language]?.[key] ?? MESSAGES[DEFAULT_LANGUAGE][key];
+
+  if (template === undefined) {
+    throw new Error(`Unknown message "${key}"`);
+  }
+
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => params[name] ?? placeholder);
+}
+
+export default {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  LANGUAGE_NAMES,
+  detectLanguage,
+  getPreferredLanguage,
+  t
+};
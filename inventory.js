@@ -0,0 +1,133 @@
+import { getInventory } from './database.js';
+
+/**
+ * Inventory helpers for WhatsApp Sales Auto-Closer
+ * Decides which products and variants can be offered to customers.
+ *
+ * A product is "tracked" once it has at least one inventory row. For tracked
+ * products only variants with stock left are offered; variants without a row
+ * count as sold out. Untracked products follow their `in_stock` flag alone.
+ * Stock is kept per size and color pair, so a tracked product also carries
+ * the pairs that are in stock (`variants`): M/Black and L/Blue in stock does
+ * not make M/Blue available.
+ */
+
+/**
+ * Remove sold-out products and variants from a catalog
+ * @param {Array} products - Product catalog
+ * @param {Array} inventory - Inventory rows (product_id, size, color, quantity)
+ * @returns {Array} Products that can be sold, with sizes and colors narrowed to what is in stock and,
+ *   for tracked products, the in-stock pairs as variants ([{ size, color }])
+ */
+export function filterAvailableProducts(products, inventory) {
+  const rowsByProduct = new Map();
+  for (const row of inventory) {
+    if (!rowsByProduct.has(row.product_id)) rowsByProduct.set(row.product_id, []);
+    rowsByProduct.get(row.product_id).push(row);
+  }
+
+  const available = [];
+
+  for (const product of products) {
+    if (product.in_stock === false) continue;
+
+    const rows = rowsByProduct.get(product.id);
+    if (!rows) {
+      available.push(product);
+      continue;
+    }
+
+    // Rows may name variants the catalog no longer lists
+    const inStock = rows.filter(row =>
+      row.quantity > 0 &&
+      (product.sizes ? product.sizes.includes(row.size) : !row.size) &&
+      (product.colors ? product.colors.includes(row.color) : !row.color));
+    if (inStock.length === 0) continue;
+
+    const narrowed = { ...product };
+    if (product.sizes) {
+      narrowed.sizes = product.sizes.filter(size => inStock.some(row => row.size === size));
+    }
+    if (product.colors) {
+      narrowed.colors = product.colors.filter(color => inStock.some(row => row.color === color));
+    }
+    narrowed.variants = inStock.map(row => ({ size: row.size || null, color: row.color || null }));
+
+    available.push(narrowed);
+  }
+
+  return available;
+}
+
+/**
+ * Check whether a specific variant has stock
+ * @param {Object} product - Catalog product
+ * @param {string|null} size - Size
+ * @param {string|null} color - Color
+ * @param {Array} inventory - Inventory rows
+ * @param {number} quantity - Units wanted
+ * @returns {boolean} True if the variant can be sold
+ */
+export function isVariantAvailable(product, size, color, inventory, quantity = 1) {
+  if (product.in_stock === false) return false;
+
+  const rows = inventory.filter(row => row.product_id === product.id);
+  if (rows.length === 0) return true;
+
+  const row = rows.find(r => r.size === (size || '') && r.color === (color || ''));
+  return Boolean(row) && row.quantity >= quantity;
+}
+
+/**
+ * Get the in-stock options of one variant field, given what was chosen for the other
+ * With a color chosen only sizes in stock in that color are offered, and
+ * the other way round.
+ * @param {Object} product - Product from filterAvailableProducts
+ * @param {string} field - 'size' or 'color'
+ * @param {Object} selection - Chosen { size, color }
+ * @returns {Array<string>} Options
+ */
+export function getVariantOptions(product, field, selection = {}) {
+  const options = (field === 'size' ? product.sizes : product.colors) || [];
+  const other = field === 'size' ? 'color' : 'size';
+  if (!product.variants || !selection[other]) return options;
+
+  return options.filter(option =>
+    product.variants.some(variant => variant[field] === option && variant[other] === selection[other]));
+}
+
+/**
+ * Check whether some in-stock size and color pairs are missing from a product
+ * @param {Object} product - Product from filterAvailableProducts
+ * @returns {boolean} True if not every listed size comes in every listed color
+ */
+export function hasPartialVariants(product) {
+  if (!product.variants || !product.sizes || !product.colors) return false;
+  return product.variants.length < product.sizes.length * product.colors.length;
+}
+
+/**
+ * Load stock levels and return the products that can be offered right now
+ * @param {Array} products - Product catalog
+ * @returns {Promise<Object>} { products, inventory }
+ */
+export async function getAvailableProducts(products) {
+  try {
+    const inventory = await getInventory();
+    return {
+      products: filterAvailableProducts(products, inventory),
+      inventory
+    };
+  } catch (error) {
+    console.error('Error loading inventory:', error);
+    throw error;
+  }
+}
+
+export default {
+  filterAvailableProducts,
+  isVariantAvailable,
+  getVariantOptions,
+  hasPartialVariants,
+  getAvailableProducts
+};
@@ -0,0 +1,239 @@
+import fs from 'fs/promises';
+import path from 'path';
+import pino from 'pino';
+import { downloadMediaMessage } from '@whiskeysockets/baileys';
+
+/**
+ * Incoming message parsing for WhatsApp Sales Auto-Closer
+ * Turns a Baileys message into one of the types the bot understands (text,
+ * image, video, audio, document, sticker, location, contact) and stores
+ * media files under MEDIA_DIR.
+ */
+
+export const MEDIA_DIR = path.resolve(process.env.MEDIA_DIR || './media');
+
+const MEDIA_MAX_BYTES = parseInt(process.env.MEDIA_MAX_BYTES || String(16 * 1024 * 1024));
+
+export const MESSAGE_TYPES = ['text', 'image', 'video', 'audio', 'document', 'sticker', 'location', 'contact'];
+
+// Message wrappers that hold the real content one level down
+const WRAPPERS = [
+  'ephemeralMessage',
+  'viewOnceMessage',
+  'viewOnceMessageV2',
+  'viewOnceMessageV2Extension',
+  'documentWithCaptionMessage',
+  'editedMessage'
+];
+
+// Media types stored under their own extension; anything else is saved as .bin
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'video/mp4': 'mp4',
+  'video/3gpp': '3gp',
+  'audio/ogg': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/aac': 'aac',
+  'audio/amr': 'amr',
+  'application/pdf': 'pdf'
+};
+
+/**
+ * Remove ephemeral/view-once wrappers from message content
+ * @param {Object} content - Baileys message content (message.message)
+ * @returns {Object|null} Inner content
+ */
+function unwrap(content) {
+  let inner = content;
+
+  for (let depth = 0; inner && depth < 5; depth++) {
+    const wrapper = WRAPPERS.find(key => inner[key]?.message);
+    if (!wrapper) break;
+    inner = inner[wrapper].message;
+  }
+
+  return inner || null;
+}
+
+/**
+ * Read name and phone numbers from a vCard
+ * @param {string} vcard - vCard text
+ * @returns {Object} { name, phones }
+ */
+export function parseVcard(vcard = '') {
+  const lines = vcard.split(/\r?\n/);
+  const name = lines.find(line => line.startsWith('FN'))?.split(':').slice(1).join(':').trim() || null;
+
+  const phones = lines
+    .filter(line => line.startsWith('TEL') || line.includes('.TEL'))
+    .map(line => {
+      // Prefer the WhatsApp id ("waid=919876543210"), else the written number
+      const waid = /waid=(\d+)/.exec(line);
+      return waid ? waid[1] : line.split(':').slice(1).join(':').replace(/\D/g, '');
+    })
+    .filter(Boolean);
+
+  return { name, phones };
+}
+
+/**
+ * Classify an incoming message
+ * @param {Object} message - Baileys message
+ * @returns {Object|null} { type, text, choiceId, mimetype, fileName, location, contacts, voiceNote }, or null for
+ *   messages the bot ignores (reactions, protocol messages, ...)
+ */
+export function parseIncomingMessage(message) {
+  const content = unwrap(message.message);
+  if (!content) return null;
+
+  // Selections from list and button messages carry the option number as their id
+  const selectedId = content.listResponseMessage?.singleSelectReply?.selectedRowId ||
+    content.buttonsResponseMessage?.selectedButtonId ||
+    content.templateButtonReplyMessage?.selectedId;
+  if (selectedId) {
+    const title = content.listResponseMessage?.title ||
+      content.buttonsResponseMessage?.selectedDisplayText ||
+      content.templateButtonReplyMessage?.selectedDisplayText;
+    return { type: 'text', text: title || selectedId, choiceId: selectedId };
+  }
+
+  if (content.conversation || content.extendedTextMessage?.text) {
+    return { type: 'text', text: content.conversation || content.extendedTextMessage.text };
+  }
+
+  const media = [
+    ['image', content.imageMessage],
+    ['video', content.videoMessage],
+    ['audio', content.audioMessage],
+    ['document', content.documentMessage],
+    ['sticker', content.stickerMessage]
+  ].find(([, value]) => value);
+
+  if (media) {
+    const [type, value] = media;
+    return {
+      type,
+      text: value.caption || '',
+      mimetype: value.mimetype || null,
+      fileName: value.fileName || null,
+      fileLength: Number(value.fileLength || 0),
+      voiceNote: type === 'audio' && Boolean(value.ptt)
+    };
+  }
+
+  const location = content.locationMessage || content.liveLocationMessage;
+  if (location) {
+    return {
+      type: 'location',
+      text: '',
+      location: {
+        latitude: location.degreesLatitude,
+        longitude: location.degreesLongitude,
+        name: location.name || null,
+        address: location.address || null
+      }
+    };
+  }
+
+  const contacts = content.contactMessage
+    ? [content.contactMessage]
+    : content.contactsArrayMessage?.contacts || null;
+  if (contacts) {
+    return {
+      type: 'contact',
+      text: '',
+      contacts: contacts.map(contact => {
+        const card = parseVcard(contact.vcard);
+        return { name: contact.displayName || card.name, phones: card.phones };
+      })
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Pick a file name for downloaded media
+ * The extension comes from the mimetype allowlist only, never from the
+ * customer's file name: the dashboard serves these files from its own
+ * origin, so an uploaded "x.html" must not come back as a web page.
+ * @param {Object} message - Baileys message
+ * @param {Object} parsed - Parsed message
+ * @returns {string} File name inside MEDIA_DIR
+ */
+export function getMediaFileName(message, parsed) {
+  const id = String(message.key.id || '').replace(/[^A-Za-z0-9_-]/g, '') || `media-${Date.now()}`;
+  const mimetype = (parsed.mimetype || '').split(';')[0].trim().toLowerCase();
+
+  return `${id}.${EXTENSIONS[mimetype] || 'bin'}`;
+}
+
+/**
+ * Check that a media reference is a URL or a relative path inside MEDIA_DIR
+ * @param {string} reference - Image URL or file path
+ * @returns {boolean} True if the reference can be sent
+ */
+export function isMediaReference(reference) {
+  if (/^https?:\/\/\S+$/i.test(reference)) return true;
+
+  const filePath = path.resolve(MEDIA_DIR, reference);
+  return !path.isAbsolute(reference) && filePath.startsWith(MEDIA_DIR + path.sep);
+}
+
+/**
+ * Turn a media reference into something Baileys can send
+ * @param {string} reference - Image URL or file path inside MEDIA_DIR
+ * @returns {string} URL, or absolute file path
+ */
+export function resolveMediaSource(reference) {
+  if (!isMediaReference(reference)) {
+    throw new Error(`Invalid media reference: ${reference}`);
+  }
+
+  return /^https?:\/\//i.test(reference) ? reference : path.resolve(MEDIA_DIR, reference);
+}
+
+/**
+ * Download the media of an incoming message into MEDIA_DIR
+ * @param {Object} message - Baileys message
+ * @param {Object} parsed - Result of parseIncomingMessage
+ * @param {Object} sock - Baileys socket (to re-request expired media)
+ * @returns {Promise<string|null>} File name inside MEDIA_DIR, or null when the file is too large
+ */
+export async function saveIncomingMedia(message, parsed, sock) {
+  try {
+    if (parsed.fileLength > MEDIA_MAX_BYTES) {
+      console.warn(`⚠️  Skipping ${parsed.type} from ${message.key.remoteJid}: ${parsed.fileLength} bytes`);
+      return null;
+    }
+
+    const buffer = await downloadMediaMessage(message, 'buffer', {}, {
+      logger: pino({ level: 'silent' }),
+      reuploadRequest: sock.updateMediaMessage
+    });
+
+    const fileName = getMediaFileName(message, parsed);
+    await fs.mkdir(MEDIA_DIR, { recursive: true });
+    await fs.writeFile(path.join(MEDIA_DIR, fileName), buffer);
+
+    return fileName;
+  } catch (error) {
+    console.error('Error saving incoming media:', error);
+    throw error;
+  }
+}
+
+export default {
+  MEDIA_DIR,
+  MESSAGE_TYPES,
+  parseVcard,
+  parseIncomingMessage,
+  getMediaFileName,
+  saveIncomingMedia,
+  isMediaReference,
+  resolveMediaSource
+};
@@ -0,0 +1,270 @@
+import {
+  createOutboundMessage,
+  getOutboundMessage,
+  getOutboundMessages,
+  updateOutboundMessage
+} from './database.js';
+import { getSocket, isWhatsAppConnected, getSessions } from './whatsapp.js';
+import { DEFAULT_SESSION_ID } from './sessions.js';
+import { assertCanMessage, ConsentError } from './consent.js';
+import { publish } from './events.js';
+
+/**
+ * Durable outbound message queue for WhatsApp Sales Auto-Closer
+ * Every outgoing message is written to the outbound_messages table before
+ * it is handed to WhatsApp. Messages written while the socket is
+ * reconnecting stay pending and go out once the connection is open again;
+ * messages WhatsApp rejects are retried with exponential backoff and marked
+ * failed after the last attempt. Messages to one chat are always delivered
+ * in the order they were written. Each message goes out through the session
+ * (business number) it was written for.
+ */
+
+export const OUTBOX_STATUSES = ['pending', 'sent', 'failed'];
+
+const TICK_MS = parseInt(process.env.OUTBOX_TICK_MS || '5000');
+const MAX_ATTEMPTS = parseInt(process.env.OUTBOX_MAX_ATTEMPTS || '8');
+const RETRY_BASE_MS = parseInt(process.env.OUTBOX_RETRY_BASE_MS || '5000');
+const RETRY_MAX_MS = 5 * 60 * 1000;
+
+// Pending messages loaded per delivery pass
+const BATCH_SIZE = 100;
+
+// Ids of messages being handed to WhatsApp right now
+const delivering = new Set();
+
+let timer = null;
+let flushing = null;
+let again = false;
+
+/**
+ * Get the wait before retrying a message
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+}
+
+/**
+ * Save a delivery outcome and announce it
+ * @param {Object} message - Outbound message record
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object>} Updated outbound message record
+ */
+async function recordOutcome(message, updates) {
+  const updated = await updateOutboundMessage(message.id, updates);
+  publish('outbox.updated', updated);
+  return updated;
+}
+
+/**
+ * Hand one queued message to WhatsApp
+ * While disconnected the message stays pending without using up an attempt.
+ * Numbers that opted out after the message was queued fail right away,
+ * except for the confirmation of that opt-out.
+ * @param {Object} message - Outbound message record
+ * @returns {Promise<Object|null>} Updated record, or null if it is already being delivered
+ */
+async function deliver(message) {
+  if (delivering.has(message.id)) return null;
+  delivering.add(message.id);
+
+  try {
+    try {
+      if (!message.consent_notice) {
+        await assertCanMessage(message.phone_number);
+      }
+
+      const sock = getSocket(message.session_id);
+      if (!sock || !isWhatsAppConnected(message.session_id)) return message;
+
+      await sock.sendMessage(message.phone_number, message.content);
+    } catch (error) {
+      if (error instanceof ConsentError) {
+        return await recordOutcome(message, { status: 'failed', last_error: error.message });
+      }
+
+      // The connection dropped mid-send; try again after reconnecting
+      if (!isWhatsAppConnected(message.session_id)) {
+        return await recordOutcome(message, { last_error: error.message });
+      }
+
+      const attempts = (message.attempts || 0) + 1;
+      const failed = attempts >= MAX_ATTEMPTS;
+      console.error(`Error delivering message to ${message.phone_number} (attempt ${attempts}):`, error.message);
+
+      return await recordOutcome(message, {
+        attempts,
+        status: failed ? 'failed' : 'pending',
+        last_error: error.message,
+        next_attempt_at: new Date(Date.now() + getRetryDelay(attempts)).toISOString()
+      });
+    }
+
+    return await recordOutcome(message, {
+      status: 'sent',
+      attempts: (message.attempts || 0) + 1,
+      sent_at: new Date().toISOString(),
+      last_error: null
+    });
+  } finally {
+    delivering.delete(message.id);
+  }
+}
+
+/**
+ * Deliver every pending message that is due, oldest first
+ * A chat whose oldest message cannot go out yet is held back, so later
+ * messages never overtake it. Messages of disconnected sessions wait.
+ * @returns {Promise<void>}
+ */
+async function deliverPending() {
+  if (!getSessions().some(session => session.connected)) return;
+
+  const pending = await getOutboundMessages({ status: 'pending', limit: BATCH_SIZE });
+  const held = new Set();
+  const now = new Date();
+
+  for (const message of pending) {
+    const chat = `${message.session_id}:${message.phone_number}`;
+    if (held.has(chat)) continue;
+
+    if (!isWhatsAppConnected(message.session_id) || delivering.has(message.id) ||
+      new Date(message.next_attempt_at) > now) {
+      held.add(chat);
+      continue;
+    }
+
+    const result = await deliver(message);
+    if (result?.status !== 'sent') {
+      held.add(chat);
+    }
+  }
+}
+
+/**
+ * Deliver pending messages now
+ * Passes never overlap; a flush requested during a pass runs another one.
+ * @returns {Promise<void>}
+ */
+export function flushOutbox() {
+  if (flushing) {
+    again = true;
+    return flushing;
+  }
+
+  flushing = (async () => {
+    do {
+      again = false;
+      try {
+        await deliverPending();
+      } catch (error) {
+        console.error('Error flushing outbox:', error);
+      }
+    } while (again);
+  })().finally(() => {
+    flushing = null;
+  });
+
+  return flushing;
+}
+
+/**
+ * Queue a message and deliver it right away if possible
+ * The message is sent immediately when WhatsApp is connected and nothing
+ * older is waiting for the same chat; otherwise it waits its turn.
+ * @param {string} phoneNumber - Recipient WhatsApp JID
+ * @param {Object} content - Message content as sent to WhatsApp (e.g. { text })
+ * @param {string} sessionId - Session to send from
+ * @param {Object} options - { consentNotice } marks the confirmation of an opt-out
+ * @returns {Promise<Object>} Outbound message record with its current status
+ */
+export async function queueMessage(phoneNumber, content, sessionId = DEFAULT_SESSION_ID, options = {}) {
+  try {
+    const message = await createOutboundMessage(phoneNumber, content, sessionId, options);
+
+    if (!isWhatsAppConnected(sessionId)) {
+      console.log(`📥 WhatsApp session "${sessionId}" is offline; message to ${phoneNumber} queued`);
+      publish('outbox.updated', message);
+      return message;
+    }
+
+    const [oldest] = await getOutboundMessages({
+      session_id: sessionId,
+      status: 'pending',
+      phone_number: phoneNumber,
+      limit: 1
+    });
+    if (oldest && oldest.id !== message.id) {
+      flushOutbox();
+      return message;
+    }
+
+    return (await deliver(message)) || message;
+  } catch (error) {
+    console.error('Error queueing message:', error);
+    throw error;
+  }
+}
+
+/**
+ * Withdraw queued messages that have not gone out yet
+ * Messages already sent, or being handed to WhatsApp right now, are left
+ * alone. Withdrawn messages are marked failed.
+ * @param {Array<string>} messageIds - Outbound message ids
+ * @returns {Promise<Array<string>>} Ids of the messages withdrawn
+ */
+export async function cancelMessages(messageIds) {
+  const withdrawn = [];
+
+  try {
+    for (const id of messageIds) {
+      if (delivering.has(id)) continue;
+
+      // Keeps the runner off the message while it is withdrawn
+      delivering.add(id);
+      try {
+        const message = await getOutboundMessage(id);
+        if (message?.status !== 'pending') continue;
+
+        await recordOutcome(message, { status: 'failed', last_error: 'Cancelled before delivery' });
+        withdrawn.push(id);
+      } finally {
+        delivering.delete(id);
+      }
+    }
+
+    return withdrawn;
+  } catch (error) {
+    console.error('Error cancelling queued messages:', error);
+    throw error;
+  }
+}
+
+/**
+ * Start the background outbox runner, which picks up retries that are due
+ */
+export function startOutboxRunner() {
+  if (timer) return;
+
+  timer = setInterval(flushOutbox, TICK_MS);
+  flushOutbox();
+}
+
+/**
+ * Stop the background outbox runner
+ */
+export function stopOutboxRunner() {
+  clearInterval(timer);
+  timer = null;
+}
+
+export default {
+  OUTBOX_STATUSES,
+  queueMessage,
+  cancelMessages,
+  flushOutbox,
+  startOutboxRunner,
+  stopOutboxRunner
+};
@@ -0,0 +1,95 @@
+import { createOllamaProvider } from './ollama.js';
+import { createOpenAIProvider } from './openai.js';
+import { createMockProvider } from './mock.js';
+
+/**
+ * LLM provider selection
+ * Picks a provider adapter from environment variables:
+ *
+ * - LLM_PROVIDER: 'ollama' (default), 'openai' or 'mock'
+ * - LLM_MODEL: model name (falls back to OLLAMA_MODEL)
+ * - LLM_EMBED_MODEL: embedding model used for product retrieval
+ * - LLM_TEMPERATURE / LLM_TOP_P: sampling options
+ * - OLLAMA_URL: Ollama server URL
+ * - OPENAI_BASE_URL / OPENAI_API_KEY: OpenAI-compatible endpoint
+ * - MOCK_LLM_SCRIPT: script file for the mock provider
+ *
+ * When NODE_ENV is 'test' and no provider is set, the mock provider is used.
+ */
+
+const factories = {
+  ollama: () => createOllamaProvider({
+    baseUrl: process.env.OLLAMA_URL || 'http://localhost:11434',
+    model: process.env.LLM_MODEL || process.env.OLLAMA_MODEL || 'llama3',
+    embedModel: process.env.LLM_EMBED_MODEL || 'nomic-embed-text',
+    options: getSamplingOptions()
+  }),
+  openai: () => createOpenAIProvider({
+    baseUrl: (process.env.OPENAI_BASE_URL || 'http://localhost:8080/v1').replace(/\/$/, ''),
+    model: process.env.LLM_MODEL || 'local-model',
+    embedModel: process.env.LLM_EMBED_MODEL || process.env.LLM_MODEL || 'local-model',
+    apiKey: process.env.OPENAI_API_KEY,
+    options: getSamplingOptions()
+  }),
+  mock: () => createMockProvider({
+    scriptPath: process.env.MOCK_LLM_SCRIPT,
+    model: 'mock'
+  })
+};
+
+let provider = null;
+
+/**
+ * Read sampling options from the environment
+ * @returns {Object} Sampling options
+ */
+function getSamplingOptions() {
+  return {
+    temperature: parseFloat(process.env.LLM_TEMPERATURE || '0.7'),
+    top_p: parseFloat(process.env.LLM_TOP_P || '0.9')
+  };
+}
+
+/**
+ * Get the configured provider name
+ * @returns {string} Provider name
+ */
+export function getProviderName() {
+  if (process.env.LLM_PROVIDER) {
+    return process.env.LLM_PROVIDER.toLowerCase();
+  }
+
+  return process.env.NODE_ENV === 'test' ? 'mock' : 'ollama';
+}
+
+/**
+ * Get the active LLM provider (created on first use)
+ * @returns {Object} Provider instance
+ */
+export function getProvider() {
+  if (provider) return provider;
+
+  const name = getProviderName();
+  const factory = factories[name];
+
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${name}". Use one of: ${Object.keys(factories).join(', ')}`);
+  }
+
+  provider = factory();
+  return provider;
+}
+
+/**
+ * Replace the active provider (e.g. a mock in tests)
+ * @param {Object|null} instance - Provider instance, or null to re-read the environment
+ */
+export function setProvider(instance) {
+  provider = instance;
+}
+
+export default {
+  getProvider,
+  getProviderName,
+  setProvider
+};
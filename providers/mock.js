@@ -0,0 +1,132 @@
+import fs from 'fs';
+
+/**
+ * Scripted mock provider
+ * Returns deterministic replies without any model server, for local
+ * development and automated tests.
+ *
+ * A script is a JSON file of the form:
+ * {
+ *   "rules": [{ "match": "price|cost", "reply": "It is $29.99. Which size?" }],
+ *   "fallback": "Sure! What are you looking for?"
+ * }
+ * Rules are regular expressions tested (case-insensitive) against the last
+ * user message; the first match wins.
+ */
+
+const DEFAULT_FALLBACK = 'Thanks for your message! What are you looking for today?';
+
+const EMBEDDING_DIMENSIONS = 64;
+
+/**
+ * Load a script file from disk
+ * @param {string} scriptPath - Path to the script JSON
+ * @returns {Object} Script with rules and fallback
+ */
+function loadScript(scriptPath) {
+  if (!scriptPath) {
+    return { rules: [], fallback: DEFAULT_FALLBACK };
+  }
+
+  const parsed = JSON.parse(fs.readFileSync(scriptPath, 'utf-8'));
+  return {
+    rules: parsed.rules || [],
+    fallback: parsed.fallback || DEFAULT_FALLBACK
+  };
+}
+
+/**
+ * Create a mock provider
+ * @param {Object} config - Provider configuration
+ * @param {string} config.scriptPath - Optional path to a script JSON file
+ * @param {string} config.model - Model name reported to callers
+ * @returns {Object} Provider instance
+ */
+export function createMockProvider(config) {
+  let script = loadScript(config.scriptPath);
+  const calls = [];
+
+  return {
+    name: 'mock',
+    model: config.model,
+
+    /**
+     * Reply according to the script
+     * @param {Array} messages - Messages with role and content
+     * @returns {Promise<string>} Scripted reply
+     */
+    async chat(messages) {
+      calls.push(messages);
+
+      const lastUser = [...messages].reverse().find(m => m.role === 'user');
+      const text = lastUser?.content || '';
+
+      const rule = script.rules.find(r => new RegExp(r.match, 'i').test(text));
+      return rule ? rule.reply : script.fallback;
+    },
+
+    /**
+     * Stream the scripted reply word by word
+     * @param {Array} messages - Messages with role and content
+     * @returns {AsyncGenerator<string>} Text chunks
+     */
+    async *stream(messages) {
+      const reply = await this.chat(messages);
+
+      for (const chunk of reply.split(/(?<=\s)/)) {
+        yield chunk;
+      }
+    },
+
+    /**
+     * Compute deterministic embeddings from hashed character trigrams
+     * @param {Array<string>} texts - Texts to embed
+     * @returns {Promise<Array<Array<number>>>} One vector per text
+     */
+    async embed(texts) {
+      return texts.map(text => {
+        const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+        const padded = ` ${text.toLowerCase()} `;
+
+        for (let i = 0; i < padded.length - 2; i++) {
+          let hash = 0;
+          for (const char of padded.slice(i, i + 3)) {
+            hash = (hash * 31 + char.codePointAt(0)) >>> 0;
+          }
+          vector[hash % EMBEDDING_DIMENSIONS] += 1;
+        }
+
+        return vector;
+      });
+    },
+
+    /**
+     * List the single mock model
+     * @returns {Promise<Array<string>>} Model names
+     */
+    async listModels() {
+      return [config.model];
+    },
+
+    /**
+     * Replace the active script (used by tests)
+     * @param {Object} newScript - Script with rules and fallback
+     */
+    setScript(newScript) {
+      script = {
+        rules: newScript.rules || [],
+        fallback: newScript.fallback || DEFAULT_FALLBACK
+      };
+    },
+
+    /**
+     * Get every message list the provider was called with
+     * @returns {Array<Array>} Recorded calls
+     */
+    getCalls() {
+      return calls;
+    }
+  };
+}
+
+export default createMockProvider;
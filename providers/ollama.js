@@ -0,0 +1,135 @@
+import { readLines } from './stream.js';
+
+/**
+ * Ollama provider
+ * Talks to a local Ollama server through its native /api/chat endpoint
+ */
+
+/**
+ * Create an Ollama provider
+ * @param {Object} config - Provider configuration
+ * @param {string} config.baseUrl - Ollama server URL
+ * @param {string} config.model - Model name
+ * @param {string} config.embedModel - Embedding model name
+ * @param {Object} config.options - Sampling options (temperature, top_p)
+ * @returns {Object} Provider instance
+ */
+export function createOllamaProvider(config) {
+  const { baseUrl, model, embedModel, options } = config;
+
+  return {
+    name: 'ollama',
+    model,
+
+    /**
+     * Get a full completion for a list of chat messages
+     * @param {Array} messages - Messages with role and content
+     * @returns {Promise<string>} Completion text
+     */
+    async chat(messages) {
+      const response = await fetch(`${baseUrl}/api/chat`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          model,
+          messages,
+          stream: false,
+          options: {
+            temperature: options.temperature,
+            top_p: options.top_p
+          }
+        })
+      });
+
+      if (!response.ok) {
+        throw new Error(`Ollama API error: ${response.status} ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      return data.message.content;
+    },
+
+    /**
+     * Stream a completion token by token
+     * @param {Array} messages - Messages with role and content
+     * @returns {AsyncGenerator<string>} Text chunks as they are generated
+     */
+    async *stream(messages) {
+      const response = await fetch(`${baseUrl}/api/chat`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          model,
+          messages,
+          stream: true,
+          options: {
+            temperature: options.temperature,
+            top_p: options.top_p
+          }
+        })
+      });
+
+      if (!response.ok) {
+        throw new Error(`Ollama API error: ${response.status} ${response.statusText}`);
+      }
+
+      // Ollama streams newline-delimited JSON objects
+      for await (const line of readLines(response)) {
+        const data = JSON.parse(line);
+        if (data.error) {
+          throw new Error(`Ollama API error: ${data.error}`);
+        }
+        if (data.message?.content) {
+          yield data.message.content;
+        }
+        if (data.done) return;
+      }
+    },
+
+    /**
+     * Compute embeddings for a batch of texts
+     * @param {Array<string>} texts - Texts to embed
+     * @returns {Promise<Array<Array<number>>>} One vector per text
+     */
+    async embed(texts) {
+      const response = await fetch(`${baseUrl}/api/embed`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          model: embedModel,
+          input: texts
+        })
+      });
+
+      if (!response.ok) {
+        throw new Error(`Ollama embeddings error: ${response.status} ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      return data.embeddings;
+    },
+
+    /**
+     * List models installed on the server
+     * @returns {Promise<Array<string>>} Model names
+     */
+    async listModels() {
+      const response = await fetch(`${baseUrl}/api/tags`);
+
+      if (!response.ok) {
+        throw new Error(`Ollama not responding: ${response.status}`);
+      }
+
+      const data = await response.json();
+      return data.models?.map(m => m.name) || [];
+    }
+  };
+}
+
+export default createOllamaProvider;
@@ -0,0 +1,139 @@
+import { readLines } from './stream.js';
+
+/**
+ * OpenAI-compatible provider
+ * Works with any server exposing /v1/chat/completions
+ * (llama.cpp server, vLLM, LM Studio, LocalAI, ...)
+ */
+
+/**
+ * Create an OpenAI-compatible provider
+ * @param {Object} config - Provider configuration
+ * @param {string} config.baseUrl - API base URL including the /v1 prefix
+ * @param {string} config.model - Model name
+ * @param {string} config.embedModel - Embedding model name
+ * @param {string} config.apiKey - Optional bearer token
+ * @param {Object} config.options - Sampling options (temperature, top_p)
+ * @returns {Object} Provider instance
+ */
+export function createOpenAIProvider(config) {
+  const { baseUrl, model, embedModel, apiKey, options } = config;
+
+  const headers = {
+    'Content-Type': 'application/json'
+  };
+
+  if (apiKey) {
+    headers.Authorization = `Bearer ${apiKey}`;
+  }
+
+  return {
+    name: 'openai',
+    model,
+
+    /**
+     * Get a full completion for a list of chat messages
+     * @param {Array} messages - Messages with role and content
+     * @returns {Promise<string>} Completion text
+     */
+    async chat(messages) {
+      const response = await fetch(`${baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          model,
+          messages,
+          stream: false,
+          temperature: options.temperature,
+          top_p: options.top_p
+        })
+      });
+
+      if (!response.ok) {
+        throw new Error(`OpenAI-compatible API error: ${response.status} ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      return data.choices?.[0]?.message?.content || '';
+    },
+
+    /**
+     * Stream a completion token by token
+     * @param {Array} messages - Messages with role and content
+     * @returns {AsyncGenerator<string>} Text chunks as they are generated
+     */
+    async *stream(messages) {
+      const response = await fetch(`${baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          model,
+          messages,
+          stream: true,
+          temperature: options.temperature,
+          top_p: options.top_p
+        })
+      });
+
+      if (!response.ok) {
+        throw new Error(`OpenAI-compatible API error: ${response.status} ${response.statusText}`);
+      }
+
+      // Server-sent events: "data: {...}" lines terminated by "data: [DONE]"
+      for await (const line of readLines(response)) {
+        if (!line.startsWith('data:')) continue;
+
+        const payload = line.slice(5).trim();
+        if (payload === '[DONE]') return;
+
+        const data = JSON.parse(payload);
+        const content = data.choices?.[0]?.delta?.content;
+        if (content) {
+          yield content;
+        }
+      }
+    },
+
+    /**
+     * Compute embeddings for a batch of texts
+     * @param {Array<string>} texts - Texts to embed
+     * @returns {Promise<Array<Array<number>>>} One vector per text
+     */
+    async embed(texts) {
+      const response = await fetch(`${baseUrl}/embeddings`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          model: embedModel,
+          input: texts
+        })
+      });
+
+      if (!response.ok) {
+        throw new Error(`OpenAI-compatible embeddings error: ${response.status} ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      return data.data
+        .sort((a, b) => a.index - b.index)
+        .map(item => item.embedding);
+    },
+
+    /**
+     * List models served by the endpoint
+     * @returns {Promise<Array<string>>} Model ids
+     */
+    async listModels() {
+      const response = await fetch(`${baseUrl}/models`, { headers });
+
+      if (!response.ok) {
+        throw new Error(`OpenAI-compatible server not responding: ${response.status}`);
+      }
+
+      const data = await response.json();
+      return data.data?.map(m => m.id) || [];
+    }
+  };
+}
+
+export default createOpenAIProvider;
@@ -0,0 +1,31 @@
+/**
+ * Helpers for reading streamed HTTP responses from model servers
+ */
+
+/**
+ * Iterate over the lines of a streamed fetch response body
+ * @param {Response} response - Fetch response with a readable body
+ * @returns {AsyncGenerator<string>} Non-empty lines as they arrive
+ */
+export async function* readLines(response) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    let newlineIndex;
+    while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newlineIndex).trim();
+      buffer = buffer.slice(newlineIndex + 1);
+      if (line) yield line;
+    }
+  }
+
+  buffer += decoder.decode();
+  if (buffer.trim()) yield buffer.trim();
+}
+
+export default {
+  readLines
+};
@@ -0,0 +1,95 @@
+/**
+ * Per-chat message queue for WhatsApp Sales Auto-Closer
+ * Messages from one chat are handled one turn at a time, in arrival order,
+ * while different chats run side by side. Messages that arrive in a quick
+ * burst ("hi" / "need jeans" / "size 32") are collected into one batch, so
+ * the customer gets one reply instead of three.
+ *
+ * A batch is handled once the chat has been quiet for debounceMs, or
+ * maxWaitMs after its first message, whichever comes first. Messages that
+ * arrive while a turn is running wait for it and form the next batch.
+ */
+
+const DEFAULT_DEBOUNCE_MS = parseInt(process.env.MESSAGE_DEBOUNCE_MS || '1500');
+const DEFAULT_MAX_WAIT_MS = parseInt(process.env.MESSAGE_MAX_WAIT_MS || '8000');
+
+/**
+ * Create a per-chat queue
+ * @param {Function} handler - Called as handler(chatId, items) with each batch; one call per chat at a time
+ * @param {Object} options - { debounceMs, maxWaitMs }
+ * @returns {Object} Queue with push
+ */
+export function createChatQueue(handler, options = {}) {
+  const debounceMs = options.debounceMs ?? DEFAULT_DEBOUNCE_MS;
+  const maxWaitMs = Math.max(options.maxWaitMs ?? DEFAULT_MAX_WAIT_MS, debounceMs);
+
+  // chatId -> { pending: [{ item, at }], timer, running }
+  const chats = new Map();
+
+  /**
+   * Start the timer for a chat's next batch
+   * @param {string} chatId - Chat id
+   * @param {Object} chat - Chat state
+   */
+  function arm(chatId, chat) {
+    clearTimeout(chat.timer);
+
+    const firstAt = chat.pending[0].at;
+    const lastAt = chat.pending[chat.pending.length - 1].at;
+    const wait = Math.min(lastAt + debounceMs, firstAt + maxWaitMs) - Date.now();
+
+    chat.timer = setTimeout(() => run(chatId, chat), Math.max(wait, 0));
+  }
+
+  /**
+   * Handle a chat's pending messages as one batch
+   * @param {string} chatId - Chat id
+   * @param {Object} chat - Chat state
+   * @returns {Promise<void>}
+   */
+  async function run(chatId, chat) {
+    chat.timer = null;
+    chat.running = true;
+    const batch = chat.pending.splice(0).map(entry => entry.item);
+
+    try {
+      await handler(chatId, batch);
+    } catch (error) {
+      console.error(`Error handling messages from ${chatId}:`, error);
+    } finally {
+      chat.running = false;
+
+      if (chat.pending.length > 0) {
+        arm(chatId, chat);
+      } else {
+        chats.delete(chatId);
+      }
+    }
+  }
+
+  return {
+    /**
+     * Add a message to its chat's queue
+     * @param {string} chatId - Chat id (JID)
+     * @param {*} item - Message
+     */
+    push(chatId, item) {
+      let chat = chats.get(chatId);
+      if (!chat) {
+        chat = { pending: [], timer: null, running: false };
+        chats.set(chatId, chat);
+      }
+
+      chat.pending.push({ item, at: Date.now() });
+
+      // A running turn re-arms the timer when it finishes
+      if (!chat.running) {
+        arm(chatId, chat);
+      }
+    }
+  };
+}
+
+export default {
+  createChatQueue
+};
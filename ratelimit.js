@@ -0,0 +1,186 @@
+/**
+ * Inbound rate limiting for WhatsApp Sales Auto-Closer
+ * Every customer turn costs an LLM call, so one number flooding the shop
+ * (or a bot stuck in a loop with it) could keep the model busy for
+ * everyone. Two limits protect it:
+ *
+ * - Per chat: a number may send RATE_LIMIT_PER_CHAT messages per window.
+ *   Messages over the limit are dropped; the sender gets one polite notice
+ *   per window. A number throttled RATE_LIMIT_BLOCK_AFTER times within
+ *   RATE_LIMIT_STRIKE_HOURS is blocked (see consent.js). Chats are counted
+ *   per session, like leads: writing to two shop numbers uses two budgets.
+ *   The block itself applies to every session, like opt-outs.
+ * - Global: at most RATE_LIMIT_GLOBAL replies are generated per window
+ *   across all chats. Turns over the limit wait for the next window
+ *   instead of being dropped.
+ *
+ * Counters live in memory and start over when the server restarts.
+ */
+
+const WINDOW_MS = parseInt(process.env.RATE_LIMIT_WINDOW_MS || '60000');
+const PER_CHAT_LIMIT = parseInt(process.env.RATE_LIMIT_PER_CHAT || '10');
+const GLOBAL_LIMIT = parseInt(process.env.RATE_LIMIT_GLOBAL || '120');
+const BLOCK_AFTER = parseInt(process.env.RATE_LIMIT_BLOCK_AFTER || '3');
+const STRIKE_WINDOW_MS = parseFloat(process.env.RATE_LIMIT_STRIKE_HOURS || '24') * 60 * 60 * 1000;
+
+// Verdicts for an incoming message
+export const RATE_LIMIT_VERDICTS = ['allow', 'notify', 'drop', 'block'];
+
+// "sessionId:phoneNumber" -> { sessionId, phoneNumber, count, windowStart, throttled, dropped, strikes: [timestamps] }
+const chats = new Map();
+
+const globalWindow = { count: 0, windowStart: 0 };
+
+let lastSweep = 0;
+
+const totals = {
+  allowed: 0,
+  dropped: 0,
+  notices: 0,
+  blocked: 0,
+  delayed: 0
+};
+
+/**
+ * Forget chats with nothing left to remember
+ * @param {number} now - Current time in milliseconds
+ */
+function sweep(now) {
+  for (const [key, chat] of chats) {
+    const strikes = chat.strikes.filter(at => now - at < STRIKE_WINDOW_MS);
+    if (now - chat.windowStart >= WINDOW_MS && strikes.length === 0) {
+      chats.delete(key);
+    } else {
+      chat.strikes = strikes;
+    }
+  }
+}
+
+/**
+ * Count an incoming message against its chat's limit
+ * - 'allow': handle the message
+ * - 'notify': over the limit for the first time this window; drop the
+ *   message and send the sender one notice
+ * - 'drop': still over the limit; drop the message quietly
+ * - 'block': over the limit once too often; drop the message and block the number
+ * @param {string} sessionId - Session the message came in on
+ * @param {string} phoneNumber - Sender WhatsApp JID
+ * @param {number} now - Current time in milliseconds
+ * @returns {string} One of RATE_LIMIT_VERDICTS
+ */
+export function checkInboundMessage(sessionId, phoneNumber, now = Date.now()) {
+  // Once a window, so the map stays about as small as the active chats
+  if (now - lastSweep >= WINDOW_MS) {
+    sweep(now);
+    lastSweep = now;
+  }
+
+  const key = `${sessionId}:${phoneNumber}`;
+  let chat = chats.get(key);
+  if (!chat) {
+    chat = { sessionId, phoneNumber, count: 0, windowStart: now, throttled: false, dropped: 0, strikes: [] };
+    chats.set(key, chat);
+  }
+
+  if (now - chat.windowStart >= WINDOW_MS) {
+    chat.count = 0;
+    chat.windowStart = now;
+    chat.throttled = false;
+  }
+
+  chat.count++;
+
+  if (chat.count <= PER_CHAT_LIMIT) {
+    totals.allowed++;
+    return 'allow';
+  }
+
+  chat.dropped++;
+  totals.dropped++;
+
+  if (chat.throttled) return 'drop';
+  chat.throttled = true;
+
+  chat.strikes = chat.strikes.filter(at => now - at < STRIKE_WINDOW_MS);
+  chat.strikes.push(now);
+
+  if (chat.strikes.length >= BLOCK_AFTER) {
+    // A number unblocked by staff starts with a clean slate
+    chat.strikes = [];
+    totals.blocked++;
+    return 'block';
+  }
+
+  totals.notices++;
+  return 'notify';
+}
+
+/**
+ * Wait until a reply may be generated under the global limit
+ * @returns {Promise<void>}
+ */
+export async function waitForReplySlot() {
+  let delayed = false;
+
+  for (;;) {
+    const now = Date.now();
+    if (now - globalWindow.windowStart >= WINDOW_MS) {
+      globalWindow.count = 0;
+      globalWindow.windowStart = now;
+    }
+
+    if (globalWindow.count < GLOBAL_LIMIT) {
+      globalWindow.count++;
+      return;
+    }
+
+    if (!delayed) {
+      delayed = true;
+      totals.delayed++;
+    }
+    await new Promise(resolve => setTimeout(resolve, globalWindow.windowStart + WINDOW_MS - now));
+  }
+}
+
+/**
+ * Get the rate limit settings and counters for the dashboard
+ * @returns {Object} { limits, totals, global, throttled }
+ */
+export function getRateLimitStats() {
+  const now = Date.now();
+  sweep(now);
+
+  const throttled = [...chats.values()]
+    .filter(chat => chat.throttled && now - chat.windowStart < WINDOW_MS)
+    .map(chat => ({
+      session_id: chat.sessionId,
+      phone_number: chat.phoneNumber,
+      messages: chat.count,
+      dropped: chat.dropped,
+      strikes: chat.strikes.length,
+      until: new Date(chat.windowStart + WINDOW_MS).toISOString()
+    }));
+
+  return {
+    limits: {
+      window_ms: WINDOW_MS,
+      per_chat: PER_CHAT_LIMIT,
+      global: GLOBAL_LIMIT,
+      block_after: BLOCK_AFTER,
+      strike_hours: STRIKE_WINDOW_MS / (60 * 60 * 1000)
+    },
+    totals: { ...totals },
+    global: {
+      replies: now - globalWindow.windowStart < WINDOW_MS ? globalWindow.count : 0,
+      limit: GLOBAL_LIMIT
+    },
+    throttled
+  };
+}
+
+export default {
+  RATE_LIMIT_VERDICTS,
+  checkInboundMessage,
+  waitForReplySlot,
+  getRateLimitStats
+};
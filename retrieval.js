@@ -0,0 +1,416 @@
+import { getProvider } from './providers/index.js';
+import { onCatalogChange } from './catalog.js';
+
+/**
+ * Product retrieval for WhatsApp Sales Auto-Closer
+ * Ranks catalog products against the conversation so only the best matches
+ * go into the AI prompt.
+ *
+ * Ranking is BM25 over product name, keywords, category and description.
+ * Every token is indexed twice: as its romanised form and as a consonant
+ * "skeleton", so Devanagari, Gujarati and loosely spelled Hinglish queries
+ * ("शर्ट", "jins", "tshirt") meet the English catalog words ("shirt",
+ * "jeans"). With RETRIEVAL_EMBEDDINGS=true, embeddings from the local model
+ * server are blended in to catch queries that share no words with the
+ * product ("something for my dad").
+ */
+
+const TOP_K = parseInt(process.env.RETRIEVAL_TOP_K || '5');
+const USE_EMBEDDINGS = process.env.RETRIEVAL_EMBEDDINGS === 'true';
+const EMBEDDING_WEIGHT = parseFloat(process.env.RETRIEVAL_EMBEDDING_WEIGHT || '0.5');
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Field weights: a term in the name counts three times, etc.
+const FIELD_WEIGHTS = {
+  name: 3,
+  keywords: 3,
+  category: 2,
+  colors: 1,
+  description: 1
+};
+
+// Earlier user turns count less than the latest message
+const HISTORY_DECAY = 0.5;
+
+const STOPWORDS = new Set([
+  // English
+  'a', 'an', 'the', 'i', 'me', 'my', 'we', 'you', 'your', 'is', 'are', 'am', 'do', 'does', 'have', 'has',
+  'for', 'to', 'of', 'in', 'on', 'and', 'or', 'with', 'want', 'need', 'looking', 'some', 'something',
+  'any', 'please', 'pls', 'show', 'buy', 'get', 'what', 'which', 'this', 'that', 'it', 'can', 'hi', 'hello',
+  // Hindi / Hinglish (romanised)
+  'mujhe', 'muje', 'chahiye', 'chaiye', 'hai', 'hain', 'ka', 'ki', 'ke', 'ek', 'kuch', 'koi', 'mere',
+  'mera', 'liye', 'kya', 'aap', 'ap', 'bhai', 'ji', 'dikhao', 'batao',
+  // Gujarati / Gujlish (romanised)
+  'che', 'chhe', 'mane', 'joie', 'joiye', 'joiae', 'maate', 'mate', 'tame', 'batavo'
+]);
+
+// Common vernacular shopping words mapped to the catalog's English vocabulary
+const EXPANSIONS = {
+  kapda: ['clothing'], kapde: ['clothing'], kapdu: ['clothing'],
+  pant: ['pants', 'jeans'], patloon: ['pants'], trouser: ['pants'],
+  joota: ['shoes'], juta: ['shoes'], jute: ['shoes'], jutta: ['shoes'], chappal: ['shoes'], sneaker: ['shoes'],
+  batua: ['wallet'], batwa: ['wallet'], purse: ['wallet'], paakit: ['wallet'],
+  botal: ['bottle'], botol: ['bottle'], pani: ['water'],
+  mobail: ['phone'], mobile: ['phone'], kavar: ['cover'],
+  batti: ['lamp', 'light'], roshni: ['light'],
+  kofi: ['coffee'], yog: ['yoga'], kasrat: ['exercise'], vyayam: ['exercise'],
+  gana: ['music'], gaana: ['music'], earphone: ['headphones'], headphone: ['headphones']
+};
+
+// ==================== TRANSLITERATION ====================
+
+const DEVANAGARI = {
+  'अ': 'a', 'आ': 'aa', 'इ': 'i', 'ई': 'ii', 'उ': 'u', 'ऊ': 'uu', 'ऋ': 'ri', 'ए': 'e', 'ऐ': 'ai',
+  'ऑ': 'o', 'ओ': 'o', 'औ': 'au',
+  'ा': 'aa', 'ि': 'i', 'ी': 'ii', 'ु': 'u', 'ू': 'uu', 'ृ': 'ri', 'े': 'e', 'ै': 'ai', 'ॉ': 'o',
+  'ो': 'o', 'ौ': 'au',
+  'क': 'k', 'ख': 'kh', 'ग': 'g', 'घ': 'gh', 'ङ': 'n',
+  'च': 'ch', 'छ': 'chh', 'ज': 'j', 'झ': 'jh', 'ञ': 'n',
+  'ट': 't', 'ठ': 'th', 'ड': 'd', 'ढ': 'dh', 'ण': 'n',
+  'त': 't', 'थ': 'th', 'द': 'd', 'ध': 'dh', 'न': 'n',
+  'प': 'p', 'फ': 'ph', 'ब': 'b', 'भ': 'bh', 'म': 'm',
+  'य': 'y', 'र': 'r', 'ल': 'l', 'ळ': 'l', 'व': 'v', 'श': 'sh', 'ष': 'sh', 'स': 's', 'ह': 'h',
+  'क़': 'q', 'ख़': 'kh', 'ग़': 'g', 'ज़': 'z', 'ड़': 'r', 'ढ़': 'rh', 'फ़': 'f',
+  'ं': 'n', 'ँ': 'n', 'ः': 'h', '्': '', '़': ''
+};
+
+// Gujarati letters sit at the same offsets as Devanagari, 0x180 higher
+const GUJARATI_OFFSET = 0x0A80 - 0x0900;
+
+/**
+ * Romanise Devanagari and Gujarati text; other characters pass through
+ * Inherent vowels are not inserted, which the skeleton step ignores anyway.
+ * @param {string} text - Input text
+ * @returns {string} Romanised text
+ */
+export function transliterate(text) {
+  let result = '';
+
+  for (const char of text.normalize('NFC')) {
+    const code = char.codePointAt(0);
+    const devanagari = code >= 0x0A80 && code <= 0x0AFF
+      ? String.fromCodePoint(code - GUJARATI_OFFSET)
+      : char;
+
+    result += DEVANAGARI[devanagari] ?? char;
+  }
+
+  return result;
+}
+
+// ==================== TOKENISATION ====================
+
+/**
+ * Strip a plural "s" (shirts → shirt, pants → pant)
+ * @param {string} token - Lower-case token
+ * @returns {string} Stemmed token
+ */
+function stem(token) {
+  if (token.length > 3 && token.endsWith('s') && !token.endsWith('ss')) {
+    return token.slice(0, -1);
+  }
+  return token;
+}
+
+/**
+ * Reduce a romanised token to a consonant skeleton
+ * Similar-sounding spellings collapse to the same key:
+ * "shirt" / "shart" → "srt", "jeans" / "jins" → "jn", "coffee" / "kofi" → "kf".
+ * @param {string} token - Romanised, lower-case token
+ * @returns {string} Skeleton key
+ */
+export function skeleton(token) {
+  return token
+    .replace(/ch/g, '\u0001')
+    .replace(/ph/g, 'f')
+    .replace(/([kgjtdbs])h/g, '$1')
+    .replace(/c/g, 'k')
+    .replace(/\u0001/g, 'c')
+    .replace(/q/g, 'k')
+    .replace(/x/g, 'ks')
+    .replace(/z/g, 'j')
+    .replace(/w/g, 'v')
+    .replace(/(?!^)[aeiouh]/g, '')
+    .replace(/(.)\1+/g, '$1');
+}
+
+/**
+ * Split text into index terms (romanised tokens plus skeleton keys)
+ * @param {string} text - Input text
+ * @returns {Array<string>} Terms
+ */
+export function tokenize(text) {
+  const words = transliterate(String(text || '').toLowerCase())
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+
+  const terms = [];
+
+  for (const word of words) {
+    if (STOPWORDS.has(word)) continue;
+
+    for (const token of [word, ...(EXPANSIONS[word] || [])]) {
+      const stemmed = stem(token);
+      terms.push(stemmed);
+
+      const key = skeleton(stemmed);
+      if (key.length >= 2) terms.push(`~${key}`);
+    }
+  }
+
+  return terms;
+}
+
+// ==================== INDEX ====================
+
+let index = null;
+
+// Product embeddings by text, kept across index rebuilds
+const embeddingCache = new Map();
+
+/**
+ * Build the terms of one product document, repeated by field weight
+ * @param {Object} product - Catalog product
+ * @returns {Array<string>} Terms
+ */
+function productTerms(product) {
+  const terms = [];
+  const fields = {
+    name: product.name,
+    keywords: (product.keywords || []).join(' '),
+    category: product.category,
+    colors: (product.colors || []).join(' '),
+    description: product.description
+  };
+
+  for (const [field, text] of Object.entries(fields)) {
+    const fieldTerms = tokenize(text);
+    for (let i = 0; i < FIELD_WEIGHTS[field]; i++) {
+      terms.push(...fieldTerms);
+    }
+  }
+
+  return terms;
+}
+
+/**
+ * Build a BM25 index for a catalog
+ * @param {Array} products - Catalog products
+ * @returns {Object} Index
+ */
+export function buildIndex(products) {
+  const docs = products.map(product => {
+    const terms = productTerms(product);
+    const frequencies = new Map();
+    for (const term of terms) {
+      frequencies.set(term, (frequencies.get(term) || 0) + 1);
+    }
+    return { product, length: terms.length, frequencies };
+  });
+
+  const documentFrequency = new Map();
+  for (const doc of docs) {
+    for (const term of doc.frequencies.keys()) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+  }
+
+  const averageLength = docs.reduce((sum, doc) => sum + doc.length, 0) / (docs.length || 1);
+
+  return { products, docs, documentFrequency, averageLength };
+}
+
+/**
+ * Score every product against weighted query terms
+ * @param {Object} idx - Index
+ * @param {Map<string, number>} queryTerms - Term → weight
+ * @returns {Array<number>} BM25 score per product
+ */
+function scoreBM25(idx, queryTerms) {
+  const n = idx.docs.length;
+
+  return idx.docs.map(doc => {
+    let score = 0;
+
+    for (const [term, weight] of queryTerms) {
+      const tf = doc.frequencies.get(term);
+      if (!tf) continue;
+
+      const df = idx.documentFrequency.get(term);
+      const idf = Math.log(1 + (n - df + 0.5) / (df + 0.5));
+      score += weight * idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * doc.length / idx.averageLength));
+    }
+
+    return score;
+  });
+}
+
+/**
+ * Cosine similarity between two vectors
+ * @param {Array<number>} a - Vector
+ * @param {Array<number>} b - Vector
+ * @returns {number} Similarity in [-1, 1]
+ */
+function cosine(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Describe a product for embedding
+ * @param {Object} product - Catalog product
+ * @returns {string} Text
+ */
+function productText(product) {
+  return [product.name, product.category, product.description, (product.keywords || []).join(', ')]
+    .filter(Boolean)
+    .join('. ');
+}
+
+/**
+ * Get embedding similarities for a query, or null when unavailable
+ * @param {Object} idx - Index
+ * @param {string} query - Query text
+ * @returns {Promise<Array<number>|null>} Similarity per product
+ */
+async function scoreEmbeddings(idx, query) {
+  const provider = getProvider();
+  if (!USE_EMBEDDINGS || !provider.embed || !query.trim()) return null;
+
+  try {
+    const texts = idx.products.map(productText);
+    const missing = [...new Set(texts.filter(text => !embeddingCache.has(text)))];
+
+    if (missing.length > 0) {
+      const vectors = await provider.embed(missing);
+      missing.forEach((text, i) => embeddingCache.set(text, vectors[i]));
+    }
+
+    const [queryVector] = await provider.embed([query]);
+    return texts.map(text => cosine(embeddingCache.get(text), queryVector));
+  } catch (error) {
+    // Keyword ranking still works without embeddings
+    console.error('Error computing embeddings, using keyword ranking only:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Get the index for a catalog, rebuilding it when the catalog changed
+ * Callers pass freshly filtered arrays each turn, so the index is keyed by
+ * the searchable content rather than the array itself.
+ * @param {Array} products - Catalog products
+ * @returns {Object} Index
+ */
+function getIndex(products) {
+  const signature = products.map(p => `${p.id}\u0000${productText(p)}\u0000${(p.colors || []).join(',')}`).join('\u0001');
+
+  if (!index || index.signature !== signature) {
+    index = { ...buildIndex(products), signature };
+  } else {
+    index.products = products;
+  }
+
+  return index;
+}
+
+onCatalogChange(() => {
+  index = null;
+  embeddingCache.clear();
+});
+
+// ==================== SEARCH ====================
+
+/**
+ * Rank products for a query
+ * @param {string|Array<{text: string, weight: number}>} query - Text, or weighted texts
+ * @param {Array} products - Catalog products
+ * @param {Object} options - Search options
+ * @param {number} options.limit - Maximum results
+ * @returns {Promise<Array<{product: Object, score: number}>>} Matches, best first (score in 0..1)
+ */
+export async function searchProducts(query, products, { limit = TOP_K } = {}) {
+  const parts = typeof query === 'string' ? [{ text: query, weight: 1 }] : query;
+
+  const queryTerms = new Map();
+  for (const { text, weight } of parts) {
+    for (const term of tokenize(text)) {
+      queryTerms.set(term, Math.max(queryTerms.get(term) || 0, weight));
+    }
+  }
+
+  const idx = getIndex(products);
+  const bm25 = scoreBM25(idx, queryTerms);
+  const maxBM25 = Math.max(0, ...bm25);
+
+  const embeddingQuery = parts.map(p => p.text).join('\n');
+  const similarities = await scoreEmbeddings(idx, embeddingQuery);
+
+  const results = idx.products.map((product, i) => {
+    const keywordScore = maxBM25 > 0 ? bm25[i] / maxBM25 : 0;
+    const score = similarities
+      ? (1 - EMBEDDING_WEIGHT) * keywordScore + EMBEDDING_WEIGHT * Math.max(0, similarities[i])
+      : keywordScore;
+    return { product, score };
+  });
+
+  return results
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+/**
+ * Pick the products to show the model for a conversation
+ * Weighs the latest message most, then earlier user turns, and always keeps
+ * the product already selected in the checkout.
+ * @param {string} userMessage - Latest customer message
+ * @param {Array} chatHistory - Previous conversation history
+ * @param {Array} products - Catalog products
+ * @param {Object} options - Options
+ * @param {string} options.selectedProductId - Product chosen in the checkout
+ * @param {number} options.limit - Maximum products
+ * @returns {Promise<Array>} Products, best first
+ */
+export async function rankProductsForConversation(userMessage, chatHistory, products, { selectedProductId = null, limit = TOP_K } = {}) {
+  const userTurns = chatHistory
+    .filter(msg => msg.role === 'user')
+    .map(msg => msg.message || msg.content)
+    .slice(-4);
+
+  const query = [
+    { text: userMessage, weight: 1 },
+    ...userTurns.reverse().map((text, i) => ({ text, weight: Math.pow(HISTORY_DECAY, i + 1) }))
+  ];
+
+  const ranked = (await searchProducts(query, products, { limit })).map(result => result.product);
+
+  const selected = products.find(p => p.id === selectedProductId);
+  if (selected && !ranked.includes(selected)) {
+    ranked.unshift(selected);
+    ranked.length = Math.min(ranked.length, limit);
+  }
+
+  return ranked;
+}
+
+export default {
+  transliterate,
+  skeleton,
+  tokenize,
+  buildIndex,
+  searchProducts,
+  rankProductsForConversation
+};
@@ -0,0 +1,229 @@
+import express from 'express';
+import { getUsers, getAuthTokens, deleteAuthTokens } from '../database.js';
+import {
+  AuthError,
+  login,
+  logout,
+  createApiKey,
+  addUser,
+  changeUser,
+  toPublicUser,
+  sendAuthError,
+  requireAuth,
+  requireRole
+} from '../auth.js';
+
+const router = express.Router();
+
+/**
+ * Routes for signing in and managing users and API keys
+ * Signing in is the only route that works without a token; managing
+ * users and API keys is for owners.
+ */
+
+/**
+ * Send the response for a failed request
+ * @param {Object} res - Express response
+ * @param {Error} error - Error
+ * @param {string} message - Error message for unexpected errors
+ * @returns {Object} Express response
+ */
+function sendError(res, error, message) {
+  if (error instanceof AuthError) {
+    return sendAuthError(res, error);
+  }
+
+  console.error(`${message}:`, error);
+  return res.status(500).json({
+    success: false,
+    error: message,
+    message: error.message
+  });
+}
+
+/**
+ * POST /api/auth/login
+ * Sign in with { email, password }; returns a token for the Authorization header.
+ * Answers 429 after too many failed attempts for the email or from the IP address
+ */
+router.post('/login', async (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email and password are required'
+      });
+    }
+
+    const session = await login(email, password, req.ip);
+
+    res.json({
+      success: true,
+      data: session
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to sign in');
+  }
+});
+
+router.use(requireAuth);
+
+/**
+ * POST /api/auth/logout
+ * Sign out the token the request was made with
+ */
+router.post('/logout', async (req, res) => {
+  try {
+    await logout(req.authToken);
+
+    res.json({
+      success: true,
+      message: 'Signed out successfully'
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to sign out');
+  }
+});
+
+/**
+ * GET /api/auth/me
+ * Get the signed-in user
+ */
+router.get('/me', (req, res) => {
+  res.json({
+    success: true,
+    data: req.user
+  });
+});
+
+/**
+ * GET /api/auth/users
+ * Get every user
+ */
+router.get('/users', requireRole('owner'), async (req, res) => {
+  try {
+    const users = (await getUsers()).map(toPublicUser);
+
+    res.json({
+      success: true,
+      count: users.length,
+      data: users
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch users');
+  }
+});
+
+/**
+ * POST /api/auth/users
+ * Create a user with { email, name, role, password }; users without a
+ * password can only use API keys
+ */
+router.post('/users', requireRole('owner'), async (req, res) => {
+  try {
+    const user = await addUser(req.body || {});
+
+    res.status(201).json({
+      success: true,
+      message: 'User created successfully',
+      data: user
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to create user');
+  }
+});
+
+/**
+ * PUT /api/auth/users/:id
+ * Change a user's { name, role, password, active }
+ */
+router.put('/users/:id', requireRole('owner'), async (req, res) => {
+  try {
+    const user = await changeUser(req.params.id, req.body || {});
+
+    res.json({
+      success: true,
+      message: 'User updated successfully',
+      data: user
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to update user');
+  }
+});
+
+/**
+ * GET /api/auth/keys
+ * Get every API key (without the keys themselves)
+ */
+router.get('/keys', requireRole('owner'), async (req, res) => {
+  try {
+    const keys = (await getAuthTokens({ kind: 'api_key' }))
+      .map(({ token_hash: tokenHash, ...key }) => key);
+
+    res.json({
+      success: true,
+      count: keys.length,
+      data: keys
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch API keys');
+  }
+});
+
+/**
+ * POST /api/auth/keys
+ * Create an API key with { name, userId } (userId defaults to the caller);
+ * the key is only returned in this response
+ */
+router.post('/keys', requireRole('owner'), async (req, res) => {
+  try {
+    const name = String(req.body?.name || '').trim();
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        error: 'API key name is required'
+      });
+    }
+
+    const key = await createApiKey(req.body.userId || req.user.id, name);
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created; store it now, it is not shown again',
+      data: key
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to create API key');
+  }
+});
+
+/**
+ * DELETE /api/auth/keys/:id
+ * Revoke an API key
+ */
+router.delete('/keys/:id', requireRole('owner'), async (req, res) => {
+  try {
+    const keys = await getAuthTokens({ kind: 'api_key' });
+
+    if (!keys.some(key => key.id === req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    await deleteAuthTokens({ id: req.params.id });
+
+    res.json({
+      success: true,
+      message: 'API key revoked successfully'
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to revoke API key');
+  }
+});
+
+export default router;
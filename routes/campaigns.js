@@ -0,0 +1,296 @@
+import express from 'express';
+import { formatPhoneNumber } from '../whatsapp.js';
+import { getSessionConfig } from '../sessions.js';
+import { getCampaigns, getCampaign, updateCampaign, getCampaignRecipients, getCampaignStats } from '../database.js';
+import {
+  CAMPAIGN_ACTIONS,
+  RECIPIENT_STATUSES,
+  normalizeAudienceFilters,
+  getAudience,
+  createCampaign
+} from '../campaigns.js';
+import { requireRole } from '../auth.js';
+
+const router = express.Router();
+
+/**
+ * Routes for broadcast campaigns
+ * Campaigns are sent in the background; these endpoints create them,
+ * report per-recipient progress and pause, resume or cancel them.
+ */
+
+const MAX_RATE_PER_MINUTE = 60;
+const MAX_JITTER_SECONDS = 300;
+
+/**
+ * Validate and normalise campaign fields from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} { campaign, error }
+ */
+function parseCampaignInput(body) {
+  const name = String(body.name || '').trim();
+  const message = String(body.message || '').trim();
+
+  if (!name || !message) {
+    return { error: 'Name and message are required' };
+  }
+
+  const session = getSessionConfig(body.sessionId);
+  if (!session) {
+    return { error: `Unknown WhatsApp session "${body.sessionId}"` };
+  }
+
+  const campaign = { session_id: session.id, name, message, filters: normalizeAudienceFilters(body.filters) };
+
+  if (body.phoneNumbers !== undefined) {
+    if (!Array.isArray(body.phoneNumbers)) {
+      return { error: 'phoneNumbers must be an array' };
+    }
+    campaign.phoneNumbers = body.phoneNumbers.map(number => formatPhoneNumber(String(number)));
+  }
+
+  if (body.scheduled_at) {
+    const scheduledAt = new Date(body.scheduled_at);
+    if (Number.isNaN(scheduledAt.getTime())) {
+      return { error: 'scheduled_at must be a date' };
+    }
+    campaign.scheduled_at = scheduledAt.toISOString();
+  }
+
+  if (body.rate_per_minute !== undefined && body.rate_per_minute !== '') {
+    const rate = parseInt(body.rate_per_minute);
+    if (!(rate >= 1 && rate <= MAX_RATE_PER_MINUTE)) {
+      return { error: `rate_per_minute must be between 1 and ${MAX_RATE_PER_MINUTE}` };
+    }
+    campaign.rate_per_minute = rate;
+  }
+
+  if (body.jitter_seconds !== undefined && body.jitter_seconds !== '') {
+    const jitter = parseInt(body.jitter_seconds);
+    if (!(jitter >= 0 && jitter <= MAX_JITTER_SECONDS)) {
+      return { error: `jitter_seconds must be between 0 and ${MAX_JITTER_SECONDS}` };
+    }
+    campaign.jitter_seconds = jitter;
+  }
+
+  return { campaign };
+}
+
+/**
+ * GET /api/campaigns
+ * Get all campaigns with their delivery counts
+ */
+router.get('/', async (req, res) => {
+  try {
+    const campaigns = await getCampaigns({ status: req.query.status });
+    const data = await Promise.all(campaigns.map(async campaign => ({
+      ...campaign,
+      stats: await getCampaignStats(campaign.id)
+    })));
+
+    res.json({
+      success: true,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    console.error('Error fetching campaigns:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch campaigns',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/campaigns/preview
+ * Count the leads a set of filters would reach (on `sessionId`, or the default session)
+ */
+router.post('/preview', async (req, res) => {
+  try {
+    const session = getSessionConfig(req.body.sessionId);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: `Unknown WhatsApp session "${req.body.sessionId}"`
+      });
+    }
+
+    const audience = await getAudience(normalizeAudienceFilters(req.body.filters), session.id);
+
+    res.json({
+      success: true,
+      count: audience.length,
+      data: audience.slice(0, 20).map(lead => ({
+        id: lead.id,
+        phone_number: lead.phone_number,
+        customer_name: lead.customer_name,
+        city: lead.city
+      }))
+    });
+  } catch (error) {
+    console.error('Error previewing campaign audience:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to preview audience',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/campaigns
+ * Create a campaign for the leads matching `filters` (or explicit `phoneNumbers`)
+ * Owners only
+ */
+router.post('/', requireRole('owner'), async (req, res) => {
+  try {
+    const { campaign, error } = parseCampaignInput(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const created = await createCampaign(campaign);
+
+    if (!created) {
+      return res.status(400).json({
+        success: false,
+        error: 'No leads match this audience'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Campaign created successfully',
+      data: created
+    });
+  } catch (error) {
+    console.error('Error creating campaign:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create campaign',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/campaigns/:id
+ * Get a campaign with its delivery counts
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const campaign = await getCampaign(req.params.id);
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        error: 'Campaign not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...campaign,
+        stats: await getCampaignStats(campaign.id)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching campaign:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch campaign',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/campaigns/:id/recipients
+ * Get per-recipient delivery status (optionally ?status=failed)
+ */
+router.get('/:id/recipients', async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    if (status && !RECIPIENT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Status must be one of: ${RECIPIENT_STATUSES.join(', ')}`
+      });
+    }
+
+    const recipients = await getCampaignRecipients(req.params.id, { status });
+
+    res.json({
+      success: true,
+      count: recipients.length,
+      data: recipients
+    });
+  } catch (error) {
+    console.error('Error fetching campaign recipients:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch campaign recipients',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/campaigns/:id/:action
+ * Pause, resume or cancel a campaign; takes effect before the next message
+ * Owners only
+ */
+router.post('/:id/:action', requireRole('owner'), async (req, res) => {
+  try {
+    const action = CAMPAIGN_ACTIONS[req.params.action];
+
+    if (!action) {
+      return res.status(404).json({
+        success: false,
+        error: 'Endpoint not found'
+      });
+    }
+
+    const campaign = await getCampaign(req.params.id);
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        error: 'Campaign not found'
+      });
+    }
+
+    if (!action.from.includes(campaign.status)) {
+      return res.status(409).json({
+        success: false,
+        error: `Cannot ${req.params.action} a ${campaign.status} campaign`
+      });
+    }
+
+    const updated = await updateCampaign(campaign.id, { status: action.to });
+
+    res.json({
+      success: true,
+      message: `Campaign ${action.to}`,
+      data: updated
+    });
+  } catch (error) {
+    console.error('Error updating campaign:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update campaign',
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,104 @@
+import express from 'express';
+import { formatPhoneNumber } from '../whatsapp.js';
+import { getConsent, getConsentRecords, setConsent } from '../database.js';
+import { CONSENT_STATUSES } from '../consent.js';
+
+const router = express.Router();
+
+/**
+ * Routes for opt-outs and the blocklist
+ * Customers change their own status with STOP/START; staff can view every
+ * number that opted out, block numbers and opt them back in.
+ */
+
+/**
+ * GET /api/consent
+ * Get consent records, most recently changed first (?status= to filter)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    if (status && !CONSENT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Status must be one of: ${CONSENT_STATUSES.join(', ')}`
+      });
+    }
+
+    const records = await getConsentRecords(status ? { status } : {});
+
+    res.json({
+      success: true,
+      count: records.length,
+      data: records
+    });
+  } catch (error) {
+    console.error('Error fetching consent records:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch consent records',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/consent/:phoneNumber
+ * Get the consent status of a number (numbers never seen are subscribed)
+ */
+router.get('/:phoneNumber', async (req, res) => {
+  try {
+    const phoneNumber = formatPhoneNumber(req.params.phoneNumber);
+    const consent = await getConsent(phoneNumber);
+
+    res.json({
+      success: true,
+      data: consent || { phone_number: phoneNumber, status: 'subscribed', source: null, reason: null }
+    });
+  } catch (error) {
+    console.error('Error fetching consent:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch consent',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/consent/:phoneNumber
+ * Set the consent status of a number on behalf of staff
+ */
+router.put('/:phoneNumber', async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+
+    if (!CONSENT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Status must be one of: ${CONSENT_STATUSES.join(', ')}`
+      });
+    }
+
+    const consent = await setConsent(formatPhoneNumber(req.params.phoneNumber), status, {
+      source: 'staff',
+      reason: reason ? String(reason).trim() : null
+    });
+
+    res.json({
+      success: true,
+      message: 'Consent updated successfully',
+      data: consent
+    });
+  } catch (error) {
+    console.error('Error updating consent:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update consent',
+      message: error.message
+    });
+  }
+});
+
+export default router;
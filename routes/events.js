@@ -0,0 +1,57 @@
+import express from 'express';
+import { subscribe, getEventsSince } from '../events.js';
+
+const router = express.Router();
+
+/**
+ * Routes for live updates
+ * Streams server events to the dashboard as Server-Sent Events.
+ */
+
+// Comment lines keep proxies from closing an idle stream
+const HEARTBEAT_MS = 25000;
+
+/**
+ * Write one event in SSE format
+ * @param {Object} res - Express response
+ * @param {Object} event - Event ({ id, type, data, timestamp })
+ */
+function writeEvent(res, event) {
+  res.write(`id: ${event.id}\n`);
+  res.write(`event: ${event.type}\n`);
+  res.write(`data: ${JSON.stringify({ ...event.data, timestamp: event.timestamp })}\n\n`);
+}
+
+/**
+ * GET /api/events
+ * Stream events; a client reconnecting with Last-Event-ID gets what it missed
+ */
+router.get('/', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Ask the browser to wait a few seconds before reconnecting
+  res.write('retry: 3000\n\n');
+
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId);
+  if (Number.isInteger(lastEventId)) {
+    for (const event of getEventsSince(lastEventId)) {
+      writeEvent(res, event);
+    }
+  }
+
+  const unsubscribe = subscribe(event => writeEvent(res, event));
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+export default router;
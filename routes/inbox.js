@@ -0,0 +1,207 @@
+import express from 'express';
+import { sendAgentReply, formatPhoneNumber } from '../whatsapp.js';
+import { getAgentQueue, getLeadByPhone, getChatHistory, markForHumanAgent, returnToBot } from '../database.js';
+import { ConsentError } from '../consent.js';
+import { getDefaultSessionId } from '../sessions.js';
+
+const router = express.Router();
+
+/**
+ * Routes for the human-agent inbox
+ * Staff see the conversations the bot handed off, read the thread, reply
+ * as an agent and hand the conversation back to the bot when done.
+ * Conversations on other WhatsApp sessions than the default are addressed
+ * with ?sessionId=.
+ */
+
+/**
+ * Look up the lead for a phone number route parameter
+ * @param {string} phoneNumber - Phone number or JID from the URL
+ * @param {string} sessionId - Session ID from the query string; the default session when omitted
+ * @returns {Promise<Object>} { phoneNumber, sessionId, lead }
+ */
+async function findConversation(phoneNumber, sessionId) {
+  const formattedNumber = formatPhoneNumber(phoneNumber);
+  const session = sessionId || getDefaultSessionId();
+  const lead = await getLeadByPhone(formattedNumber, session);
+  return { phoneNumber: formattedNumber, sessionId: session, lead };
+}
+
+/**
+ * GET /api/inbox
+ * Get conversations waiting for a human agent, longest waiting first
+ */
+router.get('/', async (req, res) => {
+  try {
+    const leads = await getAgentQueue();
+
+    // Attach the latest message of each conversation for the queue preview
+    const queue = await Promise.all(leads.map(async lead => {
+      const [lastMessage] = await getChatHistory(lead.phone_number, 1, lead.session_id);
+      return { ...lead, last_message: lastMessage || null };
+    }));
+
+    res.json({
+      success: true,
+      count: queue.length,
+      data: queue
+    });
+  } catch (error) {
+    console.error('Error fetching inbox:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch inbox',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/inbox/:phoneNumber
+ * Get a conversation thread with its lead
+ */
+router.get('/:phoneNumber', async (req, res) => {
+  try {
+    const { phoneNumber, sessionId, lead } = await findConversation(req.params.phoneNumber, req.query.sessionId);
+    const limit = parseInt(req.query.limit) || 100;
+
+    if (!lead) {
+      return res.status(404).json({
+        success: false,
+        error: 'Conversation not found'
+      });
+    }
+
+    const messages = await getChatHistory(phoneNumber, limit, sessionId);
+
+    res.json({
+      success: true,
+      data: {
+        lead,
+        messages
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching conversation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch conversation',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/inbox/:phoneNumber/reply
+ * Send a message as a human agent (takes the conversation over from the bot)
+ */
+router.post('/:phoneNumber/reply', async (req, res) => {
+  try {
+    const { message } = req.body;
+
+    if (!message || !String(message).trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Message is required'
+      });
+    }
+
+    const { phoneNumber, sessionId, lead } = await findConversation(req.params.phoneNumber, req.query.sessionId);
+
+    if (!lead) {
+      return res.status(404).json({
+        success: false,
+        error: 'Conversation not found'
+      });
+    }
+
+    const saved = await sendAgentReply(phoneNumber, String(message).trim(), sessionId);
+
+    res.json({
+      success: true,
+      message: 'Reply sent successfully',
+      data: saved
+    });
+  } catch (error) {
+    console.error('Error sending agent reply:', error);
+
+    if (error instanceof ConsentError) {
+      return res.status(403).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send reply',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/inbox/:phoneNumber/take-over
+ * Stop the bot and put the conversation in the agent queue
+ */
+router.post('/:phoneNumber/take-over', async (req, res) => {
+  try {
+    const { phoneNumber, sessionId, lead } = await findConversation(req.params.phoneNumber, req.query.sessionId);
+
+    if (!lead) {
+      return res.status(404).json({
+        success: false,
+        error: 'Conversation not found'
+      });
+    }
+
+    const updatedLead = lead.needs_human_agent ? lead : await markForHumanAgent(phoneNumber, sessionId);
+
+    res.json({
+      success: true,
+      message: 'Conversation taken over',
+      data: updatedLead
+    });
+  } catch (error) {
+    console.error('Error taking over conversation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to take over conversation',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/inbox/:phoneNumber/return-to-bot
+ * Clear the human-agent flag so the bot answers again
+ */
+router.post('/:phoneNumber/return-to-bot', async (req, res) => {
+  try {
+    const { phoneNumber, sessionId, lead } = await findConversation(req.params.phoneNumber, req.query.sessionId);
+
+    if (!lead) {
+      return res.status(404).json({
+        success: false,
+        error: 'Conversation not found'
+      });
+    }
+
+    const updatedLead = await returnToBot(phoneNumber, sessionId);
+
+    res.json({
+      success: true,
+      message: 'Conversation returned to the bot',
+      data: updatedLead
+    });
+  } catch (error) {
+    console.error('Error returning conversation to bot:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to return conversation to bot',
+      message: error.message
+    });
+  }
+});
+
+export default router;
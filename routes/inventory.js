@@ -0,0 +1,102 @@
+import express from 'express';
+import { getInventory, setStockLevel, getLowStockItems } from '../database.js';
+
+const router = express.Router();
+
+/**
+ * Routes for managing stock levels per product variant
+ */
+
+/**
+ * GET /api/inventory
+ * Get stock levels, optionally for one product
+ */
+router.get('/', async (req, res) => {
+  try {
+    const inventory = await getInventory(req.query.productId || null);
+
+    res.json({
+      success: true,
+      count: inventory.length,
+      data: inventory
+    });
+  } catch (error) {
+    console.error('Error fetching inventory:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch inventory',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/inventory/low-stock
+ * Get variants at or below their low-stock threshold
+ */
+router.get('/low-stock', async (req, res) => {
+  try {
+    const items = await getLowStockItems();
+
+    res.json({
+      success: true,
+      count: items.length,
+      data: items
+    });
+  } catch (error) {
+    console.error('Error fetching low stock items:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch low stock items',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/inventory
+ * Set the stock level of a product variant
+ */
+router.put('/', async (req, res) => {
+  try {
+    const { productId, size, color, quantity, lowStockThreshold } = req.body;
+
+    if (!productId || quantity === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Product ID and quantity are required'
+      });
+    }
+
+    if (!Number.isInteger(quantity) || quantity < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Quantity must be a non-negative integer'
+      });
+    }
+
+    if (lowStockThreshold !== undefined && (!Number.isInteger(lowStockThreshold) || lowStockThreshold < 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Low stock threshold must be a non-negative integer'
+      });
+    }
+
+    const row = await setStockLevel(productId, size, color, quantity, lowStockThreshold);
+
+    res.json({
+      success: true,
+      message: 'Stock level updated successfully',
+      data: row
+    });
+  } catch (error) {
+    console.error('Error updating stock level:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update stock level',
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -1,5 +1,8 @@
 import express from 'express';
 import { getLeads, updateLead, getStatistics } from '../database.js';
+import { getUnreachableNumbers } from '../consent.js';
+import { STAGES } from '../checkout.js';
+import { LANGUAGES } from '../i18n.js';
 
 const router = express.Router();
 
@@ -9,12 +12,16 @@ const router = express.Router();
 
 /**
  * GET /api/leads
- * Get all leads with optional filters
+ * Get all leads with optional filters, each with its consent_status
  */
 router.get('/', async (req, res) => {
   try {
     const filters = {};
 
+    if (req.query.sessionId) {
+      filters.session_id = req.query.sessionId;
+    }
+
     if (req.query.status) {
       filters.status = req.query.status;
     }
@@ -23,12 +30,28 @@ router.get('/', async (req, res) => {
       filters.needs_human_agent = req.query.needs_human_agent === 'true';
     }
 
-    const leads = await getLeads(filters);
+    if (req.query.stage) {
+      filters.stage = req.query.stage;
+    }
+
+    if (req.query.language) {
+      filters.language = req.query.language;
+    }
+
+    if (req.query.city) {
+      filters.city = req.query.city;
+    }
+
+    if (req.query.tag) {
+      filters.tags = [req.query.tag];
+    }
+
+    const [leads, unreachable] = await Promise.all([getLeads(filters), getUnreachableNumbers()]);
 
     res.json({
       success: true,
       count: leads.length,
-      data: leads
+      data: leads.map(lead => ({ ...lead, consent_status: unreachable.get(lead.phone_number) || 'subscribed' }))
     });
   } catch (error) {
     console.error('Error fetching leads:', error);
@@ -72,7 +95,10 @@ router.put('/:id', async (req, res) => {
     const updates = req.body;
 
     // Validate allowed fields
-    const allowedFields = ['customer_name', 'city', 'status', 'needs_human_agent'];
+    const allowedFields = [
+      'customer_name', 'city', 'state', 'address', 'pincode', 'alternate_phone',
+      'status', 'needs_human_agent', 'stage', 'language', 'tags'
+    ];
     const filteredUpdates = {};
 
     for (const field of allowedFields) {
@@ -81,6 +107,46 @@ router.put('/:id', async (req, res) => {
       }
     }
 
+    if (filteredUpdates.stage !== undefined) {
+      if (!STAGES.includes(filteredUpdates.stage)) {
+        return res.status(400).json({
+          success: false,
+          error: `Stage must be one of: ${STAGES.join(', ')}`
+        });
+      }
+      filteredUpdates.stage_updated_at = new Date().toISOString();
+    }
+
+    if (filteredUpdates.tags !== undefined) {
+      if (!Array.isArray(filteredUpdates.tags)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Tags must be an array'
+        });
+      }
+      filteredUpdates.tags = [...new Set(filteredUpdates.tags.map(tag => String(tag).trim()).filter(Boolean))];
+    }
+
+    // Flagging from the leads API starts the agent's waiting clock
+    if (filteredUpdates.needs_human_agent !== undefined) {
+      filteredUpdates.agent_requested_at = filteredUpdates.needs_human_agent ? new Date().toISOString() : null;
+    }
+
+    // A language set here sticks until it is set back to 'auto'
+    if (filteredUpdates.language !== undefined) {
+      if (filteredUpdates.language === 'auto') {
+        delete filteredUpdates.language;
+        filteredUpdates.language_locked = false;
+      } else if (LANGUAGES.includes(filteredUpdates.language)) {
+        filteredUpdates.language_locked = true;
+      } else {
+        return res.status(400).json({
+          success: false,
+          error: `Language must be one of: ${LANGUAGES.join(', ')}, auto`
+        });
+      }
+    }
+
     if (Object.keys(filteredUpdates).length === 0) {
       return res.status(400).json({
         success: false,
@@ -0,0 +1,22 @@
+import express from 'express';
+import { MEDIA_DIR } from '../media.js';
+
+const router = express.Router();
+
+/**
+ * Routes for media files received from customers
+ */
+
+/**
+ * GET /api/media/:fileName
+ * Download a received file. Files are always sent as attachments and never
+ * sniffed, so a customer upload cannot run as a page on the dashboard origin.
+ */
+router.use(express.static(MEDIA_DIR, {
+  setHeaders(res) {
+    res.set('Content-Disposition', 'attachment');
+    res.set('X-Content-Type-Options', 'nosniff');
+  }
+}));
+
+export default router;
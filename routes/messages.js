@@ -1,48 +1,115 @@
 import express from 'express';
-import { sendMessage, sendMessageWithTyping, broadcastMessage, formatPhoneNumber, isWhatsAppConnected } from '../whatsapp.js';
-import { getChatHistory, clearChatHistory } from '../database.js';
+import {
+  sendMessage,
+  sendMessageWithTyping,
+  sendProductCard,
+  formatPhoneNumber,
+  isWhatsAppConnected,
+  getSessions
+} from '../whatsapp.js';
+import { getChatHistory, clearChatHistory, getOutboundMessage, getOutboundMessages, updateOutboundMessage } from '../database.js';
+import { loadProducts } from '../catalog.js';
+import { getAvailableProducts } from '../inventory.js';
+import { createCampaign, normalizeAudienceFilters } from '../campaigns.js';
+import { ConsentError } from '../consent.js';
+import { OUTBOX_STATUSES, flushOutbox } from '../outbox.js';
+import { getSessionConfig } from '../sessions.js';
+import { getRateLimitStats } from '../ratelimit.js';
+import { requireRole } from '../auth.js';
 
 const router = express.Router();
 
 /**
  * Routes for managing messages and chat
+ * Every route takes an optional sessionId (body or query string) naming the
+ * WhatsApp session to use; without it the default session is used.
  */
 
+/**
+ * Answer a request for a session that is not configured
+ * @param {Object} res - Express response
+ * @param {string} sessionId - Requested session ID
+ * @returns {Object} Express response
+ */
+function sendUnknownSession(res, sessionId) {
+  return res.status(404).json({
+    success: false,
+    error: `Unknown WhatsApp session "${sessionId}"`
+  });
+}
+
 /**
  * POST /api/messages/send
- * Send a message to a phone number
+ * Send a message to a phone number; with productId, also send that
+ * product's photo card (message becomes optional)
+ * While WhatsApp is disconnected the messages are queued (202 Accepted)
  */
 router.post('/send', async (req, res) => {
   try {
-    const { phoneNumber, message, withTyping = true } = req.body;
+    const { phoneNumber, message, productId, withTyping = true, sessionId } = req.body;
 
-    if (!phoneNumber || !message) {
+    if (!phoneNumber || (!message && !productId)) {
       return res.status(400).json({
         success: false,
-        error: 'Phone number and message are required'
+        error: 'Phone number and a message or productId are required'
       });
     }
 
+    const session = getSessionConfig(sessionId);
+    if (!session) {
+      return sendUnknownSession(res, sessionId);
+    }
+
+    // Cards list the sizes and colors that are in stock
+    let product = null;
+    if (productId) {
+      const catalog = await loadProducts();
+      const { products } = await getAvailableProducts(catalog);
+      product = products.find(p => p.id === productId) || catalog.find(p => p.id === productId);
+
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          error: 'Product not found'
+        });
+      }
+    }
+
     // Format phone number
     const formattedNumber = formatPhoneNumber(phoneNumber);
+    const connected = isWhatsAppConnected(session.id);
 
     // Send message
-    if (withTyping) {
-      await sendMessageWithTyping(formattedNumber, message);
-    } else {
-      await sendMessage(formattedNumber, message);
+    if (message && withTyping) {
+      await sendMessageWithTyping(formattedNumber, message, session.id);
+    } else if (message) {
+      await sendMessage(formattedNumber, message, session.id);
     }
 
-    res.json({
+    const card = product ? await sendProductCard(formattedNumber, product, null, session.id) : null;
+
+    res.status(connected ? 200 : 202).json({
       success: true,
-      message: 'Message sent successfully',
+      message: connected
+        ? 'Message sent successfully'
+        : 'WhatsApp is disconnected; message queued and will be sent after reconnecting',
       data: {
+        sessionId: session.id,
         phoneNumber: formattedNumber,
-        message
+        message: message || null,
+        productCard: card
       }
     });
   } catch (error) {
     console.error('Error sending message:', error);
+
+    if (error instanceof ConsentError) {
+      return res.status(403).json({
+        success: false,
+        error: error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
       error: 'Failed to send message',
@@ -53,16 +120,25 @@ router.post('/send', async (req, res) => {
 
 /**
  * POST /api/messages/broadcast
- * Broadcast message to multiple phone numbers
+ * Broadcast a message to phone numbers or to the leads matching `filters`
+ * Creates a campaign that starts right away; follow it under /api/campaigns
+ * Owners only
  */
-router.post('/broadcast', async (req, res) => {
+router.post('/broadcast', requireRole('owner'), async (req, res) => {
   try {
-    const { phoneNumbers, message } = req.body;
+    const { phoneNumbers, filters, message, sessionId } = req.body;
+
+    if (phoneNumbers !== undefined && (!Array.isArray(phoneNumbers) || phoneNumbers.length === 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Phone numbers must be a non-empty array'
+      });
+    }
 
-    if (!phoneNumbers || !Array.isArray(phoneNumbers) || phoneNumbers.length === 0) {
+    if (!phoneNumbers && !filters) {
       return res.status(400).json({
         success: false,
-        error: 'Phone numbers array is required'
+        error: 'Phone numbers array or filters are required'
       });
     }
 
@@ -73,16 +149,30 @@ router.post('/broadcast', async (req, res) => {
       });
     }
 
-    // Format all phone numbers
-    const formattedNumbers = phoneNumbers.map(formatPhoneNumber);
+    const session = getSessionConfig(sessionId);
+    if (!session) {
+      return sendUnknownSession(res, sessionId);
+    }
 
-    // Broadcast message
-    const results = await broadcastMessage(formattedNumbers, message);
+    const campaign = await createCampaign({
+      session_id: session.id,
+      name: `Broadcast ${new Date().toISOString().slice(0, 16).replace('T', ' ')}`,
+      message,
+      phoneNumbers: phoneNumbers?.map(formatPhoneNumber),
+      filters: normalizeAudienceFilters(filters)
+    });
 
-    res.json({
+    if (!campaign) {
+      return res.status(400).json({
+        success: false,
+        error: 'No leads match this audience'
+      });
+    }
+
+    res.status(202).json({
       success: true,
-      message: 'Broadcast completed',
-      data: results
+      message: 'Broadcast started',
+      data: campaign
     });
   } catch (error) {
     console.error('Error broadcasting message:', error);
@@ -103,10 +193,15 @@ router.get('/history/:phoneNumber', async (req, res) => {
     const { phoneNumber } = req.params;
     const limit = parseInt(req.query.limit) || 50;
 
+    const session = getSessionConfig(req.query.sessionId);
+    if (!session) {
+      return sendUnknownSession(res, req.query.sessionId);
+    }
+
     // Format phone number
     const formattedNumber = formatPhoneNumber(phoneNumber);
 
-    const history = await getChatHistory(formattedNumber, limit);
+    const history = await getChatHistory(formattedNumber, limit, session.id);
 
     res.json({
       success: true,
@@ -126,15 +221,21 @@ router.get('/history/:phoneNumber', async (req, res) => {
 /**
  * DELETE /api/messages/history/:phoneNumber
  * Clear chat history for a phone number
+ * Owners only
  */
-router.delete('/history/:phoneNumber', async (req, res) => {
+router.delete('/history/:phoneNumber', requireRole('owner'), async (req, res) => {
   try {
     const { phoneNumber } = req.params;
 
+    const session = getSessionConfig(req.query.sessionId);
+    if (!session) {
+      return sendUnknownSession(res, req.query.sessionId);
+    }
+
     // Format phone number
     const formattedNumber = formatPhoneNumber(phoneNumber);
 
-    await clearChatHistory(formattedNumber);
+    await clearChatHistory(formattedNumber, session.id);
 
     res.json({
       success: true,
@@ -150,19 +251,130 @@ router.delete('/history/:phoneNumber', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/messages/outbox
+ * Get queued outbound messages (?status=pending|sent|failed, ?phoneNumber=, ?limit=)
+ * Messages of every session are listed unless ?sessionId= is given
+ */
+router.get('/outbox', async (req, res) => {
+  try {
+    const { status, phoneNumber, sessionId } = req.query;
+    const limit = parseInt(req.query.limit) || 100;
+
+    if (status && !OUTBOX_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Status must be one of: ${OUTBOX_STATUSES.join(', ')}`
+      });
+    }
+
+    const messages = await getOutboundMessages({
+      session_id: sessionId,
+      status,
+      phone_number: phoneNumber ? formatPhoneNumber(phoneNumber) : undefined,
+      limit
+    });
+
+    res.json({
+      success: true,
+      count: messages.length,
+      data: messages
+    });
+  } catch (error) {
+    console.error('Error fetching outbox:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch outbox',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/messages/outbox/:id/retry
+ * Queue a failed message again, with a fresh set of attempts
+ */
+router.post('/outbox/:id/retry', async (req, res) => {
+  try {
+    const message = await getOutboundMessage(req.params.id);
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        error: 'Message not found'
+      });
+    }
+
+    if (message.status !== 'failed') {
+      return res.status(409).json({
+        success: false,
+        error: `Only failed messages can be retried; this one is ${message.status}`
+      });
+    }
+
+    const updated = await updateOutboundMessage(message.id, {
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: new Date().toISOString()
+    });
+    flushOutbox();
+
+    res.json({
+      success: true,
+      message: 'Message queued for retry',
+      data: updated
+    });
+  } catch (error) {
+    console.error('Error retrying message:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retry message',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/messages/rate-limits
+ * Get the inbound rate limits, their counters since the server started and
+ * the numbers being throttled right now
+ */
+router.get('/rate-limits', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: getRateLimitStats()
+    });
+  } catch (error) {
+    console.error('Error fetching rate limits:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch rate limits',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/messages/status
- * Get WhatsApp connection status
+ * Get WhatsApp connection status of a session, and of every session
  */
 router.get('/status', (req, res) => {
   try {
-    const connected = isWhatsAppConnected();
+    const session = getSessionConfig(req.query.sessionId);
+    if (!session) {
+      return sendUnknownSession(res, req.query.sessionId);
+    }
+
+    const connected = isWhatsAppConnected(session.id);
 
     res.json({
       success: true,
       data: {
+        sessionId: session.id,
         connected,
-        status: connected ? 'online' : 'offline'
+        status: connected ? 'online' : 'offline',
+        sessions: getSessions()
       }
     });
   } catch (error) {
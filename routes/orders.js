@@ -1,6 +1,7 @@
 import express from 'express';
 import { createOrder, getOrders, updateOrderStatus } from '../database.js';
 import { formatPhoneNumber } from '../whatsapp.js';
+import { getSessionConfig } from '../sessions.js';
 
 const router = express.Router();
 
@@ -10,11 +11,11 @@ const router = express.Router();
 
 /**
  * POST /api/orders
- * Create a new order
+ * Create a new order (on `sessionId`, or the default WhatsApp session)
  */
 router.post('/', async (req, res) => {
   try {
-    const { leadId, phoneNumber, products, totalAmount, notes } = req.body;
+    const { leadId, phoneNumber, products, totalAmount, notes, sessionId } = req.body;
 
     if (!leadId || !phoneNumber || !products) {
       return res.status(400).json({
@@ -30,6 +31,14 @@ router.post('/', async (req, res) => {
       });
     }
 
+    const session = getSessionConfig(sessionId);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: `Unknown WhatsApp session "${sessionId}"`
+      });
+    }
+
     // Format phone number
     const formattedNumber = formatPhoneNumber(phoneNumber);
 
@@ -38,7 +47,8 @@ router.post('/', async (req, res) => {
       formattedNumber,
       products,
       totalAmount,
-      notes
+      notes,
+      session.id
     );
 
     res.status(201).json({
@@ -58,7 +68,7 @@ router.post('/', async (req, res) => {
 
 /**
  * GET /api/orders/:phoneNumber
- * Get orders for a phone number
+ * Get orders for a phone number across sessions (?sessionId= for one session)
  */
 router.get('/:phoneNumber', async (req, res) => {
   try {
@@ -67,7 +77,7 @@ router.get('/:phoneNumber', async (req, res) => {
     // Format phone number
     const formattedNumber = formatPhoneNumber(phoneNumber);
 
-    const orders = await getOrders(formattedNumber);
+    const orders = await getOrders(formattedNumber, req.query.sessionId || null);
 
     res.json({
       success: true,
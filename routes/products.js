@@ -0,0 +1,266 @@
+import express from 'express';
+import { getProduct, createProduct, updateProduct, deleteProduct } from '../database.js';
+import { loadProducts, invalidateCatalog } from '../catalog.js';
+import { isMediaReference } from '../media.js';
+import { requireRole } from '../auth.js';
+
+const router = express.Router();
+
+/**
+ * Routes for managing the product catalog
+ * Every change invalidates the catalog cache, so the very next AI reply
+ * uses the updated products.
+ */
+
+const LIST_FIELDS = ['sizes', 'colors', 'models', 'keywords', 'images'];
+const TEXT_FIELDS = ['name', 'description', 'currency', 'category'];
+
+/**
+ * Validate and normalise product fields from a request body
+ * @param {Object} body - Request body
+ * @param {boolean} partial - Allow missing required fields (for updates)
+ * @returns {Object} { product, error }
+ */
+function parseProductInput(body, partial = false) {
+  const product = {};
+
+  // name and price are NOT NULL; null or an object here would only fail in the database
+  if (body.name !== undefined && typeof body.name !== 'string') {
+    return { error: 'Name must be text' };
+  }
+
+  for (const field of TEXT_FIELDS) {
+    if (body[field] !== undefined) {
+      product[field] = body[field] === null ? null : String(body[field]).trim();
+    }
+  }
+
+  if (body.price !== undefined) {
+    const numeric = typeof body.price === 'number' || (typeof body.price === 'string' && body.price.trim() !== '');
+    const price = Number(body.price);
+    if (!numeric || !Number.isFinite(price) || price < 0) {
+      return { error: 'Price must be a non-negative number' };
+    }
+    product.price = price;
+  }
+
+  for (const field of LIST_FIELDS) {
+    if (body[field] === undefined) continue;
+
+    // Accept arrays or comma-separated strings (as typed in the dashboard)
+    const values = Array.isArray(body[field]) ? body[field] : String(body[field] || '').split(',');
+    const cleaned = values.map(value => String(value).trim()).filter(Boolean);
+    product[field] = cleaned.length > 0 ? cleaned : (field === 'keywords' || field === 'images' ? [] : null);
+  }
+
+  const invalidImage = (product.images || []).find(image => !isMediaReference(image));
+  if (invalidImage) {
+    return { error: `Image must be a URL or a file inside the media folder: ${invalidImage}` };
+  }
+
+  // Forms send booleans as strings; "false" must not count as true
+  if (body.in_stock !== undefined) {
+    if (![true, false, 'true', 'false'].includes(body.in_stock)) {
+      return { error: 'in_stock must be true or false' };
+    }
+    product.in_stock = body.in_stock === true || body.in_stock === 'true';
+  }
+
+  if (!partial && (!product.name || product.price === undefined)) {
+    return { error: 'Name and price are required' };
+  }
+
+  if (partial && product.name === '') {
+    return { error: 'Name cannot be empty' };
+  }
+
+  return { product };
+}
+
+/**
+ * Generate the next free product ID (PROD001, PROD002, ...)
+ * @param {Array} products - Existing products
+ * @returns {string} Product ID
+ */
+function nextProductId(products) {
+  const highest = products.reduce((max, p) => {
+    const match = /^PROD(\d+)$/.exec(p.id);
+    return match ? Math.max(max, parseInt(match[1])) : max;
+  }, 0);
+
+  return `PROD${String(highest + 1).padStart(3, '0')}`;
+}
+
+/**
+ * GET /api/products
+ * Get the full catalog
+ */
+router.get('/', async (req, res) => {
+  try {
+    const products = await loadProducts();
+
+    res.json({
+      success: true,
+      count: products.length,
+      data: products
+    });
+  } catch (error) {
+    console.error('Error fetching products:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch products',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/products/:id
+ * Get a single product
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const product = await getProduct(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: 'Product not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: product
+    });
+  } catch (error) {
+    console.error('Error fetching product:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch product',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/products
+ * Create a product
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { product, error } = parseProductInput(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const id = req.body.id ? String(req.body.id).trim() : nextProductId(await loadProducts());
+
+    if (await getProduct(id)) {
+      return res.status(409).json({
+        success: false,
+        error: `Product ${id} already exists`
+      });
+    }
+
+    const created = await createProduct({ ...product, id });
+    invalidateCatalog();
+
+    res.status(201).json({
+      success: true,
+      message: 'Product created successfully',
+      data: created
+    });
+  } catch (error) {
+    console.error('Error creating product:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create product',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/products/:id
+ * Update a product
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const { product, error } = parseProductInput(req.body, true);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    if (Object.keys(product).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No valid fields to update'
+      });
+    }
+
+    if (!(await getProduct(req.params.id))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Product not found'
+      });
+    }
+
+    const updated = await updateProduct(req.params.id, product);
+    invalidateCatalog();
+
+    res.json({
+      success: true,
+      message: 'Product updated successfully',
+      data: updated
+    });
+  } catch (error) {
+    console.error('Error updating product:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update product',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/products/:id
+ * Delete a product
+ * Owners only
+ */
+router.delete('/:id', requireRole('owner'), async (req, res) => {
+  try {
+    if (!(await getProduct(req.params.id))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Product not found'
+      });
+    }
+
+    await deleteProduct(req.params.id);
+    invalidateCatalog();
+
+    res.json({
+      success: true,
+      message: 'Product deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting product:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete product',
+      message: error.message
+    });
+  }
+});
+
+export default router;
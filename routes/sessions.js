@@ -0,0 +1,231 @@
+import express from 'express';
+import QRCode from 'qrcode';
+import {
+  getSessions,
+  getSessionStatus,
+  pairSession,
+  logoutSession,
+  wipeSession
+} from '../whatsapp.js';
+import { getSessionConfig } from '../sessions.js';
+import { requireRole } from '../auth.js';
+
+const router = express.Router();
+
+/**
+ * Routes for WhatsApp sessions
+ * Lists the business numbers this deployment runs, with their connection
+ * status and the catalog and prompt settings each one uses, and links,
+ * unlinks and re-pairs them without shell access.
+ */
+
+/**
+ * Describe a session for the API
+ * @param {Object} session - Session with connection status from getSessions
+ * @returns {Object} Session details
+ */
+function describeSession(session) {
+  const config = getSessionConfig(session.id);
+  return {
+    ...session,
+    categories: config.categories,
+    prompt: config.prompt
+  };
+}
+
+/**
+ * Describe a session with everything needed to pair it
+ * The raw QR string is turned into an image the dashboard can show. Only
+ * owners get the QR code and pairing code: whoever uses them links their
+ * WhatsApp account as the shop's number.
+ * @param {Object} status - Session status from getSessionStatus
+ * @param {Object} user - Signed-in user
+ * @returns {Promise<Object>} Session details with qr_image
+ */
+async function describeSessionStatus(status, user) {
+  const { qr, ...session } = status;
+
+  if (user?.role !== 'owner') {
+    return { ...describeSession(session), pairing_code: null, qr_image: null };
+  }
+
+  return {
+    ...describeSession(session),
+    qr_image: qr ? await QRCode.toDataURL(qr, { margin: 1, width: 264 }) : null
+  };
+}
+
+/**
+ * Send the 404 response for an unknown session
+ * @param {Object} res - Express response
+ * @returns {Object} Express response
+ */
+function sendSessionNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: 'Session not found'
+  });
+}
+
+/**
+ * GET /api/sessions
+ * Get every configured session with its connection status
+ */
+router.get('/', (req, res) => {
+  try {
+    const sessions = getSessions().map(describeSession);
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      data: sessions
+    });
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch sessions',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/sessions/:id
+ * Get one session with its connection history, linked account and, while
+ * pairing, the current QR code or pairing code (owners only)
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const status = getSessionStatus(req.params.id);
+
+    if (!status) {
+      return sendSessionNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: await describeSessionStatus(status, req.user)
+    });
+  } catch (error) {
+    console.error('Error fetching session:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch session',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/sessions/:id/pair
+ * Pair a session that is not linked to a WhatsApp account: by QR code, or
+ * with { phoneNumber } by a pairing code typed in on that phone
+ * Owners only
+ */
+router.post('/:id/pair', requireRole('owner'), async (req, res) => {
+  try {
+    const status = getSessionStatus(req.params.id);
+    const { phoneNumber } = req.body || {};
+
+    if (!status) {
+      return sendSessionNotFound(res);
+    }
+
+    if (status.account) {
+      return res.status(409).json({
+        success: false,
+        error: 'Session is linked to a WhatsApp account; log out or wipe it first'
+      });
+    }
+
+    if (phoneNumber !== undefined && String(phoneNumber).replace(/\D/g, '').length < 8) {
+      return res.status(400).json({
+        success: false,
+        error: 'Phone number must include the country code'
+      });
+    }
+
+    const paired = await pairSession(req.params.id, phoneNumber ? String(phoneNumber) : null);
+
+    res.json({
+      success: true,
+      message: phoneNumber ? 'Enter the pairing code on the phone' : 'Scan the QR code with WhatsApp',
+      data: await describeSessionStatus(paired, req.user)
+    });
+  } catch (error) {
+    console.error('Error pairing session:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to pair session',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/sessions/:id/logout
+ * Unlink a session from its WhatsApp account and delete its credentials
+ * Owners only
+ */
+router.post('/:id/logout', requireRole('owner'), async (req, res) => {
+  try {
+    const status = getSessionStatus(req.params.id);
+
+    if (!status) {
+      return sendSessionNotFound(res);
+    }
+
+    if (status.status === 'logged_out') {
+      return res.status(409).json({
+        success: false,
+        error: 'Session is already logged out'
+      });
+    }
+
+    const loggedOut = await logoutSession(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Session logged out successfully',
+      data: await describeSessionStatus(loggedOut, req.user)
+    });
+  } catch (error) {
+    console.error('Error logging out session:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to log out session',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/sessions/:id/wipe
+ * Delete a session's credentials without contacting WhatsApp
+ * Owners only
+ */
+router.post('/:id/wipe', requireRole('owner'), async (req, res) => {
+  try {
+    if (!getSessionStatus(req.params.id)) {
+      return sendSessionNotFound(res);
+    }
+
+    const wiped = await wipeSession(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Session wiped successfully',
+      data: await describeSessionStatus(wiped, req.user)
+    });
+  } catch (error) {
+    console.error('Error wiping session:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to wipe session',
+      message: error.message
+    });
+  }
+});
+
+export default router;
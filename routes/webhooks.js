@@ -0,0 +1,223 @@
+import express from 'express';
+import { getWebhooks, getWebhook, getWebhookDelivery, getWebhookDeliveries } from '../database.js';
+import {
+  WEBHOOK_EVENTS,
+  WEBHOOK_DELIVERY_STATUSES,
+  WebhookError,
+  toPublicWebhook,
+  addWebhook,
+  changeWebhook,
+  rotateWebhookSecret,
+  removeWebhook,
+  sendTestDelivery,
+  redeliver
+} from '../webhooks.js';
+import { requireRole } from '../auth.js';
+
+const router = express.Router();
+
+/**
+ * Routes for outbound webhooks
+ * Registers the URLs lead, order and message events are sent to and shows
+ * what was sent and how each URL answered. Owners only.
+ */
+
+router.use(requireRole('owner'));
+
+/**
+ * Send the response for a failed request
+ * @param {Object} res - Express response
+ * @param {Error} error - Error
+ * @param {string} message - Error message for unexpected errors
+ * @returns {Object} Express response
+ */
+function sendError(res, error, message) {
+  if (error instanceof WebhookError) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  console.error(`${message}:`, error);
+  return res.status(500).json({
+    success: false,
+    error: message,
+    message: error.message
+  });
+}
+
+/**
+ * GET /api/webhooks
+ * Get every webhook (without secrets) and the events that can be subscribed to
+ */
+router.get('/', async (req, res) => {
+  try {
+    const webhooks = (await getWebhooks()).map(toPublicWebhook);
+
+    res.json({
+      success: true,
+      count: webhooks.length,
+      events: WEBHOOK_EVENTS,
+      data: webhooks
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch webhooks');
+  }
+});
+
+/**
+ * POST /api/webhooks
+ * Register a webhook with { url, events, description }; the signing secret
+ * is only returned in this response
+ */
+router.post('/', async (req, res) => {
+  try {
+    const webhook = await addWebhook(req.body || {}, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created; store the secret now, it is not shown again',
+      data: webhook
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to create webhook');
+  }
+});
+
+/**
+ * GET /api/webhooks/:id/deliveries
+ * Get a webhook's recent deliveries (filter with ?status=, limit with ?limit=)
+ */
+router.get('/:id/deliveries', async (req, res) => {
+  try {
+    const { status } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    if (!(await getWebhook(req.params.id))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+
+    if (status && !WEBHOOK_DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Status must be one of: ${WEBHOOK_DELIVERY_STATUSES.join(', ')}`
+      });
+    }
+
+    const deliveries = await getWebhookDeliveries({ webhook_id: req.params.id, status, limit });
+
+    res.json({
+      success: true,
+      count: deliveries.length,
+      data: deliveries
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch webhook deliveries');
+  }
+});
+
+/**
+ * POST /api/webhooks/:id/test
+ * Send a webhook.test event to the URL now and return how it answered
+ */
+router.post('/:id/test', async (req, res) => {
+  try {
+    const delivery = await sendTestDelivery(req.params.id);
+
+    res.json({
+      success: true,
+      message: delivery.status === 'delivered'
+        ? 'Test event delivered'
+        : `Test event not delivered: ${delivery.last_error}`,
+      data: delivery
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to send test event');
+  }
+});
+
+/**
+ * POST /api/webhooks/:id/secret
+ * Replace the signing secret; the new secret is only returned in this response
+ */
+router.post('/:id/secret', async (req, res) => {
+  try {
+    const webhook = await rotateWebhookSecret(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Secret replaced; store it now, it is not shown again',
+      data: webhook
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to replace webhook secret');
+  }
+});
+
+/**
+ * POST /api/webhooks/deliveries/:id/retry
+ * Send a pending or failed delivery again now
+ */
+router.post('/deliveries/:id/retry', async (req, res) => {
+  try {
+    const delivery = await getWebhookDelivery(req.params.id);
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: 'Delivery not found'
+      });
+    }
+
+    const retried = await redeliver(delivery);
+
+    res.json({
+      success: true,
+      message: retried.status === 'delivered' ? 'Delivered' : `Not delivered: ${retried.last_error}`,
+      data: retried
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to retry delivery');
+  }
+});
+
+/**
+ * PUT /api/webhooks/:id
+ * Change a webhook's { url, events, description, active }
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const webhook = await changeWebhook(req.params.id, req.body || {});
+
+    res.json({
+      success: true,
+      message: 'Webhook updated successfully',
+      data: webhook
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to update webhook');
+  }
+});
+
+/**
+ * DELETE /api/webhooks/:id
+ * Delete a webhook and its delivery log
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    await removeWebhook(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted successfully'
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete webhook');
+  }
+});
+
+export default router;
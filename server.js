@@ -4,9 +4,26 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { initWhatsApp } from './whatsapp.js';
 import { testOllamaConnection } from './ai.js';
+import { getProviderName } from './providers/index.js';
+import { getStorageName } from './storage/index.js';
 import leadsRouter from './routes/leads.js';
 import messagesRouter from './routes/messages.js';
 import ordersRouter from './routes/orders.js';
+import inventoryRouter from './routes/inventory.js';
+import productsRouter from './routes/products.js';
+import inboxRouter from './routes/inbox.js';
+import eventsRouter from './routes/events.js';
+import campaignsRouter from './routes/campaigns.js';
+import consentRouter from './routes/consent.js';
+import sessionsRouter from './routes/sessions.js';
+import authRouter from './routes/auth.js';
+import webhooksRouter from './routes/webhooks.js';
+import mediaRouter from './routes/media.js';
+import { requireAuth, ensureOwner } from './auth.js';
+import { startCampaignRunner } from './campaigns.js';
+import { startFollowUpRunner } from './followups.js';
+import { startOutboxRunner } from './outbox.js';
+import { startWebhookRunner } from './webhooks.js';
 
 dotenv.config();
 
@@ -21,6 +38,18 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Other origins allowed to call the API from a browser (the dashboard itself is same-origin)
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+
+// Behind a reverse proxy, req.ip (used to limit failed sign-ins) must come from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -28,11 +57,16 @@ app.use(express.urlencoded({ extended: true }));
 // Serve dashboard static files
 app.use('/dashboard', express.static(path.join(__dirname, 'dashboard')));
 
-// CORS middleware for API access
+// CORS middleware for API access from allowed origins
 app.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  const origin = req.get('Origin');
+
+  if (origin && CORS_ORIGINS.includes(origin)) {
+    res.header('Access-Control-Allow-Origin', origin);
+    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
+    res.header('Vary', 'Origin');
+  }
 
   if (req.method === 'OPTIONS') {
     return res.sendStatus(200);
@@ -57,10 +91,25 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Signing in is the only API route that works without a token
+app.use('/api/auth', authRouter);
+app.use('/api', requireAuth);
+
+// Serve media files received from customers
+app.use('/api/media', mediaRouter);
+
 // API routes
 app.use('/api/leads', leadsRouter);
 app.use('/api/messages', messagesRouter);
 app.use('/api/orders', ordersRouter);
+app.use('/api/inventory', inventoryRouter);
+app.use('/api/products', productsRouter);
+app.use('/api/inbox', inboxRouter);
+app.use('/api/events', eventsRouter);
+app.use('/api/campaigns', campaignsRouter);
+app.use('/api/consent', consentRouter);
+app.use('/api/sessions', sessionsRouter);
+app.use('/api/webhooks', webhooksRouter);
 
 // Root endpoint - redirect to dashboard
 app.get('/', (req, res) => {
@@ -81,6 +130,17 @@ app.get('/api/info', (req, res) => {
     dashboard: 'http://localhost:3000/dashboard/',
     endpoints: {
       health: 'GET /health',
+      auth: {
+        login: 'POST /api/auth/login',
+        logout: 'POST /api/auth/logout',
+        me: 'GET /api/auth/me',
+        users: 'GET /api/auth/users',
+        createUser: 'POST /api/auth/users',
+        updateUser: 'PUT /api/auth/users/:id',
+        keys: 'GET /api/auth/keys',
+        createKey: 'POST /api/auth/keys',
+        revokeKey: 'DELETE /api/auth/keys/:id'
+      },
       leads: {
         list: 'GET /api/leads',
         stats: 'GET /api/leads/stats',
@@ -91,12 +151,72 @@ app.get('/api/info', (req, res) => {
         broadcast: 'POST /api/messages/broadcast',
         history: 'GET /api/messages/history/:phoneNumber',
         clearHistory: 'DELETE /api/messages/history/:phoneNumber',
-        status: 'GET /api/messages/status'
+        status: 'GET /api/messages/status',
+        outbox: 'GET /api/messages/outbox',
+        retry: 'POST /api/messages/outbox/:id/retry',
+        rateLimits: 'GET /api/messages/rate-limits'
       },
       orders: {
         create: 'POST /api/orders',
         list: 'GET /api/orders/:phoneNumber',
         updateStatus: 'PUT /api/orders/:orderId/status'
+      },
+      products: {
+        list: 'GET /api/products',
+        get: 'GET /api/products/:id',
+        create: 'POST /api/products',
+        update: 'PUT /api/products/:id',
+        delete: 'DELETE /api/products/:id'
+      },
+      inventory: {
+        list: 'GET /api/inventory',
+        lowStock: 'GET /api/inventory/low-stock',
+        setStock: 'PUT /api/inventory'
+      },
+      inbox: {
+        queue: 'GET /api/inbox',
+        thread: 'GET /api/inbox/:phoneNumber',
+        reply: 'POST /api/inbox/:phoneNumber/reply',
+        takeOver: 'POST /api/inbox/:phoneNumber/take-over',
+        returnToBot: 'POST /api/inbox/:phoneNumber/return-to-bot'
+      },
+      events: {
+        stream: 'GET /api/events'
+      },
+      media: {
+        file: 'GET /api/media/:fileName'
+      },
+      campaigns: {
+        list: 'GET /api/campaigns',
+        preview: 'POST /api/campaigns/preview',
+        create: 'POST /api/campaigns',
+        get: 'GET /api/campaigns/:id',
+        recipients: 'GET /api/campaigns/:id/recipients',
+        pause: 'POST /api/campaigns/:id/pause',
+        resume: 'POST /api/campaigns/:id/resume',
+        cancel: 'POST /api/campaigns/:id/cancel'
+      },
+      sessions: {
+        list: 'GET /api/sessions',
+        get: 'GET /api/sessions/:id',
+        pair: 'POST /api/sessions/:id/pair',
+        logout: 'POST /api/sessions/:id/logout',
+        wipe: 'POST /api/sessions/:id/wipe'
+      },
+      consent: {
+        list: 'GET /api/consent',
+        get: 'GET /api/consent/:phoneNumber',
+        update: 'PUT /api/consent/:phoneNumber'
+      },
+      webhooks: {
+        list: 'GET /api/webhooks',
+        create: 'POST /api/webhooks',
+        update: 'PUT /api/webhooks/:id',
+        delete: 'DELETE /api/webhooks/:id',
+        deliveries: 'GET /api/webhooks/:id/deliveries',
+        test: 'POST /api/webhooks/:id/test',
+        rotateSecret: 'POST /api/webhooks/:id/secret',
+        retryDelivery: 'POST /api/webhooks/deliveries/:id/retry'
       }
     },
     documentation: 'See README.md for detailed API documentation'
@@ -130,7 +250,10 @@ async function startServer() {
     console.log('🚀 Starting WhatsApp Sales Auto-Closer...\n');
 
     // Check required environment variables
-    const requiredEnvVars = ['SUPABASE_URL', 'SUPABASE_SERVICE_ROLE_KEY'];
+    const storageName = getStorageName();
+    const requiredEnvVars = storageName === 'supabase'
+      ? ['SUPABASE_URL', 'SUPABASE_SERVICE_ROLE_KEY']
+      : [];
     const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
 
     if (missingVars.length > 0) {
@@ -139,13 +262,21 @@ async function startServer() {
       process.exit(1);
     }
 
-    // Test Ollama connection
-    console.log('🤖 Testing Ollama AI connection...');
-    const ollamaConnected = await testOllamaConnection();
+    console.log(`🗄️  Storage backend: ${storageName}`);
+
+    // Create the first owner account on a fresh install
+    await ensureOwner();
 
-    if (!ollamaConnected) {
-      console.warn('⚠️  Ollama is not running. Start it with: ollama serve');
-      console.warn('⚠️  Make sure llama3 model is installed: ollama pull llama3\n');
+    // Test LLM provider connection
+    console.log(`🤖 Testing AI connection (provider: ${getProviderName()})...`);
+    const llmConnected = await testOllamaConnection();
+
+    if (!llmConnected) {
+      console.warn('⚠️  The AI model server is not reachable. Replies will use the fallback message.');
+      if (getProviderName() === 'ollama') {
+        console.warn('⚠️  Start Ollama with: ollama serve');
+        console.warn('⚠️  Make sure llama3 model is installed: ollama pull llama3\n');
+      }
     }
 
     // Start Express server
@@ -156,10 +287,22 @@ async function startServer() {
       console.log(`🏥 Health check: http://localhost:${PORT}/health\n`);
     });
 
+    // Send events to registered webhooks and retry failed deliveries
+    startWebhookRunner();
+
     // Initialize WhatsApp
     console.log('📱 Initializing WhatsApp connection...');
     await initWhatsApp();
 
+    // Retry queued messages that are due
+    startOutboxRunner();
+
+    // Resume scheduled and interrupted campaigns
+    startCampaignRunner();
+
+    // Follow up with leads that went quiet
+    startFollowUpRunner();
+
     console.log('\n✅ Application started successfully!');
     console.log('📝 Logs will appear below as messages are received.\n');
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
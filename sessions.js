@@ -0,0 +1,113 @@
+import fs from 'fs';
+
+/**
+ * WhatsApp sessions for WhatsApp Sales Auto-Closer
+ * One deployment can run several business numbers side by side. Each
+ * session has its own Baileys auth directory, can sell a subset of the
+ * catalog and can add its own instructions to the AI prompt. Leads, chat
+ * history, orders and outgoing messages are stored per session, so a
+ * customer writing to two numbers has two separate conversations.
+ *
+ * Sessions are read from WHATSAPP_SESSIONS_FILE (a JSON array). Without it
+ * there is a single "default" session using ./auth_info_baileys.
+ */
+
+export const DEFAULT_SESSION_ID = 'default';
+
+const DEFAULT_AUTH_DIR = './auth_info_baileys';
+
+// Session ids end up in directory names and URLs
+const SESSION_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+let sessionConfigs = null;
+
+/**
+ * Check session definitions and fill in defaults
+ * @param {Array} input - Sessions ({ id, name, auth_dir, categories, prompt })
+ * @returns {Array} Validated sessions
+ */
+export function validateSessionConfigs(input) {
+  if (!Array.isArray(input) || input.length === 0) {
+    throw new Error('WhatsApp sessions must be a non-empty array');
+  }
+
+  const ids = new Set();
+
+  return input.map((session) => {
+    const id = String(session.id || '').trim();
+
+    if (!SESSION_ID_PATTERN.test(id)) {
+      throw new Error(`Invalid session id "${id}": use up to 32 lowercase letters, digits, "-" or "_"`);
+    }
+    if (ids.has(id)) {
+      throw new Error(`Duplicate session id "${id}"`);
+    }
+    ids.add(id);
+
+    if (session.categories !== undefined && !Array.isArray(session.categories)) {
+      throw new Error(`Session "${id}": categories must be an array`);
+    }
+
+    return {
+      id,
+      name: session.name || id,
+      auth_dir: session.auth_dir || (id === DEFAULT_SESSION_ID ? DEFAULT_AUTH_DIR : `./auth_sessions/${id}`),
+      categories: session.categories?.length ? session.categories.map(category => String(category).toLowerCase()) : null,
+      prompt: session.prompt ? String(session.prompt).trim() : null
+    };
+  });
+}
+
+/**
+ * Get the configured sessions
+ * @returns {Array} Sessions, in configuration order
+ */
+export function getSessionConfigs() {
+  if (!sessionConfigs) {
+    const file = process.env.WHATSAPP_SESSIONS_FILE;
+    sessionConfigs = validateSessionConfigs(
+      file ? JSON.parse(fs.readFileSync(file, 'utf-8')) : [{ id: DEFAULT_SESSION_ID, name: 'Main number' }]
+    );
+  }
+  return sessionConfigs;
+}
+
+/**
+ * Get the id of the session that requests without one go to
+ * That is the "default" session if there is one, else the first configured.
+ * @returns {string} Session ID
+ */
+export function getDefaultSessionId() {
+  const configs = getSessionConfigs();
+  return configs.some(session => session.id === DEFAULT_SESSION_ID) ? DEFAULT_SESSION_ID : configs[0].id;
+}
+
+/**
+ * Get one session by id
+ * @param {string} sessionId - Session ID; the default session when omitted
+ * @returns {Object|null} Session, or null if there is no such session
+ */
+export function getSessionConfig(sessionId = null) {
+  const id = sessionId || getDefaultSessionId();
+  return getSessionConfigs().find(session => session.id === id) || null;
+}
+
+/**
+ * Limit a catalog to the categories a session sells
+ * @param {Array} products - Products
+ * @param {Object|null} session - Session
+ * @returns {Array} Products the session sells
+ */
+export function filterCatalogForSession(products, session) {
+  if (!session?.categories) return products;
+  return products.filter(product => session.categories.includes(String(product.category || '').toLowerCase()));
+}
+
+export default {
+  DEFAULT_SESSION_ID,
+  validateSessionConfigs,
+  getSessionConfigs,
+  getSessionConfig,
+  getDefaultSessionId,
+  filterCatalogForSession
+};
@@ -0,0 +1,81 @@
+import { createSupabaseStorage } from './supabase.js';
+import { createSqliteStorage } from './sqlite.js';
+import { createMemoryStorage } from './memory.js';
+
+/**
+ * Storage backend selection
+ * database.js reads and writes every table through one of these backends,
+ * picked from environment variables:
+ *
+ * - STORAGE_BACKEND: 'supabase' (default), 'sqlite' or 'memory'
+ * - SUPABASE_URL / SUPABASE_SERVICE_ROLE_KEY: Supabase project
+ * - SQLITE_PATH: SQLite database file (default ./data/shop.db)
+ *
+ * When NODE_ENV is 'test' and no backend is set, in-memory storage is used.
+ *
+ * Every backend offers the same table operations (see query.js for where
+ * and order):
+ * - select(table, { columns, where, order, limit }) -> rows
+ * - count(table, where) -> number
+ * - insert(table, rows) -> inserted rows with defaults filled in
+ * - update(table, where, changes) -> updated rows
+ * - upsert(table, row, conflictColumns) -> row
+ * - remove(table, where) -> deleted rows
+ */
+
+const factories = {
+  supabase: () => createSupabaseStorage({
+    url: process.env.SUPABASE_URL,
+    key: process.env.SUPABASE_SERVICE_ROLE_KEY
+  }),
+  sqlite: () => createSqliteStorage({
+    path: process.env.SQLITE_PATH || './data/shop.db'
+  }),
+  memory: () => createMemoryStorage()
+};
+
+let storage = null;
+
+/**
+ * Get the configured backend name
+ * @returns {string} Backend name
+ */
+export function getStorageName() {
+  if (process.env.STORAGE_BACKEND) {
+    return process.env.STORAGE_BACKEND.toLowerCase();
+  }
+
+  return process.env.NODE_ENV === 'test' ? 'memory' : 'supabase';
+}
+
+/**
+ * Get the active storage backend (created on first use)
+ * @returns {Object} Storage instance
+ */
+export function getStorage() {
+  if (storage) return storage;
+
+  const name = getStorageName();
+  const factory = factories[name];
+
+  if (!factory) {
+    throw new Error(`Unknown storage backend "${name}". Use one of: ${Object.keys(factories).join(', ')}`);
+  }
+
+  storage = factory();
+  return storage;
+}
+
+/**
+ * Replace the active backend (e.g. a fresh in-memory one in tests)
+ * @param {Object|null} instance - Storage instance, or null to re-read the environment
+ */
+export function setStorage(instance) {
+  storage = instance;
+}
+
+export default {
+  getStorage,
+  getStorageName,
+  setStorage
+};
@@ -0,0 +1,279 @@
+import { TABLES, getTable, getPrimaryKey, getUniqueKeys, validateValues, createRow } from './schema.js';
+import { parseWhere, parseOrder } from './query.js';
+
+/**
+ * In-memory storage backend
+ * Keeps every table in plain arrays, for tests and trying the bot out
+ * without a database. Nothing survives a restart. Unique keys, foreign keys
+ * and allowed values are checked as the database would.
+ */
+
+/**
+ * Turn an ilike pattern into a regular expression
+ * @param {string} pattern - Pattern with % and _ wildcards
+ * @returns {RegExp} Case-insensitive expression matching the whole value
+ */
+function likeToRegExp(pattern) {
+  const source = String(pattern)
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/%/g, '.*')
+    .replace(/_/g, '.');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Test one condition against a row
+ * @param {Object} row - Row
+ * @param {Object} condition - { column, op, value } from parseWhere
+ * @returns {boolean} True if the condition holds
+ */
+function testCondition(row, { column, op, value }) {
+  const actual = row[column];
+
+  if (op === 'is') return actual === null || actual === undefined;
+
+  // Comparisons with NULL are never true in SQL
+  if (actual === null || actual === undefined) return false;
+
+  if (op === 'eq') return actual === value;
+  if (op === 'in') return value.includes(actual);
+  if (op === 'notIn') return !value.includes(actual);
+  if (op === 'lt') return actual < value;
+  if (op === 'gte') return actual >= value;
+  if (op === 'ilike') return likeToRegExp(value).test(actual);
+  if (op === 'contains') return Array.isArray(actual) && value.every(item => actual.includes(item));
+  return false;
+}
+
+/**
+ * Compare two rows for sorting
+ * @param {Object} a - Row
+ * @param {Object} b - Row
+ * @param {Object} order - { column, ascending, nullsFirst } from parseOrder
+ * @returns {number} Sort order
+ */
+function compareRows(a, b, { column, ascending, nullsFirst }) {
+  const x = a[column] ?? null;
+  const y = b[column] ?? null;
+
+  if (x === null || y === null) {
+    if (x === y) return 0;
+    return (x === null) === nullsFirst ? -1 : 1;
+  }
+
+  const result = x < y ? -1 : x > y ? 1 : 0;
+  return ascending ? result : -result;
+}
+
+/**
+ * Pick some columns of a row
+ * @param {Object} row - Row
+ * @param {Array<string>|undefined} columns - Columns to keep; all when omitted
+ * @returns {Object} Copy of the row
+ */
+function project(row, columns) {
+  const copy = structuredClone(row);
+  if (!columns) return copy;
+  return Object.fromEntries(columns.map(column => [column, copy[column]]));
+}
+
+/**
+ * Create an in-memory storage backend
+ * @returns {Object} Storage instance
+ */
+export function createMemoryStorage() {
+  const tables = Object.fromEntries(Object.keys(TABLES).map(table => [table, []]));
+
+  /**
+   * Get the rows of a table that match a where object
+   * @param {string} table - Table name
+   * @param {Object} where - Query conditions
+   * @returns {Array} Stored rows (not copies)
+   */
+  function find(table, where) {
+    getTable(table);
+    const conditions = parseWhere(where);
+    return tables[table].filter(row => conditions.every(condition => testCondition(row, condition)));
+  }
+
+  /**
+   * Check that a row breaks no unique key and points at existing rows
+   * @param {string} table - Table name
+   * @param {Object} row - Row to store
+   * @param {Object|null} current - Stored row being replaced, if any
+   */
+  function checkConstraints(table, row, current = null) {
+    for (const key of getUniqueKeys(table)) {
+      if (key.some(column => row[column] === null)) continue;
+
+      const clash = tables[table].find(other =>
+        other !== current && key.every(column => other[column] === row[column]));
+      if (clash) {
+        throw new Error(`Duplicate key value violates unique constraint on ${table} (${key.join(', ')})`);
+      }
+    }
+
+    for (const [column, spec] of Object.entries(getTable(table).columns)) {
+      const target = spec.references?.table;
+      if (!target || row[column] === null) continue;
+
+      const targetKey = getPrimaryKey(target);
+      if (!tables[target].some(other => other[targetKey] === row[column])) {
+        throw new Error(`${table}.${column} references a ${target} row that does not exist`);
+      }
+    }
+  }
+
+  /**
+   * Apply ON DELETE rules of the tables that point at deleted rows
+   * @param {string} table - Table the rows were deleted from
+   * @param {Array} deleted - Deleted rows
+   */
+  function cascade(table, deleted) {
+    const ids = new Set(deleted.map(row => row[getPrimaryKey(table)]));
+
+    for (const [other, definition] of Object.entries(TABLES)) {
+      for (const [column, spec] of Object.entries(definition.columns)) {
+        if (spec.references?.table !== table) continue;
+
+        if (spec.references.onDelete === 'cascade') {
+          const removed = tables[other].filter(row => ids.has(row[column]));
+          tables[other] = tables[other].filter(row => !ids.has(row[column]));
+          if (removed.length > 0) cascade(other, removed);
+        } else {
+          for (const row of tables[other]) {
+            if (ids.has(row[column])) row[column] = null;
+          }
+        }
+      }
+    }
+  }
+
+  return {
+    name: 'memory',
+
+    /**
+     * Get rows
+     * @param {string} table - Table name
+     * @param {Object} options - { columns, where, order, limit }
+     * @returns {Promise<Array>} Rows
+     */
+    async select(table, options = {}) {
+      let rows = find(table, options.where);
+
+      const order = parseOrder(options.order);
+      if (order) {
+        // Rows written in the same millisecond keep the order they were inserted in
+        const position = new Map(rows.map((row, index) => [row, index]));
+        rows = [...rows].sort((a, b) =>
+          compareRows(a, b, order) || (position.get(a) - position.get(b)) * (order.ascending ? 1 : -1));
+      }
+
+      if (options.limit) {
+        rows = rows.slice(0, options.limit);
+      }
+
+      return rows.map(row => project(row, options.columns));
+    },
+
+    /**
+     * Count rows
+     * @param {string} table - Table name
+     * @param {Object} where - Query conditions
+     * @returns {Promise<number>} Number of matching rows
+     */
+    async count(table, where = {}) {
+      return find(table, where).length;
+    },
+
+    /**
+     * Insert rows; all or none are stored
+     * @param {string} table - Table name
+     * @param {Array} rows - Column values of each row
+     * @returns {Promise<Array>} Inserted rows with defaults filled in
+     */
+    async insert(table, rows) {
+      const before = tables[table];
+      const inserted = [];
+
+      try {
+        for (const input of rows) {
+          const row = createRow(table, input);
+          checkConstraints(table, row);
+          tables[table] = [...tables[table], row];
+          inserted.push(row);
+        }
+      } catch (error) {
+        tables[table] = before;
+        throw error;
+      }
+
+      return inserted.map(row => project(row));
+    },
+
+    /**
+     * Update rows; all or none are changed
+     * @param {string} table - Table name
+     * @param {Object} where - Query conditions
+     * @param {Object} changes - Column values to set
+     * @returns {Promise<Array>} Updated rows
+     */
+    async update(table, where, changes) {
+      validateValues(table, changes);
+
+      const matches = find(table, where);
+      const updated = matches.map(row => ({ ...row, ...structuredClone(changes) }));
+
+      updated.forEach((row, index) => checkConstraints(table, row, matches[index]));
+
+      tables[table] = tables[table].map(row => {
+        const index = matches.indexOf(row);
+        return index === -1 ? row : updated[index];
+      });
+
+      return updated.map(row => project(row));
+    },
+
+    /**
+     * Insert a row, or update the row it conflicts with
+     * @param {string} table - Table name
+     * @param {Object} row - Column values
+     * @param {Array<string>} conflictColumns - Unique columns that identify the existing row
+     * @returns {Promise<Object>} Inserted or updated row
+     */
+    async upsert(table, row, conflictColumns) {
+      const key = Object.fromEntries(conflictColumns.map(column => [column, row[column] ?? null]));
+      const [existing] = find(table, key);
+
+      if (existing) {
+        const [updated] = await this.update(table, key, row);
+        return updated;
+      }
+
+      const [inserted] = await this.insert(table, [row]);
+      return inserted;
+    },
+
+    /**
+     * Delete rows
+     * @param {string} table - Table name
+     * @param {Object} where - Query conditions (at least one)
+     * @returns {Promise<Array>} Deleted rows
+     */
+    async remove(table, where) {
+      if (Object.keys(where).length === 0) {
+        throw new Error(`Refusing to delete every row of "${table}"`);
+      }
+
+      const deleted = find(table, where);
+      tables[table] = tables[table].filter(row => !deleted.includes(row));
+      cascade(table, deleted);
+
+      return deleted.map(row => project(row));
+    }
+  };
+}
+
+export default {
+  createMemoryStorage
+};
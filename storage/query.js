@@ -0,0 +1,62 @@
+/**
+ * Query options shared by the storage backends
+ *
+ * where: { column: condition }; every condition must hold. A condition is a
+ * plain value (equality; null matches missing values) or an object of one
+ * or more operators, e.g. { gte: from, lt: to }:
+ * - { in: [values] } / { notIn: [values] }
+ * - { lt: value } / { gte: value }
+ * - { ilike: pattern }: case-insensitive match, % and _ as wildcards
+ * - { contains: [values] }: a JSON array column holding all of the values
+ *
+ * order: { column, ascending = true, nullsFirst } where nulls sort last
+ * ascending and first descending unless nullsFirst says otherwise, as in
+ * Postgres.
+ */
+
+export const OPERATORS = ['in', 'notIn', 'lt', 'gte', 'ilike', 'contains'];
+
+/**
+ * Split a where object into conditions
+ * @param {Object} where - Query conditions
+ * @returns {Array<Object>} Conditions ({ column, op, value }); op is 'eq', 'is' (null) or one of OPERATORS
+ */
+export function parseWhere(where = {}) {
+  return Object.entries(where).flatMap(([column, condition]) => {
+    if (condition === null) {
+      return [{ column, op: 'is', value: null }];
+    }
+
+    if (typeof condition === 'object' && !Array.isArray(condition)) {
+      const ops = Object.keys(condition);
+      if (ops.length === 0 || ops.some(op => !OPERATORS.includes(op))) {
+        throw new Error(`Invalid condition for "${column}": use ${OPERATORS.join(', ')}`);
+      }
+      return ops.map(op => ({ column, op, value: condition[op] }));
+    }
+
+    return [{ column, op: 'eq', value: condition }];
+  });
+}
+
+/**
+ * Fill in the defaults of an order option
+ * @param {Object|null} order - { column, ascending, nullsFirst }
+ * @returns {Object|null} { column, ascending, nullsFirst }
+ */
+export function parseOrder(order) {
+  if (!order) return null;
+
+  const ascending = order.ascending !== false;
+  return {
+    column: order.column,
+    ascending,
+    nullsFirst: order.nullsFirst ?? !ascending
+  };
+}
+
+export default {
+  OPERATORS,
+  parseWhere,
+  parseOrder
+};
@@ -0,0 +1,379 @@
+import crypto from 'crypto';
+
+/**
+ * Table definitions for the local storage backends
+ * Mirrors the tables the Supabase migrations create (supabase/migrations),
+ * so SQLite and in-memory storage hold exactly the rows the Supabase backend
+ * would. When a migration adds a table or column, add it here too.
+ *
+ * Column types:
+ * - uuid: text, generated on insert for the primary key
+ * - text, integer, number, boolean
+ * - timestamp: ISO 8601 text
+ * - json: any JSON value (jsonb and text[] columns)
+ *
+ * Column options: primaryKey, notNull, unique, values (allowed values),
+ * pattern (a RegExp text values must match), min (smallest allowed number),
+ * default (a value, or NOW for the time of the insert), references
+ * ({ table, onDelete: 'cascade' | 'set null' }).
+ */
+
+export const NOW = Symbol('now');
+
+const id = { type: 'uuid', primaryKey: true };
+const sessionId = { type: 'text', notNull: true, default: 'default' };
+const createdAt = { type: 'timestamp', default: NOW };
+const updatedAt = { type: 'timestamp', default: NOW };
+
+export const TABLES = {
+  leads: {
+    columns: {
+      id,
+      session_id: sessionId,
+      phone_number: { type: 'text', notNull: true },
+      customer_name: { type: 'text' },
+      city: { type: 'text' },
+      state: { type: 'text' },
+      address: { type: 'text' },
+      pincode: { type: 'text', pattern: /^[1-9][0-9]{5}$/ },
+      alternate_phone: { type: 'text' },
+      latitude: { type: 'number' },
+      longitude: { type: 'number' },
+      status: { type: 'text', default: 'new', values: ['new', 'contacted', 'qualified', 'converted', 'lost'] },
+      needs_human_agent: { type: 'boolean', default: false },
+      agent_requested_at: { type: 'timestamp' },
+      stage: {
+        type: 'text',
+        default: 'discovery',
+        values: ['discovery', 'choosing_variant', 'collecting_details', 'confirming', 'ordered']
+      },
+      checkout: { type: 'json', default: {} },
+      stage_updated_at: { type: 'timestamp', default: NOW },
+      language: { type: 'text', values: ['en', 'hi', 'gu'] },
+      language_locked: { type: 'boolean', default: false },
+      tags: { type: 'json', default: [] },
+      followup_step: { type: 'integer', notNull: true, default: 0 },
+      followup_at: { type: 'timestamp' },
+      last_message_at: { type: 'timestamp', default: NOW },
+      created_at: createdAt,
+      updated_at: updatedAt
+    },
+    unique: [['session_id', 'phone_number']]
+  },
+
+  chat_history: {
+    columns: {
+      id,
+      session_id: sessionId,
+      lead_id: { type: 'uuid', references: { table: 'leads', onDelete: 'cascade' } },
+      phone_number: { type: 'text', notNull: true },
+      role: { type: 'text', notNull: true, values: ['user', 'assistant', 'agent'] },
+      message: { type: 'text', notNull: true },
+      metadata: { type: 'json' },
+      message_type: {
+        type: 'text',
+        notNull: true,
+        default: 'text',
+        values: ['text', 'image', 'video', 'audio', 'document', 'sticker', 'location', 'contact']
+      },
+      media_path: { type: 'text' },
+      created_at: createdAt
+    }
+  },
+
+  orders: {
+    columns: {
+      id,
+      session_id: sessionId,
+      lead_id: { type: 'uuid', references: { table: 'leads', onDelete: 'cascade' } },
+      phone_number: { type: 'text', notNull: true },
+      products: { type: 'json', notNull: true },
+      total_amount: { type: 'number' },
+      status: { type: 'text', default: 'pending', values: ['pending', 'confirmed', 'completed', 'cancelled'] },
+      notes: { type: 'text' },
+      created_at: createdAt
+    }
+  },
+
+  inventory: {
+    columns: {
+      id,
+      product_id: { type: 'text', notNull: true },
+      size: { type: 'text', notNull: true, default: '' },
+      color: { type: 'text', notNull: true, default: '' },
+      quantity: { type: 'integer', notNull: true, default: 0, min: 0 },
+      low_stock_threshold: { type: 'integer', notNull: true, default: 3, min: 0 },
+      updated_at: updatedAt
+    },
+    unique: [['product_id', 'size', 'color']]
+  },
+
+  products: {
+    columns: {
+      id: { type: 'text', primaryKey: true },
+      name: { type: 'text', notNull: true },
+      description: { type: 'text', default: '' },
+      price: { type: 'number', notNull: true, min: 0 },
+      currency: { type: 'text', default: 'USD' },
+      category: { type: 'text' },
+      sizes: { type: 'json' },
+      colors: { type: 'json' },
+      models: { type: 'json' },
+      keywords: { type: 'json', default: [] },
+      images: { type: 'json', default: [] },
+      in_stock: { type: 'boolean', default: true },
+      created_at: createdAt,
+      updated_at: updatedAt
+    }
+  },
+
+  campaigns: {
+    columns: {
+      id,
+      session_id: sessionId,
+      name: { type: 'text', notNull: true },
+      message: { type: 'text', notNull: true },
+      filters: { type: 'json', default: {} },
+      status: {
+        type: 'text',
+        notNull: true,
+        default: 'scheduled',
+        values: ['scheduled', 'running', 'paused', 'completed', 'cancelled']
+      },
+      scheduled_at: { type: 'timestamp', default: NOW },
+      rate_per_minute: { type: 'integer', notNull: true, default: 20, min: 1 },
+      jitter_seconds: { type: 'integer', notNull: true, default: 5, min: 0 },
+      started_at: { type: 'timestamp' },
+      completed_at: { type: 'timestamp' },
+      created_at: createdAt,
+      updated_at: updatedAt
+    }
+  },
+
+  campaign_recipients: {
+    columns: {
+      id,
+      campaign_id: { type: 'uuid', notNull: true, references: { table: 'campaigns', onDelete: 'cascade' } },
+      lead_id: { type: 'uuid', references: { table: 'leads', onDelete: 'set null' } },
+      phone_number: { type: 'text', notNull: true },
+      status: { type: 'text', notNull: true, default: 'pending', values: ['pending', 'sent', 'failed', 'replied'] },
+      error: { type: 'text' },
+      outbound_message_id: { type: 'uuid' },
+      sent_at: { type: 'timestamp' },
+      replied_at: { type: 'timestamp' },
+      created_at: createdAt
+    },
+    unique: [['campaign_id', 'phone_number']]
+  },
+
+  consent: {
+    columns: {
+      id,
+      phone_number: { type: 'text', notNull: true, unique: true },
+      status: { type: 'text', notNull: true, default: 'subscribed', values: ['subscribed', 'opted_out', 'blocked'] },
+      source: { type: 'text', notNull: true, default: 'customer', values: ['customer', 'staff', 'system'] },
+      reason: { type: 'text' },
+      created_at: createdAt,
+      updated_at: updatedAt
+    }
+  },
+
+  outbound_messages: {
+    columns: {
+      id,
+      session_id: sessionId,
+      phone_number: { type: 'text', notNull: true },
+      content: { type: 'json', notNull: true },
+      status: { type: 'text', notNull: true, default: 'pending', values: ['pending', 'sent', 'failed'] },
+      attempts: { type: 'integer', notNull: true, default: 0 },
+      last_error: { type: 'text' },
+      next_attempt_at: { type: 'timestamp', default: NOW },
+      sent_at: { type: 'timestamp' },
+      consent_notice: { type: 'boolean', notNull: true, default: false },
+      created_at: createdAt,
+      updated_at: updatedAt
+    }
+  },
+
+  users: {
+    columns: {
+      id,
+      email: { type: 'text', notNull: true, unique: true },
+      name: { type: 'text' },
+      role: { type: 'text', notNull: true, default: 'agent', values: ['owner', 'agent', 'viewer'] },
+      password_hash: { type: 'text' },
+      active: { type: 'boolean', notNull: true, default: true },
+      last_login_at: { type: 'timestamp' },
+      created_at: createdAt,
+      updated_at: updatedAt
+    }
+  },
+
+  auth_tokens: {
+    columns: {
+      id,
+      user_id: { type: 'uuid', notNull: true, references: { table: 'users', onDelete: 'cascade' } },
+      kind: { type: 'text', notNull: true, values: ['session', 'api_key'] },
+      name: { type: 'text' },
+      token_hash: { type: 'text', notNull: true, unique: true },
+      token_prefix: { type: 'text', notNull: true },
+      expires_at: { type: 'timestamp' },
+      last_used_at: { type: 'timestamp' },
+      created_at: createdAt
+    }
+  },
+
+  webhooks: {
+    columns: {
+      id,
+      url: { type: 'text', notNull: true },
+      events: { type: 'json', notNull: true, default: [] },
+      description: { type: 'text' },
+      secret: { type: 'text', notNull: true },
+      active: { type: 'boolean', notNull: true, default: true },
+      created_by: { type: 'uuid', references: { table: 'users', onDelete: 'set null' } },
+      created_at: createdAt,
+      updated_at: updatedAt
+    }
+  },
+
+  webhook_deliveries: {
+    columns: {
+      id,
+      webhook_id: { type: 'uuid', notNull: true, references: { table: 'webhooks', onDelete: 'cascade' } },
+      event: { type: 'text', notNull: true },
+      payload: { type: 'json', notNull: true },
+      status: { type: 'text', notNull: true, default: 'pending', values: ['pending', 'delivered', 'failed'] },
+      attempts: { type: 'integer', notNull: true, default: 0 },
+      response_status: { type: 'integer' },
+      last_error: { type: 'text' },
+      next_attempt_at: { type: 'timestamp', default: NOW },
+      delivered_at: { type: 'timestamp' },
+      created_at: createdAt,
+      updated_at: updatedAt
+    }
+  },
+
+  settings: {
+    columns: {
+      key: { type: 'text', primaryKey: true },
+      value: { type: 'json' },
+      updated_at: updatedAt
+    }
+  }
+};
+
+/**
+ * Get a table definition
+ * @param {string} table - Table name
+ * @returns {Object} Table definition
+ */
+export function getTable(table) {
+  const definition = TABLES[table];
+  if (!definition) {
+    throw new Error(`Unknown table "${table}"`);
+  }
+  return definition;
+}
+
+/**
+ * Get the primary key column of a table
+ * @param {string} table - Table name
+ * @returns {string} Column name
+ */
+export function getPrimaryKey(table) {
+  const [column] = Object.entries(getTable(table).columns).find(([, spec]) => spec.primaryKey);
+  return column;
+}
+
+/**
+ * Get the column sets that must be unique in a table, primary key first
+ * @param {string} table - Table name
+ * @returns {Array<Array<string>>} Unique column sets
+ */
+export function getUniqueKeys(table) {
+  const { columns, unique = [] } = getTable(table);
+  const single = Object.entries(columns)
+    .filter(([, spec]) => spec.primaryKey || spec.unique)
+    .map(([column]) => [column]);
+  return [...single, ...unique];
+}
+
+/**
+ * Check column values against a table definition
+ * @param {string} table - Table name
+ * @param {Object} values - Column values
+ * @param {boolean} complete - True for a whole new row (required columns must be set)
+ */
+export function validateValues(table, values, complete = false) {
+  const { columns } = getTable(table);
+
+  for (const column of Object.keys(values)) {
+    if (!columns[column]) {
+      throw new Error(`Column "${column}" of table "${table}" does not exist`);
+    }
+  }
+
+  for (const [column, spec] of Object.entries(columns)) {
+    if (!complete && !(column in values)) continue;
+
+    const value = values[column];
+    if (value === null || value === undefined) {
+      if (spec.notNull || spec.primaryKey) {
+        throw new Error(`Column "${column}" of table "${table}" cannot be null`);
+      }
+      continue;
+    }
+
+    if (spec.values && !spec.values.includes(value)) {
+      throw new Error(`Invalid ${column} "${value}" for table "${table}"; use one of: ${spec.values.join(', ')}`);
+    }
+
+    if (spec.pattern && !spec.pattern.test(String(value))) {
+      throw new Error(`Invalid ${column} "${value}" for table "${table}"; must match ${spec.pattern}`);
+    }
+
+    if (spec.min !== undefined && !(Number(value) >= spec.min)) {
+      throw new Error(`Invalid ${column} ${value} for table "${table}"; must be at least ${spec.min}`);
+    }
+  }
+}
+
+/**
+ * Build a new row: fill in defaults and generate the id
+ * @param {string} table - Table name
+ * @param {Object} input - Column values
+ * @returns {Object} Complete row
+ */
+export function createRow(table, input) {
+  const { columns } = getTable(table);
+  const now = new Date().toISOString();
+  const row = {};
+
+  for (const [column, spec] of Object.entries(columns)) {
+    if (input[column] !== undefined) {
+      row[column] = input[column];
+    } else if (spec.type === 'uuid' && spec.primaryKey) {
+      row[column] = crypto.randomUUID();
+    } else if (spec.default === NOW) {
+      row[column] = now;
+    } else if (spec.default !== undefined) {
+      row[column] = structuredClone(spec.default);
+    } else {
+      row[column] = null;
+    }
+  }
+
+  validateValues(table, { ...input, ...row }, true);
+  return row;
+}
+
+export default {
+  NOW,
+  TABLES,
+  getTable,
+  getPrimaryKey,
+  getUniqueKeys,
+  validateValues,
+  createRow
+};
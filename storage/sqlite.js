@@ -0,0 +1,386 @@
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { TABLES, getTable, getUniqueKeys, validateValues, createRow } from './schema.js';
+import { parseWhere, parseOrder } from './query.js';
+
+/**
+ * SQLite storage backend
+ * Keeps every table in one SQLite file, so a shop can run on a single
+ * machine without Supabase. Tables are created from schema.js on start-up,
+ * and columns added to schema.js since the file was created are added to it.
+ *
+ * Needs the better-sqlite3 package (npm install better-sqlite3).
+ */
+
+const require = createRequire(import.meta.url);
+
+// SQLite column type of each schema type
+const COLUMN_TYPES = {
+  uuid: 'TEXT',
+  text: 'TEXT',
+  integer: 'INTEGER',
+  number: 'REAL',
+  boolean: 'INTEGER',
+  timestamp: 'TEXT',
+  json: 'TEXT'
+};
+
+/**
+ * Quote an identifier
+ * @param {string} name - Table or column name
+ * @returns {string} Quoted name
+ */
+function quote(name) {
+  return `"${name.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Write a literal default value into DDL
+ * @param {*} value - Default value
+ * @param {Object} spec - Column spec
+ * @returns {string} SQL literal
+ */
+function toLiteral(value, spec) {
+  const stored = toStored(value, spec);
+  return typeof stored === 'string' ? `'${stored.replace(/'/g, "''")}'` : String(stored);
+}
+
+/**
+ * Build the definition of one column
+ * Defaults for new rows are filled in by createRow; the DEFAULT clause only
+ * matters for rows that exist when a column is added. SQLite has no regular
+ * expressions, so patterns are only checked by validateValues.
+ * @param {string} column - Column name
+ * @param {Object} spec - Column spec
+ * @param {boolean} adding - True when added to an existing table
+ * @returns {string} Column definition
+ */
+function columnDefinition(column, spec, adding = false) {
+  const parts = [quote(column), COLUMN_TYPES[spec.type]];
+
+  if (spec.primaryKey && !adding) parts.push('PRIMARY KEY');
+  if (spec.notNull) parts.push('NOT NULL');
+  if (spec.unique && !adding) parts.push('UNIQUE');
+
+  if (spec.default !== undefined && typeof spec.default !== 'symbol') {
+    parts.push(`DEFAULT ${toLiteral(spec.default, spec)}`);
+  } else if (spec.notNull && adding) {
+    parts.push(`DEFAULT ${toLiteral(spec.type === 'json' ? [] : '', spec)}`);
+  }
+
+  if (spec.values) {
+    parts.push(`CHECK (${quote(column)} IN (${spec.values.map(value => toLiteral(value, spec)).join(', ')}))`);
+  }
+
+  if (spec.min !== undefined) {
+    parts.push(`CHECK (${quote(column)} >= ${spec.min})`);
+  }
+
+  if (spec.references) {
+    const onDelete = spec.references.onDelete === 'cascade' ? 'CASCADE' : 'SET NULL';
+    parts.push(`REFERENCES ${quote(spec.references.table)} ON DELETE ${onDelete}`);
+  }
+
+  return parts.join(' ');
+}
+
+/**
+ * Convert a value to what SQLite stores
+ * @param {*} value - Column value
+ * @param {Object} spec - Column spec
+ * @returns {*} Stored value
+ */
+function toStored(value, spec) {
+  if (value === null || value === undefined) return null;
+  if (spec.type === 'json') return JSON.stringify(value);
+  if (spec.type === 'boolean') return value ? 1 : 0;
+  return value;
+}
+
+/**
+ * Convert a stored row back to column values
+ * @param {string} table - Table name
+ * @param {Object} stored - Row as returned by SQLite
+ * @returns {Object} Row
+ */
+function fromStored(table, stored) {
+  const { columns } = getTable(table);
+  const row = {};
+
+  for (const [column, value] of Object.entries(stored)) {
+    const spec = columns[column];
+    if (value === null || !spec) {
+      row[column] = value;
+    } else if (spec.type === 'json') {
+      row[column] = JSON.parse(value);
+    } else if (spec.type === 'boolean') {
+      row[column] = value === 1;
+    } else {
+      row[column] = value;
+    }
+  }
+
+  return row;
+}
+
+/**
+ * Build a WHERE clause
+ * @param {string} table - Table name
+ * @param {Object} where - Query conditions (see query.js)
+ * @returns {Object} { sql, params }
+ */
+function buildWhere(table, where) {
+  const { columns } = getTable(table);
+  const clauses = [];
+  const params = [];
+
+  for (const { column, op, value } of parseWhere(where)) {
+    const spec = columns[column];
+    if (!spec) {
+      throw new Error(`Column "${column}" of table "${table}" does not exist`);
+    }
+
+    const name = quote(column);
+
+    if (op === 'is') {
+      clauses.push(`${name} IS NULL`);
+    } else if (op === 'in' || op === 'notIn') {
+      if (value.length === 0) {
+        clauses.push(op === 'in' ? '0' : `${name} IS NOT NULL`);
+        continue;
+      }
+      clauses.push(`${name} ${op === 'in' ? 'IN' : 'NOT IN'} (${value.map(() => '?').join(', ')})`);
+      params.push(...value.map(item => toStored(item, spec)));
+    } else if (op === 'contains') {
+      for (const item of value) {
+        clauses.push(`EXISTS (SELECT 1 FROM json_each(${name}) WHERE json_each.value = ?)`);
+        params.push(item);
+      }
+    } else {
+      const operator = { eq: '=', lt: '<', gte: '>=', ilike: 'LIKE' }[op];
+      clauses.push(`${name} ${operator} ?`);
+      params.push(toStored(value, spec));
+    }
+  }
+
+  return {
+    sql: clauses.length > 0 ? ` WHERE ${clauses.join(' AND ')}` : '',
+    params
+  };
+}
+
+/**
+ * Create the tables, and add columns that are missing from an older file
+ * @param {Object} db - better-sqlite3 database
+ */
+function migrate(db) {
+  for (const [table, definition] of Object.entries(TABLES)) {
+    const existing = db.prepare(`PRAGMA table_info(${quote(table)})`).all();
+
+    if (existing.length === 0) {
+      const columns = Object.entries(definition.columns)
+        .map(([column, spec]) => columnDefinition(column, spec));
+      const unique = (definition.unique || [])
+        .map(key => `UNIQUE (${key.map(quote).join(', ')})`);
+
+      db.exec(`CREATE TABLE ${quote(table)} (\n  ${[...columns, ...unique].join(',\n  ')}\n)`);
+      continue;
+    }
+
+    const names = new Set(existing.map(column => column.name));
+    for (const [column, spec] of Object.entries(definition.columns)) {
+      if (!names.has(column)) {
+        db.exec(`ALTER TABLE ${quote(table)} ADD COLUMN ${columnDefinition(column, spec, true)}`);
+      }
+    }
+  }
+}
+
+/**
+ * Create a SQLite storage backend
+ * @param {Object} config - Backend configuration
+ * @param {string} config.path - Database file (':memory:' for a throwaway database)
+ * @returns {Object} Storage instance
+ */
+export function createSqliteStorage(config) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (error) {
+    throw new Error('The SQLite storage backend needs better-sqlite3: run npm install better-sqlite3');
+  }
+
+  if (config.path !== ':memory:') {
+    fs.mkdirSync(path.dirname(path.resolve(config.path)), { recursive: true });
+  }
+
+  const db = new Database(config.path);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  migrate(db);
+
+  const statements = new Map();
+
+  /**
+   * Prepare a statement once and reuse it
+   * @param {string} sql - SQL
+   * @returns {Object} better-sqlite3 statement
+   */
+  function prepare(sql) {
+    if (!statements.has(sql)) {
+      statements.set(sql, db.prepare(sql));
+    }
+    return statements.get(sql);
+  }
+
+  /**
+   * Insert one complete row
+   * @param {string} table - Table name
+   * @param {Object} row - Row from createRow
+   * @returns {Object} Inserted row
+   */
+  function insertRow(table, row) {
+    const { columns } = getTable(table);
+    const names = Object.keys(row);
+    const sql = `INSERT INTO ${quote(table)} (${names.map(quote).join(', ')}) ` +
+      `VALUES (${names.map(() => '?').join(', ')}) RETURNING *`;
+
+    const [stored] = prepare(sql).all(names.map(name => toStored(row[name], columns[name])));
+    return fromStored(table, stored);
+  }
+
+  const insertAll = db.transaction((table, rows) => rows.map(row => insertRow(table, createRow(table, row))));
+
+  return {
+    name: 'sqlite',
+
+    /**
+     * Get rows
+     * @param {string} table - Table name
+     * @param {Object} options - { columns, where, order, limit }
+     * @returns {Promise<Array>} Rows
+     */
+    async select(table, options = {}) {
+      const { sql: whereSql, params } = buildWhere(table, options.where);
+      const columns = options.columns ? options.columns.map(quote).join(', ') : '*';
+      let sql = `SELECT ${columns} FROM ${quote(table)}${whereSql}`;
+
+      const order = parseOrder(options.order);
+      if (order) {
+        // Rows written in the same millisecond keep the order they were inserted in
+        const direction = order.ascending ? 'ASC' : 'DESC';
+        sql += ` ORDER BY ${quote(order.column)} ${direction} NULLS ${order.nullsFirst ? 'FIRST' : 'LAST'}, rowid ${direction}`;
+      }
+
+      if (options.limit) {
+        sql += ' LIMIT ?';
+        params.push(options.limit);
+      }
+
+      return prepare(sql).all(params).map(row => fromStored(table, row));
+    },
+
+    /**
+     * Count rows
+     * @param {string} table - Table name
+     * @param {Object} where - Query conditions
+     * @returns {Promise<number>} Number of matching rows
+     */
+    async count(table, where = {}) {
+      const { sql, params } = buildWhere(table, where);
+      return prepare(`SELECT COUNT(*) AS count FROM ${quote(table)}${sql}`).get(params).count;
+    },
+
+    /**
+     * Insert rows; all or none are stored
+     * @param {string} table - Table name
+     * @param {Array} rows - Column values of each row
+     * @returns {Promise<Array>} Inserted rows with defaults filled in
+     */
+    async insert(table, rows) {
+      return insertAll(table, rows);
+    },
+
+    /**
+     * Update rows
+     * @param {string} table - Table name
+     * @param {Object} where - Query conditions
+     * @param {Object} changes - Column values to set
+     * @returns {Promise<Array>} Updated rows
+     */
+    async update(table, where, changes) {
+      validateValues(table, changes);
+
+      const { columns } = getTable(table);
+      const names = Object.keys(changes);
+      if (names.length === 0) {
+        return this.select(table, { where });
+      }
+
+      const { sql: whereSql, params } = buildWhere(table, where);
+      const sql = `UPDATE ${quote(table)} SET ${names.map(name => `${quote(name)} = ?`).join(', ')}${whereSql} RETURNING *`;
+
+      return prepare(sql)
+        .all([...names.map(name => toStored(changes[name], columns[name])), ...params])
+        .map(row => fromStored(table, row));
+    },
+
+    /**
+     * Insert a row, or update the row it conflicts with
+     * @param {string} table - Table name
+     * @param {Object} row - Column values
+     * @param {Array<string>} conflictColumns - Unique columns that identify the existing row
+     * @returns {Promise<Object>} Inserted or updated row
+     */
+    async upsert(table, row, conflictColumns) {
+      const key = conflictColumns.join(',');
+      if (!getUniqueKeys(table).some(unique => unique.join(',') === key)) {
+        throw new Error(`No unique key on ${table} (${key})`);
+      }
+
+      const { columns } = getTable(table);
+      const complete = createRow(table, row);
+      const names = Object.keys(complete);
+      const changed = Object.keys(row).filter(name => !conflictColumns.includes(name));
+
+      const sql = `INSERT INTO ${quote(table)} (${names.map(quote).join(', ')}) ` +
+        `VALUES (${names.map(() => '?').join(', ')}) ` +
+        `ON CONFLICT (${conflictColumns.map(quote).join(', ')}) DO ` +
+        (changed.length > 0
+          ? `UPDATE SET ${changed.map(name => `${quote(name)} = excluded.${quote(name)}`).join(', ')}`
+          : 'NOTHING') +
+        ' RETURNING *';
+
+      const [stored] = prepare(sql).all(names.map(name => toStored(complete[name], columns[name])));
+      if (stored) return fromStored(table, stored);
+
+      // DO NOTHING returns no row; the existing one is unchanged
+      const [existing] = await this.select(table, {
+        where: Object.fromEntries(conflictColumns.map(column => [column, complete[column]]))
+      });
+      return existing;
+    },
+
+    /**
+     * Delete rows
+     * @param {string} table - Table name
+     * @param {Object} where - Query conditions (at least one)
+     * @returns {Promise<Array>} Deleted rows
+     */
+    async remove(table, where) {
+      if (Object.keys(where).length === 0) {
+        throw new Error(`Refusing to delete every row of "${table}"`);
+      }
+
+      const { sql, params } = buildWhere(table, where);
+      return prepare(`DELETE FROM ${quote(table)}${sql} RETURNING *`)
+        .all(params)
+        .map(row => fromStored(table, row));
+    }
+  };
+}
+
+export default {
+  createSqliteStorage
+};
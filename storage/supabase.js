@@ -0,0 +1,147 @@
+import { createClient } from '@supabase/supabase-js';
+import { parseWhere, parseOrder } from './query.js';
+
+/**
+ * Supabase storage backend
+ * Keeps every table in the Supabase (Postgres) project whose schema is
+ * created by supabase/migrations.
+ */
+
+/**
+ * Add where conditions to a Supabase query
+ * @param {Object} query - Supabase query builder
+ * @param {Object} where - Query conditions (see query.js)
+ * @returns {Object} Query builder
+ */
+function applyWhere(query, where) {
+  for (const { column, op, value } of parseWhere(where)) {
+    if (op === 'eq') query = query.eq(column, value);
+    else if (op === 'is') query = query.is(column, null);
+    else if (op === 'in') query = query.in(column, value);
+    else if (op === 'notIn') query = query.not(column, 'in', `(${value.join(',')})`);
+    else if (op === 'lt') query = query.lt(column, value);
+    else if (op === 'gte') query = query.gte(column, value);
+    else if (op === 'ilike') query = query.ilike(column, value);
+    else if (op === 'contains') query = query.contains(column, value);
+  }
+  return query;
+}
+
+/**
+ * Create a Supabase storage backend
+ * @param {Object} config - Backend configuration
+ * @param {string} config.url - Supabase project URL
+ * @param {string} config.key - Service role key
+ * @returns {Object} Storage instance
+ */
+export function createSupabaseStorage(config) {
+  if (!config.url || !config.key) {
+    throw new Error('Missing Supabase credentials. Please check your .env file.');
+  }
+
+  const supabase = createClient(config.url, config.key);
+
+  return {
+    name: 'supabase',
+
+    /**
+     * Get rows
+     * @param {string} table - Table name
+     * @param {Object} options - { columns, where, order, limit }
+     * @returns {Promise<Array>} Rows
+     */
+    async select(table, options = {}) {
+      let query = applyWhere(supabase.from(table).select(options.columns?.join(',') || '*'), options.where);
+
+      const order = parseOrder(options.order);
+      if (order) {
+        query = query.order(order.column, { ascending: order.ascending, nullsFirst: order.nullsFirst });
+      }
+
+      if (options.limit) {
+        query = query.limit(options.limit);
+      }
+
+      const { data, error } = await query;
+      if (error) throw error;
+      return data || [];
+    },
+
+    /**
+     * Count rows
+     * @param {string} table - Table name
+     * @param {Object} where - Query conditions
+     * @returns {Promise<number>} Number of matching rows
+     */
+    async count(table, where = {}) {
+      const { count, error } = await applyWhere(
+        supabase.from(table).select('*', { count: 'exact', head: true }),
+        where
+      );
+      if (error) throw error;
+      return count || 0;
+    },
+
+    /**
+     * Insert rows
+     * @param {string} table - Table name
+     * @param {Array} rows - Column values of each row
+     * @returns {Promise<Array>} Inserted rows with defaults filled in
+     */
+    async insert(table, rows) {
+      const { data, error } = await supabase.from(table).insert(rows).select();
+      if (error) throw error;
+      return data || [];
+    },
+
+    /**
+     * Update rows
+     * @param {string} table - Table name
+     * @param {Object} where - Query conditions
+     * @param {Object} changes - Column values to set
+     * @returns {Promise<Array>} Updated rows
+     */
+    async update(table, where, changes) {
+      const { data, error } = await applyWhere(supabase.from(table).update(changes), where).select();
+      if (error) throw error;
+      return data || [];
+    },
+
+    /**
+     * Insert a row, or update the row it conflicts with
+     * @param {string} table - Table name
+     * @param {Object} row - Column values
+     * @param {Array<string>} conflictColumns - Unique columns that identify the existing row
+     * @returns {Promise<Object>} Inserted or updated row
+     */
+    async upsert(table, row, conflictColumns) {
+      const { data, error } = await supabase
+        .from(table)
+        .upsert(row, { onConflict: conflictColumns.join(',') })
+        .select()
+        .single();
+      if (error) throw error;
+      return data;
+    },
+
+    /**
+     * Delete rows
+     * @param {string} table - Table name
+     * @param {Object} where - Query conditions (at least one)
+     * @returns {Promise<Array>} Deleted rows
+     */
+    async remove(table, where) {
+      if (Object.keys(where).length === 0) {
+        throw new Error(`Refusing to delete every row of "${table}"`);
+      }
+
+      const { data, error } = await applyWhere(supabase.from(table).delete(), where).select();
+      if (error) throw error;
+      return data || [];
+    }
+  };
+}
+
+export default {
+  createSupabaseStorage
+};
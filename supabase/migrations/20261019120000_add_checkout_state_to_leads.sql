@@ -0,0 +1,29 @@
+/*
+  # Add Checkout State to Leads
+
+  ## Overview
+  Stores where each lead is in the sales flow so the bot keeps track of the
+  selected product, variant and customer details across turns, and the
+  dashboard can show where leads stall.
+
+  ## Changes
+
+  ### `leads`
+  **New columns:**
+  - `stage` (text, default 'discovery') - Checkout stage: 'discovery', 'choosing_variant',
+    'collecting_details', 'confirming', 'ordered'
+  - `checkout` (jsonb, default '{}') - Selected product, size, color, quantity,
+    customer name, city and order id collected so far
+  - `stage_updated_at` (timestamptz, default now()) - When the lead entered its current stage
+
+  ## Indexes
+  - Index on stage for dashboard filtering
+*/
+
+ALTER TABLE leads
+  ADD COLUMN IF NOT EXISTS stage text DEFAULT 'discovery'
+    CHECK (stage IN ('discovery', 'choosing_variant', 'collecting_details', 'confirming', 'ordered')),
+  ADD COLUMN IF NOT EXISTS checkout jsonb DEFAULT '{}'::jsonb,
+  ADD COLUMN IF NOT EXISTS stage_updated_at timestamptz DEFAULT now();
+
+CREATE INDEX IF NOT EXISTS idx_leads_stage ON leads(stage);
@@ -0,0 +1,43 @@
+/*
+  # Create Inventory Table
+
+  ## Overview
+  Tracks stock counts per product variant (size and color). Stock is taken
+  when an order moves to 'confirmed' and put back when a confirmed order is
+  cancelled. Products without any inventory rows are not tracked and are
+  only governed by their `in_stock` flag in the catalog.
+
+  ## New Tables
+
+  ### `inventory`
+  **Columns:**
+  - `id` (uuid, primary key) - Unique identifier for each stock row
+  - `product_id` (text, required) - Catalog product id (e.g. 'PROD001')
+  - `size` (text, default '') - Size, or empty for products without sizes
+  - `color` (text, default '') - Color, or empty for products without colors
+  - `quantity` (integer, default 0) - Units in stock, never negative
+  - `low_stock_threshold` (integer, default 3) - Alert when quantity falls to this level
+  - `updated_at` (timestamptz, default now()) - Last stock change
+
+  ## Security
+  - Row Level Security enabled, service role only (same as other tables)
+*/
+
+CREATE TABLE IF NOT EXISTS inventory (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  product_id text NOT NULL,
+  size text NOT NULL DEFAULT '',
+  color text NOT NULL DEFAULT '',
+  quantity integer NOT NULL DEFAULT 0 CHECK (quantity >= 0),
+  low_stock_threshold integer NOT NULL DEFAULT 3 CHECK (low_stock_threshold >= 0),
+  updated_at timestamptz DEFAULT now(),
+  UNIQUE (product_id, size, color)
+);
+
+ALTER TABLE inventory ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can manage inventory"
+  ON inventory FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
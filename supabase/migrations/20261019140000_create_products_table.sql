@@ -0,0 +1,53 @@
+/*
+  # Create Products Table
+
+  ## Overview
+  Moves the product catalog from products.json into the database so it can be
+  managed through the API and dashboard without restarts. On first start the
+  application seeds this table from products.json when it is empty.
+
+  ## New Tables
+
+  ### `products`
+  **Columns:**
+  - `id` (text, primary key) - Product code (e.g. 'PROD001')
+  - `name` (text, required) - Product name
+  - `description` (text, default '') - Short description used in the AI prompt
+  - `price` (decimal, required) - Unit price
+  - `currency` (text, default 'USD') - Price currency
+  - `category` (text, nullable) - Category name
+  - `sizes` (jsonb, nullable) - Array of available sizes
+  - `colors` (jsonb, nullable) - Array of available colors
+  - `models` (jsonb, nullable) - Array of compatible models
+  - `keywords` (jsonb, default '[]') - Search keywords
+  - `in_stock` (boolean, default true) - Whether the product can be sold at all
+  - `created_at` (timestamptz, default now()) - Record creation timestamp
+  - `updated_at` (timestamptz, default now()) - Record last update timestamp
+
+  ## Security
+  - Row Level Security enabled, service role only (same as other tables)
+*/
+
+CREATE TABLE IF NOT EXISTS products (
+  id text PRIMARY KEY,
+  name text NOT NULL,
+  description text DEFAULT '',
+  price decimal(10, 2) NOT NULL CHECK (price >= 0),
+  currency text DEFAULT 'USD',
+  category text,
+  sizes jsonb,
+  colors jsonb,
+  models jsonb,
+  keywords jsonb DEFAULT '[]'::jsonb,
+  in_stock boolean DEFAULT true,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+ALTER TABLE products ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can manage products"
+  ON products FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
@@ -0,0 +1,28 @@
+/*
+  # Add Shipping Details to Leads
+
+  ## Overview
+  Stores the delivery details the bot extracts from customer messages
+  (in English, Hindi, Gujarati or Hinglish) so orders can be shipped
+  without asking the customer again.
+
+  ## Changes
+
+  ### `leads`
+  **New columns:**
+  - `state` (text) - State of the customer's city, from the bundled city gazetteer
+  - `address` (text) - Shipping address as written by the customer
+  - `pincode` (text) - Six-digit Indian postal code
+  - `alternate_phone` (text) - Ten-digit phone number other than the WhatsApp number
+
+  ## Indexes
+  - Index on pincode for delivery-area lookups
+*/
+
+ALTER TABLE leads
+  ADD COLUMN IF NOT EXISTS state text,
+  ADD COLUMN IF NOT EXISTS address text,
+  ADD COLUMN IF NOT EXISTS pincode text CHECK (pincode IS NULL OR pincode ~ '^[1-9][0-9]{5}$'),
+  ADD COLUMN IF NOT EXISTS alternate_phone text;
+
+CREATE INDEX IF NOT EXISTS idx_leads_pincode ON leads(pincode);
@@ -0,0 +1,26 @@
+/*
+  # Add Preferred Language to Leads
+
+  ## Overview
+  Records the language each customer writes in, so replies that do not come
+  from the AI model (agent handoff, error messages, order summaries) are sent
+  in that language.
+
+  ## Changes
+
+  ### `leads`
+  **New columns:**
+  - `language` (text) - Preferred language: 'en', 'hi' or 'gu'; detected from
+    the customer's messages
+  - `language_locked` (boolean, default false) - Set when staff choose the
+    language through the API; detection no longer changes it
+
+  ## Indexes
+  - Index on language for dashboard filtering
+*/
+
+ALTER TABLE leads
+  ADD COLUMN IF NOT EXISTS language text CHECK (language IS NULL OR language IN ('en', 'hi', 'gu')),
+  ADD COLUMN IF NOT EXISTS language_locked boolean DEFAULT false;
+
+CREATE INDEX IF NOT EXISTS idx_leads_language ON leads(language);
@@ -0,0 +1,35 @@
+/*
+  # Add Human-Agent Inbox Support
+
+  ## Overview
+  Lets staff reply to customers from the dashboard. Agent replies are stored
+  in the chat history next to customer and bot messages, and each flagged
+  lead records when it was handed off so the inbox can show who has waited
+  longest.
+
+  ## Changes
+
+  ### `chat_history`
+  - `role` now also accepts 'agent' (a reply typed by a staff member)
+
+  ### `leads`
+  **New columns:**
+  - `agent_requested_at` (timestamptz) - When the conversation was handed to a
+    human agent; cleared when it is returned to the bot
+
+  ## Indexes
+  - Partial index on agent_requested_at for the waiting queue
+*/
+
+ALTER TABLE chat_history DROP CONSTRAINT IF EXISTS chat_history_role_check;
+ALTER TABLE chat_history
+  ADD CONSTRAINT chat_history_role_check CHECK (role IN ('user', 'assistant', 'agent'));
+
+ALTER TABLE leads
+  ADD COLUMN IF NOT EXISTS agent_requested_at timestamptz;
+
+UPDATE leads SET agent_requested_at = updated_at
+  WHERE needs_human_agent = true AND agent_requested_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_leads_agent_queue ON leads(agent_requested_at)
+  WHERE needs_human_agent = true;
@@ -0,0 +1,36 @@
+/*
+  # Add Media Messages to Chat History
+
+  ## Overview
+  Customers send photos, voice notes, documents, locations and contact cards,
+  not only text. Each chat message now records what kind of message it was
+  and, for media, the downloaded file. A shared location is kept on the lead
+  for delivery.
+
+  ## Changes
+
+  ### `chat_history`
+  **New columns:**
+  - `message_type` (text) - 'text', 'image', 'video', 'audio', 'document',
+    'sticker', 'location' or 'contact'
+  - `media_path` (text) - File name of the downloaded media inside MEDIA_DIR
+
+  ### `leads`
+  **New columns:**
+  - `latitude` (double precision) - Latitude of the last shared location
+  - `longitude` (double precision) - Longitude of the last shared location
+*/
+
+ALTER TABLE chat_history
+  ADD COLUMN IF NOT EXISTS message_type text NOT NULL DEFAULT 'text',
+  ADD COLUMN IF NOT EXISTS media_path text;
+
+ALTER TABLE chat_history DROP CONSTRAINT IF EXISTS chat_history_message_type_check;
+ALTER TABLE chat_history
+  ADD CONSTRAINT chat_history_message_type_check CHECK (
+    message_type IN ('text', 'image', 'video', 'audio', 'document', 'sticker', 'location', 'contact')
+  );
+
+ALTER TABLE leads
+  ADD COLUMN IF NOT EXISTS latitude double precision,
+  ADD COLUMN IF NOT EXISTS longitude double precision;
@@ -0,0 +1,22 @@
+/*
+  # Add Product Images
+
+  ## Overview
+  Lets the bot send a product's photo with a caption (name, price, sizes,
+  colors) when it recommends the product, and lets staff send the same card
+  through the API.
+
+  ## Changes
+
+  ### `products`
+  **New columns:**
+  - `images` (jsonb, default '[]') - Array of image URLs or file paths inside
+    MEDIA_DIR (e.g. 'products/tshirt-white.jpg'); the first one is sent
+
+  ### `chat_history`
+  - A sent product photo is stored with `message_type` 'image' and the image
+    reference in `media_path`
+*/
+
+ALTER TABLE products
+  ADD COLUMN IF NOT EXISTS images jsonb DEFAULT '[]'::jsonb;
@@ -0,0 +1,100 @@
+/*
+  # Create Broadcast Campaigns
+
+  ## Overview
+  Replaces one-shot broadcasts with persisted campaigns. A campaign's
+  audience is built from lead filters when it is created, and a background
+  runner sends to one recipient at a time at the campaign's rate. Progress
+  lives in the recipients table, so a restart resumes where it stopped.
+
+  ## New Tables
+
+  ### `campaigns`
+  **Columns:**
+  - `id` (uuid, primary key) - Unique identifier for each campaign
+  - `name` (text, required) - Name shown in the dashboard
+  - `message` (text, required) - Message text; {name} and {city} are filled in per lead
+  - `filters` (jsonb, default '{}') - Lead filters the audience was built from
+  - `status` (text, default 'scheduled') - 'scheduled', 'running', 'paused',
+    'completed' or 'cancelled'
+  - `scheduled_at` (timestamptz, default now()) - When sending may start
+  - `rate_per_minute` (integer, default 20) - Messages sent per minute
+  - `jitter_seconds` (integer, default 5) - Random extra wait between messages
+  - `started_at` (timestamptz, nullable) - When the first message was sent
+  - `completed_at` (timestamptz, nullable) - When the last recipient was handled
+  - `created_at` (timestamptz, default now()) - Record creation timestamp
+  - `updated_at` (timestamptz, default now()) - Record last update timestamp
+
+  ### `campaign_recipients`
+  **Columns:**
+  - `id` (uuid, primary key) - Unique identifier for each recipient row
+  - `campaign_id` (uuid, required) - Campaign
+  - `lead_id` (uuid, nullable) - Lead, when the number belongs to one
+  - `phone_number` (text, required) - WhatsApp JID
+  - `status` (text, default 'pending') - 'pending', 'sent', 'failed' or 'replied'
+  - `error` (text, nullable) - Why sending failed
+  - `sent_at` (timestamptz, nullable) - When the message was sent
+  - `replied_at` (timestamptz, nullable) - When the customer first wrote back
+  - `created_at` (timestamptz, default now()) - Record creation timestamp
+
+  ### `leads`
+  **New columns:**
+  - `tags` (jsonb, default '[]') - Free-form labels used to target campaigns
+
+  ## Security
+  - Row Level Security enabled, service role only (same as other tables)
+*/
+
+ALTER TABLE leads
+  ADD COLUMN IF NOT EXISTS tags jsonb DEFAULT '[]'::jsonb;
+
+CREATE INDEX IF NOT EXISTS idx_leads_tags ON leads USING gin(tags);
+
+CREATE TABLE IF NOT EXISTS campaigns (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  name text NOT NULL,
+  message text NOT NULL,
+  filters jsonb DEFAULT '{}'::jsonb,
+  status text NOT NULL DEFAULT 'scheduled'
+    CHECK (status IN ('scheduled', 'running', 'paused', 'completed', 'cancelled')),
+  scheduled_at timestamptz DEFAULT now(),
+  rate_per_minute integer NOT NULL DEFAULT 20 CHECK (rate_per_minute > 0),
+  jitter_seconds integer NOT NULL DEFAULT 5 CHECK (jitter_seconds >= 0),
+  started_at timestamptz,
+  completed_at timestamptz,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS campaign_recipients (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  campaign_id uuid NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+  lead_id uuid REFERENCES leads(id) ON DELETE SET NULL,
+  phone_number text NOT NULL,
+  status text NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'sent', 'failed', 'replied')),
+  error text,
+  sent_at timestamptz,
+  replied_at timestamptz,
+  created_at timestamptz DEFAULT now(),
+  UNIQUE (campaign_id, phone_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_campaigns_status ON campaigns(status, scheduled_at);
+CREATE INDEX IF NOT EXISTS idx_campaign_recipients_campaign ON campaign_recipients(campaign_id, status);
+CREATE INDEX IF NOT EXISTS idx_campaign_recipients_phone ON campaign_recipients(phone_number, status);
+
+ALTER TABLE campaigns ENABLE ROW LEVEL SECURITY;
+ALTER TABLE campaign_recipients ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can manage campaigns"
+  ON campaigns FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+CREATE POLICY "Service role can manage campaign recipients"
+  ON campaign_recipients FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
@@ -0,0 +1,46 @@
+/*
+  # Create Consent Table
+
+  ## Overview
+  Records which numbers may be messaged. Customers opt out by replying STOP
+  (or its Hindi/Gujarati equivalent) and opt back in with START; staff can
+  also block a number. Every outbound message checks this table. Numbers
+  without a row have not opted out.
+
+  ## New Tables
+
+  ### `consent`
+  **Columns:**
+  - `id` (uuid, primary key) - Unique identifier for each record
+  - `phone_number` (text, unique, required) - WhatsApp JID
+  - `status` (text, default 'subscribed') - 'subscribed', 'opted_out' or 'blocked'
+  - `source` (text, default 'customer') - Who set the status: 'customer' or 'staff'
+  - `reason` (text, nullable) - The keyword the customer sent, or a staff note
+  - `created_at` (timestamptz, default now()) - Record creation timestamp
+  - `updated_at` (timestamptz, default now()) - Record last update timestamp
+
+  ## Security
+  - Row Level Security enabled, service role only (same as other tables)
+*/
+
+CREATE TABLE IF NOT EXISTS consent (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  phone_number text UNIQUE NOT NULL,
+  status text NOT NULL DEFAULT 'subscribed'
+    CHECK (status IN ('subscribed', 'opted_out', 'blocked')),
+  source text NOT NULL DEFAULT 'customer'
+    CHECK (source IN ('customer', 'staff')),
+  reason text,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_consent_status ON consent(status);
+
+ALTER TABLE consent ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can manage consent"
+  ON consent FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
@@ -0,0 +1,28 @@
+/*
+  # Add Follow-Up Tracking to Leads
+
+  ## Overview
+  Leads that stop replying get follow-up messages on a schedule (for example
+  a nudge after 4 hours, a reminder after a day) and are marked lost after a
+  week. Each lead records how far through the sequence it is, so a restart
+  never sends the same follow-up twice. A message from the customer resets
+  the sequence.
+
+  ## Changes
+
+  ### `leads`
+  **New columns:**
+  - `followup_step` (integer, default 0) - Number of follow-up rules already
+    applied since the customer's last message
+  - `followup_at` (timestamptz, nullable) - When the last follow-up was applied
+
+  ## Indexes
+  - Partial index on last_message_at for leads still in the sequence
+*/
+
+ALTER TABLE leads
+  ADD COLUMN IF NOT EXISTS followup_step integer NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS followup_at timestamptz;
+
+CREATE INDEX IF NOT EXISTS idx_leads_followups ON leads(last_message_at)
+  WHERE needs_human_agent = false AND status NOT IN ('converted', 'lost');
@@ -0,0 +1,54 @@
+/*
+  # Create Outbound Message Queue
+
+  ## Overview
+  Every message the bot, an agent or a campaign sends is first written to
+  this table and then delivered. Messages written while WhatsApp is
+  reconnecting wait here and go out, in order per chat, once the connection
+  is open again. Failed deliveries are retried with exponential backoff
+  and marked failed after the last attempt.
+
+  ## New Tables
+
+  ### `outbound_messages`
+  **Columns:**
+  - `id` (uuid, primary key) - Unique identifier for each message
+  - `phone_number` (text, required) - Recipient WhatsApp JID
+  - `content` (jsonb, required) - Message content as sent to WhatsApp
+    (e.g. {"text": "..."} or {"image": {"url": "..."}, "caption": "..."})
+  - `status` (text, default 'pending') - 'pending', 'sent' or 'failed'
+  - `attempts` (integer, default 0) - Delivery attempts made while connected
+  - `last_error` (text, nullable) - Error of the last failed attempt
+  - `next_attempt_at` (timestamptz, default now()) - Earliest time of the next attempt
+  - `sent_at` (timestamptz, nullable) - When WhatsApp accepted the message
+  - `created_at` (timestamptz, default now()) - Record creation timestamp
+  - `updated_at` (timestamptz, default now()) - Record last update timestamp
+
+  ## Security
+  - Row Level Security enabled, service role only (same as other tables)
+*/
+
+CREATE TABLE IF NOT EXISTS outbound_messages (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  phone_number text NOT NULL,
+  content jsonb NOT NULL,
+  status text NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'sent', 'failed')),
+  attempts integer NOT NULL DEFAULT 0,
+  last_error text,
+  next_attempt_at timestamptz DEFAULT now(),
+  sent_at timestamptz,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_outbound_messages_status ON outbound_messages(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_outbound_messages_phone ON outbound_messages(phone_number, created_at DESC);
+
+ALTER TABLE outbound_messages ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can manage outbound messages"
+  ON outbound_messages FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
@@ -0,0 +1,34 @@
+/*
+  # Add WhatsApp Sessions
+
+  ## Overview
+  One deployment can run several WhatsApp business numbers ("sessions",
+  configured in WHATSAPP_SESSIONS_FILE). Conversations are partitioned by
+  session: a customer writing to two numbers becomes two leads, each with
+  its own chat history and orders. Existing rows belong to the "default"
+  session.
+
+  ## Changes
+
+  ### `leads`, `chat_history`, `orders`, `campaigns`, `outbound_messages`
+  - `session_id` (text, default 'default') - Session the row belongs to
+
+  ### `leads`
+  - A phone number is now unique per session instead of globally
+
+  ## Notes
+  - Opt-outs and the blocklist (`consent`) stay global: a customer who
+    replies STOP to one number is not messaged from the others either
+*/
+
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS session_id text NOT NULL DEFAULT 'default';
+ALTER TABLE chat_history ADD COLUMN IF NOT EXISTS session_id text NOT NULL DEFAULT 'default';
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS session_id text NOT NULL DEFAULT 'default';
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS session_id text NOT NULL DEFAULT 'default';
+ALTER TABLE outbound_messages ADD COLUMN IF NOT EXISTS session_id text NOT NULL DEFAULT 'default';
+
+ALTER TABLE leads DROP CONSTRAINT IF EXISTS leads_phone_number_key;
+ALTER TABLE leads ADD CONSTRAINT leads_session_phone_number_key UNIQUE (session_id, phone_number);
+
+CREATE INDEX IF NOT EXISTS idx_chat_history_session_phone ON chat_history(session_id, phone_number, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_orders_session_phone ON orders(session_id, phone_number);
@@ -0,0 +1,84 @@
+/*
+  # Create Users and Auth Tokens
+
+  ## Overview
+  The REST API and dashboard require a signed-in user. Staff sign in with
+  an email and password; scripts and integrations use API keys. Every user
+  has a role: owners manage users, WhatsApp numbers and broadcasts, agents
+  handle conversations and orders, viewers can only read.
+
+  ## New Tables
+
+  ### `users`
+  **Columns:**
+  - `id` (uuid, primary key) - Unique identifier for each user
+  - `email` (text, unique, required) - Sign-in email, lowercase
+  - `name` (text, nullable) - Display name
+  - `role` (text, default 'agent') - 'owner', 'agent' or 'viewer'
+  - `password_hash` (text, nullable) - scrypt hash ("scrypt$salt$hash");
+    users without one can only use API keys
+  - `active` (boolean, default true) - Inactive users cannot sign in or use their keys
+  - `last_login_at` (timestamptz, nullable) - Last password sign-in
+  - `created_at` (timestamptz, default now()) - Record creation timestamp
+  - `updated_at` (timestamptz, default now()) - Record last update timestamp
+
+  ### `auth_tokens`
+  Dashboard sign-ins and API keys. Only a SHA-256 hash of each token is
+  stored; the token itself is shown once when it is created.
+
+  **Columns:**
+  - `id` (uuid, primary key) - Unique identifier for each token
+  - `user_id` (uuid, required) - User the token acts as
+  - `kind` (text, required) - 'session' (dashboard sign-in) or 'api_key'
+  - `name` (text, nullable) - Label of an API key
+  - `token_hash` (text, unique, required) - SHA-256 hash of the token
+  - `token_prefix` (text, required) - First characters of the token, to recognise it
+  - `expires_at` (timestamptz, nullable) - When a sign-in ends; API keys do not expire
+  - `last_used_at` (timestamptz, nullable) - Last authenticated request
+  - `created_at` (timestamptz, default now()) - Record creation timestamp
+
+  ## Security
+  - Row Level Security enabled, service role only (same as other tables)
+*/
+
+CREATE TABLE IF NOT EXISTS users (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  email text UNIQUE NOT NULL,
+  name text,
+  role text NOT NULL DEFAULT 'agent'
+    CHECK (role IN ('owner', 'agent', 'viewer')),
+  password_hash text,
+  active boolean NOT NULL DEFAULT true,
+  last_login_at timestamptz,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS auth_tokens (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  kind text NOT NULL CHECK (kind IN ('session', 'api_key')),
+  name text,
+  token_hash text UNIQUE NOT NULL,
+  token_prefix text NOT NULL,
+  expires_at timestamptz,
+  last_used_at timestamptz,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_tokens_user ON auth_tokens(user_id, kind);
+
+ALTER TABLE users ENABLE ROW LEVEL SECURITY;
+ALTER TABLE auth_tokens ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can manage users"
+  ON users FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+CREATE POLICY "Service role can manage auth tokens"
+  ON auth_tokens FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
@@ -0,0 +1,18 @@
+/*
+  # Allow System-Set Consent
+
+  ## Overview
+  Numbers that keep flooding the shop past the inbound rate limit are
+  blocked automatically. Those blocks are recorded with the new source
+  'system', so staff can tell them apart from blocks they set themselves.
+
+  ## Modified Tables
+
+  ### `consent`
+  - `source` now also accepts 'system' (set automatically by the bot)
+*/
+
+ALTER TABLE consent DROP CONSTRAINT IF EXISTS consent_source_check;
+
+ALTER TABLE consent ADD CONSTRAINT consent_source_check
+  CHECK (source IN ('customer', 'staff', 'system'));
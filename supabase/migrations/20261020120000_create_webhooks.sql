@@ -0,0 +1,92 @@
+/*
+  # Create Webhooks
+
+  ## Overview
+  Owners register URLs that are called when something happens in the shop
+  (a new lead, a customer asking for a person, an order, an incoming
+  message), so a CRM or automation tool can react without polling. Each
+  call is signed with the webhook's secret, failed calls are retried with
+  exponential backoff, and every attempt's outcome is kept.
+
+  ## New Tables
+
+  ### `webhooks`
+  **Columns:**
+  - `id` (uuid, primary key) - Unique identifier for each webhook
+  - `url` (text, required) - http(s) URL events are POSTed to
+  - `events` (text[], required) - Event types sent to this URL
+    ('lead.created', 'agent.requested', 'order.created',
+    'order.status_changed', 'message.received')
+  - `description` (text, nullable) - What the webhook is for
+  - `secret` (text, required) - Key of the HMAC-SHA256 signature
+  - `active` (boolean, default true) - Inactive webhooks get no new deliveries
+  - `created_by` (uuid, nullable) - User who registered the webhook
+  - `created_at` (timestamptz, default now()) - Record creation timestamp
+  - `updated_at` (timestamptz, default now()) - Record last update timestamp
+
+  ### `webhook_deliveries`
+  One row per event sent to a webhook.
+
+  **Columns:**
+  - `id` (uuid, primary key) - Unique identifier, sent as X-Webhook-Delivery
+  - `webhook_id` (uuid, required) - Webhook the event is sent to
+  - `event` (text, required) - Event type
+  - `payload` (jsonb, required) - Request body as sent
+  - `status` (text, default 'pending') - 'pending', 'delivered' or 'failed'
+  - `attempts` (integer, default 0) - Requests made so far
+  - `response_status` (integer, nullable) - HTTP status of the last response
+  - `last_error` (text, nullable) - Error of the last failed attempt
+  - `next_attempt_at` (timestamptz, default now()) - Earliest time of the next attempt
+  - `delivered_at` (timestamptz, nullable) - When the URL answered with a 2xx status
+  - `created_at` (timestamptz, default now()) - Record creation timestamp
+  - `updated_at` (timestamptz, default now()) - Record last update timestamp
+
+  ## Security
+  - Row Level Security enabled, service role only (same as other tables)
+*/
+
+CREATE TABLE IF NOT EXISTS webhooks (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  url text NOT NULL,
+  events text[] NOT NULL DEFAULT '{}',
+  description text,
+  secret text NOT NULL,
+  active boolean NOT NULL DEFAULT true,
+  created_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  webhook_id uuid NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+  event text NOT NULL,
+  payload jsonb NOT NULL,
+  status text NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'delivered', 'failed')),
+  attempts integer NOT NULL DEFAULT 0,
+  response_status integer,
+  last_error text,
+  next_attempt_at timestamptz DEFAULT now(),
+  delivered_at timestamptz,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status ON webhook_deliveries(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, created_at DESC);
+
+ALTER TABLE webhooks ENABLE ROW LEVEL SECURITY;
+ALTER TABLE webhook_deliveries ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can manage webhooks"
+  ON webhooks FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+CREATE POLICY "Service role can manage webhook deliveries"
+  ON webhook_deliveries FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
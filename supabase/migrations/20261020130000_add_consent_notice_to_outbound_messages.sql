@@ -0,0 +1,17 @@
+/*
+  # Mark Opt-Out Confirmations in the Outbox
+
+  ## Overview
+  When a customer replies STOP, the opt-out is stored first and the
+  confirmation is queued after it. Queued messages to numbers that opted
+  out fail at delivery, so the confirmation is marked and skips that check;
+  it still waits its turn while the session is offline.
+
+  ## Modified Tables
+
+  ### `outbound_messages`
+  - `consent_notice` (boolean, default false) - Confirmation of an opt-out,
+    delivered even though the number has opted out
+*/
+
+ALTER TABLE outbound_messages ADD COLUMN IF NOT EXISTS consent_notice boolean NOT NULL DEFAULT false;
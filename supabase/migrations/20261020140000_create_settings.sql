@@ -0,0 +1,42 @@
+/*
+  # Create Settings Table
+
+  ## Overview
+  Small application state that has to survive restarts. The first entry
+  records that the product catalog was seeded from products.json, so a
+  catalog the owner emptied through the API stays empty instead of being
+  seeded again.
+
+  ## New Tables
+
+  ### `settings`
+  **Columns:**
+  - `key` (text, primary key) - Setting name (e.g. 'catalog_seeded_at')
+  - `value` (jsonb, nullable) - Setting value
+  - `updated_at` (timestamptz, default now()) - Record last update timestamp
+
+  ## Data
+  - Deployments that already have products are marked as seeded
+
+  ## Security
+  - Row Level Security enabled, service role only (same as other tables)
+*/
+
+CREATE TABLE IF NOT EXISTS settings (
+  key text PRIMARY KEY,
+  value jsonb,
+  updated_at timestamptz DEFAULT now()
+);
+
+INSERT INTO settings (key, value)
+SELECT 'catalog_seeded_at', to_jsonb(now())
+WHERE EXISTS (SELECT 1 FROM products)
+ON CONFLICT (key) DO NOTHING;
+
+ALTER TABLE settings ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can manage settings"
+  ON settings FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
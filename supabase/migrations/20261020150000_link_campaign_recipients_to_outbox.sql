@@ -0,0 +1,17 @@
+/*
+  # Link Campaign Recipients to Their Outbox Message
+
+  ## Overview
+  Campaign recipients were marked sent as soon as their message was queued,
+  even when it was still waiting in the outbox. A recipient now stays
+  pending until the outbox has sent the message (or given up on it), and
+  keeps a link to that message so it is not sent twice in the meantime.
+
+  ## Modified Tables
+
+  ### `campaign_recipients`
+  - `outbound_message_id` (uuid, nullable) - Outbox message sent to the
+    recipient, set while it waits to go out
+*/
+
+ALTER TABLE campaign_recipients ADD COLUMN IF NOT EXISTS outbound_message_id uuid;
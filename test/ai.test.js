@@ -0,0 +1,100 @@
+import './setup.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateResponse } from '../ai.js';
+import { setProvider } from '../providers/index.js';
+import { t } from '../i18n.js';
+import { resetStorage, useScript } from './helpers.js';
+
+beforeEach(() => {
+  setProvider(null);
+  resetStorage();
+});
+
+test('replies with the scripted answer and lists matching products in the prompt', async () => {
+  const provider = useScript({
+    rules: [{ match: 't-?shirt', reply: 'Our Premium Cotton T-Shirt is $29.99. Which size?' }]
+  });
+
+  const response = await generateResponse('Do you have a tshirt?');
+
+  assert.equal(response.message, 'Our Premium Cotton T-Shirt is $29.99. Which size?');
+  assert.equal(response.metadata.agentRequested, false);
+  assert.deepEqual(response.metadata.relevantProducts.map(p => p.id), ['PROD001']);
+
+  const [messages] = provider.getCalls();
+  assert.equal(messages[0].role, 'system');
+  assert.match(messages[0].content, /Premium Cotton T-Shirt/);
+  assert.deepEqual(messages.at(-1), { role: 'user', content: 'Do you have a tshirt?' });
+});
+
+test('streams the reply through onToken', async () => {
+  useScript({ fallback: 'Hello there! What are you looking for today?' });
+  const tokens = [];
+
+  const response = await generateResponse('hi', [], { onToken: token => tokens.push(token) });
+
+  assert.ok(tokens.length > 1);
+  assert.equal(tokens.join(''), response.message);
+});
+
+test('passes the chat history to the model', async () => {
+  const provider = useScript();
+
+  await generateResponse('And in black?', [
+    { role: 'user', message: 'Show me jeans' },
+    { role: 'assistant', message: 'Our Classic Denim Jeans are $59.99.' }
+  ]);
+
+  const [messages] = provider.getCalls();
+  assert.deepEqual(messages.slice(1).map(m => m.role), ['user', 'assistant', 'user']);
+  assert.equal(messages[2].content, 'Our Classic Denim Jeans are $59.99.');
+});
+
+test('hands over to an agent without asking the model', async () => {
+  const provider = useScript();
+
+  const response = await generateResponse('I want to talk to a human please');
+
+  assert.equal(response.metadata.agentRequested, true);
+  assert.equal(response.message, t('agentHandoff', 'en'));
+  assert.equal(provider.getCalls().length, 0);
+});
+
+test('falls back to a localized apology when the model fails', async () => {
+  setProvider({
+    name: 'broken',
+    async chat() {
+      throw new Error('model offline');
+    }
+  });
+
+  const response = await generateResponse('hello', [], { language: 'hi' });
+
+  assert.equal(response.metadata.error, true);
+  assert.equal(response.metadata.errorMessage, 'model offline');
+  assert.equal(response.message, t('fallback', 'hi'));
+});
+
+test('extracts a complete order intent on a buying signal', async () => {
+  useScript({
+    rules: [
+      {
+        match: 'Customer:',
+        reply: '{"product_id": "PROD002", "size": "32", "color": "blue", "quantity": 1, "customer_name": "Ravi", "city": "Surat"}'
+      }
+    ],
+    fallback: 'Great, confirming your order!'
+  });
+
+  const response = await generateResponse('yes confirm', [
+    { role: 'user', message: 'Classic Denim Jeans size 32 in blue, I am Ravi from Surat' },
+    { role: 'assistant', message: 'Shall I book it?' }
+  ]);
+
+  const intent = response.metadata.orderIntent;
+  assert.equal(intent.complete, true);
+  assert.equal(intent.product_id, 'PROD002');
+  assert.equal(intent.color, 'Blue');
+  assert.equal(intent.total_amount, 59.99);
+});
@@ -0,0 +1,180 @@
+import './setup.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import authRouter from '../routes/auth.js';
+import { addUser, login, AuthError } from '../auth.js';
+import { getAuthTokens, updateAuthToken } from '../database.js';
+import { resetStorage, startApp } from './helpers.js';
+
+const PASSWORD = 'correct horse battery';
+
+let app;
+let users;
+
+before(async () => {
+  // No user is injected: every request signs in with its own token
+  app = await startApp('/api/auth', authRouter, undefined);
+});
+
+after(() => app.close());
+
+beforeEach(async () => {
+  resetStorage();
+  users = {
+    owner: await addUser({ email: 'owner@example.com', role: 'owner', password: PASSWORD }),
+    agent: await addUser({ email: 'agent@example.com', role: 'agent', password: PASSWORD }),
+    viewer: await addUser({ email: 'viewer@example.com', role: 'viewer', password: PASSWORD })
+  };
+});
+
+/**
+ * Send a request to the auth API
+ * @param {string} method - HTTP method
+ * @param {string} path - Path below /api/auth
+ * @param {Object} options - { token, apiKey, body }
+ * @returns {Promise<Object>} { status, body }
+ */
+async function request(method, path, { token, apiKey, body } = {}) {
+  const headers = {};
+  if (token) headers.Authorization = `Bearer ${token}`;
+  if (apiKey) headers['X-API-Key'] = apiKey;
+  if (body) headers['Content-Type'] = 'application/json';
+
+  const response = await fetch(`${app.url}${path}`, { method, headers, body: body && JSON.stringify(body) });
+  return { status: response.status, body: await response.json() };
+}
+
+/**
+ * Sign in through the API
+ * @param {string} role - Which of the test users
+ * @returns {Promise<string>} Token
+ */
+async function signIn(role) {
+  const { status, body } = await request('POST', '/login', {
+    body: { email: users[role].email, password: PASSWORD }
+  });
+  assert.equal(status, 200);
+  return body.data.token;
+}
+
+test('signs in with the right password and rejects a wrong one', async () => {
+  const { status, body } = await request('POST', '/login', {
+    body: { email: ' Owner@Example.com ', password: PASSWORD }
+  });
+  assert.equal(status, 200);
+  assert.match(body.data.token, /^wss_/);
+  assert.equal(body.data.user.email, 'owner@example.com');
+  assert.equal(body.data.user.password_hash, undefined);
+
+  const me = await request('GET', '/me', { token: body.data.token });
+  assert.equal(me.status, 200);
+  assert.equal(me.body.data.id, users.owner.id);
+
+  // Unknown emails get the same answer as wrong passwords
+  const wrong = await request('POST', '/login', { body: { email: 'owner@example.com', password: 'not the password' } });
+  const unknown = await request('POST', '/login', { body: { email: 'nobody@example.com', password: PASSWORD } });
+  assert.deepEqual([wrong.status, wrong.body.error], [401, 'Invalid email or password']);
+  assert.deepEqual([unknown.status, unknown.body.error], [401, 'Invalid email or password']);
+
+  const missing = await request('POST', '/login', { body: { email: 'owner@example.com' } });
+  assert.equal(missing.status, 400);
+});
+
+test('rejects missing and expired tokens', async () => {
+  assert.equal((await request('GET', '/me')).status, 401);
+  assert.equal((await request('GET', '/me', { token: 'wss_made-up' })).status, 401);
+
+  const token = await signIn('agent');
+  const [session] = await getAuthTokens({ user_id: users.agent.id, kind: 'session' });
+  await updateAuthToken(session.id, { expires_at: new Date(Date.now() - 1000).toISOString() });
+
+  const { status, body } = await request('GET', '/me', { token });
+  assert.equal(status, 401);
+  assert.equal(body.error, 'Invalid or expired token');
+});
+
+test('signs in with an API key until it is revoked', async () => {
+  const token = await signIn('owner');
+  const created = await request('POST', '/keys', { token, body: { name: 'CRM sync', userId: users.agent.id } });
+  assert.equal(created.status, 201);
+  assert.match(created.body.data.key, /^wsk_/);
+
+  // The key acts as the user it was created for, in either header
+  const viaHeader = await request('GET', '/me', { apiKey: created.body.data.key });
+  const viaBearer = await request('GET', '/me', { token: created.body.data.key });
+  assert.equal(viaHeader.body.data.id, users.agent.id);
+  assert.equal(viaBearer.body.data.id, users.agent.id);
+
+  const keys = await request('GET', '/keys', { token });
+  assert.equal(keys.body.count, 1);
+  assert.equal(keys.body.data[0].token_hash, undefined);
+
+  assert.equal((await request('DELETE', `/keys/${created.body.data.id}`, { token })).status, 200);
+  assert.equal((await request('GET', '/me', { apiKey: created.body.data.key })).status, 401);
+});
+
+test('gives viewers read-only access', async () => {
+  const token = await signIn('viewer');
+
+  assert.equal((await request('GET', '/me', { token })).status, 200);
+
+  const { status, body } = await request('POST', '/logout', { token });
+  assert.equal(status, 403);
+  assert.equal(body.error, 'Viewers have read-only access');
+});
+
+test('keeps user and key management for owners', async () => {
+  for (const role of ['agent', 'viewer']) {
+    const token = await signIn(role);
+    assert.equal((await request('GET', '/users', { token })).status, 403);
+    assert.equal((await request('GET', '/keys', { token })).status, 403);
+  }
+
+  const agentToken = await signIn('agent');
+  const denied = await request('POST', '/users', {
+    token: agentToken,
+    body: { email: 'new@example.com', role: 'owner', password: PASSWORD }
+  });
+  assert.equal(denied.status, 403);
+
+  const ownerToken = await signIn('owner');
+  const listed = await request('GET', '/users', { token: ownerToken });
+  assert.equal(listed.status, 200);
+  assert.equal(listed.body.count, 3);
+
+  const created = await request('POST', '/users', {
+    token: ownerToken,
+    body: { email: 'new@example.com', role: 'agent', password: PASSWORD }
+  });
+  assert.equal(created.status, 201);
+});
+
+test('locks an email after too many failed sign-ins', async () => {
+  for (let attempt = 1; attempt <= 5; attempt++) {
+    const { status } = await request('POST', '/login', { body: { email: 'agent@example.com', password: 'guess' + attempt } });
+    assert.equal(status, 401);
+  }
+
+  // Even the right password is refused until the window ends
+  const locked = await request('POST', '/login', { body: { email: 'agent@example.com', password: PASSWORD } });
+  assert.equal(locked.status, 429);
+  assert.match(locked.body.error, /Too many failed sign-ins/);
+
+  // Other accounts are not affected
+  assert.equal((await request('POST', '/login', { body: { email: 'viewer@example.com', password: PASSWORD } })).status, 200);
+});
+
+test('locks an IP address that tries many emails', async () => {
+  for (let attempt = 1; attempt <= 20; attempt++) {
+    await assert.rejects(login(`guess${attempt}@example.com`, PASSWORD, '203.0.113.7'), { status: 401 });
+  }
+
+  await assert.rejects(login('owner@example.com', PASSWORD, '203.0.113.7'), error => {
+    assert.ok(error instanceof AuthError);
+    assert.equal(error.status, 429);
+    return true;
+  });
+
+  const session = await login('owner@example.com', PASSWORD, '198.51.100.2');
+  assert.match(session.token, /^wss_/);
+});
@@ -0,0 +1,147 @@
+import './setup.js';
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout } from 'timers/promises';
+import { createCampaign, processCampaigns } from '../campaigns.js';
+import {
+  getCampaign,
+  updateCampaign,
+  getCampaignRecipients,
+  getCampaignStats,
+  getOutboundMessages,
+  updateOutboundMessage
+} from '../database.js';
+import { flushOutbox } from '../outbox.js';
+import { DEFAULT_SESSION_ID } from '../sessions.js';
+import { resetStorage, connectFakeWhatsApp } from './helpers.js';
+
+const NUMBERS = ['911111111111', '912222222222', '913333333333', '914444444444']
+  .map(number => `${number}@s.whatsapp.net`);
+
+let sock;
+
+before(async () => {
+  sock = (await connectFakeWhatsApp()).get(DEFAULT_SESSION_ID);
+});
+
+beforeEach(() => {
+  resetStorage();
+  sock.sent.length = 0;
+  sock.failWith = null;
+});
+
+/**
+ * Wait until a condition holds
+ * @param {Function} check - Async function returning true when done
+ * @param {number} timeoutMs - Give up after this long
+ * @returns {Promise<void>}
+ */
+async function waitFor(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await check())) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting');
+    await setTimeout(10);
+  }
+}
+
+/**
+ * Create a campaign to some of the test numbers; the runner starts on its own
+ * @param {number} count - Recipients
+ * @param {number} ratePerMinute - Messages per minute
+ * @returns {Promise<Object>} Campaign record
+ */
+function startCampaign(count, ratePerMinute) {
+  return createCampaign({
+    name: 'Diwali sale',
+    message: 'Everything is 20% off this week!',
+    phoneNumbers: NUMBERS.slice(0, count),
+    rate_per_minute: ratePerMinute,
+    jitter_seconds: 0
+  });
+}
+
+/**
+ * Wait until a campaign has reached a status
+ * @param {string} campaignId - Campaign ID
+ * @param {string} status - Campaign status
+ * @returns {Promise<void>}
+ */
+function waitForStatus(campaignId, status) {
+  return waitFor(async () => (await getCampaign(campaignId)).status === status);
+}
+
+test('sends one message at a time at the campaign rate', async () => {
+  const campaign = await startCampaign(3, 300);
+  await waitForStatus(campaign.id, 'completed');
+
+  assert.deepEqual(sock.sent.map(message => message.jid), NUMBERS.slice(0, 3));
+  assert.deepEqual(sock.sent[0].content, { text: 'Everything is 20% off this week!' });
+
+  // 300 a minute is one message every 200 ms
+  for (let index = 1; index < sock.sent.length; index++) {
+    assert.ok(sock.sent[index].at - sock.sent[index - 1].at >= 190, `message ${index + 1} was sent too soon`);
+  }
+
+  assert.deepEqual(await getCampaignStats(campaign.id), { total: 3, pending: 0, sent: 3, failed: 0, replied: 0 });
+});
+
+test('stops when paused and picks up where it stopped on resume', async () => {
+  const campaign = await startCampaign(4, 120);
+  await waitFor(() => sock.sent.length === 1);
+
+  await updateCampaign(campaign.id, { status: 'paused' });
+  await setTimeout(700);
+
+  assert.equal(sock.sent.length, 1);
+  assert.equal((await getCampaignStats(campaign.id)).pending, 3);
+
+  await updateCampaign(campaign.id, { status: 'scheduled' });
+  await processCampaigns();
+
+  // Nobody gets the message twice
+  assert.deepEqual(sock.sent.map(message => message.jid), NUMBERS);
+  assert.equal((await getCampaign(campaign.id)).status, 'completed');
+  assert.equal((await getCampaignStats(campaign.id)).sent, 4);
+});
+
+test('keeps a recipient pending until the outbox has sent the message', async () => {
+  sock.failWith = new Error('Connection reset');
+
+  const campaign = await startCampaign(1, 6000);
+  await waitFor(async () => (await getCampaignRecipients(campaign.id))[0].outbound_message_id);
+  await setTimeout(100);
+
+  // The failed send is being retried: not sent yet, and not sent again by the campaign
+  const [recipient] = await getCampaignRecipients(campaign.id);
+  assert.equal(recipient.status, 'pending');
+  assert.equal(recipient.sent_at, null);
+  assert.equal((await getCampaign(campaign.id)).status, 'running');
+  assert.equal((await getOutboundMessages({ phone_number: NUMBERS[0] })).length, 1);
+
+  sock.failWith = null;
+  await updateOutboundMessage(recipient.outbound_message_id, { next_attempt_at: new Date().toISOString() });
+  await flushOutbox();
+  await processCampaigns();
+
+  const [sent] = await getCampaignRecipients(campaign.id);
+  assert.equal(sent.status, 'sent');
+  assert.ok(sent.sent_at);
+  assert.equal((await getCampaign(campaign.id)).status, 'completed');
+  assert.deepEqual(sock.sent.map(message => message.jid), [NUMBERS[0]]);
+});
+
+test('marks a recipient failed when the outbox gives up', async () => {
+  sock.failWith = new Error('Connection reset');
+
+  const campaign = await startCampaign(1, 6000);
+  await waitFor(async () => (await getCampaignRecipients(campaign.id))[0].outbound_message_id);
+  await setTimeout(100);
+
+  const [recipient] = await getCampaignRecipients(campaign.id);
+  await updateOutboundMessage(recipient.outbound_message_id, { status: 'failed', last_error: 'Connection reset' });
+  await processCampaigns();
+
+  const [failed] = await getCampaignRecipients(campaign.id);
+  assert.deepEqual([failed.status, failed.error], ['failed', 'Connection reset']);
+  assert.equal((await getCampaign(campaign.id)).status, 'completed');
+});
@@ -0,0 +1,100 @@
+import './setup.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import messagesRouter from '../routes/messages.js';
+import { handleIncomingMessages } from '../whatsapp.js';
+import { getOutboundMessages, getChatHistory, updateProduct, getOrCreateLead, updateLead } from '../database.js';
+import { loadProducts, invalidateCatalog } from '../catalog.js';
+import { setProvider } from '../providers/index.js';
+import { DEFAULT_SESSION_ID } from '../sessions.js';
+import { resetStorage, useScript, incomingMessage, startApp } from './helpers.js';
+
+const NUMBER = '919876543210';
+const CUSTOMER = `${NUMBER}@s.whatsapp.net`;
+
+let app;
+
+before(async () => {
+  app = await startApp('/api/messages', messagesRouter, { id: 'agent', role: 'agent' });
+});
+
+after(() => app.close());
+
+beforeEach(async () => {
+  setProvider(null);
+  resetStorage();
+
+  await loadProducts();
+  await updateProduct('PROD003', { images: ['wallet.jpg'] });
+  invalidateCatalog();
+});
+
+/**
+ * Get the messages queued for the customer, oldest first
+ * @returns {Promise<Array>} Message contents
+ */
+async function getQueuedContents() {
+  return (await getOutboundMessages({ phone_number: CUSTOMER })).reverse().map(message => message.content);
+}
+
+/**
+ * Send a message through the messages API
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>} { status, body }
+ */
+async function send(body) {
+  const response = await fetch(`${app.url}/send`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ phoneNumber: NUMBER, withTyping: false, ...body })
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('follows a recommendation with the product photo, once per conversation', async () => {
+  useScript({ fallback: 'Our Leather Wallet is $39.99 and comes in brown or black.' });
+
+  await handleIncomingMessages(DEFAULT_SESSION_ID, CUSTOMER, [incomingMessage(CUSTOMER, 'Do you have a wallet?')]);
+
+  const card = (await getQueuedContents()).find(content => content.image);
+  assert.equal(card.image.url, path.resolve(process.env.MEDIA_DIR, 'wallet.jpg'));
+  assert.equal(card.caption, '*Leather Wallet*\n$39.99\nColors: Brown, Black');
+
+  const [saved] = (await getChatHistory(CUSTOMER)).filter(msg => msg.message_type === 'image');
+  assert.equal(saved.metadata.productCard.id, 'PROD003');
+  assert.equal(saved.media_path, 'wallet.jpg');
+
+  await handleIncomingMessages(DEFAULT_SESSION_ID, CUSTOMER, [incomingMessage(CUSTOMER, 'Is the wallet real leather?')]);
+  assert.equal((await getQueuedContents()).filter(content => content.image).length, 1);
+});
+
+test('sends a product card from the API in the lead\'s language', async () => {
+  const lead = await getOrCreateLead(CUSTOMER);
+  await updateLead(lead.id, { language: 'hi' });
+
+  const { status, body } = await send({ productId: 'PROD003' });
+  assert.equal(status, 202);
+  assert.equal(body.data.productCard.image, 'wallet.jpg');
+  assert.match(body.data.productCard.caption, /रंग: Brown, Black/);
+
+  const [card] = await getQueuedContents();
+  assert.equal(card.caption, body.data.productCard.caption);
+});
+
+test('sends a text card for a product without photos', async () => {
+  const { status, body } = await send({ message: 'Have a look at these:', productId: 'PROD002' });
+  assert.equal(status, 202);
+  assert.equal(body.data.productCard.image, null);
+
+  assert.deepEqual(await getQueuedContents(), [
+    { text: 'Have a look at these:' },
+    { text: '*Classic Denim Jeans*\n$59.99\nSizes: 28, 30, 32, 34, 36\nColors: Blue, Black' }
+  ]);
+});
+
+test('answers 404 for an unknown product', async () => {
+  const { status } = await send({ productId: 'NOPE' });
+  assert.equal(status, 404);
+  assert.deepEqual(await getQueuedContents(), []);
+});
@@ -0,0 +1,115 @@
+import './setup.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { getCheckoutState, advanceCheckout, describeCheckout } from '../checkout.js';
+import { handleIncomingMessages } from '../whatsapp.js';
+import { getLeadByPhone } from '../database.js';
+import { loadProducts } from '../catalog.js';
+import { setProvider } from '../providers/index.js';
+import { DEFAULT_SESSION_ID } from '../sessions.js';
+import { resetStorage, useScript, incomingMessage } from './helpers.js';
+
+const CUSTOMER = '919876543210@s.whatsapp.net';
+
+let products;
+
+beforeEach(async () => {
+  setProvider(null);
+  resetStorage();
+  products = await loadProducts();
+});
+
+/**
+ * Get a catalog product by id
+ * @param {string} id - Product ID
+ * @returns {Object} Product
+ */
+function product(id) {
+  return products.find(candidate => candidate.id === id);
+}
+
+test('walks from discovery to confirming as details come in', () => {
+  let state = getCheckoutState(null);
+  assert.equal(state.stage, 'discovery');
+
+  state = advanceCheckout(state, { message: 'show me jeans', products, relevantProducts: [product('PROD002')] });
+  assert.equal(state.stage, 'choosing_variant');
+  assert.equal(state.checkout.product_id, 'PROD002');
+
+  state = advanceCheckout(state, { message: 'size 32 in black', products });
+  assert.deepEqual([state.stage, state.checkout.size, state.checkout.color], ['collecting_details', '32', 'Black']);
+
+  state = advanceCheckout(state, { message: 'Ravi, Surat', products, extractedInfo: { name: 'Ravi', city: 'Surat' } });
+  assert.equal(state.stage, 'confirming');
+});
+
+test('only takes a one-letter size when it is clearly a size', () => {
+  const state = advanceCheckout(getCheckoutState(null), {
+    message: "I'm looking for a t-shirt",
+    products,
+    relevantProducts: [product('PROD001')]
+  });
+  assert.equal(state.checkout.size, null);
+
+  assert.equal(advanceCheckout(state, { message: 'M', products }).checkout.size, 'M');
+  assert.equal(advanceCheckout(state, { message: 'size l please', products }).checkout.size, 'L');
+});
+
+test('keeps the name and city when the customer switches product', () => {
+  const state = getCheckoutState({
+    stage: 'confirming',
+    customer_name: 'Ravi',
+    city: 'Surat',
+    checkout: { product_id: 'PROD002', product_name: 'Classic Denim Jeans', size: '32', color: 'Black' }
+  });
+
+  const next = advanceCheckout(state, { message: 'actually the wallet', products, relevantProducts: [product('PROD003')] });
+  assert.equal(next.stage, 'choosing_variant');
+  assert.deepEqual(
+    [next.checkout.product_id, next.checkout.size, next.checkout.color, next.checkout.customer_name, next.checkout.city],
+    ['PROD003', null, null, 'Ravi', 'Surat']
+  );
+});
+
+test('stays ordered once the order is confirmed', () => {
+  const state = getCheckoutState({
+    stage: 'ordered',
+    checkout: { product_id: 'PROD003', color: 'Brown', customer_name: 'Ravi', city: 'Surat', order_id: 'order-1' }
+  });
+
+  assert.equal(advanceCheckout(state, { message: 'thanks!', products }).stage, 'ordered');
+});
+
+test('tells the model which details are already given', () => {
+  const state = getCheckoutState({
+    stage: 'choosing_variant',
+    customer_name: 'Ravi',
+    checkout: { product_id: 'PROD002', product_name: 'Classic Denim Jeans', size: '32' }
+  });
+
+  const prompt = describeCheckout(state, products);
+  assert.match(prompt, /Size: 32 \(already given/);
+  assert.match(prompt, /Color: not given yet/);
+  assert.match(prompt, /Customer name: Ravi \(already given/);
+  assert.match(prompt, /Next step: Ask only for the missing color\./);
+});
+
+test('stores the checkout on the lead across turns', async () => {
+  const provider = useScript({ fallback: 'Sure!' });
+
+  await handleIncomingMessages(DEFAULT_SESSION_ID, CUSTOMER, [incomingMessage(CUSTOMER, 'Do you sell jeans?')]);
+  let lead = await getLeadByPhone(CUSTOMER);
+  assert.equal(lead.stage, 'choosing_variant');
+  assert.ok(lead.stage_updated_at);
+
+  await handleIncomingMessages(DEFAULT_SESSION_ID, CUSTOMER, [incomingMessage(CUSTOMER, 'black please, size 32')]);
+  lead = await getLeadByPhone(CUSTOMER);
+  assert.equal(lead.stage, 'collecting_details');
+  assert.deepEqual([lead.checkout.product_id, lead.checkout.size, lead.checkout.color], ['PROD002', '32', 'Black']);
+
+  // The second turn's prompt already knows the size and color
+  const [system] = provider.getCalls()[1];
+  assert.match(system.content, /Stage: collecting_details/);
+  assert.match(system.content, /Size: 32 \(already given/);
+  assert.match(system.content, /Next step: Ask only for the missing name and city\./);
+});
@@ -0,0 +1,51 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveChoice, findPendingChoice, formatChoice, getConfirmChoice, describeSelection } from '../choices.js';
+
+const SIZES = { field: 'size', product_id: 'PROD001', options: ['S', 'M', 'L', 'XL'] };
+const COLORS = { field: 'color', product_id: 'PROD001', options: ['Black', 'Blue', 'Navy'] };
+
+test('maps option numbers in any script to the option', () => {
+  assert.equal(resolveChoice('2', SIZES), 'M');
+  assert.equal(resolveChoice('२', SIZES), 'M');
+  assert.equal(resolveChoice('૪', SIZES), 'XL');
+  assert.equal(resolveChoice('option 3', SIZES), 'L');
+  assert.equal(resolveChoice('9', SIZES), null);
+});
+
+test('maps names, aliases and abbreviations to the option', () => {
+  assert.equal(resolveChoice('xl', SIZES), 'XL');
+  assert.equal(resolveChoice('medium', SIZES), 'M');
+  assert.equal(resolveChoice('kala', COLORS), 'Black');
+  assert.equal(resolveChoice('काला', COLORS), 'Black');
+  assert.equal(resolveChoice('blk', COLORS), 'Black');
+  assert.equal(resolveChoice('nav', COLORS), 'Navy');
+});
+
+test('leaves ambiguous replies and free text to the AI', () => {
+  assert.equal(resolveChoice('bl', COLORS), null);
+  assert.equal(resolveChoice('do you have it in red?', COLORS), null);
+  assert.equal(resolveChoice('', COLORS), null);
+});
+
+test('confirmations accept only the option number', () => {
+  const choice = getConfirmChoice('ORD1');
+
+  assert.equal(resolveChoice('1', choice), 'yes');
+  assert.equal(resolveChoice('2', choice), 'change');
+  assert.equal(resolveChoice('yes', choice), null);
+  assert.equal(describeSelection(choice, 'yes'), 'Yes, confirm the order');
+});
+
+test('formats a numbered menu', () => {
+  assert.equal(formatChoice(SIZES, 'en'), 'Pick a size — reply with its number:\n1. S\n2. M\n3. L\n4. XL');
+});
+
+test('only a menu that was the last shop message is pending', () => {
+  const menu = { role: 'assistant', message: 'Pick a size', metadata: { choice: SIZES } };
+
+  assert.deepEqual(findPendingChoice([menu, { role: 'user', message: '2' }]), SIZES);
+  assert.equal(findPendingChoice([menu, { role: 'user', message: 'hm' }, { role: 'user', message: '2' }]), null);
+  assert.equal(findPendingChoice([{ role: 'user', message: '2' }]), null);
+});
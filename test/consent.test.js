@@ -0,0 +1,131 @@
+import './setup.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import messagesRouter from '../routes/messages.js';
+import inboxRouter from '../routes/inbox.js';
+import { parseConsentKeyword, ConsentError } from '../consent.js';
+import { handleIncomingMessages, sendMessage } from '../whatsapp.js';
+import { getAudience } from '../campaigns.js';
+import { getConsent, setConsent, getChatHistory, getOutboundMessages, getOrCreateLead } from '../database.js';
+import { flushOutbox } from '../outbox.js';
+import { setProvider } from '../providers/index.js';
+import { DEFAULT_SESSION_ID } from '../sessions.js';
+import { t } from '../i18n.js';
+import { resetStorage, useScript, incomingMessage, getSentTexts, startApp, connectFakeWhatsApp } from './helpers.js';
+
+const NUMBER = '919876543210';
+const CUSTOMER = `${NUMBER}@s.whatsapp.net`;
+
+let messagesApp;
+let inboxApp;
+
+before(async () => {
+  messagesApp = await startApp('/api/messages', messagesRouter, { id: 'agent', role: 'agent' });
+  inboxApp = await startApp('/api/inbox', inboxRouter, { id: 'agent', role: 'agent' });
+});
+
+after(async () => {
+  await messagesApp.close();
+  await inboxApp.close();
+});
+
+beforeEach(() => {
+  setProvider(null);
+  resetStorage();
+});
+
+/**
+ * POST JSON to a test app
+ * @param {string} url - Full URL
+ * @param {Object} body - JSON body
+ * @returns {Promise<Object>} { status, body }
+ */
+async function post(url, body) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('recognises stop and start keywords only as the whole message', () => {
+  assert.equal(parseConsentKeyword('STOP!!'), 'stop');
+  assert.equal(parseConsentKeyword('बंद करो'), 'stop');
+  assert.equal(parseConsentKeyword('bandh karo 🙏'), 'stop');
+  assert.equal(parseConsentKeyword('Start'), 'start');
+  assert.equal(parseConsentKeyword('શરૂ કરો'), 'start');
+  assert.equal(parseConsentKeyword("don't stop the offer"), null);
+  assert.equal(parseConsentKeyword('band wali watch'), null);
+});
+
+test('refuses manual sends, product cards and agent replies to a number that opted out', async () => {
+  await getOrCreateLead(CUSTOMER);
+  await setConsent(CUSTOMER, 'opted_out', { source: 'customer' });
+
+  const text = await post(`${messagesApp.url}/send`, { phoneNumber: NUMBER, message: 'New arrivals!', withTyping: false });
+  assert.equal(text.status, 403);
+  assert.match(text.body.error, /has opted out/);
+
+  const card = await post(`${messagesApp.url}/send`, { phoneNumber: NUMBER, productId: 'PROD002' });
+  assert.equal(card.status, 403);
+
+  const reply = await post(`${inboxApp.url}/${NUMBER}/reply`, { message: 'Hi, following up' });
+  assert.equal(reply.status, 403);
+
+  assert.deepEqual(await getOutboundMessages({ phone_number: CUSTOMER }), []);
+});
+
+test('refuses sends to a blocked number', async () => {
+  await setConsent(CUSTOMER, 'blocked', { source: 'staff', reason: 'Abusive' });
+
+  await assert.rejects(sendMessage(CUSTOMER, 'Hello'), error => {
+    assert.ok(error instanceof ConsentError);
+    assert.equal(error.status, 'blocked');
+    return true;
+  });
+});
+
+test('saves messages from a number that opted out without answering them', async () => {
+  const provider = useScript({ fallback: 'Welcome back!' });
+
+  await handleIncomingMessages(DEFAULT_SESSION_ID, CUSTOMER, [incomingMessage(CUSTOMER, 'STOP')]);
+  await handleIncomingMessages(DEFAULT_SESSION_ID, CUSTOMER, [incomingMessage(CUSTOMER, 'how much are the jeans?')]);
+
+  assert.equal(provider.getCalls().length, 0);
+  assert.deepEqual(await getSentTexts(CUSTOMER), [t('optedOut', 'en')]);
+  assert.equal((await getChatHistory(CUSTOMER)).at(-1).message, 'how much are the jeans?');
+
+  // Opting back in confirms it, and the bot answers again
+  await handleIncomingMessages(DEFAULT_SESSION_ID, CUSTOMER, [incomingMessage(CUSTOMER, 'START')]);
+  assert.equal((await getConsent(CUSTOMER)).status, 'subscribed');
+  assert.equal((await getSentTexts(CUSTOMER)).at(-1), t('optedIn', 'en'));
+
+  await handleIncomingMessages(DEFAULT_SESSION_ID, CUSTOMER, [incomingMessage(CUSTOMER, 'how much are the jeans?')]);
+  assert.equal(provider.getCalls().length, 1);
+});
+
+test('leaves numbers that opted out or are blocked out of campaign audiences', async () => {
+  const numbers = ['911111111111', '912222222222', '913333333333'].map(number => `${number}@s.whatsapp.net`);
+  for (const number of numbers) await getOrCreateLead(number);
+
+  await setConsent(numbers[0], 'opted_out', { source: 'customer' });
+  await setConsent(numbers[1], 'blocked', { source: 'staff' });
+
+  const audience = await getAudience({});
+  assert.deepEqual(audience.map(lead => lead.phone_number), [numbers[2]]);
+});
+
+// Connects WhatsApp, so it runs last
+test('fails a message queued before the customer opted out instead of sending it', async () => {
+  await sendMessage(CUSTOMER, 'Your order has shipped');
+  await setConsent(CUSTOMER, 'opted_out', { source: 'customer' });
+
+  const sock = (await connectFakeWhatsApp()).get(DEFAULT_SESSION_ID);
+  await flushOutbox();
+
+  const [message] = await getOutboundMessages({ phone_number: CUSTOMER });
+  assert.equal(message.status, 'failed');
+  assert.match(message.last_error, /has opted out/);
+  assert.deepEqual(sock.sent, []);
+});
@@ -0,0 +1,118 @@
+import './setup.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import eventsRouter from '../routes/events.js';
+import { publish, getEventsSince } from '../events.js';
+import { handleIncomingMessages } from '../whatsapp.js';
+import { setProvider } from '../providers/index.js';
+import { DEFAULT_SESSION_ID } from '../sessions.js';
+import { resetStorage, useScript, incomingMessage, startApp } from './helpers.js';
+
+const CUSTOMER = '919876543210@s.whatsapp.net';
+
+let app;
+
+before(async () => {
+  app = await startApp('/api/events', eventsRouter, { id: 'viewer', role: 'viewer' });
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  setProvider(null);
+  resetStorage();
+});
+
+/**
+ * Open the event stream
+ * @param {Object} headers - Request headers (e.g. Last-Event-ID)
+ * @returns {Promise<Object>} { response, next, close } where next(count) resolves to the next parsed events
+ */
+async function openStream(headers = {}) {
+  const controller = new AbortController();
+  const response = await fetch(app.url, { headers, signal: controller.signal });
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+
+  /**
+   * Read until a number of events have arrived
+   * @param {number} count - Events to wait for
+   * @returns {Promise<Array>} Events ({ id, type, data })
+   */
+  async function next(count) {
+    const events = [];
+    while (events.length < count) {
+      const end = buffer.indexOf('\n\n');
+      if (end === -1) {
+        const { value, done } = await reader.read();
+        if (done) throw new Error('Event stream ended');
+        buffer += value;
+        continue;
+      }
+
+      const block = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+
+      const fields = Object.fromEntries(block.split('\n')
+        .filter(line => /^(id|event|data): /.test(line))
+        .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+      if (fields.event) {
+        events.push({ id: Number(fields.id), type: fields.event, data: JSON.parse(fields.data) });
+      }
+    }
+    return events;
+  }
+
+  return { response, next, close: () => controller.abort() };
+}
+
+test('streams events as they are published', async () => {
+  const stream = await openStream();
+  assert.match(stream.response.headers.get('content-type'), /^text\/event-stream/);
+
+  publish('campaign.updated', { campaign_id: 'c1' });
+  publish('consent.updated', { phone_number: CUSTOMER, status: 'opted_out' });
+
+  const [first, second] = await stream.next(2);
+  assert.equal(first.type, 'campaign.updated');
+  assert.equal(first.data.campaign_id, 'c1');
+  assert.ok(first.data.timestamp);
+  assert.equal(second.type, 'consent.updated');
+  assert.equal(second.id, first.id + 1);
+
+  stream.close();
+});
+
+test('announces a new conversation', async () => {
+  useScript({ fallback: 'Hi there!' });
+  const stream = await openStream();
+  const lastId = getEventsSince(0).at(-1)?.id || 0;
+
+  await handleIncomingMessages(DEFAULT_SESSION_ID, CUSTOMER, [incomingMessage(CUSTOMER, 'hello')]);
+
+  const streamed = await stream.next(getEventsSince(lastId).length);
+  const types = streamed.map(event => event.type);
+
+  assert.ok(types.includes('lead.created'));
+  assert.ok(types.includes('message.received'));
+  assert.ok(types.includes('message.sent'));
+
+  stream.close();
+});
+
+test('replays missed events to a client that reconnects with Last-Event-ID', async () => {
+  const seen = publish('campaign.updated', { campaign_id: 'seen' });
+  publish('campaign.updated', { campaign_id: 'missed-1' });
+  publish('campaign.updated', { campaign_id: 'missed-2' });
+
+  const stream = await openStream({ 'Last-Event-ID': String(seen.id) });
+  const replayed = await stream.next(2);
+  assert.deepEqual(replayed.map(event => event.data.campaign_id), ['missed-1', 'missed-2']);
+
+  // Live events follow the replay
+  publish('campaign.updated', { campaign_id: 'live' });
+  const [live] = await stream.next(1);
+  assert.equal(live.data.campaign_id, 'live');
+
+  stream.close();
+});
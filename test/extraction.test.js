@@ -0,0 +1,59 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeDigits, findCity, lookupPincode, extractCustomerInfo } from '../extraction.js';
+
+test('reads Devanagari and Gujarati digits', () => {
+  assert.equal(normalizeDigits('३९५००७ / ૩૯૫૦૦૭'), '395007 / 395007');
+});
+
+test('finds gazetteer cities in any script', () => {
+  assert.equal(findCity('I live in surat').name, 'Surat');
+  assert.equal(findCity('मैं सूरत से हूं').name, 'Surat');
+  assert.equal(findCity('અમદાવાદ').name, 'Ahmedabad');
+  assert.equal(findCity('I am from Atlantis'), null);
+});
+
+test('maps known pincodes to their city', () => {
+  assert.equal(lookupPincode('395007').name, 'Surat');
+  assert.equal(lookupPincode('999999'), null);
+});
+
+test('extracts name, city, address and pincode from an English message', () => {
+  assert.deepEqual(extractCustomerInfo('My name is Ravi Patel, address 12 MG Road, Surat 395007'), {
+    name: 'Ravi Patel',
+    city: 'Surat',
+    state: 'Gujarat',
+    address: '12 MG Road, Surat 395007',
+    pincode: '395007',
+    alternate_phone: null
+  });
+});
+
+test('extracts details written in Hindi and Gujarati', () => {
+  const hindi = extractCustomerInfo('मेरा नाम रवि है, पिनकोड ३९५००७');
+  assert.equal(hindi.name, 'रवि');
+  assert.equal(hindi.pincode, '395007');
+  assert.equal(hindi.city, 'Surat');
+
+  const gujarati = extractCustomerInfo('મારું નામ રવિ છે, અમદાવાદ ૩૮૦૦૦૯');
+  assert.equal(gujarati.name, 'રવિ');
+  assert.equal(gujarati.city, 'Ahmedabad');
+  assert.equal(gujarati.pincode, '380009');
+});
+
+test('keeps a phone number apart from the pincode', () => {
+  const info = extractCustomerInfo('main ravi hoon, alternate number 98765 43210, pin 395 007');
+  assert.equal(info.name, 'Ravi');
+  assert.equal(info.alternate_phone, '9876543210');
+  assert.equal(info.pincode, '395007');
+});
+
+test('takes a bare name only as the answer to a name question', () => {
+  const asked = [{ role: 'assistant', message: 'Your name and city please?' }];
+
+  assert.equal(extractCustomerInfo('Rahul, Surat', asked).name, 'Rahul');
+  assert.equal(extractCustomerInfo('राहुल सूरत', asked).name, 'राहुल');
+  assert.equal(extractCustomerInfo('Rahul, Surat').name, null);
+  assert.equal(extractCustomerInfo('I am looking for jeans in Pune').name, null);
+});
@@ -0,0 +1,49 @@
+import './setup.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { handleIncomingMessages } from '../whatsapp.js';
+import { getOrCreateLead, getLeadByPhone, getFollowUpCandidates, updateLead } from '../database.js';
+import { processFollowUps, DEFAULT_FOLLOWUP_RULES } from '../followups.js';
+import { setProvider } from '../providers/index.js';
+import { DEFAULT_SESSION_ID } from '../sessions.js';
+import { resetStorage, useScript, incomingMessage } from './helpers.js';
+
+const CUSTOMER = '919876543210@s.whatsapp.net';
+const HOUR_MS = 60 * 60 * 1000;
+
+beforeEach(() => {
+  setProvider(null);
+  resetStorage();
+});
+
+test('marks a lead lost after a week of silence', async () => {
+  const lead = await getOrCreateLead(CUSTOMER);
+  await updateLead(lead.id, { last_message_at: new Date(Date.now() - 200 * HOUR_MS).toISOString() });
+
+  await processFollowUps();
+
+  const lost = await getLeadByPhone(CUSTOMER);
+  assert.equal(lost.status, 'lost');
+  assert.equal(lost.followup_step, DEFAULT_FOLLOWUP_RULES.length);
+});
+
+test('follows up again with a lost lead that writes back', async () => {
+  useScript({ fallback: 'Welcome back! How can I help?' });
+  const lead = await getOrCreateLead(CUSTOMER);
+  await updateLead(lead.id, {
+    status: 'lost',
+    followup_step: DEFAULT_FOLLOWUP_RULES.length,
+    last_message_at: new Date(Date.now() - 200 * HOUR_MS).toISOString()
+  });
+
+  await handleIncomingMessages(DEFAULT_SESSION_ID, CUSTOMER, [incomingMessage(CUSTOMER, 'hi, still have the jeans?')]);
+
+  const revived = await getLeadByPhone(CUSTOMER);
+  assert.equal(revived.status, 'contacted');
+  assert.equal(revived.followup_step, 0);
+
+  // Once they go quiet again, the follow-up sequence picks them up
+  const later = new Date(Date.now() + 5 * HOUR_MS).toISOString();
+  const candidates = await getFollowUpCandidates(later, DEFAULT_FOLLOWUP_RULES.length);
+  assert.deepEqual(candidates.map(candidate => candidate.id), [lead.id]);
+});
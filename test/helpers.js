@@ -0,0 +1,170 @@
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import { setStorage } from '../storage/index.js';
+import { createMemoryStorage } from '../storage/memory.js';
+import { getProvider } from '../providers/index.js';
+import { invalidateCatalog } from '../catalog.js';
+import { getOutboundMessages } from '../database.js';
+import { initWhatsApp, setSocketFactory } from '../whatsapp.js';
+
+/**
+ * Shared test helpers
+ */
+
+let messageCount = 0;
+let connectFailures = [];
+
+/**
+ * Start from empty tables (the catalog is seeded again from products.json)
+ */
+export function resetStorage() {
+  setStorage(createMemoryStorage());
+  invalidateCatalog();
+}
+
+/**
+ * Get the mock model, with a fresh script
+ * @param {Object} script - Script with rules and fallback (see providers/mock.js)
+ * @returns {Object} Mock provider
+ */
+export function useScript(script = {}) {
+  const provider = getProvider();
+  if (provider.name !== 'mock') {
+    throw new Error(`Tests need the mock provider, not "${provider.name}"`);
+  }
+
+  provider.setScript(script);
+  provider.getCalls().length = 0;
+  return provider;
+}
+
+/**
+ * Build an incoming Baileys message
+ * @param {string} jid - Sender WhatsApp JID
+ * @param {string|Object} content - Text, or Baileys message content
+ * @returns {Object} Baileys message
+ */
+export function incomingMessage(jid, content) {
+  messageCount += 1;
+  return {
+    key: { remoteJid: jid, fromMe: false, id: `TEST${messageCount}` },
+    message: typeof content === 'string' ? { conversation: content } : content
+  };
+}
+
+/**
+ * Get the texts queued for a chat, oldest first
+ * Tests run without a WhatsApp connection, so every message the bot sends
+ * stays in the outbox.
+ * @param {string} jid - Recipient WhatsApp JID
+ * @returns {Promise<Array<string>>} Message texts
+ */
+export async function getSentTexts(jid) {
+  const messages = await getOutboundMessages({ phone_number: jid });
+  return messages.reverse().map(message => message.content.text || message.content.caption);
+}
+
+/**
+ * Serve one router on a free local port, as a signed-in user
+ * @param {string} mountPath - Path the router is mounted at (e.g. '/api/products')
+ * @param {Function} router - Express router
+ * @param {Object} user - User the requests are made as ({ id, role })
+ * @returns {Promise<Object>} { url, close }
+ */
+export async function startApp(mountPath, router, user) {
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+  app.use((req, res, next) => {
+    req.user = user;
+    next();
+  });
+  app.use(mountPath, router);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}${mountPath}`,
+    close() {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+/**
+ * Configure the WhatsApp sessions for this test file
+ * Sessions are read once, so call this before anything looks them up.
+ * @param {Array} configs - Sessions ({ id, name, categories, prompt })
+ */
+export function useSessions(configs) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'whatsapp-sales-ai-sessions-')), 'sessions.json');
+  fs.writeFileSync(file, JSON.stringify(configs));
+  process.env.WHATSAPP_SESSIONS_FILE = file;
+}
+
+/**
+ * Build a fake Baileys socket that records what it is asked to send
+ * Set sock.failWith to an Error to make sends fail.
+ * @param {Object} config - Session from sessions.js
+ * @returns {Object} Fake socket ({ ev, sent, failWith, ... })
+ */
+function createFakeSocket(config) {
+  const sock = {
+    ev: new EventEmitter(),
+    user: { id: '15550000000:1@s.whatsapp.net', name: config.name },
+    sent: [],
+    failWith: null,
+    async sendMessage(jid, content) {
+      if (sock.failWith) throw sock.failWith;
+      sock.sent.push({ jid, content, at: Date.now() });
+      return { key: { remoteJid: jid, fromMe: true, id: `SENT${sock.sent.length}` } };
+    },
+    async sendPresenceUpdate() {},
+    async requestPairingCode() {
+      return 'ABCD1234';
+    },
+    async logout() {},
+    end() {}
+  };
+  return sock;
+}
+
+/**
+ * Make the next connect attempts of connectFakeWhatsApp fail
+ * @param {...Error} errors - One error per failing attempt
+ */
+export function failNextConnects(...errors) {
+  connectFailures = errors;
+}
+
+/**
+ * Connect every configured session to a fake WhatsApp socket
+ * Sessions that reconnect later get a new fake socket, which stays
+ * connecting until the test opens it.
+ * @returns {Promise<Map>} Session id -> fake socket, updated on reconnects
+ */
+export async function connectFakeWhatsApp() {
+  const sockets = new Map();
+
+  setSocketFactory(async (config) => {
+    const failure = connectFailures.shift();
+    if (failure) throw failure;
+
+    const sock = createFakeSocket(config);
+    sockets.set(config.id, sock);
+    return { sock, saveCreds: () => {}, me: null };
+  });
+
+  await initWhatsApp();
+  for (const sock of sockets.values()) {
+    sock.ev.emit('connection.update', { connection: 'open' });
+  }
+
+  return sockets;
+}
@@ -0,0 +1,100 @@
+import './setup.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectLanguage, getPreferredLanguage, t } from '../i18n.js';
+import { handleIncomingMessages } from '../whatsapp.js';
+import { getLeadByPhone } from '../database.js';
+import leadsRouter from '../routes/leads.js';
+import { setProvider } from '../providers/index.js';
+import { DEFAULT_SESSION_ID } from '../sessions.js';
+import { resetStorage, useScript, incomingMessage, getSentTexts, startApp } from './helpers.js';
+
+const CUSTOMER = '919876543210@s.whatsapp.net';
+
+let app;
+
+before(async () => {
+  app = await startApp('/api/leads', leadsRouter, { id: 'agent', role: 'agent' });
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  setProvider(null);
+  resetStorage();
+});
+
+/**
+ * Change a lead through the leads API
+ * @param {string} leadId - Lead ID
+ * @param {Object} body - Fields to update
+ * @returns {Promise<Object>} { status, body }
+ */
+async function updateLeadViaApi(leadId, body) {
+  const response = await fetch(`${app.url}/${leadId}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('detects Hindi, Gujarati and English, in script and romanised', () => {
+  assert.equal(detectLanguage('मुझे जींस चाहिए'), 'hi');
+  assert.equal(detectLanguage('મને જીન્સ જોઈએ છે'), 'gu');
+  assert.equal(detectLanguage('mujhe black jeans chahiye'), 'hi');
+  assert.equal(detectLanguage('mane black jeans joie che'), 'gu');
+  assert.equal(detectLanguage('Do you have black jeans?'), 'en');
+
+  // Too short to tell
+  assert.equal(detectLanguage('ok'), null);
+  assert.equal(detectLanguage('👍'), null);
+});
+
+test('keeps the last language for short replies and a staff choice always', () => {
+  assert.equal(getPreferredLanguage({ language: 'gu' }, 'ok'), 'gu');
+  assert.equal(getPreferredLanguage({ language: 'gu' }, 'Do you have black jeans?'), 'en');
+  assert.equal(getPreferredLanguage({ language: 'hi', language_locked: true }, 'Do you have black jeans?'), 'hi');
+  assert.equal(getPreferredLanguage(null, 'ok'), 'en');
+});
+
+test('fills in localized messages and falls back to English', () => {
+  assert.equal(t('orderTotal', 'en', { total: '$59.99' }), 'Total: $59.99');
+  assert.notEqual(t('agentPending', 'gu'), t('agentPending', 'en'));
+  assert.equal(t('agentPending', 'fr'), t('agentPending', 'en'));
+  assert.throws(() => t('noSuchMessage', 'en'), /Unknown message/);
+});
+
+test('answers system messages in the customer\'s language', async () => {
+  const provider = useScript();
+
+  await handleIncomingMessages(DEFAULT_SESSION_ID, CUSTOMER, [incomingMessage(CUSTOMER, 'મારે માણસ સાથે વાત કરવી છે, human agent')]);
+
+  const lead = await getLeadByPhone(CUSTOMER);
+  assert.equal(lead.language, 'gu');
+  assert.equal(provider.getCalls().length, 0);
+  assert.equal((await getSentTexts(CUSTOMER)).join(' '), t('agentHandoff', 'gu'));
+});
+
+test('uses the language staff set until it is set back to auto', async () => {
+  const provider = useScript({ fallback: 'Sure!' });
+  await handleIncomingMessages(DEFAULT_SESSION_ID, CUSTOMER, [incomingMessage(CUSTOMER, 'Do you have black jeans?')]);
+  const lead = await getLeadByPhone(CUSTOMER);
+  assert.equal(lead.language, 'en');
+
+  const locked = await updateLeadViaApi(lead.id, { language: 'hi' });
+  assert.equal(locked.status, 200);
+  assert.equal(locked.body.data.language_locked, true);
+
+  await handleIncomingMessages(DEFAULT_SESSION_ID, CUSTOMER, [incomingMessage(CUSTOMER, 'And in blue as well?')]);
+  assert.equal((await getLeadByPhone(CUSTOMER)).language, 'hi');
+  assert.match(provider.getCalls().at(-1)[0].content, /preferred language is Hindi/);
+
+  const auto = await updateLeadViaApi(lead.id, { language: 'auto' });
+  assert.equal(auto.body.data.language_locked, false);
+
+  await handleIncomingMessages(DEFAULT_SESSION_ID, CUSTOMER, [incomingMessage(CUSTOMER, 'And in blue as well?')]);
+  assert.equal((await getLeadByPhone(CUSTOMER)).language, 'en');
+
+  assert.equal((await updateLeadViaApi(lead.id, { language: 'fr' })).status, 400);
+});
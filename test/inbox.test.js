@@ -0,0 +1,123 @@
+import './setup.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import inboxRouter from '../routes/inbox.js';
+import { handleIncomingMessages } from '../whatsapp.js';
+import { getLeadByPhone, getChatHistory } from '../database.js';
+import { setProvider } from '../providers/index.js';
+import { DEFAULT_SESSION_ID } from '../sessions.js';
+import { t } from '../i18n.js';
+import { resetStorage, useScript, incomingMessage, getSentTexts, startApp } from './helpers.js';
+
+const NUMBER = '919876543210';
+const CUSTOMER = `${NUMBER}@s.whatsapp.net`;
+
+let app;
+
+before(async () => {
+  app = await startApp('/api/inbox', inboxRouter, { id: 'agent', role: 'agent' });
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  setProvider(null);
+  resetStorage();
+});
+
+/**
+ * Send a request to the inbox API
+ * @param {string} method - HTTP method
+ * @param {string} path - Path below /api/inbox
+ * @param {Object} body - JSON body
+ * @returns {Promise<Object>} { status, body }
+ */
+async function request(method, path, body) {
+  const response = await fetch(`${app.url}${path}`, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : {},
+    body: body && JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+/**
+ * Have the customer write to the shop
+ * @param {string} text - Message text
+ * @returns {Promise<void>}
+ */
+function customerSays(text) {
+  return handleIncomingMessages(DEFAULT_SESSION_ID, CUSTOMER, [incomingMessage(CUSTOMER, text)]);
+}
+
+test('takes a conversation over, keeps the bot quiet and lists it in the queue', async () => {
+  const provider = useScript({ fallback: 'Hi! What are you looking for?' });
+  await customerSays('hello');
+  assert.equal(provider.getCalls().length, 1);
+
+  const takeOver = await request('POST', `/${NUMBER}/take-over`);
+  assert.equal(takeOver.status, 200);
+  assert.equal(takeOver.body.data.needs_human_agent, true);
+  assert.ok(takeOver.body.data.agent_requested_at);
+
+  // The customer only hears that an agent is on the way
+  await customerSays('is anyone there?');
+  assert.equal(provider.getCalls().length, 1);
+  assert.equal((await getSentTexts(CUSTOMER)).at(-1), t('agentPending', 'en'));
+
+  const queue = await request('GET', '/');
+  assert.equal(queue.body.count, 1);
+  assert.equal(queue.body.data[0].phone_number, CUSTOMER);
+  assert.equal(queue.body.data[0].last_message.message, t('agentPending', 'en'));
+
+  const thread = await request('GET', `/${NUMBER}`);
+  assert.deepEqual(thread.body.data.messages.map(msg => msg.message), [
+    'hello',
+    'Hi! What are you looking for?',
+    'is anyone there?',
+    t('agentPending', 'en')
+  ]);
+});
+
+test('sends an agent reply and hands the conversation back to the bot', async () => {
+  const provider = useScript({ fallback: 'Happy to help with anything else!' });
+  await customerSays('Can I talk to a human?');
+
+  const reply = await request('POST', `/${NUMBER}/reply`, { message: '  Hi, this is Priya from the shop.  ' });
+  assert.equal(reply.status, 200);
+  assert.equal(reply.body.data.role, 'agent');
+  assert.equal(reply.body.data.message, 'Hi, this is Priya from the shop.');
+  assert.equal((await getSentTexts(CUSTOMER)).at(-1), 'Hi, this is Priya from the shop.');
+
+  const returned = await request('POST', `/${NUMBER}/return-to-bot`);
+  assert.equal(returned.status, 200);
+  assert.equal(returned.body.data.needs_human_agent, false);
+  assert.equal((await request('GET', '/')).body.count, 0);
+
+  await customerSays('thanks, one more question');
+  assert.equal(provider.getCalls().length, 1);
+  assert.equal((await getSentTexts(CUSTOMER)).at(-1), 'Happy to help with anything else!');
+
+  const roles = (await getChatHistory(CUSTOMER)).map(msg => msg.role);
+  assert.ok(roles.includes('agent'));
+});
+
+test('takes over a conversation the agent replies to', async () => {
+  useScript({ fallback: 'Hi!' });
+  await customerSays('hello');
+
+  await request('POST', `/${NUMBER}/reply`, { message: 'Hello from the team' });
+
+  const lead = await getLeadByPhone(CUSTOMER);
+  assert.equal(lead.needs_human_agent, true);
+});
+
+test('rejects empty replies and unknown conversations', async () => {
+  useScript({ fallback: 'Hi!' });
+  await customerSays('hello');
+
+  assert.equal((await request('POST', `/${NUMBER}/reply`, { message: '   ' })).status, 400);
+  assert.equal((await request('POST', '/911111111111/reply', { message: 'Hello' })).status, 404);
+  assert.equal((await request('POST', '/911111111111/take-over')).status, 404);
+  assert.equal((await request('GET', '/911111111111')).status, 404);
+});
@@ -0,0 +1,105 @@
+import './setup.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { filterAvailableProducts, getVariantOptions, hasPartialVariants } from '../inventory.js';
+import { getVariantChoice } from '../choices.js';
+import { generateResponse } from '../ai.js';
+import { setStockLevel, adjustStock, getInventory, getOrCreateLead, createOrder, updateOrderStatus } from '../database.js';
+import { setProvider } from '../providers/index.js';
+import { resetStorage, useScript } from './helpers.js';
+
+const SHIRT = { id: 'P1', name: 'Shirt', price: 10, sizes: ['M', 'L'], colors: ['Black', 'Blue'] };
+
+/**
+ * Build an inventory row
+ * @param {string} size - Size
+ * @param {string} color - Color
+ * @param {number} quantity - Units in stock
+ * @returns {Object} Inventory row
+ */
+function row(size, color, quantity) {
+  return { product_id: 'P1', size, color, quantity };
+}
+
+beforeEach(() => {
+  setProvider(null);
+  resetStorage();
+});
+
+test('offers only the size and color pairs that are in stock', () => {
+  const [shirt] = filterAvailableProducts([SHIRT], [
+    row('M', 'Black', 2),
+    row('L', 'Blue', 1),
+    row('M', 'Blue', 0)
+  ]);
+
+  assert.deepEqual(shirt.sizes, ['M', 'L']);
+  assert.deepEqual(shirt.colors, ['Black', 'Blue']);
+  assert.deepEqual(shirt.variants, [{ size: 'M', color: 'Black' }, { size: 'L', color: 'Blue' }]);
+  assert.equal(hasPartialVariants(shirt), true);
+
+  assert.deepEqual(getVariantOptions(shirt, 'color', { size: 'M' }), ['Black']);
+  assert.deepEqual(getVariantOptions(shirt, 'size', { color: 'Blue' }), ['L']);
+  assert.deepEqual(getVariantOptions(shirt, 'size', {}), ['M', 'L']);
+});
+
+test('drops tracked products whose rows name no listed variant', () => {
+  assert.deepEqual(filterAvailableProducts([SHIRT], [row('XL', 'Black', 5)]), []);
+  assert.deepEqual(filterAvailableProducts([SHIRT], []), [SHIRT]);
+});
+
+test('the color menu follows the chosen size', () => {
+  const products = filterAvailableProducts([SHIRT], [row('M', 'Black', 2), row('L', 'Blue', 1)]);
+  const state = { stage: 'choosing_variant', checkout: { product_id: 'P1', size: 'L', color: null } };
+
+  assert.deepEqual(getVariantChoice(state, products), { field: 'color', product_id: 'P1', options: ['Blue'] });
+});
+
+test('lists the in-stock pairs in the prompt', async () => {
+  await setStockLevel('PROD001', 'M', 'Black', 3);
+  await setStockLevel('PROD001', 'L', 'Navy', 1);
+  const provider = useScript();
+
+  await generateResponse('Do you have a cotton t-shirt?');
+
+  const [[system]] = provider.getCalls();
+  assert.match(system.content, /Premium Cotton T-Shirt - \$29\.99 \(Sizes: M, L\) \(Colors: Black, Navy\) \(In stock only as size\/color: M\/Black, L\/Navy\)/);
+});
+
+test('concurrent stock changes are never lost', async () => {
+  await setStockLevel('PROD001', 'M', 'Black', 2);
+
+  await Promise.all([
+    adjustStock('PROD001', 'M', 'Black', -1),
+    adjustStock('PROD001', 'M', 'Black', -1)
+  ]);
+
+  const [stock] = await getInventory('PROD001');
+  assert.equal(stock.quantity, 0);
+});
+
+test('stock never goes below zero and untracked variants are left alone', async () => {
+  await setStockLevel('PROD001', 'M', 'Black', 1);
+
+  assert.equal((await adjustStock('PROD001', 'M', 'Black', -3)).quantity, 0);
+  assert.equal(await adjustStock('PROD001', 'S', 'White', -1), null);
+});
+
+test('two confirmations at once take stock for the order once', async () => {
+  await setStockLevel('PROD001', 'M', 'Black', 3);
+  const lead = await getOrCreateLead('919876543210@s.whatsapp.net');
+  const order = await createOrder(lead.id, lead.phone_number, [
+    { id: 'PROD001', name: 'Premium Cotton T-Shirt', size: 'M', color: 'Black', quantity: 1, price: 29.99 }
+  ], 29.99);
+
+  await Promise.all([
+    updateOrderStatus(order.id, 'confirmed'),
+    updateOrderStatus(order.id, 'confirmed')
+  ]);
+
+  const [stock] = await getInventory('PROD001');
+  assert.equal(stock.quantity, 2);
+
+  await updateOrderStatus(order.id, 'cancelled');
+  assert.equal((await getInventory('PROD001'))[0].quantity, 3);
+});
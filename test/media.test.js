@@ -0,0 +1,37 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { MEDIA_DIR, getMediaFileName } from '../media.js';
+import mediaRouter from '../routes/media.js';
+import { startApp } from './helpers.js';
+
+test('names media after the mimetype, not the customer file name', () => {
+  const message = { key: { id: '3EB0C431C26A1916' } };
+
+  assert.equal(getMediaFileName(message, { mimetype: 'image/jpeg' }), '3EB0C431C26A1916.jpg');
+  assert.equal(getMediaFileName(message, { mimetype: 'audio/ogg; codecs=opus' }), '3EB0C431C26A1916.ogg');
+  assert.equal(getMediaFileName(message, { mimetype: 'text/html', fileName: 'x.html' }), '3EB0C431C26A1916.bin');
+  assert.equal(getMediaFileName(message, { mimetype: 'image/svg+xml', fileName: 'logo.svg' }), '3EB0C431C26A1916.bin');
+  assert.equal(getMediaFileName(message, { mimetype: 'application/pdf', fileName: 'invoice.html' }), '3EB0C431C26A1916.pdf');
+});
+
+test('strips path characters from the message id', () => {
+  assert.equal(getMediaFileName({ key: { id: '../../etc/passwd' } }, { mimetype: 'image/png' }), 'etcpasswd.png');
+});
+
+test('serves media as an attachment that is never sniffed', async () => {
+  await fs.writeFile(path.join(MEDIA_DIR, 'TESTFILE.pdf'), '%PDF-1.4');
+  const app = await startApp('/api/media', mediaRouter, { id: 'u1', role: 'viewer' });
+
+  try {
+    const response = await fetch(`${app.url}/TESTFILE.pdf`);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-disposition'), 'attachment');
+    assert.equal(response.headers.get('x-content-type-options'), 'nosniff');
+  } finally {
+    await app.close();
+  }
+});
@@ -0,0 +1,104 @@
+import './setup.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout } from 'timers/promises';
+import sessionsRouter from '../routes/sessions.js';
+import { getSessionStatus } from '../whatsapp.js';
+import { connectFakeWhatsApp, failNextConnects, startApp } from './helpers.js';
+
+let sockets;
+let ownerApp;
+let agentApp;
+
+before(async () => {
+  sockets = await connectFakeWhatsApp();
+  ownerApp = await startApp('/api/sessions', sessionsRouter, { id: 'owner', role: 'owner' });
+  agentApp = await startApp('/api/sessions', sessionsRouter, { id: 'agent', role: 'agent' });
+});
+
+after(async () => {
+  await ownerApp.close();
+  await agentApp.close();
+});
+
+/**
+ * Wait until a condition holds
+ * @param {Function} check - Function returning true when done
+ * @param {number} timeoutMs - Give up after this long
+ * @returns {Promise<void>}
+ */
+async function waitFor(check, timeoutMs = 10000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting');
+    await setTimeout(10);
+  }
+}
+
+/**
+ * Make a request to a test app
+ * @param {string} url - Full URL
+ * @param {string} method - HTTP method
+ * @param {Object} body - JSON body
+ * @returns {Promise<Object>} { status, body }
+ */
+async function request(url, method = 'GET', body = undefined) {
+  const response = await fetch(url, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body && JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+// Runs first: the socket it ends up with is not linked yet, so the pairing
+// tests below can use it
+test('keeps retrying a reconnect that fails', async () => {
+  const dropped = sockets.get('default');
+  failNextConnects(new Error('Version lookup unreachable'));
+
+  dropped.ev.emit('connection.update', {
+    connection: 'close',
+    lastDisconnect: { error: new Error('Connection lost') }
+  });
+  assert.equal(getSessionStatus('default').status, 'offline');
+
+  await waitFor(() => sockets.get('default') !== dropped);
+  assert.equal(getSessionStatus('default').status, 'connecting');
+});
+
+test('shows the QR code to owners only', async () => {
+  sockets.get('default').ev.emit('connection.update', { qr: 'test-qr' });
+
+  const owner = await request(`${ownerApp.url}/default`);
+  assert.equal(owner.status, 200);
+  assert.equal(owner.body.data.status, 'pairing');
+  assert.match(owner.body.data.qr_image, /^data:image\/png;base64,/);
+  assert.equal(owner.body.data.qr, undefined);
+
+  const agent = await request(`${agentApp.url}/default`);
+  assert.equal(agent.status, 200);
+  assert.equal(agent.body.data.status, 'pairing');
+  assert.equal(agent.body.data.qr_image, null);
+  assert.equal(agent.body.data.qr, undefined);
+});
+
+test('lets only owners request a pairing code, and shows it to owners only', async () => {
+  const denied = await request(`${agentApp.url}/default/pair`, 'POST', { phoneNumber: '+91 98765 43210' });
+  assert.equal(denied.status, 403);
+  assert.equal(getSessionStatus('default').pairing_code, null);
+
+  const paired = await request(`${ownerApp.url}/default/pair`, 'POST', { phoneNumber: '+91 98765 43210' });
+  assert.equal(paired.status, 200);
+  assert.equal(paired.body.data.pairing_code, 'ABCD1234');
+
+  const agent = await request(`${agentApp.url}/default`);
+  assert.equal(agent.body.data.pairing_code, null);
+  assert.equal(agent.body.data.qr_image, null);
+
+  for (const action of ['logout', 'wipe']) {
+    const response = await request(`${agentApp.url}/default/${action}`, 'POST');
+    assert.equal(response.status, 403);
+  }
+  assert.equal(getSessionStatus('default').status, 'pairing');
+});
@@ -0,0 +1,82 @@
+import './setup.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import productsRouter from '../routes/products.js';
+import { getProduct } from '../database.js';
+import { loadProducts, invalidateCatalog } from '../catalog.js';
+import { resetStorage, startApp } from './helpers.js';
+
+let app;
+
+before(async () => {
+  app = await startApp('/api/products', productsRouter, { id: 'owner', role: 'owner' });
+});
+
+after(() => app.close());
+
+beforeEach(async () => {
+  resetStorage();
+  await loadProducts();
+});
+
+/**
+ * Send a request to the products API
+ * @param {string} method - HTTP method
+ * @param {string} path - Path below /api/products
+ * @param {Object|URLSearchParams} body - JSON body, or form fields
+ * @returns {Promise<Object>} { status, body }
+ */
+async function request(method, path, body) {
+  const response = await fetch(`${app.url}${path}`, {
+    method,
+    headers: body && !(body instanceof URLSearchParams) ? { 'Content-Type': 'application/json' } : {},
+    body: body instanceof URLSearchParams ? body : body && JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('reads in_stock "false" from a form as false', async () => {
+  const { status } = await request('PUT', '/PROD001', new URLSearchParams({ in_stock: 'false' }));
+
+  assert.equal(status, 200);
+  assert.equal((await getProduct('PROD001')).in_stock, false);
+
+  await request('PUT', '/PROD001', { in_stock: 'true' });
+  assert.equal((await getProduct('PROD001')).in_stock, true);
+});
+
+test('rejects in_stock values that are not true or false', async () => {
+  for (const value of ['yes', 1, null]) {
+    const { status, body } = await request('PUT', '/PROD001', { in_stock: value });
+    assert.equal(status, 400);
+    assert.equal(body.error, 'in_stock must be true or false');
+  }
+});
+
+test('deleting an unknown product is a 404', async () => {
+  const missing = await request('DELETE', '/PROD999');
+  assert.equal(missing.status, 404);
+
+  const deleted = await request('DELETE', '/PROD001');
+  assert.equal(deleted.status, 200);
+  assert.equal(await getProduct('PROD001'), null);
+});
+
+test('rejects a null or non-text name and a missing price with a 400', async () => {
+  for (const body of [{ name: null }, { name: 42 }, { name: '  ' }, { price: null }, { price: '' }, { price: true }]) {
+    const { status } = await request('PUT', '/PROD001', body);
+    assert.equal(status, 400, JSON.stringify(body));
+  }
+
+  const { status } = await request('POST', '/', { name: null, price: 10 });
+  assert.equal(status, 400);
+});
+
+test('a catalog emptied by the owner is not seeded again', async () => {
+  for (const product of await loadProducts()) {
+    await request('DELETE', `/${product.id}`);
+  }
+
+  invalidateCatalog();
+  assert.deepEqual(await loadProducts(), []);
+});
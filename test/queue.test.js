@@ -0,0 +1,102 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'timers/promises';
+import { createChatQueue } from '../queue.js';
+
+/**
+ * Create a queue that records its batches
+ * @param {Object} options - { debounceMs, maxWaitMs, handle }
+ * @returns {Object} { queue, batches }
+ */
+function recordingQueue({ handle, ...options }) {
+  const batches = [];
+  const queue = createChatQueue(async (chatId, items) => {
+    batches.push([chatId, items]);
+    if (handle) await handle(chatId, items);
+  }, options);
+
+  return { queue, batches };
+}
+
+test('answers a burst of messages as one batch', async () => {
+  const { queue, batches } = recordingQueue({ debounceMs: 30, maxWaitMs: 1000 });
+
+  queue.push('chat', 'hi');
+  queue.push('chat', 'need jeans');
+  queue.push('chat', 'size 32');
+  await sleep(100);
+
+  assert.deepEqual(batches, [['chat', ['hi', 'need jeans', 'size 32']]]);
+});
+
+test('a chat that keeps typing is answered after maxWaitMs', async () => {
+  const { queue, batches } = recordingQueue({ debounceMs: 50, maxWaitMs: 100 });
+
+  for (let i = 1; i <= 8; i++) {
+    queue.push('chat', i);
+    await sleep(20);
+  }
+  await sleep(150);
+
+  assert.ok(batches.length > 1);
+  assert.deepEqual(batches.flatMap(([, items]) => items), [1, 2, 3, 4, 5, 6, 7, 8]);
+});
+
+test('messages sent during a turn wait for it and form the next batch', async () => {
+  let running = 0;
+  let overlapped = false;
+  const { queue, batches } = recordingQueue({
+    debounceMs: 10,
+    maxWaitMs: 100,
+    async handle() {
+      running += 1;
+      overlapped ||= running > 1;
+      await sleep(60);
+      running -= 1;
+    }
+  });
+
+  queue.push('chat', 'first');
+  await sleep(30);
+  queue.push('chat', 'second');
+  queue.push('chat', 'third');
+  await sleep(200);
+
+  assert.equal(overlapped, false);
+  assert.deepEqual(batches, [['chat', ['first']], ['chat', ['second', 'third']]]);
+});
+
+test('a slow chat does not hold up other chats', async () => {
+  let release;
+  const blocked = new Promise(resolve => { release = resolve; });
+  const { queue, batches } = recordingQueue({
+    debounceMs: 10,
+    maxWaitMs: 100,
+    handle: chatId => chatId === 'slow' ? blocked : null
+  });
+
+  queue.push('slow', 'a');
+  queue.push('fast', 'b');
+  await sleep(50);
+
+  assert.deepEqual(batches.map(([chatId]) => chatId).sort(), ['fast', 'slow']);
+  release();
+});
+
+test('keeps going after a failed turn', async () => {
+  const { queue, batches } = recordingQueue({
+    debounceMs: 10,
+    maxWaitMs: 100,
+    async handle(chatId, items) {
+      if (items.includes('boom')) throw new Error('handler failed');
+    }
+  });
+
+  queue.push('chat', 'boom');
+  await sleep(40);
+  queue.push('chat', 'hello');
+  await sleep(40);
+
+  assert.deepEqual(batches.map(([, items]) => items), [['boom'], ['hello']]);
+});
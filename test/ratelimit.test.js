@@ -0,0 +1,83 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout } from 'timers/promises';
+import { checkInboundMessage, getRateLimitStats } from '../ratelimit.js';
+import { handleIncomingMessages } from '../whatsapp.js';
+import { getConsent } from '../database.js';
+import { resetStorage, useScript, useSessions, connectFakeWhatsApp, incomingMessage, getSentTexts } from './helpers.js';
+
+useSessions([{ id: 'default', name: 'Main number' }, { id: 'second', name: 'Second number' }]);
+
+// Defaults: 10 messages per chat per minute, blocked after 3 strikes
+const WINDOW_MS = 60000;
+
+/**
+ * Send messages from one chat at one point in time
+ * @param {string} sessionId - Session the messages come in on
+ * @param {string} jid - Sender JID
+ * @param {number} count - Messages to send
+ * @param {number} now - Time in milliseconds
+ * @returns {Array<string>} Verdicts
+ */
+function flood(sessionId, jid, count, now) {
+  return Array.from({ length: count }, () => checkInboundMessage(sessionId, jid, now));
+}
+
+test('drops messages over the per-chat limit with one notice per window', () => {
+  const now = Date.now();
+  const verdicts = flood('default', '911111111111@s.whatsapp.net', 12, now);
+
+  assert.deepEqual(verdicts.slice(0, 10), Array(10).fill('allow'));
+  assert.deepEqual(verdicts.slice(10), ['notify', 'drop']);
+  assert.equal(checkInboundMessage('default', '911111111111@s.whatsapp.net', now + WINDOW_MS), 'allow');
+});
+
+test('counts a customer separately on each session', () => {
+  const now = Date.now();
+  const jid = '912222222222@s.whatsapp.net';
+
+  assert.equal(flood('default', jid, 11, now).at(-1), 'notify');
+  assert.equal(checkInboundMessage('second', jid, now), 'allow');
+
+  const [throttled] = getRateLimitStats().throttled.filter(chat => chat.phone_number === jid);
+  assert.equal(throttled.session_id, 'default');
+});
+
+test('blocks after repeated strikes on the same session only', () => {
+  const start = Date.now();
+  const jid = '913333333333@s.whatsapp.net';
+
+  assert.equal(flood('default', jid, 11, start).at(-1), 'notify');
+  assert.equal(flood('second', jid, 11, start).at(-1), 'notify');
+  assert.equal(flood('default', jid, 11, start + WINDOW_MS).at(-1), 'notify');
+  assert.equal(flood('default', jid, 11, start + 2 * WINDOW_MS).at(-1), 'block');
+  assert.equal(flood('second', jid, 11, start + 2 * WINDOW_MS).at(-1), 'notify');
+});
+
+test('blocks a number that floods one session on every session', async () => {
+  resetStorage();
+  const provider = useScript({ fallback: 'Hello! How can I help?' });
+  const sockets = await connectFakeWhatsApp();
+  const jid = '914444444444@s.whatsapp.net';
+  const now = Date.now();
+
+  // Two strikes earlier, and the current window used up
+  flood('default', jid, 11, now - 3 * WINDOW_MS);
+  flood('default', jid, 11, now - 2 * WINDOW_MS);
+  flood('default', jid, 10, now);
+
+  sockets.get('default').ev.emit('messages.upsert', { type: 'notify', messages: [incomingMessage(jid, 'hello??')] });
+  for (let tries = 0; (await getConsent(jid))?.status !== 'blocked'; tries++) {
+    assert.ok(tries < 100, 'the number was not blocked');
+    await setTimeout(10);
+  }
+
+  const consent = await getConsent(jid);
+  assert.equal(consent.source, 'system');
+
+  // The other shop number ignores it too
+  await handleIncomingMessages('second', jid, [incomingMessage(jid, 'hi')]);
+  assert.equal(provider.getCalls().length, 0);
+  assert.deepEqual(await getSentTexts(jid), []);
+});
@@ -0,0 +1,50 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { transliterate, skeleton, tokenize, searchProducts, rankProductsForConversation } from '../retrieval.js';
+
+const { products } = JSON.parse(fs.readFileSync(new URL('../products.json', import.meta.url)));
+
+/**
+ * Get the ids of the best matches for a query
+ * @param {string} query - Customer query
+ * @returns {Promise<Array<string>>} Product ids, best first
+ */
+async function search(query) {
+  return (await searchProducts(query, products)).map(match => match.product.id);
+}
+
+test('spelling variants share a skeleton', () => {
+  assert.equal(skeleton('jeans'), skeleton('jins'));
+  assert.equal(skeleton('shirt'), skeleton('shart'));
+  assert.equal(transliterate('शर्ट'), 'shrt');
+  assert.deepEqual(tokenize('Shirts'), ['shirt', '~srt']);
+});
+
+test('finds products from misspelled and transliterated queries', async () => {
+  assert.equal((await search('jins'))[0], 'PROD002');
+  assert.equal((await search('tshirt'))[0], 'PROD001');
+  assert.equal((await search('शर्ट'))[0], 'PROD001');
+  assert.equal((await search('जींस चाहिए'))[0], 'PROD002');
+});
+
+test('scores matches between 0 and 1 and finds nothing for small talk', async () => {
+  const matches = await searchProducts('leather wallet', products);
+  assert.equal(matches[0].product.id, 'PROD003');
+  assert.ok(matches.every(match => match.score > 0 && match.score <= 1));
+
+  assert.deepEqual(await search('hello'), []);
+});
+
+test('follow-up questions keep the product from earlier in the chat', async () => {
+  const ranked = await rankProductsForConversation('in black?', [{ role: 'user', message: 'show me jeans' }], products);
+  assert.equal(ranked[0].id, 'PROD002');
+});
+
+test('keeps the product chosen in the checkout', async () => {
+  const ranked = await rankProductsForConversation('do you have headphones?', [], products, { selectedProductId: 'PROD003' });
+  const ids = ranked.map(product => product.id);
+  assert.ok(ids.includes('PROD003'));
+  assert.ok(ids.includes('PROD004'));
+});
@@ -0,0 +1,117 @@
+import './setup.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import messagesRouter from '../routes/messages.js';
+import { validateSessionConfigs, getDefaultSessionId } from '../sessions.js';
+import { handleIncomingMessages, sendMessage, getSessions } from '../whatsapp.js';
+import { getLeadByPhone, getLeads } from '../database.js';
+import { setProvider } from '../providers/index.js';
+import { resetStorage, useScript, useSessions, connectFakeWhatsApp, incomingMessage, startApp } from './helpers.js';
+
+const NUMBER = '919876543210';
+const CUSTOMER = `${NUMBER}@s.whatsapp.net`;
+
+useSessions([
+  { id: 'fashion', name: 'Fashion store', categories: ['Clothing', 'Accessories'] },
+  { id: 'gadgets', name: 'Gadget store', categories: ['Electronics'], prompt: 'Always mention the 1-year warranty.' }
+]);
+
+let sockets;
+let app;
+
+before(async () => {
+  sockets = await connectFakeWhatsApp();
+  app = await startApp('/api/messages', messagesRouter, { id: 'agent', role: 'agent' });
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  setProvider(null);
+  resetStorage();
+  for (const sock of sockets.values()) sock.sent.length = 0;
+});
+
+/**
+ * Get the texts a session's fake socket sent to the customer
+ * @param {string} sessionId - Session ID
+ * @returns {Array<string>} Texts
+ */
+function sentBy(sessionId) {
+  return sockets.get(sessionId).sent
+    .filter(message => message.jid === CUSTOMER)
+    .map(message => message.content.text || message.content.caption);
+}
+
+test('checks session definitions and fills in defaults', () => {
+  const [main, second] = validateSessionConfigs([{ id: 'default' }, { id: 'shop-2', categories: ['Clothing'] }]);
+  assert.equal(main.auth_dir, './auth_info_baileys');
+  assert.equal(second.auth_dir, './auth_sessions/shop-2');
+  assert.deepEqual(second.categories, ['clothing']);
+
+  assert.throws(() => validateSessionConfigs([{ id: 'Shop 2' }]), /Invalid session id/);
+  assert.throws(() => validateSessionConfigs([{ id: 'a' }, { id: 'a' }]), /Duplicate session id/);
+  assert.throws(() => validateSessionConfigs([]), /non-empty array/);
+});
+
+test('uses the first session when there is no "default" one', () => {
+  assert.equal(getDefaultSessionId(), 'fashion');
+  assert.deepEqual(getSessions().map(session => [session.id, session.connected]), [['fashion', true], ['gadgets', true]]);
+});
+
+test('answers each chat from the number it was sent to', async () => {
+  useScript({ fallback: 'Happy to help!' });
+
+  await handleIncomingMessages('gadgets', CUSTOMER, [incomingMessage(CUSTOMER, 'hello')]);
+
+  assert.deepEqual(sentBy('gadgets'), ['Happy to help!']);
+  assert.deepEqual(sentBy('fashion'), []);
+
+  const lead = await getLeadByPhone(CUSTOMER, 'gadgets');
+  assert.equal(lead.session_id, 'gadgets');
+  assert.equal(await getLeadByPhone(CUSTOMER, 'fashion'), null);
+});
+
+test('offers each session only its own catalog and instructions', async () => {
+  const provider = useScript({ fallback: 'Happy to help!' });
+
+  await handleIncomingMessages('gadgets', CUSTOMER, [incomingMessage(CUSTOMER, 'what do you sell?')]);
+  await handleIncomingMessages('fashion', CUSTOMER, [incomingMessage(CUSTOMER, 'what do you sell?')]);
+
+  const [gadgetsPrompt, fashionPrompt] = provider.getCalls().map(([system]) => system.content);
+  assert.match(gadgetsPrompt, /Wireless Bluetooth Headphones/);
+  assert.doesNotMatch(gadgetsPrompt, /Classic Denim Jeans/);
+  assert.match(gadgetsPrompt, /Always mention the 1-year warranty\./);
+
+  assert.match(fashionPrompt, /Classic Denim Jeans/);
+  assert.doesNotMatch(fashionPrompt, /Wireless Bluetooth Headphones/);
+  assert.doesNotMatch(fashionPrompt, /warranty/);
+
+  assert.equal((await getLeads({})).length, 2);
+});
+
+test('sends from the session a request names', async () => {
+  const send = (body) => fetch(`${app.url}/send`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ phoneNumber: NUMBER, withTyping: false, ...body })
+  });
+
+  assert.equal((await send({ message: 'Your headphones shipped', sessionId: 'gadgets' })).status, 200);
+  assert.equal((await send({ message: 'Your jeans shipped' })).status, 200);
+  assert.equal((await send({ message: 'Hello', sessionId: 'nope' })).status, 404);
+
+  assert.deepEqual(sentBy('gadgets'), ['Your headphones shipped']);
+  assert.deepEqual(sentBy('fashion'), ['Your jeans shipped']);
+});
+
+test('holds messages of a disconnected session without holding up the others', async () => {
+  sockets.get('gadgets').ev.emit('connection.update', { connection: 'close', lastDisconnect: { error: new Error('Stream errored') } });
+
+  const waiting = await sendMessage(CUSTOMER, 'Still there?', 'gadgets');
+  const sent = await sendMessage(CUSTOMER, 'Still there?', 'fashion');
+
+  assert.equal(waiting.status, 'pending');
+  assert.equal(sent.status, 'sent');
+  assert.deepEqual(sentBy('gadgets'), []);
+});
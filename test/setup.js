@@ -0,0 +1,22 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Test environment
+ * Every test file imports this first, so it runs before the modules under
+ * test read their configuration: in-memory storage, the scripted mock
+ * model, no typing pauses and a throwaway media directory.
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.STORAGE_BACKEND = 'memory';
+process.env.LLM_PROVIDER = 'mock';
+process.env.TYPING_MIN_MS = '0';
+process.env.TYPING_MAX_MS = '0';
+process.env.MEDIA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'whatsapp-sales-ai-media-'));
+
+// The app narrates every message on stdout. Under node --test that output
+// shares the pipe with the runner's own messages, and Node 20 sometimes
+// fails to tell them apart, so keep tests quiet (errors still reach stderr).
+console.log = () => {};
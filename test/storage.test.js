@@ -0,0 +1,46 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+import { createMemoryStorage } from '../storage/memory.js';
+import { createSqliteStorage } from '../storage/sqlite.js';
+
+const require = createRequire(import.meta.url);
+
+/**
+ * Check whether the optional SQLite driver is installed
+ * @returns {boolean} True if better-sqlite3 loads
+ */
+function hasSqlite() {
+  try {
+    require('better-sqlite3');
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const BACKENDS = [
+  ['memory', () => createMemoryStorage(), false],
+  ['sqlite', () => createSqliteStorage({ path: ':memory:' }), !hasSqlite() && 'better-sqlite3 is not installed']
+];
+
+for (const [name, create, skip] of BACKENDS) {
+  test(`${name}: accepts only Indian pincodes, as the Supabase check does`, { skip }, async () => {
+    const storage = create();
+    const [lead] = await storage.insert('leads', [{ phone_number: '919876543210@s.whatsapp.net', pincode: '395007' }]);
+
+    await assert.rejects(storage.insert('leads', [{ phone_number: '911111111111@s.whatsapp.net', pincode: '012345' }]), /Invalid pincode/);
+    await assert.rejects(storage.update('leads', { id: lead.id }, { pincode: '39500' }), /Invalid pincode/);
+
+    const [cleared] = await storage.update('leads', { id: lead.id }, { pincode: null });
+    assert.equal(cleared.pincode, null);
+  });
+
+  test(`${name}: rejects negative stock and prices`, { skip }, async () => {
+    const storage = create();
+
+    await assert.rejects(storage.insert('inventory', [{ product_id: 'PROD001', quantity: -1 }]), /Invalid quantity/);
+    await assert.rejects(storage.insert('products', [{ id: 'P1', name: 'Shirt', price: -5 }]), /Invalid price/);
+  });
+}
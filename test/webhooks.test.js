@@ -0,0 +1,107 @@
+import './setup.js';
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import http from 'http';
+import { setTimeout } from 'timers/promises';
+import { signPayload, addWebhook, sendTestDelivery, dispatchEvent, WebhookError } from '../webhooks.js';
+import { getWebhookDeliveries } from '../database.js';
+import { resetStorage } from './helpers.js';
+
+let receiver;
+
+/**
+ * Start a local webhook receiver that records requests
+ * @param {number} status - Status code to answer with
+ * @returns {Promise<Object>} { url, requests, close }
+ */
+async function startReceiver(status = 200) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.writeHead(status).end(status === 200 ? 'ok' : 'nope');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hooks`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+beforeEach(() => {
+  resetStorage();
+});
+
+afterEach(async () => {
+  await receiver?.close();
+  receiver = null;
+});
+
+test('signs the timestamp and body with HMAC-SHA256', () => {
+  const expected = crypto.createHmac('sha256', 'whsec_test').update('1700000000.{"a":1}').digest('hex');
+
+  assert.equal(signPayload('whsec_test', 1700000000, '{"a":1}'), `sha256=${expected}`);
+  assert.notEqual(signPayload('whsec_test', 1700000001, '{"a":1}'), `sha256=${expected}`);
+});
+
+test('rejects webhooks with a bad URL or unknown events', async () => {
+  await assert.rejects(addWebhook({ url: 'ftp://example.com', events: ['order.created'] }), WebhookError);
+  await assert.rejects(addWebhook({ url: 'https://example.com', events: ['order.eaten'] }), /Unknown events: order\.eaten/);
+});
+
+test('delivers a signed request the receiver can verify', async () => {
+  receiver = await startReceiver();
+  const webhook = await addWebhook({ url: receiver.url, events: ['order.created'] });
+
+  const delivery = await sendTestDelivery(webhook.id);
+
+  assert.equal(delivery.status, 'delivered');
+  const [{ headers, body }] = receiver.requests;
+  assert.equal(headers['x-webhook-event'], 'webhook.test');
+  assert.equal(headers['x-webhook-delivery'], delivery.id);
+  assert.equal(headers['x-webhook-signature'], signPayload(webhook.secret, headers['x-webhook-timestamp'], body));
+  assert.equal(JSON.parse(body).data.webhook_id, webhook.id);
+});
+
+test('keeps a rejected delivery pending for a retry', async () => {
+  receiver = await startReceiver(500);
+  const webhook = await addWebhook({ url: receiver.url, events: ['order.created'] });
+
+  const delivery = await sendTestDelivery(webhook.id);
+
+  assert.equal(delivery.status, 'pending');
+  assert.equal(delivery.attempts, 1);
+  assert.equal(delivery.response_status, 500);
+  assert.equal(delivery.last_error, 'HTTP 500: nope');
+  assert.ok(new Date(delivery.next_attempt_at) > new Date());
+});
+
+test('sends events only to the webhooks subscribed to them', async () => {
+  receiver = await startReceiver();
+  await addWebhook({ url: receiver.url, events: ['order.created'] });
+  await addWebhook({ url: receiver.url, events: ['lead.created'] });
+
+  const deliveries = await dispatchEvent({
+    type: 'order.created',
+    data: { order: { id: 'ORD1' } },
+    timestamp: new Date().toISOString()
+  });
+  assert.equal(deliveries.length, 1);
+
+  // Deliveries go out in the background
+  let stored;
+  for (let i = 0; i < 50 && stored?.status !== 'delivered'; i++) {
+    await setTimeout(10);
+    [stored] = await getWebhookDeliveries({});
+  }
+  assert.equal(stored.status, 'delivered');
+  assert.equal(stored.event, 'order.created');
+  assert.equal(receiver.requests.length, 1);
+  assert.deepEqual(stored.payload.data, { order: { id: 'ORD1' } });
+});
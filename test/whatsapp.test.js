@@ -0,0 +1,170 @@
+import './setup.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { handleIncomingMessages } from '../whatsapp.js';
+import { getLeadByPhone, getChatHistory, getOutboundMessages, getConsent, getOrders, setStockLevel, getInventory } from '../database.js';
+import { setProvider } from '../providers/index.js';
+import { DEFAULT_SESSION_ID } from '../sessions.js';
+import { t } from '../i18n.js';
+import { resetStorage, useScript, incomingMessage, getSentTexts } from './helpers.js';
+
+const CUSTOMER = '919876543210@s.whatsapp.net';
+
+beforeEach(() => {
+  setProvider(null);
+  resetStorage();
+});
+
+test('answers a customer and records the conversation', async () => {
+  useScript({
+    rules: [{ match: 'jeans', reply: 'Our Classic Denim Jeans are $59.99. Which size would you like?' }]
+  });
+
+  await handleIncomingMessages(DEFAULT_SESSION_ID, CUSTOMER, [incomingMessage(CUSTOMER, 'Do you sell jeans?')]);
+
+  const lead = await getLeadByPhone(CUSTOMER);
+  assert.equal(lead.status, 'new');
+
+  const history = await getChatHistory(CUSTOMER);
+  assert.deepEqual(history.map(msg => [msg.role, msg.message]), [
+    ['user', 'Do you sell jeans?'],
+    ['assistant', 'Our Classic Denim Jeans are $59.99. Which size would you like?'],
+    ['assistant', 'Pick a size — reply with its number:\n1. 28\n2. 30\n3. 32\n4. 34\n5. 36']
+  ]);
+
+  // The reply goes out sentence by sentence, followed by the size menu
+  assert.deepEqual(await getSentTexts(CUSTOMER), [
+    'Our Classic Denim Jeans are $59.99.',
+    'Which size would you like?',
+    'Pick a size — reply with its number:\n1. 28\n2. 30\n3. 32\n4. 34\n5. 36'
+  ]);
+});
+
+test('answers a burst of messages once', async () => {
+  const provider = useScript({ fallback: 'Sure, let me check that for you.' });
+
+  await handleIncomingMessages(DEFAULT_SESSION_ID, CUSTOMER, [
+    incomingMessage(CUSTOMER, 'hi'),
+    incomingMessage(CUSTOMER, 'looking for a gift'),
+    incomingMessage(CUSTOMER, 'for my brother')
+  ]);
+
+  assert.equal(provider.getCalls().length, 1);
+  const [messages] = provider.getCalls();
+  assert.deepEqual(messages.at(-1), { role: 'user', content: 'hi\nlooking for a gift\nfor my brother' });
+  assert.deepEqual(await getSentTexts(CUSTOMER), ['Sure, let me check that for you.']);
+});
+
+test('hands the chat to an agent and then stays quiet', async () => {
+  const provider = useScript();
+
+  await handleIncomingMessages(DEFAULT_SESSION_ID, CUSTOMER, [incomingMessage(CUSTOMER, 'Can I talk to a human?')]);
+  await handleIncomingMessages(DEFAULT_SESSION_ID, CUSTOMER, [incomingMessage(CUSTOMER, 'hello?')]);
+
+  const lead = await getLeadByPhone(CUSTOMER);
+  assert.equal(lead.needs_human_agent, true);
+  assert.equal(provider.getCalls().length, 0);
+
+  const sent = await getSentTexts(CUSTOMER);
+  assert.equal(sent.join(' '), t('agentHandoff', 'en'));
+});
+
+test('replies in the language the customer writes in', async () => {
+  useScript({ fallback: 'नमस्ते! आप क्या ढूंढ रहे हैं?' });
+
+  await handleIncomingMessages(DEFAULT_SESSION_ID, CUSTOMER, [incomingMessage(CUSTOMER, 'नमस्ते जी')]);
+
+  const lead = await getLeadByPhone(CUSTOMER);
+  assert.equal(lead.language, 'hi');
+  assert.deepEqual(await getSentTexts(CUSTOMER), ['नमस्ते! आप क्या ढूंढ रहे हैं?']);
+});
+
+test('keeps chats of different sessions apart', async () => {
+  useScript({ fallback: 'Hello! What are you looking for today?' });
+
+  await handleIncomingMessages(DEFAULT_SESSION_ID, CUSTOMER, [incomingMessage(CUSTOMER, 'hi')]);
+  await handleIncomingMessages('second', CUSTOMER, [incomingMessage(CUSTOMER, 'hello')]);
+
+  const first = await getLeadByPhone(CUSTOMER, DEFAULT_SESSION_ID);
+  const second = await getLeadByPhone(CUSTOMER, 'second');
+  assert.notEqual(first.id, second.id);
+  assert.deepEqual((await getChatHistory(CUSTOMER, 20, 'second')).map(msg => msg.message), [
+    'hello',
+    'Hello! What are you looking for today?'
+  ]);
+});
+
+test('withdraws a half-streamed reply that has not gone out when the model fails', async () => {
+  setProvider({
+    name: 'broken',
+    async *stream() {
+      yield 'Our Classic Denim Jeans are $59.99. ';
+      yield 'Which';
+      throw new Error('connection reset');
+    }
+  });
+
+  await handleIncomingMessages(DEFAULT_SESSION_ID, CUSTOMER, [incomingMessage(CUSTOMER, 'hi')]);
+
+  // The bubble was still in the outbox, so the apology goes out instead
+  const [withdrawn, ...fallback] = (await getOutboundMessages({ phone_number: CUSTOMER })).reverse();
+  assert.equal(withdrawn.content.text, 'Our Classic Denim Jeans are $59.99.');
+  assert.equal(withdrawn.status, 'failed');
+  assert.equal(withdrawn.last_error, 'Cancelled before delivery');
+  assert.equal(fallback.map(message => message.content.text).join(' '), t('fallback', 'en'));
+  assert.ok(fallback.every(message => message.status === 'pending'));
+});
+
+test('stores a STOP at once and still queues its confirmation while offline', async () => {
+  const provider = useScript();
+
+  await handleIncomingMessages(DEFAULT_SESSION_ID, CUSTOMER, [incomingMessage(CUSTOMER, 'STOP')]);
+
+  assert.equal((await getConsent(CUSTOMER)).status, 'opted_out');
+  assert.equal(provider.getCalls().length, 0);
+
+  // The confirmation is marked, so the outbox delivers it once the session reconnects
+  const [notice] = await getOutboundMessages({ phone_number: CUSTOMER });
+  assert.equal(notice.content.text, t('optedOut', 'en'));
+  assert.equal(notice.status, 'pending');
+  assert.equal(notice.consent_notice, true);
+});
+
+test('confirms the order through its menu and never re-orders afterwards', async () => {
+  await setStockLevel('PROD002', '32', 'Blue', 2);
+  const provider = useScript({
+    rules: [
+      {
+        match: 'Customer:',
+        reply: '{"product_id": "PROD002", "size": "32", "color": "blue", "quantity": 1, "customer_name": "Ravi", "city": "Surat"}'
+      }
+    ],
+    fallback: 'Great, thank you!'
+  });
+
+  /**
+   * Send one customer message and let the bot answer it
+   * @param {string} text - Message text
+   */
+  const say = text => handleIncomingMessages(DEFAULT_SESSION_ID, CUSTOMER, [incomingMessage(CUSTOMER, text)]);
+
+  await say('Classic Denim Jeans size 32 in blue, I am Ravi from Surat, yes book it');
+  const [draft] = await getOrders(CUSTOMER);
+  assert.equal(draft.status, 'pending');
+
+  // "1" answers the confirm menu; the menu's order is confirmed without another extraction
+  provider.getCalls().length = 0;
+  await say('1');
+  assert.equal(provider.getCalls().length, 1);
+
+  await say('ok thanks');
+  await say('yes');
+
+  const orders = await getOrders(CUSTOMER);
+  assert.deepEqual(orders.map(order => [order.id, order.status]), [[draft.id, 'confirmed']]);
+  assert.equal((await getLeadByPhone(CUSTOMER)).stage, 'ordered');
+  assert.equal((await getInventory('PROD002'))[0].quantity, 1);
+
+  const sent = await getSentTexts(CUSTOMER);
+  assert.equal(sent.filter(text => text.startsWith('✅ Order confirmed')).length, 1);
+});
@@ -0,0 +1,463 @@
+import crypto from 'crypto';
+import {
+  getWebhooks,
+  getWebhook,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  createWebhookDelivery,
+  getWebhookDeliveries,
+  updateWebhookDelivery
+} from './database.js';
+import { subscribe } from './events.js';
+
+/**
+ * Outbound webhooks for WhatsApp Sales Auto-Closer
+ * Owners register URLs for the events they care about. When database.js
+ * or whatsapp.js publishes one of those events, a delivery is written to
+ * the webhook_deliveries table and POSTed to every matching URL:
+ *
+ *   POST <url>
+ *   Content-Type: application/json
+ *   X-Webhook-Event: order.created
+ *   X-Webhook-Delivery: <delivery id>
+ *   X-Webhook-Timestamp: <unix seconds>
+ *   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" with the webhook secret>
+ *
+ *   { "event": "order.created", "created_at": "...", "data": { "order": { ... } } }
+ *
+ * Any 2xx answer counts as delivered. Other answers, timeouts and network
+ * errors are retried with exponential backoff and the delivery is marked
+ * failed after the last attempt. Deliveries are not guaranteed to arrive
+ * in order; receivers should use created_at and the delivery id.
+ */
+
+export const WEBHOOK_EVENTS = [
+  'lead.created',
+  'agent.requested',
+  'order.created',
+  'order.status_changed',
+  'message.received'
+];
+
+export const WEBHOOK_DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+// Sent by "Send test" in the dashboard; never published on the event bus
+const TEST_EVENT = 'webhook.test';
+
+const TICK_MS = parseInt(process.env.WEBHOOK_TICK_MS || '10000');
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '6');
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS || '30000');
+const RETRY_MAX_MS = 60 * 60 * 1000;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000');
+
+// Pending deliveries loaded per pass
+const BATCH_SIZE = 100;
+
+// Characters of a failed response body kept in last_error
+const ERROR_BODY_LENGTH = 200;
+
+// Ids of deliveries being sent right now
+const delivering = new Set();
+
+// Active webhooks, loaded on first use and after every change
+let activeWebhooks = null;
+
+let timer = null;
+let unsubscribe = null;
+let flushing = null;
+
+/**
+ * Error thrown when a webhook change is invalid or the webhook does not exist
+ */
+export class WebhookError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {number} status - HTTP status to answer with
+   */
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'WebhookError';
+    this.status = status;
+  }
+}
+
+/**
+ * Describe a webhook without its secret
+ * @param {Object} webhook - Webhook record
+ * @returns {Object} Webhook fields
+ */
+export function toPublicWebhook(webhook) {
+  const { secret, ...publicWebhook } = webhook;
+  return publicWebhook;
+}
+
+/**
+ * Generate a signing secret
+ * @returns {string} Secret, recognisable by its whsec_ prefix
+ */
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+/**
+ * Sign a request body
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Unix time in seconds, also sent as X-Webhook-Timestamp
+ * @param {string} body - Request body as sent
+ * @returns {string} Value of the X-Webhook-Signature header
+ */
+export function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * Get the wait before retrying a delivery
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+}
+
+/**
+ * Check the URL and events of a webhook
+ * @param {string} url - Webhook URL
+ * @param {Array} events - Event types
+ */
+function validateWebhook(url, events) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new WebhookError('A valid URL is required');
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new WebhookError('Webhook URL must start with http:// or https://');
+  }
+
+  if (!Array.isArray(events) || events.length === 0) {
+    throw new WebhookError('Choose at least one event');
+  }
+  const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+  if (unknown.length > 0) {
+    throw new WebhookError(`Unknown events: ${unknown.join(', ')}. Use: ${WEBHOOK_EVENTS.join(', ')}`);
+  }
+}
+
+/**
+ * Get the active webhooks
+ * @returns {Promise<Array>} Webhook records
+ */
+async function getActiveWebhooks() {
+  if (!activeWebhooks) {
+    activeWebhooks = await getWebhooks({ active: true });
+  }
+  return activeWebhooks;
+}
+
+/**
+ * Register a webhook
+ * @param {Object} input - { url, events, description }
+ * @param {string|null} userId - User registering it
+ * @returns {Promise<Object>} Webhook record with its secret (shown once)
+ */
+export async function addWebhook(input, userId = null) {
+  const url = String(input.url || '').trim();
+  validateWebhook(url, input.events);
+
+  const webhook = await createWebhook({
+    url,
+    events: [...new Set(input.events)],
+    description: input.description ? String(input.description).trim() : null,
+    secret: generateSecret(),
+    created_by: userId
+  });
+
+  activeWebhooks = null;
+  return webhook;
+}
+
+/**
+ * Change a webhook's url, events, description or active flag
+ * @param {string} webhookId - Webhook ID
+ * @param {Object} input - { url, events, description, active }
+ * @returns {Promise<Object>} Updated webhook without its secret
+ */
+export async function changeWebhook(webhookId, input) {
+  const webhook = await getWebhook(webhookId);
+  if (!webhook) {
+    throw new WebhookError('Webhook not found', 404);
+  }
+
+  const updates = {};
+
+  if (input.url !== undefined) {
+    updates.url = String(input.url).trim();
+  }
+  if (input.events !== undefined) {
+    updates.events = Array.isArray(input.events) ? [...new Set(input.events)] : input.events;
+  }
+  if (input.description !== undefined) {
+    updates.description = input.description ? String(input.description).trim() : null;
+  }
+  if (input.active !== undefined) {
+    updates.active = Boolean(input.active);
+  }
+
+  validateWebhook(updates.url ?? webhook.url, updates.events ?? webhook.events);
+
+  const updated = await updateWebhook(webhookId, updates);
+  activeWebhooks = null;
+  return toPublicWebhook(updated);
+}
+
+/**
+ * Replace a webhook's signing secret
+ * Deliveries sent from now on are signed with the new secret.
+ * @param {string} webhookId - Webhook ID
+ * @returns {Promise<Object>} Webhook record with its new secret (shown once)
+ */
+export async function rotateWebhookSecret(webhookId) {
+  if (!(await getWebhook(webhookId))) {
+    throw new WebhookError('Webhook not found', 404);
+  }
+
+  const updated = await updateWebhook(webhookId, { secret: generateSecret() });
+  activeWebhooks = null;
+  return updated;
+}
+
+/**
+ * Delete a webhook and its delivery log
+ * @param {string} webhookId - Webhook ID
+ * @returns {Promise<void>}
+ */
+export async function removeWebhook(webhookId) {
+  if (!(await getWebhook(webhookId))) {
+    throw new WebhookError('Webhook not found', 404);
+  }
+
+  await deleteWebhook(webhookId);
+  activeWebhooks = null;
+}
+
+/**
+ * POST one delivery to its webhook and record the outcome
+ * @param {Object} delivery - Delivery record
+ * @returns {Promise<Object|null>} Updated record, or null if it is already being sent
+ */
+async function deliver(delivery) {
+  if (delivering.has(delivery.id)) return null;
+  delivering.add(delivery.id);
+
+  try {
+    const attempts = (delivery.attempts || 0) + 1;
+    const webhook = await getWebhook(delivery.webhook_id);
+
+    if (!webhook) {
+      return await updateWebhookDelivery(delivery.id, {
+        status: 'failed',
+        attempts,
+        last_error: 'Webhook was deleted'
+      });
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    let responseStatus = null;
+    let failure = null;
+
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'WhatsApp-Sales-Auto-Closer-Webhooks',
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Delivery': delivery.id,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body)
+        },
+        body,
+        signal: AbortSignal.timeout(TIMEOUT_MS)
+      });
+
+      responseStatus = response.status;
+      if (!response.ok) {
+        const text = (await response.text().catch(() => '')).slice(0, ERROR_BODY_LENGTH);
+        failure = `HTTP ${response.status}${text ? `: ${text}` : ''}`;
+      }
+    } catch (error) {
+      failure = error.name === 'TimeoutError' ? `No response within ${TIMEOUT_MS}ms` : error.message;
+    }
+
+    if (!failure) {
+      return await updateWebhookDelivery(delivery.id, {
+        status: 'delivered',
+        attempts,
+        response_status: responseStatus,
+        last_error: null,
+        delivered_at: new Date().toISOString()
+      });
+    }
+
+    const failed = attempts >= MAX_ATTEMPTS;
+    console.error(`Error delivering ${delivery.event} webhook to ${webhook.url} (attempt ${attempts}):`, failure);
+
+    return await updateWebhookDelivery(delivery.id, {
+      attempts,
+      status: failed ? 'failed' : 'pending',
+      response_status: responseStatus,
+      last_error: failure,
+      next_attempt_at: new Date(Date.now() + getRetryDelay(attempts)).toISOString()
+    });
+  } finally {
+    delivering.delete(delivery.id);
+  }
+}
+
+/**
+ * Send every pending delivery that is due
+ * Passes never overlap.
+ * @returns {Promise<void>}
+ */
+export function flushWebhooks() {
+  if (flushing) return flushing;
+
+  flushing = (async () => {
+    try {
+      const pending = await getWebhookDeliveries({ status: 'pending', limit: BATCH_SIZE });
+      const now = new Date();
+
+      for (const delivery of pending) {
+        if (new Date(delivery.next_attempt_at) > now) continue;
+        await deliver(delivery);
+      }
+    } catch (error) {
+      console.error('Error flushing webhooks:', error);
+    }
+  })().finally(() => {
+    flushing = null;
+  });
+
+  return flushing;
+}
+
+/**
+ * Write a delivery for every active webhook subscribed to an event and send them
+ * @param {Object} event - Published event ({ id, type, data, timestamp })
+ * @returns {Promise<Array>} Delivery records
+ */
+export async function dispatchEvent(event) {
+  try {
+    const webhooks = (await getActiveWebhooks()).filter(webhook => webhook.events.includes(event.type));
+    const payload = { event: event.type, created_at: event.timestamp, data: event.data };
+
+    const deliveries = [];
+    for (const webhook of webhooks) {
+      deliveries.push(await createWebhookDelivery({
+        webhook_id: webhook.id,
+        event: event.type,
+        payload
+      }));
+    }
+
+    // Slow URLs must not hold up the caller
+    for (const delivery of deliveries) {
+      deliver(delivery).catch(error => console.error('Error delivering webhook:', error));
+    }
+
+    return deliveries;
+  } catch (error) {
+    console.error('Error dispatching webhook event:', error);
+    throw error;
+  }
+}
+
+/**
+ * Send a test delivery to a webhook right away
+ * @param {string} webhookId - Webhook ID
+ * @returns {Promise<Object>} Delivery record with the outcome
+ */
+export async function sendTestDelivery(webhookId) {
+  const webhook = await getWebhook(webhookId);
+  if (!webhook) {
+    throw new WebhookError('Webhook not found', 404);
+  }
+
+  const delivery = await createWebhookDelivery({
+    webhook_id: webhook.id,
+    event: TEST_EVENT,
+    payload: {
+      event: TEST_EVENT,
+      created_at: new Date().toISOString(),
+      data: { webhook_id: webhook.id, events: webhook.events }
+    }
+  });
+
+  return (await deliver(delivery)) || delivery;
+}
+
+/**
+ * Send a delivery again now, e.g. after fixing the receiving end
+ * A failed delivery gets one more attempt.
+ * @param {Object} delivery - Delivery record
+ * @returns {Promise<Object>} Delivery record with the outcome
+ */
+export async function redeliver(delivery) {
+  if (delivery.status === 'delivered') {
+    throw new WebhookError('Delivery already succeeded', 409);
+  }
+
+  const queued = await updateWebhookDelivery(delivery.id, {
+    status: 'pending',
+    next_attempt_at: new Date().toISOString()
+  });
+
+  return (await deliver(queued)) || queued;
+}
+
+/**
+ * Start the webhook runner: listen for events and retry deliveries that are due
+ */
+export function startWebhookRunner() {
+  if (timer) return;
+
+  unsubscribe = subscribe(event => {
+    if (!WEBHOOK_EVENTS.includes(event.type)) return;
+    dispatchEvent(event).catch(() => {});
+  });
+
+  timer = setInterval(flushWebhooks, TICK_MS);
+  flushWebhooks();
+}
+
+/**
+ * Stop the webhook runner
+ */
+export function stopWebhookRunner() {
+  clearInterval(timer);
+  timer = null;
+  unsubscribe?.();
+  unsubscribe = null;
+}
+
+export default {
+  WEBHOOK_EVENTS,
+  WEBHOOK_DELIVERY_STATUSES,
+  WebhookError,
+  toPublicWebhook,
+  signPayload,
+  addWebhook,
+  changeWebhook,
+  rotateWebhookSecret,
+  removeWebhook,
+  dispatchEvent,
+  flushWebhooks,
+  sendTestDelivery,
+  redeliver,
+  startWebhookRunner,
+  stopWebhookRunner
+};
@@ -1,3 +1,4 @@
+import fs from 'fs';
 import makeWASocket, {
   DisconnectReason,
   useMultiFileAuthState,
@@ -6,186 +7,1193 @@ import makeWASocket, {
 } from '@whiskeysockets/baileys';
 import pino from 'pino';
 import qrcode from 'qrcode-terminal';
-import { getOrCreateLead, saveChatMessage, getChatHistory, markForHumanAgent, updateLead } from './database.js';
+import {
+  getOrCreateLead,
+  getLeadByPhone,
+  saveChatMessage,
+  getChatHistory,
+  markForHumanAgent,
+  updateLead,
+  createOrder,
+  getOrders,
+  updateOrderStatus,
+  markCampaignReplies,
+  getConsent,
+  setConsent
+} from './database.js';
 import { generateResponse } from './ai.js';
+import { createBubbleSplitter, splitIntoBubbles, getTypingDelay } from './bubbles.js';
+import { getPreferredLanguage, DEFAULT_LANGUAGE, t } from './i18n.js';
+import { publish, subscribe } from './events.js';
+import { parseIncomingMessage, saveIncomingMedia, resolveMediaSource } from './media.js';
+import { extractCustomerInfo } from './extraction.js';
+import { parseConsentKeyword, assertCanMessage } from './consent.js';
+import { createChatQueue } from './queue.js';
+import { checkInboundMessage, waitForReplySlot } from './ratelimit.js';
+import { queueMessage, cancelMessages, flushOutbox } from './outbox.js';
+import { DEFAULT_SESSION_ID, getSessionConfigs, getSessionConfig } from './sessions.js';
+import {
+  CHOICE_STYLE,
+  getConfirmChoice,
+  formatChoice,
+  buildListMessage,
+  findPendingChoice,
+  resolveChoice,
+  describeSelection,
+  isSameChoice
+} from './choices.js';
 
 /**
  * WhatsApp Integration using Baileys
  * Handles message receiving, processing, and sending
+ * Every configured session (business number) runs its own socket; see sessions.js.
  */
 
-let sock = null;
-let isConnected = false;
+// Started sessions: session id -> { config, sock, connected, status, qr, pairingCode, account, history, incoming }
+const sessions = new Map();
+
+// Connection states a session goes through
+export const SESSION_STATUSES = ['connecting', 'pairing', 'online', 'offline', 'logged_out'];
+
+// Connection changes remembered per session
+const CONNECTION_HISTORY_SIZE = 50;
+
+// How long a phone-number pairing request waits for the socket to be ready
+const PAIRING_TIMEOUT_MS = 20000;
+
+// Wait before reconnecting a dropped session, and before retrying a failed reconnect
+const RECONNECT_DELAY_MS = 3000;
+
+// WhatsApp clears the "typing..." indicator after roughly 10 seconds
+const PRESENCE_REFRESH_MS = 8000;
+
+// Marks orders the bot created itself, so it only ever confirms or replaces its own drafts
+const AUTO_ORDER_NOTE = 'Created automatically from WhatsApp conversation';
+
+/**
+ * Open a Baileys socket with a session's stored credentials
+ * @param {Object} config - Session from sessions.js
+ * @returns {Promise<Object>} { sock, saveCreds, me } where me is the linked account, if any
+ */
+async function openBaileysSocket(config) {
+  // Create auth directory for session storage
+  const { state, saveCreds } = await useMultiFileAuthState(config.auth_dir);
+
+  // Get latest Baileys version
+  const { version, isLatest } = await fetchLatestBaileysVersion();
+  console.log(`Using Baileys version: ${version.join('.')}, Latest: ${isLatest}`);
+
+  // Create socket connection
+  const sock = makeWASocket({
+    version,
+    logger: pino({ level: 'silent' }),
+    printQRInTerminal: false,
+    auth: {
+      creds: state.creds,
+      keys: makeCacheableSignalKeyStore(state.keys, pino({ level: 'silent' }))
+    },
+    generateHighQualityLinkPreview: true
+  });
+
+  return { sock, saveCreds, me: state.creds?.me };
+}
+
+let openSocket = openBaileysSocket;
+
+/**
+ * Replace how session sockets are opened (e.g. a fake socket in tests)
+ * @param {Function|null} factory - async (config) => { sock, saveCreds, me }, or null for Baileys
+ */
+export function setSocketFactory(factory) {
+  openSocket = factory || openBaileysSocket;
+}
 
 /**
- * Initialize WhatsApp connection
+ * Initialize the WhatsApp connection of every configured session
  * @returns {Promise<void>}
  */
 export async function initWhatsApp() {
-  try {
-    // Create auth directory for session storage
-    const { state, saveCreds } = await useMultiFileAuthState('./auth_info_baileys');
-
-    // Get latest Baileys version
-    const { version, isLatest } = await fetchLatestBaileysVersion();
-    console.log(`Using Baileys version: ${version.join('.')}, Latest: ${isLatest}`);
-
-    // Create socket connection
-    sock = makeWASocket({
-      version,
-      logger: pino({ level: 'silent' }),
-      printQRInTerminal: false,
-      auth: {
-        creds: state.creds,
-        keys: makeCacheableSignalKeyStore(state.keys, pino({ level: 'silent' }))
-      },
-      generateHighQualityLinkPreview: true
+  for (const config of getSessionConfigs()) {
+    await startSession(config);
+  }
+}
+
+/**
+ * Get a session's state, creating it the first time
+ * @param {Object} config - Session from sessions.js
+ * @returns {Object} Session state
+ */
+function getSessionState(config) {
+  let session = sessions.get(config.id);
+  if (!session) {
+    session = {
+      config,
+      sock: null,
+      connected: false,
+      status: 'offline',
+      qr: null,
+      pairingCode: null,
+      account: null,
+      history: [],
+      // Incoming messages, serialized and coalesced per chat
+      incoming: createChatQueue((phoneNumber, messages) => handleIncomingMessages(config.id, phoneNumber, messages))
+    };
+    sessions.set(config.id, session);
+  }
+  return session;
+}
+
+/**
+ * Move a session to a connection state and announce it
+ * Only actual state changes are added to the history; a fresh QR code
+ * while pairing is announced without one.
+ * @param {Object} session - Session state
+ * @param {string} status - One of SESSION_STATUSES
+ * @param {Object} details - Extra event fields ({ reason, reconnecting })
+ */
+function setSessionStatus(session, status, details = {}) {
+  if (session.status !== status) {
+    session.history.unshift({ status, reason: details.reason || null, at: new Date().toISOString() });
+    session.history.length = Math.min(session.history.length, CONNECTION_HISTORY_SIZE);
+  }
+
+  session.status = status;
+  session.connected = status === 'online';
+  publish('whatsapp.connection', { sessionId: session.config.id, connected: session.connected, status, ...details });
+}
+
+/**
+ * Describe the WhatsApp account a session is linked to
+ * @param {Object|undefined} user - Baileys user ({ id, name })
+ * @returns {Object|null} { id, phone_number, name }, or null when not linked
+ */
+function describeAccount(user) {
+  if (!user?.id) return null;
+  return {
+    id: user.id,
+    // "919876543210:12@s.whatsapp.net" -> "919876543210"
+    phone_number: user.id.split(/[:@]/)[0],
+    name: user.name || null
+  };
+}
+
+/**
+ * Reconnect a dropped session after a short wait
+ * A reconnect that fails (e.g. the version lookup is unreachable) is
+ * retried the same way, unless the session was logged out or re-paired in
+ * the meantime.
+ * @param {Object} session - Session state
+ */
+function scheduleReconnect(session) {
+  setTimeout(() => {
+    if (session.sock || session.status !== 'offline') return;
+
+    startSession(session.config).catch((error) => {
+      console.error(`Error reconnecting WhatsApp of "${session.config.name}":`, error.message);
+      scheduleReconnect(session);
     });
+  }, RECONNECT_DELAY_MS);
+}
+
+/**
+ * Connect one WhatsApp session, reconnecting it whenever the connection drops
+ * A session logged out from the phone stays logged out, with its stored
+ * credentials removed, until it is paired again from the dashboard.
+ * @param {Object} config - Session from sessions.js
+ * @returns {Promise<void>}
+ */
+async function startSession(config) {
+  try {
+    const session = getSessionState(config);
+
+    const { sock, saveCreds, me } = await openSocket(config);
+    session.account = describeAccount(me);
+    session.sock = sock;
+    session.qr = null;
+    session.pairingCode = null;
+    setSessionStatus(session, 'connecting');
 
     // Handle connection updates
     sock.ev.on('connection.update', async (update) => {
+      // Sockets replaced by a logout, wipe or re-pair no longer speak for the session
+      if (session.sock !== sock) return;
+
       const { connection, lastDisconnect, qr } = update;
 
-      // Display QR code for scanning
+      // Show the QR code in the terminal and on the dashboard
       if (qr) {
-        console.log('\n📱 Scan this QR code with WhatsApp:');
+        session.qr = qr;
+        console.log(`\n📱 Scan this QR code with the WhatsApp of "${config.name}":`);
         qrcode.generate(qr, { small: true });
         console.log('\nOpen WhatsApp > Linked Devices > Link a Device > Scan QR Code\n');
+        setSessionStatus(session, 'pairing');
       }
 
       // Handle connection status
       if (connection === 'close') {
-        const shouldReconnect = lastDisconnect?.error?.output?.statusCode !== DisconnectReason.loggedOut;
-        console.log('❌ WhatsApp connection closed. Reconnecting:', shouldReconnect);
+        const reason = lastDisconnect?.error?.message || null;
+        const loggedOut = lastDisconnect?.error?.output?.statusCode === DisconnectReason.loggedOut;
+        console.log(`❌ WhatsApp connection of "${config.name}" closed. Reconnecting:`, !loggedOut);
+
+        session.sock = null;
+        session.qr = null;
 
-        if (shouldReconnect) {
-          setTimeout(() => initWhatsApp(), 3000);
+        if (loggedOut) {
+          // The stored credentials are dead; pairing again needs a clean slate
+          await clearSessionAuth(session);
+          setSessionStatus(session, 'logged_out', { reason: reason || 'Logged out from the phone', reconnecting: false });
+          return;
         }
 
-        isConnected = false;
+        scheduleReconnect(session);
+        setSessionStatus(session, 'offline', { reason, reconnecting: true });
       } else if (connection === 'open') {
-        console.log('✅ WhatsApp connected successfully!');
-        isConnected = true;
+        console.log(`✅ WhatsApp of "${config.name}" connected successfully!`);
+        session.qr = null;
+        session.pairingCode = null;
+        session.account = describeAccount(sock.user);
+        setSessionStatus(session, 'online');
+
+        // Deliver what was queued while disconnected
+        flushOutbox();
       }
     });
 
     // Save credentials when updated
     sock.ev.on('creds.update', saveCreds);
 
-    // Handle incoming messages
-    sock.ev.on('messages.upsert', async ({ messages, type }) => {
+    // Handle incoming messages one turn per chat at a time, bursts together;
+    // messages over the rate limit never reach the queue
+    sock.ev.on('messages.upsert', ({ messages, type }) => {
       if (type !== 'notify') return;
 
       for (const msg of messages) {
-        await handleIncomingMessage(msg);
+        if (!isCustomerMessage(msg)) continue;
+
+        const verdict = admitIncomingMessage(config.id, msg);
+        if (verdict === 'allow') {
+          session.incoming.push(msg.key.remoteJid, msg);
+        } else if (verdict !== 'drop') {
+          throttleSender(config.id, msg.key.remoteJid, verdict);
+        }
       }
     });
 
   } catch (error) {
-    console.error('Error initializing WhatsApp:', error);
+    console.error(`Error initializing WhatsApp session "${config.id}":`, error);
+    throw error;
+  }
+}
+
+/**
+ * Remove a session's stored credentials
+ * @param {Object} session - Session state
+ * @returns {Promise<void>}
+ */
+async function clearSessionAuth(session) {
+  try {
+    await fs.promises.rm(session.config.auth_dir, { recursive: true, force: true });
+    session.account = null;
+  } catch (error) {
+    console.error(`Error removing credentials of session "${session.config.id}":`, error);
+    throw error;
+  }
+}
+
+/**
+ * Disconnect a session's socket without reconnecting
+ * @param {Object} session - Session state
+ * @returns {Object|null} The socket that was disconnected
+ */
+function detachSocket(session) {
+  const sock = session.sock;
+  session.sock = null;
+  session.qr = null;
+  session.pairingCode = null;
+  return sock;
+}
+
+/**
+ * Wait until a session's socket can be paired
+ * Baileys shows the first QR code once the socket has reached WhatsApp;
+ * from then on a pairing code can be requested instead.
+ * @param {Object} session - Session state
+ * @returns {Promise<void>}
+ */
+function waitForPairing(session) {
+  if (session.status === 'pairing') return Promise.resolve();
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      unsubscribe();
+      reject(new Error('WhatsApp did not get ready for pairing in time'));
+    }, PAIRING_TIMEOUT_MS);
+
+    const unsubscribe = subscribe((event) => {
+      if (event.type !== 'whatsapp.connection' || event.data.sessionId !== session.config.id) return;
+      if (['pairing', 'online'].includes(event.data.status)) {
+        clearTimeout(timer);
+        unsubscribe();
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * Start pairing a session with a WhatsApp account
+ * Without a phone number the dashboard shows the QR code; with one,
+ * WhatsApp sends an 8-character code to type in on that phone under
+ * Linked Devices > Link with phone number instead.
+ * @param {string} sessionId - Session ID
+ * @param {string|null} phoneNumber - Number of the account to link, for a pairing code
+ * @returns {Promise<Object>} Session status (see getSessionStatus)
+ */
+export async function pairSession(sessionId, phoneNumber = null) {
+  try {
+    const config = getSessionConfig(sessionId);
+    const session = getSessionState(config);
+
+    if (!session.sock) {
+      await startSession(config);
+    }
+
+    if (phoneNumber) {
+      await waitForPairing(session);
+      if (session.status === 'pairing') {
+        session.pairingCode = await session.sock.requestPairingCode(phoneNumber.replace(/\D/g, ''));
+        console.log(`🔗 Pairing code for "${config.name}": ${session.pairingCode}`);
+        publish('whatsapp.connection', { sessionId, connected: false, status: session.status });
+      }
+    }
+
+    return getSessionStatus(sessionId);
+  } catch (error) {
+    console.error(`Error pairing WhatsApp session "${sessionId}":`, error);
+    throw error;
+  }
+}
+
+/**
+ * Log a session out of WhatsApp
+ * The linked device is removed from the phone and the stored credentials
+ * are deleted; the session stays logged out until it is paired again.
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object>} Session status (see getSessionStatus)
+ */
+export async function logoutSession(sessionId) {
+  try {
+    const session = getSessionState(getSessionConfig(sessionId));
+    const sock = detachSocket(session);
+
+    if (sock) {
+      try {
+        await sock.logout();
+      } catch (error) {
+        // Offline: the phone keeps listing the device until WhatsApp drops it
+        console.error(`Error logging out session "${sessionId}" from WhatsApp:`, error.message);
+        sock.end(undefined);
+      }
+    }
+
+    await clearSessionAuth(session);
+    setSessionStatus(session, 'logged_out', { reason: 'Logged out from the dashboard', reconnecting: false });
+    console.log(`👋 WhatsApp session "${sessionId}" logged out`);
+
+    return getSessionStatus(sessionId);
+  } catch (error) {
+    console.error(`Error logging out WhatsApp session "${sessionId}":`, error);
+    throw error;
+  }
+}
+
+/**
+ * Wipe a session's stored credentials without contacting WhatsApp
+ * For sessions whose credentials are broken or belong to a device that was
+ * already removed on the phone. The session stays logged out until it is
+ * paired again.
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object>} Session status (see getSessionStatus)
+ */
+export async function wipeSession(sessionId) {
+  try {
+    const session = getSessionState(getSessionConfig(sessionId));
+    detachSocket(session)?.end(undefined);
+
+    await clearSessionAuth(session);
+    setSessionStatus(session, 'logged_out', { reason: 'Session wiped from the dashboard', reconnecting: false });
+    console.log(`🧹 WhatsApp session "${sessionId}" wiped`);
+
+    return getSessionStatus(sessionId);
+  } catch (error) {
+    console.error(`Error wiping WhatsApp session "${sessionId}":`, error);
     throw error;
   }
 }
 
 /**
- * Handle incoming WhatsApp message
+ * Check whether a message comes from a customer chat
+ * Groups, status updates and the shop's own messages are ignored.
  * @param {Object} message - WhatsApp message object
+ * @returns {boolean} True if the bot should handle the message
+ */
+function isCustomerMessage(message) {
+  const jid = message.key.remoteJid;
+  return !message.key.fromMe && !jid.includes('@g.us') && jid !== 'status@broadcast';
+}
+
+/**
+ * Count an incoming message against the per-chat rate limit
+ * STOP and START always get through, so a throttled customer can still opt out.
+ * @param {string} sessionId - Session the message came in on
+ * @param {Object} message - WhatsApp message object
+ * @returns {string} Verdict from ratelimit.js ('allow', 'notify', 'drop' or 'block')
+ */
+function admitIncomingMessage(sessionId, message) {
+  const text = parseIncomingMessage(message)?.text;
+  if (text && parseConsentKeyword(text)) return 'allow';
+
+  return checkInboundMessage(sessionId, message.key.remoteJid);
+}
+
+/**
+ * Deal with a number that went over the per-chat rate limit
+ * It gets one notice per window; a repeat offender is blocked instead.
+ * Numbers that are blocked or opted out get nothing. The block is global,
+ * like every consent record: a number flooding one shop number is a
+ * spammer or a stuck bot, not a customer of the others. Staff can lift it
+ * on the Opt-outs page.
+ * @param {string} sessionId - Session the messages came in on
+ * @param {string} phoneNumber - Sender WhatsApp JID
+ * @param {string} verdict - 'notify' or 'block'
+ * @returns {Promise<void>}
  */
-async function handleIncomingMessage(message) {
+async function throttleSender(sessionId, phoneNumber, verdict) {
   try {
-    // Ignore messages from groups and status updates
-    if (message.key.remoteJid.includes('@g.us') || message.key.remoteJid === 'status@broadcast') {
+    const consent = await getConsent(phoneNumber);
+    if (consent?.status === 'blocked') return;
+
+    if (verdict === 'block') {
+      await setConsent(phoneNumber, 'blocked', { source: 'system', reason: 'Repeatedly exceeded the message rate limit' });
+      console.log(`🚫 Blocked ${phoneNumber} for flooding`);
       return;
     }
 
-    // Ignore messages from self
-    if (message.key.fromMe) {
-      return;
+    console.log(`🐢 ${phoneNumber} is over the message rate limit; not replying for now`);
+    if (consent?.status === 'opted_out') return;
+
+    const lead = await getLeadByPhone(phoneNumber, sessionId);
+    const notice = t('rateLimited', lead ? getPreferredLanguage(lead) : DEFAULT_LANGUAGE);
+    await sendMessage(phoneNumber, notice, sessionId);
+    if (lead) await saveReply(lead, notice);
+  } catch (error) {
+    console.error(`Error throttling ${phoneNumber}:`, error);
+  }
+}
+
+/**
+ * Store one incoming message: lead, language, media, shared details and chat history
+ * @param {string} sessionId - Session the message came in on
+ * @param {Object} message - WhatsApp message object
+ * @returns {Promise<Object|null>} { incoming, lead, language, consent, sharedDetails, saved }, or null
+ *   for messages the bot ignores
+ */
+async function recordIncomingMessage(sessionId, message) {
+  // Extract message details
+  const phoneNumber = message.key.remoteJid;
+  const incoming = parseIncomingMessage(message);
+
+  if (!incoming) {
+    return null;
+  }
+
+  // Blocked numbers get no lead, no history and no reply
+  const consent = await getConsent(phoneNumber);
+  if (consent?.status === 'blocked') {
+    console.log(`🚫 Ignoring message from blocked number ${phoneNumber}`);
+    return null;
+  }
+
+  // Text, or the caption of a media message
+  const messageText = incoming.text;
+
+  console.log(`\n📨 ${incoming.type === 'text' ? 'Message' : `${incoming.type} message`} from ${phoneNumber}: ${messageText}`);
+
+  // Get or create lead, recording the language this customer writes in
+  let lead = await getOrCreateLead(phoneNumber, sessionId);
+  const language = getPreferredLanguage(lead, messageText);
+  if (language !== lead.language) {
+    lead = await updateLead(lead.id, { language });
+  }
+
+  // Keep the file of media messages; a failed download still records the message
+  let mediaPath = null;
+  if (incoming.mimetype) {
+    try {
+      mediaPath = await saveIncomingMedia(message, incoming, getSocket(sessionId));
+    } catch (error) {
+      console.error(`Could not download ${incoming.type} from ${phoneNumber}:`, error.message);
     }
+  }
 
-    // Extract message details
-    const phoneNumber = message.key.remoteJid;
-    const messageText = message.message?.conversation ||
-                       message.message?.extendedTextMessage?.text ||
-                       '';
+  // Shared locations and contacts fill in delivery details
+  const sharedDetails = getSharedDetails(incoming, phoneNumber);
+  if (Object.keys(sharedDetails).length > 0) {
+    lead = await updateLead(lead.id, sharedDetails);
+  }
 
-    if (!messageText) {
+  // Save user message to chat history
+  const saved = await saveChatMessage(
+    lead.id,
+    phoneNumber,
+    'user',
+    messageText || describeMessage(incoming),
+    getMessageMetadata(incoming),
+    { type: incoming.type, path: mediaPath },
+    sessionId
+  );
+
+  // Any message counts as a reply to campaigns sent to this customer
+  await markCampaignReplies(phoneNumber, sessionId);
+
+  return { incoming, lead, language, consent, sharedDetails, saved };
+}
+
+/**
+ * Handle a burst of incoming messages from one chat as a single turn
+ * Every message is stored; the bot then answers once, reading the texts of
+ * the burst together. Replies go through the outbox, so this also works
+ * while the session is offline (as in tests).
+ * @param {string} sessionId - Session the messages came in on
+ * @param {string} phoneNumber - Chat JID
+ * @param {Array} messages - WhatsApp message objects, oldest first
+ */
+export async function handleIncomingMessages(sessionId, phoneNumber, messages) {
+  let reply = null;
+  let language = DEFAULT_LANGUAGE;
+
+  try {
+    const turns = [];
+    for (const message of messages) {
+      const turn = await recordIncomingMessage(sessionId, message);
+      if (turn) turns.push(turn);
+    }
+
+    if (turns.length === 0) {
       return;
     }
 
-    console.log(`\n📨 Message from ${phoneNumber}: ${messageText}`);
+    const last = turns[turns.length - 1];
+    const { lead, consent, incoming } = last;
+    language = last.language;
 
-    // Get or create lead
-    const lead = await getOrCreateLead(phoneNumber);
+    // Media captions are answered like text
+    const messageText = turns.map(turn => turn.incoming.text).filter(Boolean).join('\n');
+    const sharedDetails = Object.assign({}, ...turns.map(turn => turn.sharedDetails));
 
-    // Save user message to chat history
-    await saveChatMessage(lead.id, phoneNumber, 'user', messageText);
+    if (turns.length > 1) {
+      console.log(`🧺 ${turns.length} messages from ${phoneNumber} answered together`);
+    }
 
-    // Check if lead needs human agent
-    if (lead.needs_human_agent) {
-      await sendMessage(phoneNumber, "A human agent will contact you soon! 👋");
+    // STOP opts out and START opts back in; both are confirmed once, and a STOP anywhere in a burst wins
+    const keywords = turns.map(turn => (
+      turn.incoming.type === 'text' ? parseConsentKeyword(turn.incoming.text) : null
+    ));
+    const keyword = keywords.includes('stop') ? 'stop' : keywords.find(Boolean);
+    const keywordText = turns[keywords.indexOf(keyword)]?.incoming.text;
+    if (keyword === 'stop' && consent?.status !== 'opted_out') {
+      await optOut(lead, phoneNumber, keywordText, language);
+      return;
+    }
+    if (keyword === 'start' && consent?.status === 'opted_out') {
+      await setConsent(phoneNumber, 'subscribed', { source: 'customer', reason: keywordText });
+      await sendMessage(phoneNumber, t('optedIn', language), sessionId);
+      await saveReply(lead, t('optedIn', language));
+      return;
+    }
+
+    // Opted-out customers are recorded but not answered
+    if (consent?.status === 'opted_out') {
+      console.log(`🔕 ${phoneNumber} has opted out, not replying`);
       return;
     }
 
     // Get chat history for context
-    const chatHistory = await getChatHistory(phoneNumber, 10);
+    const chatHistory = await getChatHistory(phoneNumber, 10, sessionId);
 
-    // Generate AI response
-    const response = await generateResponse(messageText, chatHistory);
+    // A staff member has the conversation: stay quiet, except for one notice
+    // if nobody has answered since the hand-off
+    if (lead.needs_human_agent) {
+      if (!hasReplySince(chatHistory, lead.agent_requested_at)) {
+        const notice = t('agentPending', language);
+        await sendMessage(phoneNumber, notice, sessionId);
+        await saveReply(lead, notice);
+      }
+      return;
+    }
+
+    // Without text there is nothing for the AI to read: acknowledge instead
+    if (!messageText) {
+      const notice = getMediaReply(incoming, language, sharedDetails);
+      if (notice) {
+        await sendMessage(phoneNumber, notice, sessionId);
+        await saveReply(lead, notice);
+      }
+      return;
+    }
+
+    // An answer to the last option menu ("2", "blk") reaches the AI as the option it stands for
+    const pendingChoice = findPendingChoice(chatHistory);
+    const selection = pendingChoice && resolveChoice(incoming.choiceId || messageText, pendingChoice);
+    const aiMessage = selection ? describeSelection(pendingChoice, selection) : messageText;
+
+    // The confirm menu names its order, so answering it needs no order extraction
+    const confirmSelection = pendingChoice?.field === 'confirm' ? selection : null;
+
+    // The burst reaches the AI once, as the current message
+    const savedIds = new Set(turns.map(turn => turn.saved.id));
+    const previousHistory = chatHistory.filter(msg => !savedIds.has(msg.id));
+
+    // All chats share the model; past the global limit, wait for the next window
+    await waitForReplySlot();
+
+    // Stream the AI response straight into WhatsApp bubbles
+    reply = createReplyStream(phoneNumber, sessionId);
+    const response = await generateResponse(aiMessage, previousHistory, {
+      onToken: (token) => reply.push(token),
+      lead,
+      language,
+      session: getSessionConfig(sessionId),
+      skipOrderIntent: Boolean(confirmSelection)
+    });
+
+    // The model failed mid-reply: withdraw what has not gone out yet, and
+    // apologise only if the customer has seen none of the answer
+    if (response.metadata?.error) {
+      const delivered = await reply.cancel();
+      if (delivered.length > 0) {
+        await saveReply(lead, delivered.join(' '), response.metadata);
+        return;
+      }
+      reply = createReplyStream(phoneNumber, sessionId);
+    }
+
+    // Replies that were not streamed (agent handoff, fallback after an error)
+    // are sent as a whole
+    if (!reply.hasStreamed) {
+      reply.sendText(response.message);
+    }
 
     // Handle agent request
     if (response.metadata?.agentRequested) {
-      await markForHumanAgent(phoneNumber);
+      await markForHumanAgent(phoneNumber, sessionId);
     }
 
     // Extract and update customer info if available
     if (response.metadata?.extractedInfo) {
-      const updates = {};
-      if (response.metadata.extractedInfo.name) {
-        updates.customer_name = response.metadata.extractedInfo.name;
-      }
-      if (response.metadata.extractedInfo.city) {
-        updates.city = response.metadata.extractedInfo.city;
-      }
+      const updates = getLeadUpdates(response.metadata.extractedInfo, phoneNumber);
       if (Object.keys(updates).length > 0) {
         await updateLead(lead.id, updates);
       }
     }
 
+    // Persist the checkout state advanced by this turn
+    if (response.metadata?.checkout) {
+      await saveCheckoutState(lead, response.metadata.checkout);
+    }
+
     // Save assistant message to chat history
-    await saveChatMessage(lead.id, phoneNumber, 'assistant', response.message, response.metadata);
+    await saveReply(lead, response.message, response.metadata);
 
-    // Send response to customer
-    await sendMessage(phoneNumber, response.message);
+    // Wait for the remaining bubbles to be delivered
+    await reply.finish();
+
+    // Follow a recommendation with the product's photo; the reply itself already went out
+    if (response.metadata?.productCard) {
+      try {
+        await sendProductCard(phoneNumber, response.metadata.productCard, language, sessionId);
+      } catch (error) {
+        console.error(`Could not send product card to ${phoneNumber}:`, error.message);
+      }
+    }
+
+    // Confirm the order the menu was sent for, or turn a complete order intent into an order
+    if (confirmSelection === 'yes') {
+      await confirmOrder(lead, phoneNumber, pendingChoice.order_id, response.metadata.checkout);
+    } else if (response.metadata?.orderIntent?.complete) {
+      await handleOrderIntent(lead, phoneNumber, response.metadata.orderIntent, response.metadata.checkout);
+    } else if (response.metadata?.variantChoice) {
+      // Offer the missing size or color as a menu, unless that menu is still in the recent chat
+      const choice = response.metadata.variantChoice;
+      if (!chatHistory.some(msg => isSameChoice(msg.metadata?.choice, choice))) {
+        await sendChoice(lead, phoneNumber, choice, language);
+      }
+    }
 
     console.log(`✅ Response sent to ${phoneNumber}`);
 
   } catch (error) {
     console.error('Error handling message:', error);
 
-    // Send error message to customer
+    // Send error message to customer, unless part of the reply already went out
     try {
-      const phoneNumber = message.key.remoteJid;
-      await sendMessage(phoneNumber, "Sorry, I'm having technical difficulties. Please try again in a moment. 😊");
+      const delivered = reply ? await reply.cancel() : [];
+      if (delivered.length === 0) {
+        await sendMessage(phoneNumber, t('technicalDifficulties', language), sessionId);
+      }
     } catch (sendError) {
       console.error('Error sending error message:', sendError);
     }
   }
 }
 
+/**
+ * Opt a customer out of messages, confirming it in their language
+ * The opt-out is stored first, so nothing queued for the number goes out
+ * any more. The confirmation is queued after it, marked as the consent
+ * notice so the outbox still delivers it, also once an offline session
+ * reconnects.
+ * @param {Object} lead - Lead record
+ * @param {string} phoneNumber - Customer's phone number
+ * @param {string} keyword - Message the customer sent
+ * @param {string} language - Customer's language code
+ * @returns {Promise<void>}
+ */
+async function optOut(lead, phoneNumber, keyword, language) {
+  const notice = t('optedOut', language);
+
+  await setConsent(phoneNumber, 'opted_out', { source: 'customer', reason: keyword });
+  console.log(`🔕 ${phoneNumber} opted out`);
+
+  await queueMessage(phoneNumber, { text: notice }, lead.session_id, { consentNotice: true });
+  await saveReply(lead, notice);
+}
+
+/**
+ * Save a message the bot sent to a lead in the chat history
+ * @param {Object} lead - Lead record
+ * @param {string} text - Message text
+ * @param {Object} metadata - Chat history metadata
+ * @returns {Promise<Object>} Saved chat message
+ */
+function saveReply(lead, text, metadata = null) {
+  return saveChatMessage(lead.id, lead.phone_number, 'assistant', text, metadata, null, lead.session_id);
+}
+
+/**
+ * Check whether the shop (bot or agent) has replied since a point in time
+ * @param {Array} chatHistory - Recent chat messages, oldest first
+ * @param {string|null} since - ISO timestamp; null counts every message
+ * @returns {boolean} True if an assistant or agent message is newer
+ */
+function hasReplySince(chatHistory, since) {
+  return chatHistory.some(msg =>
+    msg.role !== 'user' && (!since || new Date(msg.created_at) >= new Date(since))
+  );
+}
+
+/**
+ * Describe a message without text for chat history ("[image]", "📍 MG Road, Surat")
+ * @param {Object} incoming - Parsed message
+ * @returns {string} Short description
+ */
+function describeMessage(incoming) {
+  if (incoming.type === 'location') {
+    const { name, address, latitude, longitude } = incoming.location;
+    return `📍 ${[name, address].filter(Boolean).join(', ') || `${latitude}, ${longitude}`}`;
+  }
+
+  if (incoming.type === 'contact') {
+    return `👤 ${incoming.contacts.map(contact => contact.name || contact.phones[0]).join(', ')}`;
+  }
+
+  return `[${incoming.voiceNote ? 'voice note' : incoming.type}]`;
+}
+
+/**
+ * Get the chat history metadata of a parsed message
+ * @param {Object} incoming - Parsed message
+ * @returns {Object|null} File details, location or contacts
+ */
+function getMessageMetadata(incoming) {
+  if (incoming.type === 'location') return { location: incoming.location };
+  if (incoming.type === 'contact') return { contacts: incoming.contacts };
+  if (incoming.mimetype) {
+    return { mimetype: incoming.mimetype, fileName: incoming.fileName, voiceNote: incoming.voiceNote };
+  }
+  return null;
+}
+
+/**
+ * Turn a shared location or contact card into lead fields
+ * A location sets the coordinates, and its address fills in the delivery
+ * address, city and pincode; the first number of a contact card becomes the
+ * alternate phone.
+ * @param {Object} incoming - Parsed message
+ * @param {string} phoneNumber - Customer's phone number
+ * @returns {Object} Lead updates
+ */
+function getSharedDetails(incoming, phoneNumber) {
+  if (incoming.type === 'location') {
+    const { latitude, longitude, name, address } = incoming.location;
+    const updates = { latitude, longitude };
+
+    if (address) {
+      const info = extractCustomerInfo([name, address].filter(Boolean).join(', '));
+      updates.address = address;
+      if (info.city) updates.city = info.city;
+      if (info.state) updates.state = info.state;
+      if (info.pincode) updates.pincode = info.pincode;
+    }
+
+    return updates;
+  }
+
+  if (incoming.type === 'contact') {
+    const phone = incoming.contacts.flatMap(contact => contact.phones)[0];
+    // Indian numbers are stored as 10 digits, like typed alternate numbers
+    const number = phone && /^91\d{10}$/.test(phone) ? phone.slice(2) : phone;
+    return getLeadUpdates({ alternate_phone: number }, phoneNumber);
+  }
+
+  return {};
+}
+
+/**
+ * Pick the fixed reply for a message without text
+ * @param {Object} incoming - Parsed message
+ * @param {string} language - Reply language
+ * @param {Object} sharedDetails - Lead updates taken from the message
+ * @returns {string|null} Reply, or null when none is needed (stickers, unusable contacts)
+ */
+function getMediaReply(incoming, language, sharedDetails) {
+  switch (incoming.type) {
+    case 'image':
+    case 'video':
+      return t('mediaPhoto', language);
+    case 'audio':
+      return t('mediaVoiceNote', language);
+    case 'document':
+      return t('mediaDocument', language);
+    case 'location':
+      return t('locationReceived', language);
+    case 'contact':
+      return sharedDetails.alternate_phone ? t('contactReceived', language) : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Send a reply typed by a staff member and record it as an agent turn
+ * Replying takes the conversation over from the bot if it had not been
+ * handed off yet.
+ * @param {string} phoneNumber - Customer's phone number
+ * @param {string} text - Message text
+ * @param {string} sessionId - Session of the conversation
+ * @returns {Promise<Object>} Saved chat message
+ */
+export async function sendAgentReply(phoneNumber, text, sessionId = DEFAULT_SESSION_ID) {
+  try {
+    const lead = await getLeadByPhone(phoneNumber, sessionId);
+    if (!lead) {
+      throw new Error(`No conversation with ${phoneNumber}`);
+    }
+
+    await sendMessage(phoneNumber, text, sessionId);
+
+    if (!lead.needs_human_agent) {
+      await markForHumanAgent(phoneNumber, sessionId);
+    }
+
+    return await saveChatMessage(lead.id, phoneNumber, 'agent', text, null, null, sessionId);
+  } catch (error) {
+    console.error('Error sending agent reply:', error);
+    throw error;
+  }
+}
+
+/**
+ * Create or confirm an order from a validated order intent
+ * The first complete intent creates a pending order and sends the customer a
+ * summary. Agreeing again to the same order confirms it; agreeing to a
+ * different item replaces the unconfirmed draft.
+ * @param {Object} lead - Lead record
+ * @param {string} phoneNumber - Customer's phone number
+ * @param {Object} intent - Complete order intent from generateResponse
+ * @param {Object} checkoutState - Checkout state after this turn ({ stage, checkout })
+ * @returns {Promise<Object>} Created or confirmed order
+ */
+async function handleOrderIntent(lead, phoneNumber, intent, checkoutState) {
+  const orders = await getOrders(phoneNumber, lead.session_id);
+  const pendingOrders = orders.filter(order => order.status === 'pending' && order.notes === AUTO_ORDER_NOTE);
+  const pendingOrder = pendingOrders.find(order => isSameOrder(order, intent));
+
+  if (pendingOrder) {
+    return confirmOrder(lead, phoneNumber, pendingOrder.id, checkoutState);
+  }
+
+  // The customer changed their mind before confirming: replace the old draft
+  for (const staleOrder of pendingOrders) {
+    await updateOrderStatus(staleOrder.id, 'cancelled');
+  }
+
+  const items = [{
+    id: intent.product_id,
+    name: intent.product_name,
+    size: intent.size,
+    color: intent.color,
+    quantity: intent.quantity,
+    price: intent.unit_price
+  }];
+
+  // createOrder also marks the lead as converted
+  const order = await createOrder(
+    lead.id,
+    phoneNumber,
+    items,
+    intent.total_amount,
+    AUTO_ORDER_NOTE,
+    lead.session_id
+  );
+
+  await updateLead(lead.id, {
+    customer_name: intent.customer_name,
+    city: intent.city
+  });
+  await saveCheckoutState(lead, {
+    stage: 'confirming',
+    checkout: { ...checkoutState.checkout, order_id: order.id }
+  }, checkoutState.stage);
+
+  const language = getPreferredLanguage(lead);
+  const summary = formatOrderSummary(intent, language);
+  await sendChoice(lead, phoneNumber, getConfirmChoice(order.id), language, summary, { orderId: order.id });
+
+  console.log(`🧾 Order ${order.id} created for ${phoneNumber}`);
+  return order;
+}
+
+/**
+ * Confirm a pending order the bot drafted and thank the customer
+ * Orders that are no longer pending (already confirmed, or cancelled by
+ * staff) are left alone, so a repeated "yes" cannot confirm twice.
+ * @param {Object} lead - Lead record
+ * @param {string} phoneNumber - Customer's phone number
+ * @param {string} orderId - Order to confirm
+ * @param {Object} checkoutState - Checkout state after this turn
+ * @returns {Promise<Object|null>} Confirmed order, or null when there was nothing to confirm
+ */
+async function confirmOrder(lead, phoneNumber, orderId, checkoutState) {
+  const orders = await getOrders(phoneNumber, lead.session_id);
+  const order = orders.find(candidate => candidate.id === orderId);
+  if (order?.status !== 'pending') return null;
+
+  const confirmedOrder = await updateOrderStatus(order.id, 'confirmed');
+  await saveCheckoutState(lead, {
+    stage: 'ordered',
+    checkout: { ...checkoutState.checkout, order_id: confirmedOrder.id }
+  }, checkoutState.stage);
+
+  const { checkout } = checkoutState;
+  const text = t('orderConfirmed', getPreferredLanguage(lead), {
+    product: order.products?.[0]?.name,
+    city: checkout.city || lead.city,
+    name: checkout.customer_name || lead.customer_name
+  });
+
+  await saveReply(lead, text, { orderId: confirmedOrder.id });
+  await sendMessage(phoneNumber, text, lead.session_id);
+  console.log(`🧾 Order ${confirmedOrder.id} confirmed by ${phoneNumber}`);
+  return confirmedOrder;
+}
+
+/**
+ * Map extracted customer details to lead columns
+ * The customer's own WhatsApp number is not stored as an alternate phone.
+ * @param {Object} info - Extracted information (name, city, state, address, pincode, alternate_phone)
+ * @param {string} phoneNumber - Customer's WhatsApp JID
+ * @returns {Object} Lead updates
+ */
+function getLeadUpdates(info, phoneNumber) {
+  const updates = {};
+
+  if (info.name) updates.customer_name = info.name;
+  if (info.city) updates.city = info.city;
+  if (info.state) updates.state = info.state;
+  if (info.address) updates.address = info.address;
+  if (info.pincode) updates.pincode = info.pincode;
+  if (info.alternate_phone && !phoneNumber.split('@')[0].endsWith(info.alternate_phone)) {
+    updates.alternate_phone = info.alternate_phone;
+  }
+
+  return updates;
+}
+
+/**
+ * Store a lead's checkout stage and details
+ * stage_updated_at only moves when the stage changes, so it records how long
+ * a lead has been stuck at its current step.
+ * @param {Object} lead - Lead record
+ * @param {Object} state - Checkout state ({ stage, checkout })
+ * @param {string} previousStage - Stage before this update (defaults to the lead's stored stage)
+ * @returns {Promise<Object>} Updated lead record
+ */
+async function saveCheckoutState(lead, state, previousStage = lead.stage) {
+  const updates = {
+    stage: state.stage,
+    checkout: state.checkout
+  };
+
+  if (state.stage !== previousStage) {
+    updates.stage_updated_at = new Date().toISOString();
+  }
+
+  return updateLead(lead.id, updates);
+}
+
+/**
+ * Check whether an existing order holds the same item as an order intent
+ * @param {Object} order - Order record
+ * @param {Object} intent - Order intent
+ * @returns {boolean} True if product, size, color and quantity match
+ */
+function isSameOrder(order, intent) {
+  const [item] = order.products || [];
+  return Boolean(item) &&
+    item.id === intent.product_id &&
+    (item.size || null) === intent.size &&
+    (item.color || null) === intent.color &&
+    item.quantity === intent.quantity;
+}
+
+/**
+ * Send an option menu and record it, so the customer's answer can be mapped back
+ * With CHOICE_STYLE=list the menu goes out as a native list message, and as
+ * numbered text if the list cannot be sent.
+ * @param {Object} lead - Lead record
+ * @param {string} phoneNumber - Customer's phone number
+ * @param {Object} choice - Choice from choices.js
+ * @param {string} language - Customer's language code
+ * @param {string} body - Text to put above the options (e.g. an order summary)
+ * @param {Object} metadata - Extra chat history metadata
+ * @returns {Promise<Object>} Saved chat message
+ */
+async function sendChoice(lead, phoneNumber, choice, language, body = '', metadata = {}) {
+  const text = [body, formatChoice(choice, language)].filter(Boolean).join('\n\n');
+
+  if (CHOICE_STYLE === 'list' && isWhatsAppConnected(lead.session_id)) {
+    await assertCanMessage(phoneNumber);
+    try {
+      await getSocket(lead.session_id).sendMessage(phoneNumber, buildListMessage(choice, language, text));
+    } catch (error) {
+      console.error('Error sending list message, sending text instead:', error.message);
+      await sendMessage(phoneNumber, text, lead.session_id);
+    }
+  } else {
+    await sendMessage(phoneNumber, text, lead.session_id);
+  }
+
+  return saveReply(lead, text, { ...metadata, choice });
+}
+
+/**
+ * Format an order summary for the customer
+ * @param {Object} intent - Complete order intent
+ * @param {string} language - Customer's language code
+ * @returns {string} Summary text
+ */
+function formatOrderSummary(intent, language) {
+  const variant = [intent.size && t('orderSize', language, { size: intent.size }), intent.color]
+    .filter(Boolean)
+    .join(', ');
+
+  return [
+    t('orderSummaryTitle', language),
+    `${intent.product_name}${variant ? ` (${variant})` : ''} × ${intent.quantity}`,
+    t('orderTotal', language, { total: `$${intent.total_amount.toFixed(2)}` }),
+    t('orderName', language, { name: intent.customer_name }),
+    t('orderCity', language, { city: intent.city }),
+    '',
+    t('orderConfirmPrompt', language)
+  ].join('\n');
+}
+
+/**
+ * Format a product card caption: name, price, sizes and colors
+ * @param {Object} product - Product
+ * @param {string} language - Customer's language code
+ * @returns {string} Caption text
+ */
+function formatProductCaption(product, language) {
+  const price = `${product.currency === 'USD' ? '$' : `${product.currency} `}${Number(product.price).toFixed(2)}`;
+
+  return [
+    `*${product.name}*`,
+    price,
+    product.sizes?.length && t('productSizes', language, { sizes: product.sizes.join(', ') }),
+    product.colors?.length && t('productColors', language, { colors: product.colors.join(', ') })
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Send a product's photo with a caption, and record it in the chat history
+ * Products without images are sent as a text card. Like every message, the
+ * card is queued while WhatsApp is disconnected.
+ * @param {string} phoneNumber - Recipient's phone number
+ * @param {Object} product - Product (id, name, price, currency, sizes, colors, images)
+ * @param {string} language - Caption language; defaults to the lead's language
+ * @param {string} sessionId - Session to send from
+ * @returns {Promise<Object>} { caption, image, status } where status is the outbound message status
+ */
+export async function sendProductCard(phoneNumber, product, language = null, sessionId = DEFAULT_SESSION_ID) {
+  try {
+    await assertCanMessage(phoneNumber);
+
+    const lead = await getLeadByPhone(phoneNumber, sessionId);
+    const caption = formatProductCaption(product, language || getPreferredLanguage(lead));
+    const image = product.images?.[0] || null;
+
+    const outbound = await queueMessage(
+      phoneNumber,
+      image ? { image: { url: resolveMediaSource(image) }, caption } : { text: caption },
+      sessionId
+    );
+
+    if (lead) {
+      await saveChatMessage(
+        lead.id,
+        phoneNumber,
+        'assistant',
+        caption,
+        { productCard: { id: product.id, name: product.name } },
+        { type: image ? 'image' : 'text', path: image },
+        sessionId
+      );
+    }
+
+    return { caption, image, status: outbound.status };
+  } catch (error) {
+    console.error('Error sending product card:', error);
+    throw error;
+  }
+}
+
 /**
  * Send a message to a WhatsApp number
+ * The message goes through the outbox: it is delivered right away when
+ * WhatsApp is connected, and queued and retried otherwise. Numbers that
+ * opted out or are blocked are refused with a ConsentError.
  * @param {string} phoneNumber - Recipient's phone number
  * @param {string} text - Message text
- * @returns {Promise<void>}
+ * @param {string} sessionId - Session to send from
+ * @returns {Promise<Object>} Outbound message record (status 'sent', 'pending' or 'failed')
  */
-export async function sendMessage(phoneNumber, text) {
+export async function sendMessage(phoneNumber, text, sessionId = DEFAULT_SESSION_ID) {
   try {
-    if (!sock || !isConnected) {
-      throw new Error('WhatsApp is not connected');
-    }
+    await assertCanMessage(phoneNumber);
 
-    await sock.sendMessage(phoneNumber, { text });
+    return await queueMessage(phoneNumber, { text }, sessionId);
   } catch (error) {
     console.error('Error sending message:', error);
     throw error;
@@ -194,75 +1202,193 @@ export async function sendMessage(phoneNumber, text) {
 
 /**
  * Send a message with typing indicator
+ * The text is split into sentence-sized bubbles, each preceded by a typing
+ * pause proportional to its length.
  * @param {string} phoneNumber - Recipient's phone number
  * @param {string} text - Message text
+ * @param {string} sessionId - Session to send from
  * @returns {Promise<void>}
  */
-export async function sendMessageWithTyping(phoneNumber, text) {
+export async function sendMessageWithTyping(phoneNumber, text, sessionId = DEFAULT_SESSION_ID) {
   try {
-    if (!sock || !isConnected) {
-      throw new Error('WhatsApp is not connected');
-    }
-
-    // Show typing indicator
-    await sock.sendPresenceUpdate('composing', phoneNumber);
+    await assertCanMessage(phoneNumber);
 
-    // Simulate typing delay (1-2 seconds)
-    await new Promise(resolve => setTimeout(resolve, 1500));
-
-    // Send message
-    await sock.sendMessage(phoneNumber, { text });
-
-    // Set presence to available
-    await sock.sendPresenceUpdate('available', phoneNumber);
+    const reply = createReplyStream(phoneNumber, sessionId);
+    reply.sendText(text);
+    await reply.finish();
   } catch (error) {
     console.error('Error sending message with typing:', error);
     throw error;
   }
 }
 
+/**
+ * Send a presence update, ignoring failures
+ * Presence is cosmetic and must never block message delivery.
+ * @param {string} type - Presence type ('composing', 'paused', ...)
+ * @param {string} phoneNumber - Chat JID
+ * @param {string} sessionId - Session of the chat
+ */
+async function updatePresence(type, phoneNumber, sessionId) {
+  try {
+    await getSocket(sessionId)?.sendPresenceUpdate(type, phoneNumber);
+  } catch (error) {
+    console.error('Error updating presence:', error.message);
+  }
+}
+
+/**
+ * Create a reply stream that delivers text as WhatsApp bubbles
+ * Keeps the "typing..." indicator alive while text is being produced and
+ * paces each bubble like a person typing. Time already spent generating
+ * counts towards the typing pause. Cancelling withdraws the bubbles still
+ * waiting in the outbox.
+ * @param {string} phoneNumber - Recipient's phone number
+ * @param {string} sessionId - Session to send from
+ * @returns {Object} Stream with push, sendText, finish and cancel
+ */
+function createReplyStream(phoneNumber, sessionId) {
+  const splitter = createBubbleSplitter();
+  // Bubbles handed to the outbox: { text, message }
+  const queued = [];
+  let chain = Promise.resolve();
+  let lastSentAt = Date.now();
+  let streamed = false;
+  let failure = null;
+  let active = true;
+  let cancelled = false;
+
+  updatePresence('composing', phoneNumber, sessionId);
+  const keepAlive = setInterval(() => updatePresence('composing', phoneNumber, sessionId), PRESENCE_REFRESH_MS);
+
+  function stop() {
+    if (!active) return;
+    active = false;
+    clearInterval(keepAlive);
+  }
+
+  function enqueue(bubbles) {
+    for (const bubble of bubbles) {
+      chain = chain.then(async () => {
+        if (failure || cancelled) return;
+
+        const wait = getTypingDelay(bubble) - (Date.now() - lastSentAt);
+        if (wait > 0) {
+          await new Promise(resolve => setTimeout(resolve, wait));
+        }
+        if (cancelled) return;
+
+        const message = await sendMessage(phoneNumber, bubble, sessionId);
+        queued.push({ text: bubble, message });
+        lastSentAt = Date.now();
+
+        // Sending a message clears the indicator; show it again if more may follow
+        if (active) {
+          updatePresence('composing', phoneNumber, sessionId);
+        }
+      }).catch((error) => {
+        failure = error;
+      });
+    }
+  }
+
+  return {
+    push(token) {
+      streamed = true;
+      enqueue(splitter.push(token));
+    },
+
+    sendText(text) {
+      enqueue(splitIntoBubbles(text));
+    },
+
+    get hasStreamed() {
+      return streamed;
+    },
+
+    async finish() {
+      enqueue(splitter.flush());
+      await chain;
+      stop();
+      await updatePresence('paused', phoneNumber, sessionId);
+
+      if (failure) throw failure;
+      return queued.map(bubble => bubble.text);
+    },
+
+    /**
+     * Stop the reply and withdraw the bubbles that have not gone out yet
+     * @returns {Promise<Array<string>>} Bubbles that reached (or are reaching) the customer
+     */
+    async cancel() {
+      cancelled = true;
+      splitter.reset();
+      stop();
+      await chain;
+      await updatePresence('paused', phoneNumber, sessionId);
+
+      const waiting = queued.filter(bubble => bubble.message.status === 'pending');
+      const withdrawn = new Set(await cancelMessages(waiting.map(bubble => bubble.message.id)));
+
+      return queued
+        .filter(bubble => bubble.message.status !== 'failed' && !withdrawn.has(bubble.message.id))
+        .map(bubble => bubble.text);
+    }
+  };
+}
+
 /**
  * Get WhatsApp connection status
+ * @param {string} sessionId - Session ID
  * @returns {boolean} Connection status
  */
-export function isWhatsAppConnected() {
-  return isConnected;
+export function isWhatsAppConnected(sessionId = DEFAULT_SESSION_ID) {
+  return sessions.get(sessionId)?.connected || false;
 }
 
 /**
  * Get WhatsApp socket instance
- * @returns {Object} Socket instance
+ * @param {string} sessionId - Session ID
+ * @returns {Object|null} Socket instance
  */
-export function getSocket() {
-  return sock;
+export function getSocket(sessionId = DEFAULT_SESSION_ID) {
+  return sessions.get(sessionId)?.sock || null;
 }
 
 /**
- * Broadcast message to multiple numbers
- * @param {Array<string>} phoneNumbers - Array of phone numbers
- * @param {string} text - Message text
- * @returns {Promise<Object>} Results object with success and failed sends
+ * Get every configured session with its connection status
+ * @returns {Array} Sessions ({ id, name, connected, status, account })
  */
-export async function broadcastMessage(phoneNumbers, text) {
-  const results = {
-    success: [],
-    failed: []
-  };
-
-  for (const phoneNumber of phoneNumbers) {
-    try {
-      await sendMessage(phoneNumber, text);
-      results.success.push(phoneNumber);
+export function getSessions() {
+  return getSessionConfigs().map((config) => {
+    const session = sessions.get(config.id);
+    return {
+      id: config.id,
+      name: config.name,
+      connected: session?.connected || false,
+      status: session?.status || 'offline',
+      account: session?.account || null
+    };
+  });
+}
 
-      // Add delay between messages to avoid spam detection
-      await new Promise(resolve => setTimeout(resolve, 2000));
-    } catch (error) {
-      console.error(`Failed to send to ${phoneNumber}:`, error);
-      results.failed.push({ phoneNumber, error: error.message });
-    }
-  }
+/**
+ * Get the full status of one session, for pairing it from the dashboard
+ * @param {string} sessionId - Session ID
+ * @returns {Object|null} { id, name, connected, status, account, qr, pairing_code, history }, or null
+ *   for an unknown session
+ */
+export function getSessionStatus(sessionId) {
+  const summary = getSessions().find(session => session.id === sessionId);
+  if (!summary) return null;
 
-  return results;
+  const session = sessions.get(sessionId);
+  return {
+    ...summary,
+    qr: session?.qr || null,
+    pairing_code: session?.pairingCode || null,
+    history: session?.history || []
+  };
 }
 
 /**
@@ -284,11 +1410,20 @@ export function formatPhoneNumber(phoneNumber) {
 }
 
 export default {
+  SESSION_STATUSES,
   initWhatsApp,
+  setSocketFactory,
+  handleIncomingMessages,
   sendMessage,
+  sendAgentReply,
+  sendProductCard,
   sendMessageWithTyping,
   isWhatsAppConnected,
   getSocket,
-  broadcastMessage,
+  getSessions,
+  getSessionStatus,
+  pairSession,
+  logoutSession,
+  wipeSession,
   formatPhoneNumber
 };